@@ -0,0 +1,9 @@
+-- 001_usuarios_password_hash.sql
+-- Amplía la columna `usuarios.password` para almacenar hashes bcrypt (60 caracteres).
+-- Las contraseñas heredadas en texto plano se migran automáticamente a bcrypt
+-- la próxima vez que su usuario inicie sesión correctamente (ver utilities/passwords.js).
+-- Nota: si la función `editar_usuario` declara su parámetro de contraseña con una longitud
+-- menor (ej. VARCHAR(15)), debe recrearse con VARCHAR(255) o TEXT.
+
+ALTER TABLE usuarios
+  ALTER COLUMN password TYPE VARCHAR(255);
@@ -0,0 +1,20 @@
+-- 002_usuarios_restablecer_password.sql
+-- Soporte para el cambio de contraseña obligatorio y el restablecimiento iniciado por un administrador.
+
+-- Indica que el usuario debe cambiar su contraseña antes de usar el resto de la API.
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS debe_cambiar_password BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Tokens de restablecimiento de un solo uso. Solo se almacena el hash SHA-256 del token.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id_reset     SERIAL PRIMARY KEY,
+  id_usuario   INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+  token_hash   CHAR(64) NOT NULL UNIQUE,
+  expira_en    TIMESTAMPTZ NOT NULL,
+  usado_en     TIMESTAMPTZ,
+  creado_por   INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  creado_en    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_usuario
+  ON password_reset_tokens (id_usuario);
@@ -0,0 +1,17 @@
+-- 003_sesiones.sql
+-- Sesiones del lado del servidor asociadas a los tokens de actualización (refresh tokens).
+-- Cada token de acceso lleva el ID de su sesión (`sid`); si la sesión se revoca,
+-- el token de acceso deja de ser aceptado por `verificarToken`.
+
+CREATE TABLE IF NOT EXISTS sesiones (
+  id_sesion           SERIAL PRIMARY KEY,
+  id_usuario          INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+  refresh_token_hash  CHAR(64) NOT NULL UNIQUE,
+  expira_en           TIMESTAMPTZ NOT NULL,
+  revocada_en         TIMESTAMPTZ,
+  creada_en           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ultimo_uso_en       TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sesiones_usuario
+  ON sesiones (id_usuario) WHERE revocada_en IS NULL;
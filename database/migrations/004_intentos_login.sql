@@ -0,0 +1,28 @@
+-- 004_intentos_login.sql
+-- Protección contra fuerza bruta en el inicio de sesión.
+
+-- Registro de todos los intentos de inicio de sesión (consultable por administradores).
+CREATE TABLE IF NOT EXISTS intentos_login (
+  id_intento      SERIAL PRIMARY KEY,
+  cedula_usuario  VARCHAR(20),
+  id_usuario      INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  ip              VARCHAR(45) NOT NULL,
+  exito           BOOLEAN NOT NULL,
+  motivo          VARCHAR(40) NOT NULL,
+  creado_en       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intentos_login_cedula ON intentos_login (cedula_usuario, creado_en DESC);
+CREATE INDEX IF NOT EXISTS idx_intentos_login_ip ON intentos_login (ip, creado_en DESC);
+
+-- Contadores de fallos y bloqueos temporales por cuenta (cédula) y por IP.
+-- `bloqueos` cuenta los bloqueos consecutivos y determina la duración exponencial del siguiente.
+CREATE TABLE IF NOT EXISTS bloqueos_login (
+  tipo             VARCHAR(10) NOT NULL CHECK (tipo IN ('cuenta', 'ip')),
+  clave            VARCHAR(45) NOT NULL,
+  fallos           INTEGER NOT NULL DEFAULT 0,
+  bloqueos         INTEGER NOT NULL DEFAULT 0,
+  bloqueado_hasta  TIMESTAMPTZ,
+  actualizado_en   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (tipo, clave)
+);
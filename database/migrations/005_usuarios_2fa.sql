@@ -0,0 +1,20 @@
+-- 005_usuarios_2fa.sql
+-- Verificación en dos factores (TOTP) para administradores y psicólogos.
+
+-- `totp_secreto` se guarda al iniciar la inscripción y solo se considera activo cuando `totp_habilitado` es verdadero.
+-- `totp_ultimo_paso` almacena el último paso de tiempo aceptado para impedir la reutilización de un código.
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS totp_secreto      VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS totp_habilitado   BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS totp_ultimo_paso  BIGINT;
+
+-- Códigos de recuperación de un solo uso (solo se almacena su hash SHA-256).
+CREATE TABLE IF NOT EXISTS codigos_recuperacion (
+  id_codigo    SERIAL PRIMARY KEY,
+  id_usuario   INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+  codigo_hash  CHAR(64) NOT NULL,
+  usado_en     TIMESTAMPTZ,
+  creado_en    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_codigos_recuperacion_usuario ON codigos_recuperacion (id_usuario) WHERE usado_en IS NULL;
@@ -0,0 +1,8 @@
+-- 006_usuarios_activo.sql
+-- Desactivación de cuentas de usuario en lugar de su eliminación física.
+-- Los usuarios desactivados no pueden iniciar sesión, pero se conservan como autores de sus registros.
+
+ALTER TABLE usuarios
+  ADD COLUMN IF NOT EXISTS activo          BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS desactivado_en  TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS desactivado_por INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
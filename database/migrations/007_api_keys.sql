@@ -0,0 +1,18 @@
+-- 007_api_keys.sql
+-- API keys para integraciones entre sistemas (oficina de inscripción, scripts de reportes).
+-- Solo se almacena el hash SHA-256 de la clave; `prefijo` permite identificarla sin exponerla.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id_api_key     SERIAL PRIMARY KEY,
+  nombre         VARCHAR(100) NOT NULL,
+  prefijo        VARCHAR(20) NOT NULL,
+  key_hash       CHAR(64) NOT NULL UNIQUE,
+  recursos       TEXT[] NOT NULL,
+  scopes         TEXT[] NOT NULL,
+  creado_por     INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  creado_en      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expira_en      TIMESTAMPTZ,
+  rotada_en      TIMESTAMPTZ,
+  revocada_en    TIMESTAMPTZ,
+  ultimo_uso_en  TIMESTAMPTZ
+);
@@ -0,0 +1,13 @@
+-- 008_estudiantes_listado.sql
+-- Soporte para la paginación, los filtros y el ordenamiento de GET /estudiantes.
+
+-- Fecha de registro del estudiante, usada en el filtro por rango y en el ordenamiento.
+-- No tiene efecto si la columna ya existe.
+ALTER TABLE estudiantes
+  ADD COLUMN IF NOT EXISTS fecha_registro TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_nombres ON estudiantes (nombres, id_estudiante);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_id_carrera ON estudiantes (id_carrera);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_discapacidad_id ON estudiantes (discapacidad_id);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_fecha_registro ON estudiantes (fecha_registro);
+CREATE INDEX IF NOT EXISTS idx_representantes_id_estudiante ON representantes (id_estudiante);
@@ -0,0 +1,24 @@
+-- 009_busqueda_estudiantes.sql
+-- Búsqueda aproximada de estudiantes (GET /estudiantes/search), sin distinguir acentos y tolerante a errores de escritura.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Normaliza un texto para la búsqueda: minúsculas y sin acentos.
+-- unaccent() no es IMMUTABLE porque depende del diccionario configurado; al fijarlo explícitamente
+-- la función puede declararse IMMUTABLE y usarse en los índices de expresión.
+CREATE OR REPLACE FUNCTION texto_busqueda(texto TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+AS $$
+  SELECT lower(public.unaccent('public.unaccent'::regdictionary, texto))
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_busqueda_nombre
+  ON estudiantes USING GIN (texto_busqueda(nombres || ' ' || apellidos) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_busqueda_cedula
+  ON estudiantes USING GIN (cedula gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_busqueda_correo
+  ON estudiantes USING GIN (texto_busqueda(correo) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_representantes_busqueda_nombre
+  ON representantes USING GIN (texto_busqueda(nombre_repre) gin_trgm_ops);
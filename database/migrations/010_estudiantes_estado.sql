@@ -0,0 +1,25 @@
+-- 010_estudiantes_estado.sql
+-- Estado del estudiante en la institución (activo, egresado, retirado, suspendido) e historial de sus cambios.
+-- El estado solo se modifica con POST /estudiantes/:id_estudiante/estado, que registra cada transición.
+
+-- Los estudiantes existentes quedan como activos. No tiene efecto si la columna ya existe.
+ALTER TABLE estudiantes
+  ADD COLUMN IF NOT EXISTS estado VARCHAR(20) NOT NULL DEFAULT 'activo'
+    CONSTRAINT estudiantes_estado_check CHECK (estado IN ('activo', 'egresado', 'retirado', 'suspendido'));
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_estado ON estudiantes (estado);
+
+-- Una fila por transición: quién la hizo (usuario o API key), cuándo y por qué.
+CREATE TABLE IF NOT EXISTS estudiantes_estados_historial (
+  id_historial     SERIAL PRIMARY KEY,
+  id_estudiante    INTEGER NOT NULL REFERENCES estudiantes (id_estudiante) ON DELETE CASCADE,
+  estado_anterior  VARCHAR(20) NOT NULL,
+  estado_nuevo     VARCHAR(20) NOT NULL,
+  motivo           TEXT NOT NULL,
+  cambiado_por     INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  id_api_key       INTEGER REFERENCES api_keys (id_api_key) ON DELETE SET NULL,
+  cambiado_en      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_estados_historial_estudiante
+  ON estudiantes_estados_historial (id_estudiante, cambiado_en);
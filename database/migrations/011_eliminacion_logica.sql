@@ -0,0 +1,67 @@
+-- 011_eliminacion_logica.sql
+-- Eliminación lógica (papelera) de estudiantes, representantes, citas, incidencias, historial médico y reportes psicológicos.
+-- Los DELETE de la API marcan `deleted_at` y `deleted_by` en lugar de borrar la fila; las consultas excluyen las filas
+-- marcadas. La eliminación definitiva (purga) la hace un administrador desde /papelera, pasado el período de retención.
+
+ALTER TABLE estudiantes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+ALTER TABLE representantes
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+ALTER TABLE citas
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+ALTER TABLE incidencias
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+ALTER TABLE historial_medico
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+ALTER TABLE reporte_psicologico
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL;
+
+-- Índices parciales para el listado de la papelera y la purga.
+CREATE INDEX IF NOT EXISTS idx_estudiantes_deleted_at ON estudiantes (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_representantes_deleted_at ON representantes (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_citas_deleted_at ON citas (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_incidencias_deleted_at ON incidencias (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_historial_medico_deleted_at ON historial_medico (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_reporte_psicologico_deleted_at ON reporte_psicologico (deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Las filas en la papelera no se pueden modificar: el trigger descarta cualquier actualización que no sea
+-- la restauración (deleted_at vuelve a NULL). Así las funciones `editar_*` no afectan a filas eliminadas
+-- y devuelven FALSE, como si la fila no existiera.
+CREATE OR REPLACE FUNCTION proteger_filas_eliminadas() RETURNS trigger AS $$
+BEGIN
+  IF OLD.deleted_at IS NOT NULL AND NEW.deleted_at IS NOT NULL THEN
+    RETURN NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_estudiantes_proteger_eliminadas ON estudiantes;
+CREATE TRIGGER trg_estudiantes_proteger_eliminadas
+  BEFORE UPDATE ON estudiantes FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
+
+DROP TRIGGER IF EXISTS trg_representantes_proteger_eliminadas ON representantes;
+CREATE TRIGGER trg_representantes_proteger_eliminadas
+  BEFORE UPDATE ON representantes FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
+
+DROP TRIGGER IF EXISTS trg_citas_proteger_eliminadas ON citas;
+CREATE TRIGGER trg_citas_proteger_eliminadas
+  BEFORE UPDATE ON citas FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
+
+DROP TRIGGER IF EXISTS trg_incidencias_proteger_eliminadas ON incidencias;
+CREATE TRIGGER trg_incidencias_proteger_eliminadas
+  BEFORE UPDATE ON incidencias FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
+
+DROP TRIGGER IF EXISTS trg_historial_medico_proteger_eliminadas ON historial_medico;
+CREATE TRIGGER trg_historial_medico_proteger_eliminadas
+  BEFORE UPDATE ON historial_medico FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
+
+DROP TRIGGER IF EXISTS trg_reporte_psicologico_proteger_eliminadas ON reporte_psicologico;
+CREATE TRIGGER trg_reporte_psicologico_proteger_eliminadas
+  BEFORE UPDATE ON reporte_psicologico FOR EACH ROW EXECUTE FUNCTION proteger_filas_eliminadas();
@@ -0,0 +1,33 @@
+-- 012_estudiantes_duplicados.sql
+-- Detección de estudiantes duplicados (GET /duplicados/estudiantes) y registro de sus fusiones
+-- (POST /duplicados/estudiantes/fusionar). Requiere las migraciones 009 (texto_busqueda y pg_trgm) y 011 (papelera).
+
+-- Normaliza una cédula para compararla: solo sus dígitos, de modo que "V-12.345.678", "E12345678"
+-- y "12 345 678" se consideren la misma cédula.
+CREATE OR REPLACE FUNCTION cedula_normalizada(cedula TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+AS $$
+  SELECT regexp_replace(cedula, '\D', '', 'g')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_cedula_normalizada
+  ON estudiantes (cedula_normalizada(cedula)) WHERE deleted_at IS NULL;
+
+-- Una fila por fusión: el estudiante que se conserva, el duplicado (que queda en la papelera), una copia
+-- de los datos del duplicado al momento de fusionarlo y la cantidad de registros que se le traspasaron.
+-- Ninguno de los dos estudiantes se referencia con una clave foránea para que la fusión quede registrada
+-- aunque se purgue cualquiera de ellos.
+CREATE TABLE IF NOT EXISTS estudiantes_fusiones (
+  id_fusion                 SERIAL PRIMARY KEY,
+  id_estudiante_conservado  INTEGER NOT NULL,
+  id_estudiante_fusionado   INTEGER NOT NULL,
+  datos_fusionado           JSONB NOT NULL,
+  registros_traspasados     JSONB NOT NULL,
+  motivo                    TEXT,
+  fusionado_por             INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  fusionado_en              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_estudiantes_fusiones_conservado ON estudiantes_fusiones (id_estudiante_conservado);
+CREATE INDEX IF NOT EXISTS idx_estudiantes_fusiones_fusionado ON estudiantes_fusiones (id_estudiante_fusionado);
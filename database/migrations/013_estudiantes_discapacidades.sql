@@ -0,0 +1,44 @@
+-- 013_estudiantes_discapacidades.sql
+-- Varias discapacidades por estudiante (por ejemplo, visual y motora), cada una con su severidad, fecha de diagnóstico,
+-- número de certificado CONAPDIS y observaciones. Se gestionan con /estudiantes/:id_estudiante/discapacidades.
+
+CREATE TABLE IF NOT EXISTS estudiantes_discapacidades (
+  id_estudiante         INTEGER NOT NULL REFERENCES estudiantes (id_estudiante) ON DELETE CASCADE,
+  discapacidad_id       INTEGER NOT NULL REFERENCES discapacidades (discapacidad_id),
+  severidad             VARCHAR(20)
+    CONSTRAINT estudiantes_discapacidades_severidad_check CHECK (severidad IN ('leve', 'moderada', 'severa', 'profunda')),
+  fecha_diagnostico     DATE,
+  certificado_conapdis  VARCHAR(50),
+  observaciones         TEXT,
+  fecha_registro        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (id_estudiante, discapacidad_id)
+);
+
+-- Para el filtro discapacidad_id del listado de estudiantes.
+CREATE INDEX IF NOT EXISTS idx_estudiantes_discapacidades_discapacidad ON estudiantes_discapacidades (discapacidad_id);
+
+-- Se traslada la discapacidad que ya tenía cada estudiante.
+INSERT INTO estudiantes_discapacidades (id_estudiante, discapacidad_id)
+SELECT id_estudiante, discapacidad_id FROM estudiantes WHERE discapacidad_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- `estudiantes.discapacidad_id` se mantiene como discapacidad principal, para los clientes que la envían al crear
+-- o editar un estudiante (y para la importación masiva). Cada vez que cambia se agrega a la asociación.
+CREATE OR REPLACE FUNCTION sincronizar_discapacidad_principal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.discapacidad_id IS NOT NULL THEN
+    INSERT INTO estudiantes_discapacidades (id_estudiante, discapacidad_id)
+    VALUES (NEW.id_estudiante, NEW.discapacidad_id)
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_estudiantes_discapacidad_principal ON estudiantes;
+CREATE TRIGGER trg_estudiantes_discapacidad_principal
+  AFTER INSERT OR UPDATE OF discapacidad_id ON estudiantes
+  FOR EACH ROW EXECUTE FUNCTION sincronizar_discapacidad_principal();
@@ -0,0 +1,29 @@
+-- 014_adjuntos.sql
+-- Archivos adjuntos de los estudiantes (fotos, certificados CONAPDIS escaneados, informes médicos, copias de la cédula, etc.).
+-- El contenido se guarda en el backend de almacenamiento configurado (por defecto, el disco local); la tabla guarda
+-- sus metadatos, la clave con la que se guardó y su suma de verificación SHA-256.
+
+CREATE TABLE IF NOT EXISTS adjuntos (
+  id_adjunto             SERIAL PRIMARY KEY,
+  id_estudiante          INTEGER NOT NULL REFERENCES estudiantes (id_estudiante) ON DELETE CASCADE,
+  -- Registro al que se vincula el adjunto, además del estudiante (como máximo uno).
+  id_historialmedico     INTEGER REFERENCES historial_medico (id_historialmedico) ON DELETE SET NULL,
+  id_incidencia          INTEGER REFERENCES incidencias (id_incidencia) ON DELETE SET NULL,
+  id_psicologico         INTEGER REFERENCES reporte_psicologico (id_psicologico) ON DELETE SET NULL,
+  tipo                   VARCHAR(30) NOT NULL
+    CONSTRAINT adjuntos_tipo_check CHECK (tipo IN ('foto', 'documento_identidad', 'certificado_conapdis', 'informe_medico', 'otro')),
+  -- Recurso de la matriz de permisos que decide quién puede ver el adjunto; se fija al subirlo.
+  recurso                VARCHAR(30) NOT NULL,
+  descripcion            TEXT,
+  nombre_original        VARCHAR(255) NOT NULL,
+  tipo_mime              VARCHAR(100) NOT NULL,
+  tamano                 INTEGER NOT NULL,
+  checksum_sha256        CHAR(64) NOT NULL,
+  almacenamiento         VARCHAR(30) NOT NULL,
+  clave_almacenamiento   TEXT NOT NULL UNIQUE,
+  subido_por             INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  subido_en              TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT adjuntos_un_vinculo_check CHECK (num_nonnulls(id_historialmedico, id_incidencia, id_psicologico) <= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjuntos_estudiante ON adjuntos (id_estudiante, subido_en);
@@ -0,0 +1,61 @@
+-- 015_historial_cambios.sql
+-- Historial de cambios por campo de los estudiantes y sus representantes (GET /estudiantes/:id_estudiante/historial-cambios).
+-- Un trigger registra cada alta y cada modificación con el valor anterior y el nuevo de los campos que cambiaron,
+-- de modo que también quedan registradas las que hacen las funciones `editar_*` y el resto de la API.
+-- El autor se toma de las variables `historial.id_usuario` e `historial.id_api_key`, que la API fija
+-- en la misma transacción con set_config(); si no están definidas, el cambio queda sin autor.
+
+CREATE TABLE IF NOT EXISTS historial_cambios (
+  id_cambio      SERIAL PRIMARY KEY,
+  tabla          VARCHAR(30) NOT NULL,
+  id_registro    INTEGER NOT NULL,
+  -- Estudiante al que pertenecía el registro cuando se hizo el cambio.
+  id_estudiante  INTEGER REFERENCES estudiantes (id_estudiante) ON DELETE CASCADE,
+  operacion      VARCHAR(15) NOT NULL
+    CONSTRAINT historial_cambios_operacion_check CHECK (operacion IN ('creacion', 'modificacion')),
+  -- { "campo": { "anterior": valor, "nuevo": valor }, ... } con solo los campos que cambiaron.
+  cambios        JSONB NOT NULL,
+  cambiado_por   INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+  id_api_key     INTEGER REFERENCES api_keys (id_api_key) ON DELETE SET NULL,
+  cambiado_en    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_historial_cambios_registro ON historial_cambios (tabla, id_registro, cambiado_en);
+CREATE INDEX IF NOT EXISTS idx_historial_cambios_estudiante ON historial_cambios (id_estudiante, cambiado_en);
+
+-- Recibe como argumento el nombre de la columna con el ID del registro.
+CREATE OR REPLACE FUNCTION registrar_historial_cambios() RETURNS trigger AS $$
+DECLARE
+  anterior JSONB := CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD) ELSE '{}'::jsonb END;
+  nuevo JSONB := to_jsonb(NEW);
+  cambios JSONB;
+BEGIN
+  SELECT jsonb_object_agg(n.key, jsonb_build_object('anterior', COALESCE(anterior -> n.key, 'null'::jsonb), 'nuevo', n.value))
+  INTO cambios
+  FROM jsonb_each(nuevo) n
+  -- fecha_actualizacion cambia en cada edición y no aporta información al historial.
+  WHERE n.value IS DISTINCT FROM COALESCE(anterior -> n.key, 'null'::jsonb) AND n.key <> 'fecha_actualizacion';
+
+  IF cambios IS NOT NULL THEN
+    INSERT INTO historial_cambios (tabla, id_registro, id_estudiante, operacion, cambios, cambiado_por, id_api_key)
+    VALUES (
+      TG_TABLE_NAME,
+      (nuevo ->> TG_ARGV[0])::int,
+      NEW.id_estudiante,
+      CASE WHEN TG_OP = 'INSERT' THEN 'creacion' ELSE 'modificacion' END,
+      cambios,
+      NULLIF(current_setting('historial.id_usuario', true), '')::int,
+      NULLIF(current_setting('historial.id_api_key', true), '')::int
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_estudiantes_historial_cambios ON estudiantes;
+CREATE TRIGGER trg_estudiantes_historial_cambios
+  AFTER INSERT OR UPDATE ON estudiantes FOR EACH ROW EXECUTE FUNCTION registrar_historial_cambios('id_estudiante');
+
+DROP TRIGGER IF EXISTS trg_representantes_historial_cambios ON representantes;
+CREATE TRIGGER trg_representantes_historial_cambios
+  AFTER INSERT OR UPDATE ON representantes FOR EACH ROW EXECUTE FUNCTION registrar_historial_cambios('id_representante');
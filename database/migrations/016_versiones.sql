@@ -0,0 +1,114 @@
+-- 016_versiones.sql
+-- Control de concurrencia optimista. Cada registro editable tiene un número de versión que aumenta en cada
+-- modificación; la API lo envía como ETag en las consultas por ID y las ediciones y eliminaciones con la cabecera
+-- If-Match solo se aplican si la versión no cambió desde entonces (si no, responden 412).
+
+ALTER TABLE estudiantes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE representantes ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE citas ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE incidencias ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE historial_medico ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE reporte_psicologico ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE discapacidades ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE carreras ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE facultades ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- La versión la asigna siempre el trigger, aunque la actualización intente fijarla.
+CREATE OR REPLACE FUNCTION incrementar_version() RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_estudiantes_version ON estudiantes;
+CREATE TRIGGER trg_estudiantes_version
+  BEFORE UPDATE ON estudiantes FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_representantes_version ON representantes;
+CREATE TRIGGER trg_representantes_version
+  BEFORE UPDATE ON representantes FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_citas_version ON citas;
+CREATE TRIGGER trg_citas_version
+  BEFORE UPDATE ON citas FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_incidencias_version ON incidencias;
+CREATE TRIGGER trg_incidencias_version
+  BEFORE UPDATE ON incidencias FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_historial_medico_version ON historial_medico;
+CREATE TRIGGER trg_historial_medico_version
+  BEFORE UPDATE ON historial_medico FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_reporte_psicologico_version ON reporte_psicologico;
+CREATE TRIGGER trg_reporte_psicologico_version
+  BEFORE UPDATE ON reporte_psicologico FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_discapacidades_version ON discapacidades;
+CREATE TRIGGER trg_discapacidades_version
+  BEFORE UPDATE ON discapacidades FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_carreras_version ON carreras;
+CREATE TRIGGER trg_carreras_version
+  BEFORE UPDATE ON carreras FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_facultades_version ON facultades;
+CREATE TRIGGER trg_facultades_version
+  BEFORE UPDATE ON facultades FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+-- Comprueba, al comienzo de la transacción que edita o elimina un registro, que su versión sea una de las
+-- indicadas en If-Match. Bloquea la fila hasta el final de la transacción, de modo que nadie la modifique entre
+-- la comprobación y la edición. Si la fila no existe (o está en la papelera) no hace nada y la edición responde 404.
+-- Si la versión no coincide lanza el error PT412, con la versión actual en el detalle.
+CREATE OR REPLACE FUNCTION comprobar_version(
+  p_tabla TEXT,
+  p_columna_id TEXT,
+  p_id INTEGER,
+  p_versiones INTEGER[],
+  p_solo_vigentes BOOLEAN
+) RETURNS VOID AS $$
+DECLARE
+  v_version INTEGER;
+BEGIN
+  EXECUTE format(
+    'SELECT version FROM %I WHERE %I = $1 %s FOR UPDATE',
+    p_tabla, p_columna_id, CASE WHEN p_solo_vigentes THEN 'AND deleted_at IS NULL' ELSE '' END
+  ) INTO v_version USING p_id;
+
+  IF v_version IS NOT NULL AND NOT (v_version = ANY (p_versiones)) THEN
+    RAISE EXCEPTION 'El registro fue modificado (versión actual: %)', v_version
+      USING ERRCODE = 'PT412', DETAIL = v_version::text;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- El historial de cambios (migración 015) no registra el número de versión, que cambia en cada modificación.
+CREATE OR REPLACE FUNCTION registrar_historial_cambios() RETURNS trigger AS $$
+DECLARE
+  anterior JSONB := CASE WHEN TG_OP = 'UPDATE' THEN to_jsonb(OLD) ELSE '{}'::jsonb END;
+  nuevo JSONB := to_jsonb(NEW);
+  cambios JSONB;
+BEGIN
+  SELECT jsonb_object_agg(n.key, jsonb_build_object('anterior', COALESCE(anterior -> n.key, 'null'::jsonb), 'nuevo', n.value))
+  INTO cambios
+  FROM jsonb_each(nuevo) n
+  -- fecha_actualizacion y version cambian en cada edición y no aportan información al historial.
+  WHERE n.value IS DISTINCT FROM COALESCE(anterior -> n.key, 'null'::jsonb)
+    AND n.key NOT IN ('fecha_actualizacion', 'version');
+
+  IF cambios IS NOT NULL THEN
+    INSERT INTO historial_cambios (tabla, id_registro, id_estudiante, operacion, cambios, cambiado_por, id_api_key)
+    VALUES (
+      TG_TABLE_NAME,
+      (nuevo ->> TG_ARGV[0])::int,
+      NEW.id_estudiante,
+      CASE WHEN TG_OP = 'INSERT' THEN 'creacion' ELSE 'modificacion' END,
+      cambios,
+      NULLIF(current_setting('historial.id_usuario', true), '')::int,
+      NULLIF(current_setting('historial.id_api_key', true), '')::int
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,94 @@
+-- 017_inscripciones_academicas.sql
+-- Organización académica por período: lapsos académicos, cursos (asignaturas) de cada carrera, inscripciones de los
+-- estudiantes en los cursos de cada período y asignación de docentes (usuarios con rol docente) a esos cursos.
+-- Permite saber qué docentes atienden a cada estudiante para avisarles de sus adaptaciones.
+
+CREATE TABLE IF NOT EXISTS periodos_academicos (
+  id_periodo      SERIAL PRIMARY KEY,
+  periodo         VARCHAR(30) NOT NULL UNIQUE,
+  fecha_inicio    DATE NOT NULL,
+  fecha_fin       DATE NOT NULL,
+  fecha_registro  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  version         INTEGER NOT NULL DEFAULT 1,
+  CONSTRAINT periodos_academicos_fechas_check CHECK (fecha_fin > fecha_inicio)
+);
+
+CREATE TABLE IF NOT EXISTS cursos (
+  id_curso        SERIAL PRIMARY KEY,
+  codigo          VARCHAR(20) NOT NULL UNIQUE,
+  curso           VARCHAR(150) NOT NULL,
+  id_carrera      INTEGER NOT NULL REFERENCES carreras (id_carrera),
+  semestre        SMALLINT CONSTRAINT cursos_semestre_check CHECK (semestre BETWEEN 1 AND 12),
+  creditos        SMALLINT CONSTRAINT cursos_creditos_check CHECK (creditos >= 0),
+  fecha_registro  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  version         INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_cursos_carrera ON cursos (id_carrera);
+
+-- Un estudiante se inscribe una sola vez en cada curso de un período. Las inscripciones se eliminan con el estudiante
+-- al purgarlo de la papelera; mientras está en ella no aparecen en las consultas.
+CREATE TABLE IF NOT EXISTS inscripciones (
+  id_inscripcion  SERIAL PRIMARY KEY,
+  id_estudiante   INTEGER NOT NULL REFERENCES estudiantes (id_estudiante) ON DELETE CASCADE,
+  id_curso        INTEGER NOT NULL REFERENCES cursos (id_curso),
+  id_periodo      INTEGER NOT NULL REFERENCES periodos_academicos (id_periodo),
+  seccion         VARCHAR(10),
+  fecha_registro  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  version         INTEGER NOT NULL DEFAULT 1,
+  CONSTRAINT inscripciones_estudiante_curso_periodo_key UNIQUE (id_estudiante, id_curso, id_periodo)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inscripciones_curso_periodo ON inscripciones (id_curso, id_periodo);
+CREATE INDEX IF NOT EXISTS idx_inscripciones_periodo ON inscripciones (id_periodo);
+
+-- Un curso puede tener varios docentes en un período (uno por sección, por ejemplo). Una asignación sin sección
+-- corresponde a todas las secciones del curso.
+CREATE TABLE IF NOT EXISTS asignaciones_docentes (
+  id_asignacion   SERIAL PRIMARY KEY,
+  id_usuario      INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+  id_curso        INTEGER NOT NULL REFERENCES cursos (id_curso),
+  id_periodo      INTEGER NOT NULL REFERENCES periodos_academicos (id_periodo),
+  seccion         VARCHAR(10),
+  fecha_registro  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  version         INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_asignaciones_docentes_unica
+  ON asignaciones_docentes (id_usuario, id_curso, id_periodo, COALESCE(seccion, ''));
+CREATE INDEX IF NOT EXISTS idx_asignaciones_docentes_curso_periodo ON asignaciones_docentes (id_curso, id_periodo);
+
+-- Solo se asignan usuarios activos con rol docente. Se comprueba al asignar o cambiar el docente, de modo que
+-- las asignaciones de un docente que luego se desactiva se conservan y se pueden seguir editando.
+CREATE OR REPLACE FUNCTION comprobar_asignacion_docente() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.id_usuario IS DISTINCT FROM OLD.id_usuario THEN
+    IF NOT EXISTS (SELECT 1 FROM usuarios WHERE id_usuario = NEW.id_usuario AND rol = 'docente' AND activo) THEN
+      RAISE EXCEPTION 'El usuario % no es un docente activo', NEW.id_usuario
+        USING ERRCODE = 'check_violation', CONSTRAINT = 'asignaciones_docentes_docente_check';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_asignaciones_docentes_docente ON asignaciones_docentes;
+CREATE TRIGGER trg_asignaciones_docentes_docente
+  BEFORE INSERT OR UPDATE ON asignaciones_docentes FOR EACH ROW EXECUTE FUNCTION comprobar_asignacion_docente();
+
+-- Control de concurrencia optimista (migración 016).
+DROP TRIGGER IF EXISTS trg_periodos_academicos_version ON periodos_academicos;
+CREATE TRIGGER trg_periodos_academicos_version
+  BEFORE UPDATE ON periodos_academicos FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_cursos_version ON cursos;
+CREATE TRIGGER trg_cursos_version
+  BEFORE UPDATE ON cursos FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_inscripciones_version ON inscripciones;
+CREATE TRIGGER trg_inscripciones_version
+  BEFORE UPDATE ON inscripciones FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+DROP TRIGGER IF EXISTS trg_asignaciones_docentes_version ON asignaciones_docentes;
+CREATE TRIGGER trg_asignaciones_docentes_version
+  BEFORE UPDATE ON asignaciones_docentes FOR EACH ROW EXECUTE FUNCTION incrementar_version();
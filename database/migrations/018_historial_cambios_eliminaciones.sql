@@ -0,0 +1,55 @@
+-- 018_historial_cambios_eliminaciones.sql
+-- Historial de cambios de las discapacidades asociadas a cada estudiante, incluidas las bajas (quitar una
+-- discapacidad). Reemplaza la función de las migraciones 015 y 016, que solo registraba altas y modificaciones.
+-- Requiere las migraciones 013 (estudiantes_discapacidades), 015 (historial_cambios) y 016 (versiones).
+
+ALTER TABLE historial_cambios DROP CONSTRAINT IF EXISTS historial_cambios_operacion_check;
+ALTER TABLE historial_cambios ADD CONSTRAINT historial_cambios_operacion_check
+  CHECK (operacion IN ('creacion', 'modificacion', 'eliminacion'));
+
+-- Recibe como argumento el nombre de la columna con el ID del registro. En las bajas, los campos del registro
+-- eliminado quedan como valor anterior y el nuevo es null.
+CREATE OR REPLACE FUNCTION registrar_historial_cambios() RETURNS trigger AS $$
+DECLARE
+  anterior JSONB := CASE WHEN TG_OP IN ('UPDATE', 'DELETE') THEN to_jsonb(OLD) ELSE '{}'::jsonb END;
+  nuevo JSONB := CASE WHEN TG_OP = 'DELETE' THEN '{}'::jsonb ELSE to_jsonb(NEW) END;
+  registro JSONB := CASE WHEN TG_OP = 'DELETE' THEN anterior ELSE nuevo END;
+  cambios JSONB;
+BEGIN
+  -- Las filas que se borran junto con su estudiante (al purgarlo) no se registran: su historial se borra con él.
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM estudiantes WHERE id_estudiante = (registro ->> 'id_estudiante')::int) THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT jsonb_object_agg(k.campo, jsonb_build_object(
+    'anterior', COALESCE(anterior -> k.campo, 'null'::jsonb),
+    'nuevo', COALESCE(nuevo -> k.campo, 'null'::jsonb)
+  ))
+  INTO cambios
+  FROM jsonb_object_keys(anterior || nuevo) AS k(campo)
+  -- fecha_actualizacion y version cambian en cada edición y no aportan información al historial.
+  WHERE COALESCE(nuevo -> k.campo, 'null'::jsonb) IS DISTINCT FROM COALESCE(anterior -> k.campo, 'null'::jsonb)
+    AND k.campo NOT IN ('fecha_actualizacion', 'version');
+
+  IF cambios IS NOT NULL THEN
+    INSERT INTO historial_cambios (tabla, id_registro, id_estudiante, operacion, cambios, cambiado_por, id_api_key)
+    VALUES (
+      TG_TABLE_NAME,
+      (registro ->> TG_ARGV[0])::int,
+      (registro ->> 'id_estudiante')::int,
+      CASE TG_OP WHEN 'INSERT' THEN 'creacion' WHEN 'UPDATE' THEN 'modificacion' ELSE 'eliminacion' END,
+      cambios,
+      NULLIF(current_setting('historial.id_usuario', true), '')::int,
+      NULLIF(current_setting('historial.id_api_key', true), '')::int
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Las discapacidades asociadas no tienen un ID propio: se registran con el de la discapacidad (`id_registro`)
+-- y el del estudiante.
+DROP TRIGGER IF EXISTS trg_estudiantes_discapacidades_historial_cambios ON estudiantes_discapacidades;
+CREATE TRIGGER trg_estudiantes_discapacidades_historial_cambios
+  AFTER INSERT OR UPDATE OR DELETE ON estudiantes_discapacidades
+  FOR EACH ROW EXECUTE FUNCTION registrar_historial_cambios('discapacidad_id');
@@ -0,0 +1,24 @@
+-- 019_discapacidad_principal.sql
+-- Cambiar la discapacidad principal de un estudiante (`estudiantes.discapacidad_id`, con PUT o PATCH) solo cambia
+-- cuál es la principal: la anterior sigue asociada con sus datos. Solo se quita de las discapacidades asociadas
+-- si no tiene ningún dato cargado (severidad, fecha de diagnóstico, certificado ni observaciones), es decir, si
+-- únicamente se había agregado por ser la principal. Requiere la migración 013 (estudiantes_discapacidades).
+
+CREATE OR REPLACE FUNCTION sincronizar_discapacidad_principal()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.discapacidad_id IS NOT NULL AND OLD.discapacidad_id IS DISTINCT FROM NEW.discapacidad_id THEN
+    DELETE FROM estudiantes_discapacidades
+    WHERE id_estudiante = OLD.id_estudiante AND discapacidad_id = OLD.discapacidad_id
+      AND severidad IS NULL AND fecha_diagnostico IS NULL AND certificado_conapdis IS NULL AND observaciones IS NULL;
+  END IF;
+  IF NEW.discapacidad_id IS NOT NULL THEN
+    INSERT INTO estudiantes_discapacidades (id_estudiante, discapacidad_id)
+    VALUES (NEW.id_estudiante, NEW.discapacidad_id)
+    ON CONFLICT DO NOTHING;
+  END IF;
+  RETURN NULL;
+END;
+$$;
@@ -0,0 +1,39 @@
+-- 020_versiones_estudiantes_discapacidades.sql
+-- Control de concurrencia optimista (migración 016) para las discapacidades asociadas a cada estudiante
+-- (PUT y DELETE /estudiantes/:id_estudiante/discapacidades/:discapacidad_id con If-Match).
+-- Requiere las migraciones 013 (estudiantes_discapacidades) y 016 (versiones).
+
+ALTER TABLE estudiantes_discapacidades ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+DROP TRIGGER IF EXISTS trg_estudiantes_discapacidades_version ON estudiantes_discapacidades;
+CREATE TRIGGER trg_estudiantes_discapacidades_version
+  BEFORE UPDATE ON estudiantes_discapacidades FOR EACH ROW EXECUTE FUNCTION incrementar_version();
+
+-- Igual que comprobar_version, para las tablas cuya clave tiene varias columnas: `p_ids` trae el valor de cada una
+-- de `p_columnas`, en el mismo orden.
+CREATE OR REPLACE FUNCTION comprobar_version_compuesta(
+  p_tabla TEXT,
+  p_columnas TEXT[],
+  p_ids INTEGER[],
+  p_versiones INTEGER[],
+  p_solo_vigentes BOOLEAN
+) RETURNS VOID AS $$
+DECLARE
+  v_version INTEGER;
+BEGIN
+  EXECUTE format(
+    'SELECT version FROM %I WHERE %s %s FOR UPDATE',
+    p_tabla,
+    (
+      SELECT string_agg(format('%I = $1[%s]', c.columna, c.posicion), ' AND ')
+      FROM unnest(p_columnas) WITH ORDINALITY AS c(columna, posicion)
+    ),
+    CASE WHEN p_solo_vigentes THEN 'AND deleted_at IS NULL' ELSE '' END
+  ) INTO v_version USING p_ids;
+
+  IF v_version IS NOT NULL AND NOT (v_version = ANY (p_versiones)) THEN
+    RAISE EXCEPTION 'El registro fue modificado (versión actual: %)', v_version
+      USING ERRCODE = 'PT412', DETAIL = v_version::text;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
@@ -63,6 +63,115 @@ export const PORT = process.env.PORT || 3000;
  */
 export const JWT_SECRET = process.env.JWT_SECRET;
 
+/**
+ * Tiempo de vigencia de los tokens de acceso (formato aceptado por `jsonwebtoken`, ej. "1h", "30m").
+ * @type {string}
+ */
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "1h";
+
+/**
+ * Días de vigencia de los tokens de actualización (refresh tokens) y de su sesión en el servidor.
+ * @type {number}
+ */
+export const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+/**
+ * Número de rondas de sal (factor de costo) utilizadas por bcrypt al generar hashes de contraseñas.
+ * @type {number}
+ */
+export const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 10;
+
+/**
+ * Minutos de vigencia de los tokens de restablecimiento de contraseña emitidos por un administrador.
+ * @type {number}
+ */
+export const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+
+/**
+ * Fallos consecutivos de inicio de sesión permitidos por cuenta (cédula) antes de bloquearla temporalmente.
+ * @type {number}
+ */
+export const LOGIN_MAX_FALLOS_CUENTA = parseInt(process.env.LOGIN_MAX_FALLOS_CUENTA, 10) || 5;
+
+/**
+ * Fallos de inicio de sesión permitidos por dirección IP antes de bloquearla temporalmente.
+ * @type {number}
+ */
+export const LOGIN_MAX_FALLOS_IP = parseInt(process.env.LOGIN_MAX_FALLOS_IP, 10) || 20;
+
+/**
+ * Minutos tras los cuales se reinicia el contador de fallos si no hubo nuevos intentos fallidos.
+ * @type {number}
+ */
+export const LOGIN_VENTANA_MINUTOS = parseInt(process.env.LOGIN_VENTANA_MINUTOS, 10) || 15;
+
+/**
+ * Duración en minutos del primer bloqueo; cada bloqueo consecutivo duplica la duración del anterior.
+ * @type {number}
+ */
+export const LOGIN_BLOQUEO_BASE_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_BASE_MINUTOS, 10) || 1;
+
+/**
+ * Duración máxima en minutos de un bloqueo de inicio de sesión.
+ * @type {number}
+ */
+export const LOGIN_BLOQUEO_MAX_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MAX_MINUTOS, 10) || 1440;
+
+/**
+ * Configuración de `trust proxy` de Express, necesaria para obtener la IP real del cliente detrás de un proxy
+ * (ej. "1" para un salto, "loopback" o una lista de IPs). Si no se define, se usa la IP de la conexión.
+ * @type {string|undefined}
+ */
+export const TRUST_PROXY = process.env.TRUST_PROXY;
+
+/**
+ * Nombre del emisor que muestran las aplicaciones de autenticación para las cuentas con verificación en dos factores.
+ * @type {string}
+ */
+export const TOTP_EMISOR = process.env.TOTP_EMISOR || "SMGED";
+
+/**
+ * Tiempo de vigencia del token intermedio emitido tras validar la contraseña de un usuario con verificación
+ * en dos factores (formato aceptado por `jsonwebtoken`).
+ * @type {string}
+ */
+export const TOKEN_2FA_EXPIRES_IN = process.env.TOKEN_2FA_EXPIRES_IN || "5m";
+
+/**
+ * Roles para los que la verificación en dos factores es obligatoria, separados por comas (ej. "administrador").
+ * Los usuarios de estos roles deben inscribirse antes de poder usar la API y no pueden desactivarla.
+ * Por defecto ningún rol la exige y es opcional para administradores y psicólogos.
+ * @type {string[]}
+ */
+export const TOTP_ROLES_OBLIGATORIO = (process.env.TOTP_ROLES_OBLIGATORIO || "")
+  .split(",")
+  .map((rol) => rol.trim())
+  .filter(Boolean);
+
+/**
+ * Días que un registro eliminado permanece en la papelera antes de que un administrador pueda purgarlo definitivamente.
+ * @type {number}
+ */
+export const PAPELERA_DIAS_RETENCION = parseInt(process.env.PAPELERA_DIAS_RETENCION, 10) || 30;
+
+/**
+ * Backend de almacenamiento de los archivos adjuntos (ver `utilities/almacenamiento.js`). Por defecto, "local".
+ * @type {string}
+ */
+export const ADJUNTOS_ALMACENAMIENTO = (process.env.ADJUNTOS_ALMACENAMIENTO || "local").trim().toLowerCase();
+
+/**
+ * Directorio en el que el backend local guarda los archivos adjuntos.
+ * @type {string}
+ */
+export const ADJUNTOS_DIRECTORIO = process.env.ADJUNTOS_DIRECTORIO || "almacenamiento/adjuntos";
+
+/**
+ * Tamaño máximo de un archivo adjunto, en megabytes.
+ * @type {number}
+ */
+export const ADJUNTOS_TAMANO_MAXIMO_MB = parseInt(process.env.ADJUNTOS_TAMANO_MAXIMO_MB, 10) || 10;
+
 /**
  * Construye y retorna la URL de conexión a la base de datos según el origen configurado.
  * @function
@@ -13,6 +13,9 @@
 import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { historialMedicoValidations } from '../validations/historialMedico.validations.js';
+import { moverAPapelera, nuevoEstudianteVigente } from '../utilities/papelera.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
 
 /**
  * @description Obtiene todos los historiales médicos registrados en el sistema.
@@ -34,6 +37,7 @@ export const obtenerHistorialesMedicos = async (req, res) => {
         e.cedula AS cedula_estudiante
       FROM historial_medico h
       JOIN estudiantes e ON h.id_estudiante = e.id_estudiante
+      WHERE h.deleted_at IS NULL AND e.deleted_at IS NULL
     `;
     res.json(historialesMedicos);
   } catch (error) {
@@ -70,14 +74,14 @@ export const obtenerHistorialMedicoPorId = async (req, res) => {
         e.cedula AS cedula_estudiante
       FROM historial_medico h
       JOIN estudiantes e ON h.id_estudiante = e.id_estudiante
-      WHERE h.id_historialmedico = ${id_historialmedico}
+      WHERE h.id_historialmedico = ${id_historialmedico} AND h.deleted_at IS NULL AND e.deleted_at IS NULL
     `;
 
     if (historialMedico.length === 0) {
       return res.status(404).json({ error: 'Historial médico no encontrado' });
     }
 
-    res.json(historialMedico[0]);
+    fijarEtag(res, historialMedico[0]).json(historialMedico[0]);
   } catch (error) {
     console.error('Error al obtener historial médico por ID:', error);
     res.status(500).json({ error: 'Error al obtener historial médico por ID' });
@@ -106,7 +110,7 @@ export const obtenerHistorialMedicoPorEstudiante = async (req, res) => {
         e.cedula AS cedula_estudiante
       FROM historial_medico h
       JOIN estudiantes e ON h.id_estudiante = e.id_estudiante
-      WHERE h.id_estudiante = ${id_estudiante}
+      WHERE h.id_estudiante = ${id_estudiante} AND h.deleted_at IS NULL AND e.deleted_at IS NULL
     `;
 
     if (historialMedico.length === 0) {
@@ -143,15 +147,20 @@ export const crearHistorialMedico = async (req, res) => {
   try {
     const { id_estudiante, certificado_conapdis, informe_medico, tratamiento } = req.body;
 
-    // Llama a una función almacenada en la base de datos para insertar el nuevo historial médico.
+    // Llama a una función almacenada en la base de datos para insertar el nuevo historial médico,
+    // solo si el estudiante existe y no está en la papelera.
     const nuevoHistorialMedico = await sql`
       SELECT insertar_historial_medico(
         ${id_estudiante},
         ${certificado_conapdis || null},
         ${informe_medico || null},
         ${tratamiento || null}
-      ) as id_historialmedico;
+      ) as id_historialmedico
+      FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL;
     `;
+    if (nuevoHistorialMedico.length === 0) {
+      return res.status(404).json({ error: "Estudiante no encontrado" });
+    }
 
     // Verifica si la inserción fue exitosa y se devolvió un ID válido.
     if (!nuevoHistorialMedico.length || nuevoHistorialMedico[0].id_historialmedico === null) {
@@ -186,7 +195,8 @@ export const crearHistorialMedico = async (req, res) => {
  * para el ID del historial médico y los campos a actualizar.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_historialmedico` y campos opcionales en `req.body`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con un mensaje de éxito, con 404 si el nuevo `id_estudiante` no existe o está
+ * en la papelera, o con errores de validación/servidor.
  * @method PUT
  * @route /historial_medico/:id_historialmedico
  */
@@ -204,19 +214,28 @@ export const editarHistorialMedico = async (req, res) => {
     const { id_historialmedico } = req.params;
     const { id_estudiante, certificado_conapdis, informe_medico, tratamiento } = req.body;
 
-    // Llama a una función almacenada en la base de datos para editar el historial médico.
-    const historialMedicoEditado = await sql`
-      SELECT editar_historial_medico(
-        ${id_historialmedico},
-        ${id_estudiante || null},
-        ${certificado_conapdis || null},
-        ${informe_medico || null},
-        ${tratamiento || null}
-      ) AS success;
-    `;
+    // Llama a una función almacenada en la base de datos para editar el historial médico,
+    // después de comprobar la versión indicada en If-Match.
+    const historialMedicoEditado = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.historial_medico, id_historialmedico),
+      sql`
+        SELECT editar_historial_medico(
+          ${id_historialmedico},
+          ${id_estudiante || null},
+          ${certificado_conapdis || null},
+          ${informe_medico || null},
+          ${tratamiento || null}
+        ) AS success
+        WHERE ${nuevoEstudianteVigente(id_estudiante || null)};
+      `,
+    ])).at(-1);
 
+    // Sin filas, el nuevo estudiante no existe o está en la papelera y el historial no se modificó.
+    if (!historialMedicoEditado.length) {
+      return res.status(404).json({ error: 'Estudiante no encontrado' });
+    }
     // Si la función de la DB indica que no se pudo actualizar (ej. historial médico no encontrado), devuelve 404.
-    if (!historialMedicoEditado.length || !historialMedicoEditado[0].success) {
+    if (!historialMedicoEditado[0].success) {
       return res.status(404).json({ error: 'Historial médico no encontrado o no se pudo actualizar' });
     }
 
@@ -237,13 +256,37 @@ export const editarHistorialMedico = async (req, res) => {
       ...estudiante[0]
     });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.historial_medico, req.params.id_historialmedico);
+    }
     console.error('Error al editar historial médico:', error);
     res.status(500).json({ error: 'Error al editar historial médico' });
   }
 };
 
 /**
- * @description Elimina un registro de historial médico de la base de datos por su ID.
+ * @description Actualiza parcialmente un historial médico con un documento JSON Merge Patch (RFC 7396): solo cambian
+ * los campos enviados y los enviados con `null` se borran. Los campos se validan con
+ * `historialMedicoValidations.crearHistorialMedicoValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_historialmedico` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el historial médico actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /historial_medico/:id_historialmedico
+ */
+export const parchearHistorialMedico = crearControladorMergePatch({
+  tabla: 'historial_medico',
+  columnaId: 'id_historialmedico',
+  campos: ['id_estudiante', 'certificado_conapdis', 'informe_medico', 'tratamiento'],
+  validaciones: historialMedicoValidations.crearHistorialMedicoValidations,
+  condicion: ({ id_estudiante }) => nuevoEstudianteVigente(id_estudiante),
+  noEncontrado: 'Historial médico o estudiante no encontrado',
+  errorActualizar: 'Error al actualizar el historial médico',
+});
+
+/**
+ * @description Envía un registro de historial médico a la papelera (eliminación lógica) por su ID.
+ * El registro deja de aparecer en las consultas y puede restaurarse desde `/papelera`.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_historialmedico`.
  * @param {object} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
@@ -261,18 +304,24 @@ export const eliminarHistorialMedico = async (req, res) => {
   try {
     const { id_historialmedico } = req.params;
 
-    // Llama a una función almacenada en la base de datos para eliminar el historial médico.
-    const historialMedicoEliminado = await sql`
-      SELECT eliminar_historial_medico(${id_historialmedico}) AS success
-    `;
+    // Marca el historial médico como eliminado, registrando quién lo eliminó.
+    const historialMedicoEliminado = await moverAPapelera(
+      'historial_medico',
+      id_historialmedico,
+      req.user?.userId ?? null,
+      comprobarVersion(req, ENTIDADES_VERSIONADAS.historial_medico, id_historialmedico),
+    );
 
-    // Si la función de la DB indica que no se pudo eliminar (ej. historial médico no encontrado), devuelve 404.
-    if (!historialMedicoEliminado.length || !historialMedicoEliminado[0].success) {
+    // Si el historial médico no existe o ya estaba en la papelera, devuelve 404.
+    if (!historialMedicoEliminado) {
       return res.status(404).json({ error: 'Historial médico no encontrado o no se pudo eliminar' });
     }
 
     res.json({ message: 'Historial médico eliminado correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.historial_medico, req.params.id_historialmedico);
+    }
     console.error('Error al eliminar historial médico:', error);
     res.status(500).json({ error: 'Error al eliminar historial médico' });
   }
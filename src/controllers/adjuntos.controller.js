@@ -0,0 +1,310 @@
+/**
+ * @file Este archivo contiene los controladores de los archivos adjuntos de los estudiantes.
+ * @description Implementa la subida, el listado, la consulta, la descarga y la eliminación de los adjuntos
+ * (fotos, certificados CONAPDIS escaneados, informes médicos, copias de la cédula, etc.). Cada adjunto pertenece
+ * a un estudiante y, opcionalmente, a un historial médico, una incidencia o un reporte psicológico del mismo estudiante.
+ * Solo se admiten los formatos de `utilities/adjuntos.js`, detectados por el contenido del archivo, y se guarda
+ * la suma de verificación SHA-256 de cada uno. Quién puede ver un adjunto lo decide el más restrictivo entre el recurso
+ * de su tipo y el del registro vinculado en la matriz de permisos; los adjuntos que el usuario no puede ver
+ * no aparecen en el listado. Los archivos se guardan en el backend de `utilities/almacenamiento.js`.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/adjuntos.controller
+ * @see {@link module:validations/adjuntos.validations} Para las reglas de validación de datos.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { matchedData } from 'express-validator';
+import { sql } from '../db.js';
+import { ADJUNTOS_ALMACENAMIENTO } from '../config.js';
+import { obtenerAlmacenamiento } from '../utilities/almacenamiento.js';
+import {
+  VINCULOS_ADJUNTO,
+  TIPOS_MIME_ADJUNTO,
+  TIPOS_MIME_FOTO,
+  detectarFormato,
+  calcularChecksum,
+  recursoAdjunto,
+  vinculoAdjuntoVigente,
+} from '../utilities/adjuntos.js';
+import { puedeAcceder, PERMISOS } from '../utilities/permisos.js';
+import { obtenerParametrosListado, respuestaListado, unirCondiciones } from '../utilities/listados.js';
+
+/**
+ * @description Columnas de un adjunto que se devuelven en las respuestas (sin los datos internos de almacenamiento).
+ * @type {object}
+ */
+const COLUMNAS_ADJUNTO = sql`
+  a.id_adjunto, a.id_estudiante, a.id_historialmedico, a.id_incidencia, a.id_psicologico,
+  a.tipo, a.descripcion, a.nombre_original, a.tipo_mime, a.tamano, a.checksum_sha256,
+  a.subido_por, u.nombre || ' ' || u.apellido AS nombre_subido_por, a.subido_en
+`;
+
+/**
+ * @description Condición SQL que excluye los adjuntos cuyo estudiante o registro vinculado está en la papelera.
+ * Las consultas deben unir `estudiantes e` con el adjunto `a`.
+ * @type {object}
+ */
+const adjuntoVigente = sql`e.deleted_at IS NULL AND ${vinculoAdjuntoVigente}`;
+
+/**
+ * @description Consulta un adjunto vigente con sus datos de almacenamiento y el recurso que decide su visibilidad.
+ * @param {number|string} id_adjunto - ID del adjunto.
+ * @returns {Promise<object|undefined>} El adjunto, o `undefined` si no existe o no está vigente.
+ */
+const consultarAdjunto = async (id_adjunto) => {
+  const [adjunto] = await sql`
+    SELECT ${COLUMNAS_ADJUNTO}, a.recurso, a.almacenamiento, a.clave_almacenamiento
+    FROM adjuntos a
+    JOIN estudiantes e ON e.id_estudiante = a.id_estudiante
+    LEFT JOIN usuarios u ON u.id_usuario = a.subido_por
+    WHERE a.id_adjunto = ${id_adjunto} AND ${adjuntoVigente}
+  `;
+  return adjunto;
+};
+
+/**
+ * @description Quita de un adjunto los datos internos antes de enviarlo en una respuesta.
+ * @param {object} adjunto - Adjunto consultado con `consultarAdjunto`.
+ * @returns {object} Adjunto sin `recurso`, `almacenamiento` ni `clave_almacenamiento`.
+ */
+const adjuntoPublico = ({ recurso, almacenamiento, clave_almacenamiento, ...adjunto }) => adjunto;
+
+/**
+ * @description Sube un adjunto de un estudiante. El archivo llega en el campo `archivo` de un formulario
+ * `multipart/form-data` junto con `id_estudiante`, `tipo`, `descripcion` y, opcionalmente, uno de `id_historialmedico`,
+ * `id_incidencia` o `id_psicologico`. Responde 415 si el contenido no es de un formato admitido (las fotos solo
+ * pueden ser imágenes), 400 si el registro vinculado es menos restrictivo que el tipo del adjunto (un documento médico
+ * vinculado a una incidencia) y 403 si el rol no puede crear registros del recurso que decide la visibilidad del adjunto.
+ * @param {object} req - Objeto de solicitud de Express, con el archivo en `req.file` y los campos en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el adjunto creado o un mensaje de error.
+ * @method POST
+ * @route /adjuntos
+ */
+export const subirAdjunto = async (req, res) => {
+  try {
+    const datos = matchedData(req, { locations: ['body'] });
+    const { id_estudiante, tipo } = datos;
+    const vinculo = Object.keys(VINCULOS_ADJUNTO).find((campo) => datos[campo] !== undefined);
+
+    const formato = detectarFormato(req.file.buffer);
+    const formatosPermitidos = tipo === 'foto' ? TIPOS_MIME_FOTO : TIPOS_MIME_ADJUNTO;
+    if (!formato || !formatosPermitidos.includes(formato.tipoMime)) {
+      return res.status(415).json({ error: `Formato de archivo no admitido. Formatos permitidos: ${formatosPermitidos.join(', ')}` });
+    }
+
+    const recurso = recursoAdjunto(tipo, vinculo);
+    if (!recurso) {
+      return res.status(400).json({ error: `Un adjunto de tipo ${tipo} no se puede vincular a ${vinculo}: lo podrían ver roles sin acceso a ese tipo de documento` });
+    }
+    if (!puedeAcceder(req, recurso, 'crear')) {
+      return res.status(403).json({ error: 'Acceso denegado: Permisos insuficientes' });
+    }
+
+    const estudiante = await sql`SELECT 1 FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL`;
+    if (estudiante.length === 0) {
+      return res.status(404).json({ error: 'Estudiante no encontrado' });
+    }
+    if (vinculo) {
+      const registro = await sql`
+        SELECT 1 FROM ${sql.unsafe(VINCULOS_ADJUNTO[vinculo].tabla)}
+        WHERE ${sql.unsafe(vinculo)} = ${datos[vinculo]} AND id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+      `;
+      if (registro.length === 0) {
+        return res.status(404).json({ error: `No existe el registro ${vinculo} = ${datos[vinculo]} del estudiante` });
+      }
+    }
+
+    const contenido = req.file.buffer;
+    const clave = `${id_estudiante}/${crypto.randomUUID()}${formato.extension}`;
+    const almacenamiento = obtenerAlmacenamiento();
+    await almacenamiento.guardar(clave, contenido);
+
+    let adjunto;
+    try {
+      [adjunto] = await sql`
+        INSERT INTO adjuntos (
+          id_estudiante, id_historialmedico, id_incidencia, id_psicologico, tipo, recurso, descripcion,
+          nombre_original, tipo_mime, tamano, checksum_sha256, almacenamiento, clave_almacenamiento, subido_por
+        ) VALUES (
+          ${id_estudiante}, ${datos.id_historialmedico ?? null}, ${datos.id_incidencia ?? null}, ${datos.id_psicologico ?? null},
+          ${tipo}, ${recurso}, ${datos.descripcion || null},
+          ${path.basename(req.file.originalname).slice(0, 255)}, ${formato.tipoMime}, ${contenido.length},
+          ${calcularChecksum(contenido)}, ${ADJUNTOS_ALMACENAMIENTO}, ${clave}, ${req.user?.userId ?? null}
+        )
+        RETURNING *
+      `;
+    } catch (error) {
+      // Si no se pudo registrar el adjunto, el archivo guardado no queda huérfano.
+      await almacenamiento.eliminar(clave).catch(() => {});
+      throw error;
+    }
+
+    res.status(201).json({ message: 'Adjunto subido correctamente', adjunto: adjuntoPublico(adjunto) });
+  } catch (error) {
+    console.error('Error al subir el adjunto:', error);
+    res.status(500).json({ error: 'Error al subir el adjunto' });
+  }
+};
+
+/**
+ * @description Obtiene una página de los adjuntos de un estudiante, del más reciente al más antiguo. Solo se incluyen
+ * los adjuntos que el rol del usuario puede ver; `adjuntos_ocultos` indica cuántos se omitieron por ese motivo.
+ * Acepta los filtros `id_estudiante` (requerido) y `tipo`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con `{ datos, paginacion, adjuntos_ocultos }` o un mensaje de error.
+ * @method GET
+ * @route /adjuntos
+ */
+export const obtenerAdjuntos = async (req, res) => {
+  try {
+    const { parametros, limit, offset } = obtenerParametrosListado(req);
+    const visibles = Object.keys(PERMISOS).filter((recurso) => puedeAcceder(req, recurso, 'leer'));
+    const condicion = unirCondiciones([
+      sql`a.id_estudiante = ${parametros.id_estudiante}`,
+      adjuntoVigente,
+      ...(parametros.tipo ? [sql`a.tipo = ${parametros.tipo}`] : []),
+    ]);
+
+    const [estudiante, datos, conteo] = await sql.transaction([
+      sql`SELECT 1 FROM estudiantes WHERE id_estudiante = ${parametros.id_estudiante} AND deleted_at IS NULL`,
+      sql`
+        SELECT ${COLUMNAS_ADJUNTO}
+        FROM adjuntos a
+        JOIN estudiantes e ON e.id_estudiante = a.id_estudiante
+        LEFT JOIN usuarios u ON u.id_usuario = a.subido_por
+        WHERE ${condicion} AND a.recurso = ANY(${visibles})
+        ORDER BY a.subido_en DESC, a.id_adjunto DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      sql`
+        SELECT
+          COUNT(*) FILTER (WHERE a.recurso = ANY(${visibles}))::int AS total,
+          COUNT(*) FILTER (WHERE NOT a.recurso = ANY(${visibles}))::int AS ocultos
+        FROM adjuntos a
+        JOIN estudiantes e ON e.id_estudiante = a.id_estudiante
+        WHERE ${condicion}
+      `,
+    ], { readOnly: true });
+
+    if (estudiante.length === 0) {
+      return res.status(404).json({ error: 'Estudiante no encontrado' });
+    }
+
+    res.json({
+      ...respuestaListado({ datos, total: conteo[0].total, limit, offset }),
+      adjuntos_ocultos: conteo[0].ocultos,
+    });
+  } catch (error) {
+    console.error('Error al obtener los adjuntos:', error);
+    res.status(500).json({ error: 'Error al obtener los adjuntos' });
+  }
+};
+
+/**
+ * @description Obtiene los datos de un adjunto (sin su contenido).
+ * @param {object} req - Objeto de solicitud de Express, con `id_adjunto` en `req.params`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el adjunto o un mensaje de error.
+ * @method GET
+ * @route /adjuntos/:id_adjunto
+ */
+export const obtenerAdjuntoPorId = async (req, res) => {
+  try {
+    const adjunto = await consultarAdjunto(req.params.id_adjunto);
+    if (!adjunto) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+    if (!puedeAcceder(req, adjunto.recurso, 'leer')) {
+      return res.status(403).json({ error: 'Acceso denegado: Permisos insuficientes' });
+    }
+
+    res.json(adjuntoPublico(adjunto));
+  } catch (error) {
+    console.error('Error al obtener el adjunto:', error);
+    res.status(500).json({ error: 'Error al obtener el adjunto' });
+  }
+};
+
+/**
+ * @description Descarga el contenido de un adjunto. La respuesta incluye la suma de verificación SHA-256 del archivo
+ * en la cabecera `Digest` para que el cliente pueda comprobar su integridad.
+ * @param {object} req - Objeto de solicitud de Express, con `id_adjunto` en `req.params`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Envía el archivo o un mensaje de error.
+ * @method GET
+ * @route /adjuntos/:id_adjunto/descarga
+ */
+export const descargarAdjunto = async (req, res) => {
+  try {
+    const adjunto = await consultarAdjunto(req.params.id_adjunto);
+    if (!adjunto) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+    if (!puedeAcceder(req, adjunto.recurso, 'leer')) {
+      return res.status(403).json({ error: 'Acceso denegado: Permisos insuficientes' });
+    }
+
+    let contenido;
+    try {
+      contenido = await obtenerAlmacenamiento(adjunto.almacenamiento).leer(adjunto.clave_almacenamiento);
+    } catch (error) {
+      console.error('Error al leer el archivo del adjunto:', error);
+      return res.status(404).json({ error: 'El archivo del adjunto no está disponible' });
+    }
+
+    const nombre = adjunto.nombre_original;
+    res.setHeader('Content-Type', adjunto.tipo_mime);
+    res.setHeader('Content-Length', adjunto.tamano);
+    res.setHeader('Content-Disposition', `attachment; filename="${nombre.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(nombre)}`);
+    res.setHeader('Digest', `sha-256=${Buffer.from(adjunto.checksum_sha256.trim(), 'hex').toString('base64')}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    contenido.on('error', (error) => {
+      console.error('Error al enviar el archivo del adjunto:', error);
+      res.destroy(error);
+    });
+    contenido.pipe(res);
+  } catch (error) {
+    console.error('Error al descargar el adjunto:', error);
+    res.status(500).json({ error: 'Error al descargar el adjunto' });
+  }
+};
+
+/**
+ * @description Elimina definitivamente un adjunto: su registro y su archivo.
+ * @param {object} req - Objeto de solicitud de Express, con `id_adjunto` en `req.params`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o un error.
+ * @method DELETE
+ * @route /adjuntos/:id_adjunto
+ */
+export const eliminarAdjunto = async (req, res) => {
+  try {
+    const adjunto = await consultarAdjunto(req.params.id_adjunto);
+    if (!adjunto) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+    if (!puedeAcceder(req, adjunto.recurso, 'eliminar')) {
+      return res.status(403).json({ error: 'Acceso denegado: Permisos insuficientes' });
+    }
+
+    const eliminado = await sql`DELETE FROM adjuntos WHERE id_adjunto = ${adjunto.id_adjunto} RETURNING id_adjunto`;
+    if (eliminado.length === 0) {
+      return res.status(404).json({ error: 'Adjunto no encontrado' });
+    }
+
+    // El registro ya no existe; si el archivo no se puede borrar, solo se informa en el registro del servidor.
+    await obtenerAlmacenamiento(adjunto.almacenamiento).eliminar(adjunto.clave_almacenamiento)
+      .catch((error) => console.error('Error al eliminar el archivo del adjunto:', error));
+
+    res.json({ message: 'Adjunto eliminado correctamente' });
+  } catch (error) {
+    console.error('Error al eliminar el adjunto:', error);
+    res.status(500).json({ error: 'Error al eliminar el adjunto' });
+  }
+};
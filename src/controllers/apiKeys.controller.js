@@ -0,0 +1,201 @@
+/**
+ * @file Este archivo contiene los controladores para la gestión de API keys.
+ * @description Implementa la lógica para que los administradores creen, consulten, roten y revoquen las API keys
+ * con las que los sistemas institucionales acceden a los recursos habilitados sin un inicio de sesión.
+ * La clave en texto plano solo se devuelve al crearla o rotarla; en la base de datos se guarda su hash SHA-256.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/apiKeys.controller
+ * @see {@link module:middlewares/apiKey.middleware} Para la autenticación de las peticiones con API key.
+ */
+
+import { sql } from '../db.js';
+import { generarTokenAleatorio, hashToken } from '../utilities/tokens.js';
+
+/**
+ * @description Prefijo fijo de las API keys, que facilita reconocerlas (por ejemplo, en escaneos de secretos).
+ * @type {string}
+ */
+const PREFIJO_API_KEY = 'smged_';
+
+/**
+ * @description Genera una nueva API key junto con su prefijo identificador y su hash.
+ * @returns {{clave: string, prefijo: string, hash: string}} Clave en texto plano, prefijo visible y hash a almacenar.
+ */
+const generarApiKey = () => {
+  const clave = `${PREFIJO_API_KEY}${generarTokenAleatorio()}`;
+  return { clave, prefijo: clave.slice(0, PREFIJO_API_KEY.length + 8), hash: hashToken(clave) };
+};
+
+/**
+ * @description Fragmento SQL con las columnas de una API key que se devuelven por la API (nunca incluye el hash).
+ */
+const COLUMNAS_API_KEY = sql`
+  id_api_key, nombre, prefijo, recursos, scopes, creado_por, creado_en, expira_en, rotada_en, revocada_en, ultimo_uso_en
+`;
+
+/**
+ * @description Crea una nueva API key con los recursos y alcances indicados.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.body.nombre` (string): Nombre descriptivo del sistema que usará la clave.
+ * - `req.body.recursos` (string[]): Recursos permitidos (ej. ["estudiantes", "carreras"]).
+ * - `req.body.scopes` (string[]): Alcances otorgados ("leer" y/o "escribir").
+ * - `req.body.expira_en` (string, opcional): Fecha de expiración ISO 8601.
+ * - `req.user.userId` (number): El ID del administrador autenticado.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la API key creada y la clave en texto plano, que no vuelve a mostrarse.
+ * @method POST
+ * @route /api-keys
+ */
+export const crearApiKey = async (req, res) => {
+  try {
+    const { nombre, recursos, scopes, expira_en } = req.body;
+    const { clave, prefijo, hash } = generarApiKey();
+
+    const apiKey = await sql`
+      INSERT INTO api_keys (nombre, prefijo, key_hash, recursos, scopes, creado_por, expira_en)
+      VALUES (
+        ${nombre},
+        ${prefijo},
+        ${hash},
+        ${[...new Set(recursos)]},
+        ${[...new Set(scopes)]},
+        ${req.user.userId},
+        ${expira_en ?? null}
+      )
+      RETURNING ${COLUMNAS_API_KEY}
+    `;
+
+    res.status(201).json({
+      message: 'API key creada correctamente. Guarde la clave: no volverá a mostrarse',
+      api_key: apiKey[0],
+      clave,
+    });
+  } catch (error) {
+    console.error('Error al crear la API key:', error);
+    res.status(500).json({ error: 'Error al crear la API key' });
+  }
+};
+
+/**
+ * @description Obtiene todas las API keys registradas, incluidas las revocadas, ordenadas de la más reciente a la más antigua.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un array de API keys (sin la clave ni su hash).
+ * @method GET
+ * @route /api-keys
+ */
+export const obtenerApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await sql`
+      SELECT ${COLUMNAS_API_KEY} FROM api_keys ORDER BY creado_en DESC
+    `;
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Error al obtener las API keys:', error);
+    res.status(500).json({ error: 'Error al obtener las API keys' });
+  }
+};
+
+/**
+ * @description Obtiene una API key por su ID.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_api_key`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la API key o con un error 404 si no existe.
+ * @method GET
+ * @route /api-keys/:id_api_key
+ */
+export const obtenerApiKeyPorId = async (req, res) => {
+  try {
+    const { id_api_key } = req.params;
+    const apiKey = await sql`
+      SELECT ${COLUMNAS_API_KEY} FROM api_keys WHERE id_api_key = ${id_api_key}
+    `;
+    if (apiKey.length === 0) {
+      return res.status(404).json({ error: 'API key no encontrada' });
+    }
+    res.json(apiKey[0]);
+  } catch (error) {
+    console.error('Error al obtener la API key:', error);
+    res.status(500).json({ error: 'Error al obtener la API key' });
+  }
+};
+
+/**
+ * @description Rota una API key: genera una clave nueva con los mismos recursos y alcances.
+ * La clave anterior deja de ser válida de inmediato.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_api_key`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la API key actualizada y la nueva clave en texto plano.
+ * @method POST
+ * @route /api-keys/:id_api_key/rotar
+ */
+export const rotarApiKey = async (req, res) => {
+  try {
+    const { id_api_key } = req.params;
+
+    const existente = await sql`
+      SELECT revocada_en FROM api_keys WHERE id_api_key = ${id_api_key}
+    `;
+    if (existente.length === 0) {
+      return res.status(404).json({ error: 'API key no encontrada' });
+    }
+    if (existente[0].revocada_en) {
+      return res.status(409).json({ error: 'No se puede rotar una API key revocada' });
+    }
+
+    const { clave, prefijo, hash } = generarApiKey();
+    const apiKey = await sql`
+      UPDATE api_keys
+      SET key_hash = ${hash}, prefijo = ${prefijo}, rotada_en = NOW()
+      WHERE id_api_key = ${id_api_key} AND revocada_en IS NULL
+      RETURNING ${COLUMNAS_API_KEY}
+    `;
+    if (apiKey.length === 0) {
+      return res.status(409).json({ error: 'No se puede rotar una API key revocada' });
+    }
+
+    res.json({
+      message: 'API key rotada correctamente. Guarde la nueva clave: no volverá a mostrarse',
+      api_key: apiKey[0],
+      clave,
+    });
+  } catch (error) {
+    console.error('Error al rotar la API key:', error);
+    res.status(500).json({ error: 'Error al rotar la API key' });
+  }
+};
+
+/**
+ * @description Revoca una API key. El registro se conserva para consulta, pero la clave deja de ser aceptada.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_api_key`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o un error.
+ * @method DELETE
+ * @route /api-keys/:id_api_key
+ */
+export const revocarApiKey = async (req, res) => {
+  try {
+    const { id_api_key } = req.params;
+
+    const existente = await sql`
+      SELECT revocada_en FROM api_keys WHERE id_api_key = ${id_api_key}
+    `;
+    if (existente.length === 0) {
+      return res.status(404).json({ error: 'API key no encontrada' });
+    }
+    if (existente[0].revocada_en) {
+      return res.status(409).json({ error: 'La API key ya está revocada' });
+    }
+
+    await sql`
+      UPDATE api_keys SET revocada_en = NOW()
+      WHERE id_api_key = ${id_api_key} AND revocada_en IS NULL
+    `;
+
+    res.json({ message: 'API key revocada correctamente' });
+  } catch (error) {
+    console.error('Error al revocar la API key:', error);
+    res.status(500).json({ error: 'Error al revocar la API key' });
+  }
+};
@@ -0,0 +1,297 @@
+/**
+ * @file Este archivo contiene los controladores para la gestión de las asignaciones de docentes.
+ * @description Implementa la lógica para obtener, crear, editar y eliminar las asignaciones de los docentes
+ * (usuarios con rol docente) a los cursos de cada período académico, y para consultar los estudiantes inscritos
+ * en el curso de una asignación con sus discapacidades, para que el docente conozca las adaptaciones que necesitan.
+ * Solo se pueden asignar usuarios activos con rol docente (lo comprueba un trigger de la base de datos).
+ * Se espera que los datos hayan sido validados con `asignacionesDocentesValidations` en las rutas.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/asignacionesDocentes.controller
+ * @see {@link module:validations/asignacionesDocentes.validations} Para las reglas de validación de datos.
+ */
+
+import { sql } from '../db.js';
+import { asignacionesDocentesValidations } from '../validations/asignacionesDocentes.validations.js';
+import { obtenerParametrosListado, unirCondiciones, respuestaListado } from '../utilities/listados.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+
+/**
+ * @description Campos de una asignación que se pueden editar.
+ * @type {string[]}
+ */
+const CAMPOS_ASIGNACION = ['id_usuario', 'id_curso', 'id_periodo', 'seccion'];
+
+/**
+ * @description Restricción que incumple una asignación a un usuario que no es un docente activo
+ * (ver la migración `017_inscripciones_academicas.sql`).
+ * @type {string}
+ */
+const RESTRICCION_DOCENTE = 'asignaciones_docentes_docente_check';
+
+/**
+ * @description Fragmento SQL con las columnas de una asignación que se devuelven por la API: la asignación con
+ * el nombre del docente, el curso y el período (alias `a`, `u`, `cu` y `p`).
+ */
+const COLUMNAS_ASIGNACION = sql`
+  a.*, u.nombre AS nombre_docente, u.apellido AS apellido_docente, cu.codigo, cu.curso, p.periodo
+`;
+
+/**
+ * @description Fragmento SQL con las uniones de las columnas de `COLUMNAS_ASIGNACION`.
+ */
+const UNIONES_ASIGNACION = sql`
+  FROM asignaciones_docentes a
+  JOIN usuarios u ON u.id_usuario = a.id_usuario
+  JOIN cursos cu ON cu.id_curso = a.id_curso
+  JOIN periodos_academicos p ON p.id_periodo = a.id_periodo
+`;
+
+/**
+ * @description Traduce los errores de la base de datos causados por los datos de una asignación a una respuesta.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {Error & {code?: string, constraint?: string}} error - Error de la consulta.
+ * @returns {object|null} La respuesta enviada, o `null` si es un error del servidor.
+ */
+const responderErrorAsignacion = (res, error) => {
+  if (error.code === '23514' && error.constraint === RESTRICCION_DOCENTE) {
+    return res.status(400).json({ error: 'El usuario indicado no es un docente activo' });
+  }
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'El docente ya está asignado a ese curso y sección en el período indicado' });
+  }
+  if (error.code === '23503') {
+    return res.status(400).json({ error: 'El curso o el período indicado no existe' });
+  }
+  return null;
+};
+
+/**
+ * @description Obtiene el listado paginado de las asignaciones de docentes, ordenadas por período (del más reciente
+ * al más antiguo), curso y sección. Acepta los filtros `id_periodo`, `id_curso` e `id_usuario`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con `{ datos, paginacion }` o un mensaje de error.
+ * @method GET
+ * @route /asignaciones-docentes
+ */
+export const obtenerAsignacionesDocentes = async (req, res) => {
+  try {
+    const { parametros, limit, offset } = obtenerParametrosListado(req);
+    const condicion = unirCondiciones([
+      ...(parametros.id_periodo ? [sql`a.id_periodo = ${parametros.id_periodo}`] : []),
+      ...(parametros.id_curso ? [sql`a.id_curso = ${parametros.id_curso}`] : []),
+      ...(parametros.id_usuario ? [sql`a.id_usuario = ${parametros.id_usuario}`] : []),
+    ]);
+
+    const [datos, conteo] = await sql.transaction([
+      sql`
+        SELECT ${COLUMNAS_ASIGNACION}
+        ${UNIONES_ASIGNACION}
+        WHERE ${condicion}
+        ORDER BY p.fecha_inicio DESC, cu.curso ASC, a.seccion ASC NULLS FIRST, a.id_asignacion ASC
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      sql`SELECT COUNT(*)::int AS total ${UNIONES_ASIGNACION} WHERE ${condicion}`,
+    ], { readOnly: true });
+
+    res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+  } catch (error) {
+    console.error('Error al obtener las asignaciones de docentes:', error);
+    res.status(500).json({ error: 'Error al obtener las asignaciones de docentes' });
+  }
+};
+
+/**
+ * @description Obtiene una asignación de docente por su ID, con su versión en la cabecera `ETag`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_asignacion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la asignación o un mensaje de error 404 si no se encuentra.
+ * @method GET
+ * @route /asignaciones-docentes/:id_asignacion
+ */
+export const obtenerAsignacionDocentePorId = async (req, res) => {
+  try {
+    const { id_asignacion } = req.params;
+    const asignacion = await sql`
+      SELECT ${COLUMNAS_ASIGNACION}
+      ${UNIONES_ASIGNACION}
+      WHERE a.id_asignacion = ${id_asignacion}
+    `;
+    if (asignacion.length === 0) {
+      return res.status(404).json({ error: 'Asignación no encontrada' });
+    }
+    fijarEtag(res, asignacion[0]).json(asignacion[0]);
+  } catch (error) {
+    console.error('Error al obtener la asignación de docente:', error);
+    res.status(500).json({ error: 'Error al obtener la asignación de docente' });
+  }
+};
+
+/**
+ * @description Obtiene los estudiantes inscritos en el curso y el período de una asignación, con sus discapacidades
+ * y su severidad, ordenados por apellido. Si la asignación tiene sección, incluye los inscritos en esa sección
+ * y los inscritos sin sección. No incluye los datos clínicos de las discapacidades (certificado, observaciones).
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_asignacion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la asignación y sus estudiantes, o un mensaje de error 404.
+ * @method GET
+ * @route /asignaciones-docentes/:id_asignacion/estudiantes
+ */
+export const obtenerEstudiantesAsignacion = async (req, res) => {
+  try {
+    const { id_asignacion } = req.params;
+    const [asignacion, estudiantes] = await sql.transaction([
+      sql`SELECT ${COLUMNAS_ASIGNACION} ${UNIONES_ASIGNACION} WHERE a.id_asignacion = ${id_asignacion}`,
+      sql`
+        SELECT
+          e.id_estudiante, e.nombres, e.apellidos, e.cedula, e.correo, i.id_inscripcion, i.seccion,
+          (
+            SELECT COALESCE(json_agg(json_build_object(
+              'discapacidad', d.discapacidad,
+              'severidad', ed.severidad
+            ) ORDER BY d.discapacidad), '[]')
+            FROM estudiantes_discapacidades ed
+            JOIN discapacidades d ON d.discapacidad_id = ed.discapacidad_id
+            WHERE ed.id_estudiante = e.id_estudiante
+          ) AS discapacidades
+        FROM asignaciones_docentes a
+        JOIN inscripciones i ON i.id_curso = a.id_curso AND i.id_periodo = a.id_periodo
+          AND (a.seccion IS NULL OR i.seccion IS NULL OR i.seccion = a.seccion)
+        JOIN estudiantes e ON e.id_estudiante = i.id_estudiante AND e.deleted_at IS NULL
+        WHERE a.id_asignacion = ${id_asignacion}
+        ORDER BY e.apellidos ASC, e.nombres ASC, e.id_estudiante ASC
+      `,
+    ], { readOnly: true });
+
+    if (asignacion.length === 0) {
+      return res.status(404).json({ error: 'Asignación no encontrada' });
+    }
+
+    res.json({ asignacion: asignacion[0], estudiantes });
+  } catch (error) {
+    console.error('Error al obtener los estudiantes de la asignación:', error);
+    res.status(500).json({ error: 'Error al obtener los estudiantes de la asignación' });
+  }
+};
+
+/**
+ * @description Asigna un docente a un curso de un período académico (opcionalmente, a una sección).
+ * @param {object} req - Objeto de solicitud de Express. Se espera `id_usuario`, `id_curso`, `id_periodo`
+ * y, opcionalmente, `seccion` en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la asignación creada o un mensaje de error (400 si el usuario no es un docente
+ * activo o el curso o el período no existen, 409 si la asignación ya existe).
+ * @method POST
+ * @route /asignaciones-docentes
+ */
+export const crearAsignacionDocente = async (req, res) => {
+  try {
+    const { id_usuario, id_curso, id_periodo, seccion } = req.body;
+    const [asignacion] = await sql`
+      INSERT INTO asignaciones_docentes (id_usuario, id_curso, id_periodo, seccion)
+      VALUES (${id_usuario}, ${id_curso}, ${id_periodo}, ${seccion ?? null})
+      RETURNING *
+    `;
+    res.status(201).json({ message: 'Docente asignado correctamente', asignacion });
+  } catch (error) {
+    if (responderErrorAsignacion(res, error)) {
+      return;
+    }
+    console.error('Error al crear la asignación de docente:', error);
+    res.status(500).json({ error: 'Error al crear la asignación de docente' });
+  }
+};
+
+/**
+ * @description Edita una asignación de docente. Solo se modifican los campos de `CAMPOS_ASIGNACION` presentes en el
+ * cuerpo; `seccion: null` la borra. Con la cabecera `If-Match`, responde `412` si la asignación fue modificada desde
+ * que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_asignacion` y campos opcionales en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la asignación actualizada o un mensaje de error.
+ * @method PUT
+ * @route /asignaciones-docentes/:id_asignacion
+ */
+export const editarAsignacionDocente = async (req, res) => {
+  try {
+    const { id_asignacion } = req.params;
+
+    const campos = CAMPOS_ASIGNACION.filter((campo) => req.body[campo] !== undefined);
+    if (campos.length === 0) {
+      return res.status(400).json({ error: `Debe indicar al menos un campo: ${CAMPOS_ASIGNACION.join(', ')}` });
+    }
+    const asignaciones = campos
+      .map((campo) => sql`${sql.unsafe(campo)} = ${req.body[campo]}`)
+      .reduce((lista, asignacion) => sql`${lista}, ${asignacion}`);
+
+    const asignacion = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.asignaciones_docentes, id_asignacion),
+      sql`UPDATE asignaciones_docentes SET ${asignaciones} WHERE id_asignacion = ${id_asignacion} RETURNING *`,
+    ])).at(-1);
+    if (asignacion.length === 0) {
+      return res.status(404).json({ error: 'Asignación no encontrada' });
+    }
+
+    res.json({ message: 'Asignación actualizada correctamente', asignacion: asignacion[0] });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.asignaciones_docentes, req.params.id_asignacion);
+    }
+    if (responderErrorAsignacion(res, error)) {
+      return;
+    }
+    console.error('Error al editar la asignación de docente:', error);
+    res.status(500).json({ error: 'Error al editar la asignación de docente' });
+  }
+};
+
+/**
+ * @description Actualiza parcialmente una asignación de docente con un documento JSON Merge Patch (RFC 7396);
+ * `seccion` se puede borrar con `null`. Los campos se validan con `asignacionesDocentesValidations.crearAsignacionValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_asignacion` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la asignación actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /asignaciones-docentes/:id_asignacion
+ */
+export const parchearAsignacionDocente = crearControladorMergePatch({
+  tabla: 'asignaciones_docentes',
+  columnaId: 'id_asignacion',
+  campos: CAMPOS_ASIGNACION,
+  validaciones: asignacionesDocentesValidations.crearAsignacionValidations,
+  eliminacionLogica: false,
+  responderError: responderErrorAsignacion,
+  noEncontrado: 'Asignación no encontrada',
+  errorActualizar: 'Error al actualizar la asignación de docente',
+});
+
+/**
+ * @description Elimina una asignación de docente.
+ * Con la cabecera `If-Match`, responde `412` si la asignación fue modificada desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_asignacion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o de error.
+ * @method DELETE
+ * @route /asignaciones-docentes/:id_asignacion
+ */
+export const eliminarAsignacionDocente = async (req, res) => {
+  try {
+    const { id_asignacion } = req.params;
+    const eliminada = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.asignaciones_docentes, id_asignacion),
+      sql`DELETE FROM asignaciones_docentes WHERE id_asignacion = ${id_asignacion} RETURNING id_asignacion`,
+    ])).at(-1);
+    if (eliminada.length === 0) {
+      return res.status(404).json({ error: 'Asignación no encontrada' });
+    }
+    res.json({ message: 'Asignación eliminada correctamente' });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.asignaciones_docentes, req.params.id_asignacion);
+    }
+    console.error('Error al eliminar la asignación de docente:', error);
+    res.status(500).json({ error: 'Error al eliminar la asignación de docente' });
+  }
+};
@@ -13,6 +13,8 @@
 import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { carrerasValidations } from '../validations/carreras.validations.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
 
 /**
  * @description Obtiene todas las carreras registradas en el sistema.
@@ -60,7 +62,7 @@ export const obtenerCarreraPorId = async (req, res) => {
     if (carrera.length === 0) {
       return res.status(404).json({ error: 'Carrera no encontrada' });
     }
-    res.json(carrera[0]);
+    fijarEtag(res, carrera[0]).json(carrera[0]);
   } catch (error) {
     console.error('Error al obtener carrera por ID:', error);
     res.status(500).json({ error: 'Error al obtener carrera por ID' });
@@ -120,18 +122,44 @@ export const editarCarrera = async (req, res) => {
     const { carrera, id_facultad } = req.body;
     // Llama a una función almacenada en la base de datos para editar la carrera.
     // Se pasan `null` si los campos no están presentes en el cuerpo de la solicitud.
-    const result = await sql`SELECT editar_carrera(${id_carrera}, ${carrera || null}, ${id_facultad || null}) AS success`;
+    // Antes se comprueba la versión indicada en If-Match.
+    const result = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.carreras, id_carrera),
+      sql`SELECT editar_carrera(${id_carrera}, ${carrera || null}, ${id_facultad || null}) AS success`,
+    ])).at(-1);
     // Si la función de la DB indica que no se pudo actualizar (ej. carrera no encontrada), devuelve 404.
     if (!result[0].success) {
       return res.status(404).json({ error: 'Carrera no encontrada o no se pudo actualizar' });
     }
     res.json({ message: 'Carrera actualizada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.carreras, req.params.id_carrera);
+    }
     console.error('Error al editar carrera:', error);
     res.status(500).json({ error: 'Error al editar carrera' });
   }
 };
 
+/**
+ * @description Actualiza parcialmente una carrera con un documento JSON Merge Patch (RFC 7396).
+ * Los campos se validan con `carrerasValidations.crearCarreraValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_carrera` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la carrera actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /carreras/:id_carrera
+ */
+export const parchearCarrera = crearControladorMergePatch({
+  tabla: 'carreras',
+  columnaId: 'id_carrera',
+  campos: ['carrera', 'id_facultad'],
+  validaciones: carrerasValidations.crearCarreraValidations,
+  eliminacionLogica: false,
+  noEncontrado: 'Carrera no encontrada',
+  errorActualizar: 'Error al actualizar la carrera',
+});
+
 /**
  * @description Elimina una carrera de la base de datos por su ID.
  * Aplica las validaciones definidas en `carrerasValidations.eliminarCarreraValidations`
@@ -152,14 +180,21 @@ export const eliminarCarrera = async (req, res) => {
   }
   try {
     const { id_carrera } = req.params;
-    // Llama a una función almacenada en la base de datos para eliminar la carrera.
-    const result = await sql`SELECT eliminar_carrera(${id_carrera}) AS success`;
+    // Llama a una función almacenada en la base de datos para eliminar la carrera,
+    // después de comprobar la versión indicada en If-Match.
+    const result = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.carreras, id_carrera),
+      sql`SELECT eliminar_carrera(${id_carrera}) AS success`,
+    ])).at(-1);
     // Si la función de la DB indica que no se pudo eliminar (ej. carrera no encontrada), devuelve 404.
     if (!result[0].success) {
       return res.status(404).json({ error: 'Carrera no encontrada o no se pudo eliminar' });
     }
     res.json({ message: 'Carrera eliminada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.carreras, req.params.id_carrera);
+    }
     console.error('Error al eliminar carrera:', error);
     res.status(500).json({ error: 'Error al eliminar carrera' });
   }
@@ -13,25 +13,68 @@
 import { sql } from '../db.js'; // Importa la conexión a la base de datos
 import { validationResult } from 'express-validator'; // Para la validación de datos
 import { citaValidations } from '../validations/citas.validations.js'; // Importaciones de las validaciones
+import { obtenerFormatoRespuesta, enviarExportacion } from '../utilities/exportaciones.js'; // Exportación de listados a CSV y XLSX
+import { moverAPapelera, nuevoEstudianteVigente } from '../utilities/papelera.js'; // Eliminación lógica (papelera)
+import { crearControladorMergePatch } from '../utilities/mergePatch.js'; // Actualización parcial (JSON Merge Patch)
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js'; // Control de concurrencia (ETag / If-Match)
+
+/**
+ * @description Columnas de la exportación del listado de citas a CSV y XLSX.
+ * @type {Array<{campo: string, titulo: string, tipo?: string}>}
+ */
+const COLUMNAS_EXPORTACION_CITAS = [
+  { campo: 'id_citas', titulo: 'ID', tipo: 'numero' },
+  { campo: 'id_estudiante', titulo: 'ID del estudiante', tipo: 'numero' },
+  { campo: 'nombres', titulo: 'Estudiante' },
+  { campo: 'fecha_cita', titulo: 'Fecha de la cita', tipo: 'fecha' },
+  { campo: 'motivo_cita', titulo: 'Motivo' },
+  { campo: 'pendiente', titulo: 'Pendiente', tipo: 'booleano' },
+];
+
+/**
+ * @description Consulta el listado de citas con el nombre completo del estudiante, de la más reciente a la más antigua.
+ * Sin argumentos devuelve todas las citas (`LIMIT NULL`); con ellos, un lote para la exportación.
+ * @param {number|null} [limite=null] - Cantidad máxima de citas.
+ * @param {number} [desplazamiento=0] - Cantidad de citas a omitir.
+ * @returns {object} Consulta SQL pendiente de ejecutar.
+ */
+const consultarCitas = (limite = null, desplazamiento = 0) => sql`
+  SELECT c.*, CONCAT(e.nombres,' ',e.apellidos) as nombres 
+  FROM citas c 
+  JOIN estudiantes e ON c.id_estudiante = e.id_estudiante
+  WHERE c.deleted_at IS NULL AND e.deleted_at IS NULL
+  ORDER BY c.fecha_cita DESC, c.id_citas
+  LIMIT ${limite} OFFSET ${desplazamiento}
+`;
 
 /**
  * @description Obtiene todas las citas registradas en el sistema.
  * Realiza una unión con la tabla de estudiantes para incluir el nombre completo del estudiante
  * asociado a cada cita y ordena los resultados por fecha de cita de forma descendente.
+ * Con `?format=csv|xlsx` (o la cabecera `Accept`) se exporta el listado como hoja de cálculo.
  * @param {object} req - Objeto de solicitud de Express.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un array de objetos de cita o un mensaje de error.
+ * @returns {Promise<void>} Responde con un array de objetos de cita, el archivo exportado o un mensaje de error.
  * @method GET
  * @route /citas
  */
 export const obtenerTodasLasCitas = async (req, res) => {
   try {
-    const citas = await sql`
-      SELECT c.*, CONCAT(e.nombres,' ',e.apellidos) as nombres 
-      FROM citas c 
-      JOIN estudiantes e ON c.id_estudiante = e.id_estudiante
-      ORDER BY c.fecha_cita DESC
-    `;
+    const formato = obtenerFormatoRespuesta(req);
+    if (!formato) {
+      return res.status(400).json({ error: 'Formato no admitido. Formatos permitidos: json, csv, xlsx' });
+    }
+
+    if (formato !== 'json') {
+      return await enviarExportacion(res, {
+        formato,
+        nombre: 'citas',
+        columnas: COLUMNAS_EXPORTACION_CITAS,
+        consultarLote: consultarCitas,
+      });
+    }
+
+    const citas = await consultarCitas();
     res.json(citas);
   } catch (error) {
     console.error("Error al obtener las citas:", error);
@@ -55,12 +98,12 @@ export const obtenerCitaPorId = async (req, res) => {
       SELECT c.*, CONCAT(e.nombres,' ',e.apellidos) as nombres 
       FROM citas c 
       JOIN estudiantes e ON c.id_estudiante = e.id_estudiante 
-      WHERE id_citas = ${id_citas}
+      WHERE id_citas = ${id_citas} AND c.deleted_at IS NULL AND e.deleted_at IS NULL
     `;
     if (cita.length === 0) {
       return res.status(404).json({ error: "Cita no encontrada" });
     }
-    res.json(cita[0]);
+    fijarEtag(res, cita[0]).json(cita[0]);
   } catch (error) {
     console.error("Error al obtener la cita:", error);
     res.status(500).json({ error: "Error al obtener la cita" });
@@ -73,7 +116,8 @@ export const obtenerCitaPorId = async (req, res) => {
  * para asegurar la integridad de los datos recibidos.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.body.id_estudiante`, `req.body.fecha_cita` y `req.body.motivo_cita` (opcional).
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con el ID de la cita creada y un mensaje de éxito, o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con el ID de la cita creada y un mensaje de éxito, con 404 si el estudiante
+ * no existe o está en la papelera, o con errores de validación/servidor.
  * @method POST
  * @route /citas
  */
@@ -90,10 +134,15 @@ export const crearCita = async (req, res) => {
   try {
     const { id_estudiante, fecha_cita, motivo_cita } = req.body;
 
-    // Llama a una función almacenada en la base de datos para insertar la nueva cita.
+    // Llama a una función almacenada en la base de datos para insertar la nueva cita,
+    // solo si el estudiante existe y no está en la papelera.
     const nuevaCita = await sql`
-      SELECT insertar_cita(${id_estudiante}, ${fecha_cita}, ${motivo_cita}) as cita;
+      SELECT insertar_cita(${id_estudiante}, ${fecha_cita}, ${motivo_cita}) as cita
+      FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL;
     `;
+    if (nuevaCita.length === 0) {
+      return res.status(404).json({ error: "Estudiante no encontrado" });
+    }
     // Responde con un estado 201 (Created) y el ID de la nueva cita.
     res.status(201).json({ id_citas: nuevaCita[0].cita, message: "Cita creada correctamente" });
   } catch (error) {
@@ -108,7 +157,8 @@ export const crearCita = async (req, res) => {
  * para el ID de la cita y los campos a actualizar.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_citas` y campos opcionales en `req.body`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con un mensaje de éxito, con 404 si el nuevo `id_estudiante` no existe o está
+ * en la papelera, o con errores de validación/servidor.
  * @method PUT
  * @route /citas/:id_citas
  */
@@ -128,12 +178,21 @@ export const actualizarCita = async (req, res) => {
 
     // Llama a una función almacenada en la base de datos para editar la cita.
     // Se pasan `null` si los campos no están presentes en el cuerpo de la solicitud.
-    const citaActualizada = await sql`
-      SELECT editar_cita(${id_citas}, ${id_estudiante || null}, ${fecha_cita || null}, ${motivo_cita || null}, ${pendiente || null}) as success;
-    `;
+    // Antes se comprueba la versión indicada en If-Match.
+    const citaActualizada = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.citas, id_citas),
+      sql`
+        SELECT editar_cita(${id_citas}, ${id_estudiante || null}, ${fecha_cita || null}, ${motivo_cita || null}, ${pendiente || null}) as success
+        WHERE ${nuevoEstudianteVigente(id_estudiante || null)};
+      `,
+    ])).at(-1);
 
+    // Sin filas, el nuevo estudiante no existe o está en la papelera y la cita no se modificó.
+    if (citaActualizada.length === 0) {
+      return res.status(404).json({ error: "Estudiante no encontrado" });
+    }
     // Si la función de la DB indica que no se pudo actualizar (ej. cita no encontrada), devuelve 404.
-    if (citaActualizada.length === 0 || !citaActualizada[0].success) {
+    if (!citaActualizada[0].success) {
       return res.status(404).json({ error: "Cita no encontrada o no se pudo actualizar" });
     }
 
@@ -141,13 +200,38 @@ export const actualizarCita = async (req, res) => {
     res.send(citaActualizada[0].success.toString());
 
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.citas, req.params.id_citas);
+    }
     console.error("Error al actualizar la cita:", error);
     res.status(500).json({ error: "Error al actualizar la cita" });
   }
 };
 
 /**
- * @description Elimina una cita de la base de datos por su ID.
+ * @description Actualiza parcialmente una cita con un documento JSON Merge Patch (RFC 7396): solo cambian los campos
+ * enviados y los enviados con `null` se borran. Permite, por ejemplo, volver a marcar una cita como pendiente
+ * (`{ "pendiente": true }`) o borrar su motivo (`{ "motivo_cita": null }`).
+ * Los campos se validan con `citaValidations.crearCitaValidations` y `citaValidations.parchearCitaValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_citas` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la cita actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /citas/:id_citas
+ */
+export const parchearCita = crearControladorMergePatch({
+  tabla: 'citas',
+  columnaId: 'id_citas',
+  campos: ['id_estudiante', 'fecha_cita', 'motivo_cita', 'pendiente'],
+  validaciones: [...citaValidations.crearCitaValidations, ...citaValidations.parchearCitaValidations],
+  condicion: ({ id_estudiante }) => nuevoEstudianteVigente(id_estudiante),
+  noEncontrado: 'Cita o estudiante no encontrado',
+  errorActualizar: 'Error al actualizar la cita',
+});
+
+/**
+ * @description Envía una cita a la papelera (eliminación lógica) por su ID.
+ * La cita deja de aparecer en las consultas y puede restaurarse desde `/papelera`.
  * Aplica las validaciones definidas en `citaValidations.eliminarCitaValidations`
  * para el ID de la cita antes de proceder con la eliminación.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_citas`.
@@ -168,50 +252,64 @@ export const eliminarCita = async (req, res) => {
 
   try {
     const { id_citas } = req.params;
-    // Llama a una función almacenada en la base de datos para eliminar la cita.
-    const citaEliminada = await sql`
-      SELECT eliminar_cita(${id_citas}) as success;
-    `;
+    // Marca la cita como eliminada, registrando quién la eliminó.
+    const citaEliminada = await moverAPapelera(
+      'citas',
+      id_citas,
+      req.user?.userId ?? null,
+      comprobarVersion(req, ENTIDADES_VERSIONADAS.citas, id_citas),
+    );
 
-    // Si la función de la DB indica que no se pudo eliminar (ej. cita no encontrada), devuelve 404.
-    if (citaEliminada.length === 0 || !citaEliminada[0].success) {
+    // Si la cita no existe o ya estaba en la papelera, devuelve 404.
+    if (!citaEliminada) {
       return res.status(404).json({ error: "Cita no encontrada o no se pudo eliminar" });
     }
     res.json({ message: "Cita eliminada correctamente" });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.citas, req.params.id_citas);
+    }
     console.error("Error al eliminar la cita:", error);
     res.status(500).json({ error: "Error al eliminar la cita" });
   }
 };
 
 /**
- * @description Marca una cita como realizada (estableciendo el campo `pendiente` a `0`).
+ * @description Marca una cita como realizada (estableciendo el campo `pendiente` a `false`).
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_citas`.
  * @param {object} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Responde con un valor booleano de éxito o un mensaje de error.
- * @method PUT
- * @route /citas/:id_citas/realizada
+ * @method PATCH
+ * @route /citas/marcar-realizada/:id_citas
  */
 export const marcarCitaComoRealizada = async (req, res) => {
   try {
     const { id_citas } = req.params;
 
-    // Llama a la función `editar_cita` en la base de datos, pasando `null` para los campos
-    // que no se desean actualizar y `0` para el campo `pendiente` para marcarla como realizada.
-    const result = await sql`
-      SELECT editar_cita(${id_citas}, NULL, NULL, NULL, 0) as success; 
-    `;
+    // Actualiza solo el campo `pendiente` (después de comprobar la versión indicada en If-Match);
+    // las citas de la papelera no se modifican.
+    const result = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.citas, id_citas),
+      sql`
+        UPDATE citas SET pendiente = FALSE
+        WHERE id_citas = ${id_citas} AND deleted_at IS NULL
+        RETURNING id_citas
+      `,
+    ])).at(-1);
 
-    // Si la función de la DB no devuelve éxito o la cita no fue encontrada/actualizada, devuelve 404.
-    if (result.length === 0 || !result[0].success) {
-      return res.status(404).json({ error: "Cita no encontrada o ya marcada como realizada" });
+    // Si la cita no fue encontrada, devuelve 404.
+    if (result.length === 0) {
+      return res.status(404).json({ error: "Cita no encontrada" });
     }
 
     // Responde con "true" si la operación fue exitosa.
     res.send("true");
 
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.citas, req.params.id_citas);
+    }
     console.error("Error al marcar la cita como realizada:", error);
     res.status(500).json({ error: "Error al marcar la cita como realizada" });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,204 @@
+/**
+ * @file Este archivo contiene los controladores para la gestión de los cursos.
+ * @description Implementa la lógica para obtener, crear, editar y eliminar los cursos (asignaturas) de cada carrera,
+ * en los que se inscriben los estudiantes y a los que se asignan los docentes en cada período académico.
+ * Se espera que los datos hayan sido validados con `cursosValidations` en las rutas.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/cursos.controller
+ * @see {@link module:validations/cursos.validations} Para las reglas de validación de datos.
+ */
+
+import { matchedData } from 'express-validator';
+import { sql } from '../db.js';
+import { cursosValidations } from '../validations/cursos.validations.js';
+import { unirCondiciones } from '../utilities/listados.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+
+/**
+ * @description Campos de un curso que se pueden editar.
+ * @type {string[]}
+ */
+const CAMPOS_CURSO = ['codigo', 'curso', 'id_carrera', 'semestre', 'creditos'];
+
+/**
+ * @description Obtiene los cursos con el nombre de su carrera, ordenados por carrera, semestre y nombre.
+ * Acepta el filtro `id_carrera`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un array de cursos o un mensaje de error.
+ * @method GET
+ * @route /cursos
+ */
+export const obtenerCursos = async (req, res) => {
+  try {
+    const { id_carrera } = matchedData(req, { locations: ['query'] });
+    const condicion = unirCondiciones(id_carrera ? [sql`cu.id_carrera = ${id_carrera}`] : []);
+    const cursos = await sql`
+      SELECT cu.*, ca.carrera
+      FROM cursos cu
+      JOIN carreras ca ON ca.id_carrera = cu.id_carrera
+      WHERE ${condicion}
+      ORDER BY ca.carrera ASC, cu.semestre ASC NULLS LAST, cu.curso ASC
+    `;
+    res.json(cursos);
+  } catch (error) {
+    console.error('Error al obtener los cursos:', error);
+    res.status(500).json({ error: 'Error al obtener los cursos' });
+  }
+};
+
+/**
+ * @description Obtiene un curso por su ID, con el nombre de su carrera y su versión en la cabecera `ETag`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_curso`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el curso o un mensaje de error 404 si no se encuentra.
+ * @method GET
+ * @route /cursos/:id_curso
+ */
+export const obtenerCursoPorId = async (req, res) => {
+  try {
+    const { id_curso } = req.params;
+    const curso = await sql`
+      SELECT cu.*, ca.carrera
+      FROM cursos cu
+      JOIN carreras ca ON ca.id_carrera = cu.id_carrera
+      WHERE cu.id_curso = ${id_curso}
+    `;
+    if (curso.length === 0) {
+      return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    fijarEtag(res, curso[0]).json(curso[0]);
+  } catch (error) {
+    console.error('Error al obtener el curso:', error);
+    res.status(500).json({ error: 'Error al obtener el curso' });
+  }
+};
+
+/**
+ * @description Crea un curso de una carrera.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `codigo`, `curso`, `id_carrera` y, opcionalmente,
+ * `semestre` y `creditos` en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el curso creado o un mensaje de error
+ * (400 si la carrera no existe, 409 si el código ya está registrado).
+ * @method POST
+ * @route /cursos
+ */
+export const crearCurso = async (req, res) => {
+  try {
+    const { codigo, curso, id_carrera, semestre, creditos } = req.body;
+    const [creado] = await sql`
+      INSERT INTO cursos (codigo, curso, id_carrera, semestre, creditos)
+      VALUES (${codigo}, ${curso}, ${id_carrera}, ${semestre ?? null}, ${creditos ?? null})
+      RETURNING *
+    `;
+    res.status(201).json({ message: 'Curso creado correctamente', curso: creado });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Ya existe un curso con el código ${req.body.codigo}` });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'La carrera indicada no existe' });
+    }
+    console.error('Error al crear el curso:', error);
+    res.status(500).json({ error: 'Error al crear el curso' });
+  }
+};
+
+/**
+ * @description Edita un curso. Solo se modifican los campos de `CAMPOS_CURSO` presentes en el cuerpo.
+ * Con la cabecera `If-Match`, responde `412` si el curso fue modificado desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_curso` y campos opcionales en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el curso actualizado o un mensaje de error.
+ * @method PUT
+ * @route /cursos/:id_curso
+ */
+export const editarCurso = async (req, res) => {
+  try {
+    const { id_curso } = req.params;
+
+    const campos = CAMPOS_CURSO.filter((campo) => req.body[campo] !== undefined);
+    if (campos.length === 0) {
+      return res.status(400).json({ error: `Debe indicar al menos un campo: ${CAMPOS_CURSO.join(', ')}` });
+    }
+    const asignaciones = campos
+      .map((campo) => sql`${sql.unsafe(campo)} = ${req.body[campo]}`)
+      .reduce((lista, asignacion) => sql`${lista}, ${asignacion}`);
+
+    const curso = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.cursos, id_curso),
+      sql`UPDATE cursos SET ${asignaciones} WHERE id_curso = ${id_curso} RETURNING *`,
+    ])).at(-1);
+    if (curso.length === 0) {
+      return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+
+    res.json({ message: 'Curso actualizado correctamente', curso: curso[0] });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.cursos, req.params.id_curso);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Ya existe un curso con el código ${req.body.codigo}` });
+    }
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'La carrera indicada no existe' });
+    }
+    console.error('Error al editar el curso:', error);
+    res.status(500).json({ error: 'Error al editar el curso' });
+  }
+};
+
+/**
+ * @description Actualiza parcialmente un curso con un documento JSON Merge Patch (RFC 7396); `semestre` y `creditos`
+ * se pueden borrar con `null`. Los campos se validan con `cursosValidations.crearCursoValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_curso` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el curso actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /cursos/:id_curso
+ */
+export const parchearCurso = crearControladorMergePatch({
+  tabla: 'cursos',
+  columnaId: 'id_curso',
+  campos: CAMPOS_CURSO,
+  validaciones: cursosValidations.crearCursoValidations,
+  eliminacionLogica: false,
+  noEncontrado: 'Curso no encontrado',
+  errorActualizar: 'Error al actualizar el curso',
+});
+
+/**
+ * @description Elimina un curso. No se puede eliminar si tiene inscripciones o asignaciones de docentes.
+ * Con la cabecera `If-Match`, responde `412` si el curso fue modificado desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_curso`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o de error (409 si el curso está en uso).
+ * @method DELETE
+ * @route /cursos/:id_curso
+ */
+export const eliminarCurso = async (req, res) => {
+  try {
+    const { id_curso } = req.params;
+    const eliminado = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.cursos, id_curso),
+      sql`DELETE FROM cursos WHERE id_curso = ${id_curso} RETURNING id_curso`,
+    ])).at(-1);
+    if (eliminado.length === 0) {
+      return res.status(404).json({ error: 'Curso no encontrado' });
+    }
+    res.json({ message: 'Curso eliminado correctamente' });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.cursos, req.params.id_curso);
+    }
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'No se puede eliminar el curso porque tiene inscripciones o docentes asignados' });
+    }
+    console.error('Error al eliminar el curso:', error);
+    res.status(500).json({ error: 'Error al eliminar el curso' });
+  }
+};
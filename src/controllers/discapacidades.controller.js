@@ -13,6 +13,8 @@
 import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { discapacidadValidations } from '../validations/discapacidades.validations.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
 
 /**
  * @description Obtiene todas las discapacidades registradas en el sistema.
@@ -63,7 +65,7 @@ export const obtenerDiscapacidadPorId = async (req, res) => {
             return res.status(404).json({ error: 'Discapacidad no encontrada' });
         }
 
-        res.json(discapacidad[0]);
+        fijarEtag(res, discapacidad[0]).json(discapacidad[0]);
     } catch (error) {
         console.error('Error al obtener discapacidad por ID:', error);
         res.status(500).json({ error: 'Error al obtener discapacidad por ID' });
@@ -136,12 +138,16 @@ export const editarDiscapacidad = async (req, res) => {
         const { discapacidad_id } = req.params;
         const { discapacidad } = req.body;
 
-        const result = await sql`
-            SELECT editar_discapacidad(
-                ${discapacidad_id}::integer,
-                ${discapacidad}::varchar
-            ) as success
-        `;
+        // Comprueba la versión indicada en If-Match antes de editar.
+        const result = (await sql.transaction([
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.discapacidades, discapacidad_id),
+            sql`
+                SELECT editar_discapacidad(
+                    ${discapacidad_id}::integer,
+                    ${discapacidad}::varchar
+                ) as success
+            `,
+        ])).at(-1);
 
         // Si la función de la DB indica que no se pudo actualizar (ej. discapacidad no encontrada), devuelve 404.
         if (!result.length || !result[0].success) {
@@ -150,11 +156,33 @@ export const editarDiscapacidad = async (req, res) => {
 
         res.json({ message: 'Discapacidad actualizada correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.discapacidades, req.params.discapacidad_id);
+        }
         console.error('Error al editar discapacidad:', error);
         res.status(500).json({ error: 'Error al editar discapacidad' });
     }
 };
 
+/**
+ * @description Actualiza parcialmente una discapacidad con un documento JSON Merge Patch (RFC 7396).
+ * El campo `discapacidad` se valida con `discapacidadValidations.crearDiscapacidadValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.discapacidad_id` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la discapacidad actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /discapacidades/:discapacidad_id
+ */
+export const parchearDiscapacidad = crearControladorMergePatch({
+    tabla: 'discapacidades',
+    columnaId: 'discapacidad_id',
+    campos: ['discapacidad'],
+    validaciones: discapacidadValidations.crearDiscapacidadValidations,
+    eliminacionLogica: false,
+    noEncontrado: 'Discapacidad no encontrada',
+    errorActualizar: 'Error al actualizar la discapacidad',
+});
+
 /**
  * @description Elimina un registro de discapacidad de la base de datos por su ID.
  * Aplica validación al parámetro `discapacidad_id`.
@@ -175,9 +203,13 @@ export const eliminarDiscapacidad = async (req, res) => {
     try {
         const { discapacidad_id } = req.params;
 
-        const discapacidadEliminada = await sql`
-            SELECT eliminar_discapacidad(${discapacidad_id}) as success
-        `;
+        // Comprueba la versión indicada en If-Match antes de eliminar.
+        const discapacidadEliminada = (await sql.transaction([
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.discapacidades, discapacidad_id),
+            sql`
+                SELECT eliminar_discapacidad(${discapacidad_id}) as success
+            `,
+        ])).at(-1);
 
         // Si la función de la DB indica que no se pudo eliminar (ej. discapacidad no encontrada), devuelve 404.
         if (!discapacidadEliminada.length || !discapacidadEliminada[0].success) {
@@ -186,6 +218,9 @@ export const eliminarDiscapacidad = async (req, res) => {
 
         res.json({ message: 'Discapacidad eliminada correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.discapacidades, req.params.discapacidad_id);
+        }
         console.error('Error al eliminar discapacidad:', error);
         res.status(500).json({ error: 'Error al eliminar discapacidad' });
     }
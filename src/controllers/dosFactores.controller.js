@@ -0,0 +1,433 @@
+/**
+ * @file Este archivo contiene los controladores de la verificación en dos factores (TOTP).
+ * @description Cada función implementa la lógica para completar el inicio de sesión con un código TOTP
+ * o un código de recuperación, inscribir, activar y desactivar la verificación en dos factores de la propia
+ * cuenta, regenerar los códigos de recuperación y que un administrador la restablezca para otro usuario.
+ * Solo los roles declarados en `ROLES_2FA` (administrador y psicólogo) pueden activarla.
+ * @author Eric
+ * @version 1.0.0
+ * @see {@link ../utilities/totp.js} Para la generación y verificación de los códigos.
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { sql } from "../db.js";
+import { TOTP_EMISOR } from "../config.js";
+import { verificarToken2fa } from "../utilities/jwt.js";
+import { ROLES_2FA, requiere2fa } from "../utilities/permisos.js";
+import { verificarPassword } from "../utilities/passwords.js";
+import { hashToken } from "../utilities/tokens.js";
+import { generarSecretoTotp, generarUriOtpauth, verificarCodigoTotp } from "../utilities/totp.js";
+import { obtenerBloqueoActivo, registrarFallo, reiniciarCuenta, registrarIntento } from "../utilities/intentosLogin.js";
+import { construirRespuestaLogin } from "../utilities/sesiones.js";
+
+/**
+ * @description Cantidad de códigos de recuperación que se emiten al activar la verificación o al regenerarlos.
+ * @type {number}
+ */
+const CANTIDAD_CODIGOS_RECUPERACION = 10;
+
+/**
+ * @description Genera códigos de recuperación aleatorios con el formato `xxxxx-xxxxx` (hexadecimal).
+ * @returns {string[]} Códigos en texto plano (se entregan al usuario una sola vez).
+ */
+const generarCodigosRecuperacion = () => {
+  return Array.from({ length: CANTIDAD_CODIGOS_RECUPERACION }, () => {
+    const codigo = crypto.randomBytes(5).toString("hex");
+    return `${codigo.slice(0, 5)}-${codigo.slice(5)}`;
+  });
+};
+
+/**
+ * @description Calcula el hash con el que se almacena un código de recuperación, sin distinguir mayúsculas ni el guion.
+ * @param {string} codigo - Código de recuperación.
+ * @returns {string} Hash SHA-256 en hexadecimal.
+ */
+const hashCodigoRecuperacion = (codigo) => {
+  return hashToken(String(codigo).toLowerCase().replace(/-/g, ""));
+};
+
+/**
+ * @description Construye las consultas que reemplazan los códigos de recuperación de un usuario,
+ * para ejecutarlas dentro de una transacción.
+ * @param {number} id_usuario - ID del usuario.
+ * @param {string[]} codigos - Nuevos códigos en texto plano.
+ * @returns {Array} Consultas a incluir en `sql.transaction`.
+ */
+const consultasReemplazoCodigos = (id_usuario, codigos) => {
+  return [
+    sql`DELETE FROM codigos_recuperacion WHERE id_usuario = ${id_usuario}`,
+    sql`
+      INSERT INTO codigos_recuperacion (id_usuario, codigo_hash)
+      SELECT ${id_usuario}, codigo_hash FROM unnest(${codigos.map(hashCodigoRecuperacion)}::text[]) AS codigo_hash
+    `,
+  ];
+};
+
+/**
+ * @description Verifica un código TOTP y registra su paso de tiempo para que no pueda reutilizarse.
+ * El registro es atómico: si dos solicitudes usan el mismo código a la vez, solo una lo consume.
+ * @param {object} usuario - Usuario con `id_usuario`, `totp_secreto` y `totp_ultimo_paso`.
+ * @param {string} codigo - Código TOTP ingresado.
+ * @returns {Promise<boolean>} `true` si el código es válido y no había sido usado.
+ */
+const consumirCodigoTotp = async (usuario, codigo) => {
+  const ultimoPaso = usuario.totp_ultimo_paso === null ? null : Number(usuario.totp_ultimo_paso);
+  const paso = verificarCodigoTotp(usuario.totp_secreto, codigo, { ultimoPaso });
+  if (paso === null) {
+    return false;
+  }
+
+  const actualizado = await sql`
+    UPDATE usuarios SET totp_ultimo_paso = ${paso}
+    WHERE id_usuario = ${usuario.id_usuario}
+      AND (totp_ultimo_paso IS NULL OR totp_ultimo_paso < ${paso})
+    RETURNING id_usuario
+  `;
+  return actualizado.length > 0;
+};
+
+/**
+ * @description Controlador para completar el inicio de sesión de un usuario con verificación en dos factores.
+ * Recibe el token intermedio emitido por `POST /usuarios/login` y un código TOTP vigente o un código de
+ * recuperación sin usar. Los códigos incorrectos cuentan como intentos fallidos de la cuenta y de la IP,
+ * por lo que también están sujetos al bloqueo temporal por fuerza bruta.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
+ * - `token_2fa` (string): Token intermedio recibido al validar la contraseña.
+ * - `codigo` (string): Código TOTP de 6 dígitos, o bien
+ * - `codigo_recuperacion` (string): Uno de los códigos de recuperación del usuario.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el mismo cuerpo que un inicio de sesión exitoso y, si se usó un código
+ * de recuperación, la cantidad de códigos restantes (`codigos_recuperacion_restantes`).
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/login/2fa
+ */
+export const iniciarSesion2fa = async (req, res) => {
+  try {
+    const { token_2fa, codigo, codigo_recuperacion } = req.body;
+    const ip = req.ip;
+
+    let decoded;
+    try {
+      decoded = verificarToken2fa(token_2fa);
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json({ error: "Token de verificación inválido o expirado", success: false });
+      }
+      throw error;
+    }
+
+    const usuario = await sql`
+      SELECT id_usuario, cedula_usuario, rol, activo, debe_cambiar_password, totp_habilitado, totp_secreto, totp_ultimo_paso
+      FROM usuarios WHERE id_usuario = ${decoded.userId}
+    `;
+
+    if (usuario.length === 0 || !usuario[0].activo || !usuario[0].totp_habilitado) {
+      return res.status(401).json({ error: "Token de verificación inválido o expirado", success: false });
+    }
+
+    const { cedula_usuario, id_usuario } = usuario[0];
+
+    // **Protección contra Fuerza Bruta:** Se aplica el mismo bloqueo que al inicio de sesión con contraseña.
+    const bloqueo = await obtenerBloqueoActivo(cedula_usuario, ip);
+    if (bloqueo) {
+      await registrarIntento({ cedula_usuario, id_usuario, ip, exito: false, motivo: `${bloqueo.tipo}_bloqueada` });
+      const segundosRestantes = Math.ceil((bloqueo.bloqueado_hasta.getTime() - Date.now()) / 1000);
+      res.set("Retry-After", String(Math.max(segundosRestantes, 1)));
+      return res.status(429).json({
+        error: "Demasiados intentos fallidos. Intente nuevamente más tarde",
+        success: false,
+        bloqueado_hasta: bloqueo.bloqueado_hasta.toISOString(),
+      });
+    }
+
+    // **Verificación del Segundo Factor:** Código TOTP (no reutilizable) o código de recuperación (de un solo uso).
+    let valido;
+    let codigosRestantes;
+    if (codigo) {
+      valido = await consumirCodigoTotp(usuario[0], codigo);
+    } else {
+      const consumido = await sql`
+        UPDATE codigos_recuperacion SET usado_en = NOW()
+        WHERE id_usuario = ${id_usuario}
+          AND codigo_hash = ${hashCodigoRecuperacion(codigo_recuperacion)}
+          AND usado_en IS NULL
+        RETURNING id_codigo
+      `;
+      valido = consumido.length > 0;
+      if (valido) {
+        const restantes = await sql`
+          SELECT COUNT(*)::int AS total FROM codigos_recuperacion WHERE id_usuario = ${id_usuario} AND usado_en IS NULL
+        `;
+        codigosRestantes = restantes[0].total;
+      }
+    }
+
+    if (!valido) {
+      await registrarFallo(cedula_usuario, ip);
+      await registrarIntento({ cedula_usuario, id_usuario, ip, exito: false, motivo: "codigo_2fa_invalido" });
+      return res.status(401).json({ error: "Código de verificación inválido", success: false });
+    }
+
+    await reiniciarCuenta(cedula_usuario);
+    await registrarIntento({
+      cedula_usuario,
+      id_usuario,
+      ip,
+      exito: true,
+      motivo: codigo ? "exito" : "exito_codigo_recuperacion",
+    });
+
+    const respuesta = await construirRespuestaLogin(usuario[0]);
+    if (codigosRestantes !== undefined) {
+      respuesta.codigos_recuperacion_restantes = codigosRestantes;
+    }
+    res.json(respuesta);
+  } catch (error) {
+    console.error("Error al verificar el segundo factor:", error);
+    res.status(500).json({ error: "Error al iniciar sesión", success: false });
+  }
+};
+
+/**
+ * @description Controlador para que el usuario autenticado inicie la inscripción de la verificación en dos factores.
+ * Genera un secreto nuevo (que reemplaza cualquier inscripción pendiente) y devuelve el URI `otpauth://`
+ * para registrarlo en una aplicación de autenticación. La verificación no se activa hasta confirmar un código
+ * en `POST /usuarios/2fa/activar`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el secreto en Base32 y el URI otpauth.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/2fa/inscribir
+ */
+export const inscribir2fa = async (req, res) => {
+  try {
+    const usuario = await sql`
+      SELECT id_usuario, cedula_usuario, rol, totp_habilitado FROM usuarios WHERE id_usuario = ${req.user.userId}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!ROLES_2FA.includes(usuario[0].rol)) {
+      return res.status(403).json({ error: "La verificación en dos factores no está disponible para su rol" });
+    }
+
+    if (usuario[0].totp_habilitado) {
+      return res.status(409).json({ error: "La verificación en dos factores ya está activa" });
+    }
+
+    const secreto = generarSecretoTotp();
+    await sql`
+      UPDATE usuarios SET totp_secreto = ${secreto}, totp_ultimo_paso = NULL
+      WHERE id_usuario = ${usuario[0].id_usuario}
+    `;
+
+    res.json({
+      message: "Registre el secreto en su aplicación de autenticación y confirme un código para activarla",
+      secreto,
+      otpauth_uri: generarUriOtpauth({ secreto, cuenta: usuario[0].cedula_usuario, emisor: TOTP_EMISOR }),
+    });
+  } catch (error) {
+    console.error("Error al inscribir la verificación en dos factores:", error);
+    res.status(500).json({ error: "Error al inscribir la verificación en dos factores" });
+  }
+};
+
+/**
+ * @description Controlador para activar la verificación en dos factores tras la inscripción.
+ * Confirma que el usuario registró correctamente el secreto verificando un código y emite los códigos
+ * de recuperación, que se muestran una única vez.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado.
+ * - `req.body.codigo` (string): Código TOTP generado por la aplicación de autenticación.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con los códigos de recuperación en texto plano.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/2fa/activar
+ */
+export const activar2fa = async (req, res) => {
+  try {
+    const usuario = await sql`
+      SELECT id_usuario, rol, totp_habilitado, totp_secreto, totp_ultimo_paso
+      FROM usuarios WHERE id_usuario = ${req.user.userId}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!ROLES_2FA.includes(usuario[0].rol)) {
+      return res.status(403).json({ error: "La verificación en dos factores no está disponible para su rol" });
+    }
+
+    if (usuario[0].totp_habilitado) {
+      return res.status(409).json({ error: "La verificación en dos factores ya está activa" });
+    }
+
+    if (!usuario[0].totp_secreto) {
+      return res.status(400).json({ error: "Debe iniciar la inscripción antes de activar la verificación en dos factores" });
+    }
+
+    if (!(await consumirCodigoTotp(usuario[0], req.body.codigo))) {
+      return res.status(400).json({ error: "Código de verificación inválido" });
+    }
+
+    const codigos = generarCodigosRecuperacion();
+    await sql.transaction([
+      sql`UPDATE usuarios SET totp_habilitado = TRUE WHERE id_usuario = ${usuario[0].id_usuario}`,
+      ...consultasReemplazoCodigos(usuario[0].id_usuario, codigos),
+    ]);
+
+    res.json({
+      message: "Verificación en dos factores activada. Guarde los códigos de recuperación en un lugar seguro",
+      codigos_recuperacion: codigos,
+    });
+  } catch (error) {
+    console.error("Error al activar la verificación en dos factores:", error);
+    res.status(500).json({ error: "Error al activar la verificación en dos factores" });
+  }
+};
+
+/**
+ * @description Controlador para que el usuario autenticado desactive su verificación en dos factores.
+ * Exige la contraseña y un código TOTP vigente, y no está permitido si su rol la hace obligatoria.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado.
+ * - `req.body.password` (string): La contraseña actual del usuario.
+ * - `req.body.codigo` (string): Código TOTP vigente.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/2fa/desactivar
+ */
+export const desactivar2fa = async (req, res) => {
+  try {
+    const { password, codigo } = req.body;
+
+    const usuario = await sql`
+      SELECT id_usuario, rol, password, totp_habilitado, totp_secreto, totp_ultimo_paso
+      FROM usuarios WHERE id_usuario = ${req.user.userId}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!usuario[0].totp_habilitado) {
+      return res.status(409).json({ error: "La verificación en dos factores no está activa" });
+    }
+
+    if (requiere2fa(usuario[0].rol)) {
+      return res.status(403).json({ error: "La verificación en dos factores es obligatoria para su rol" });
+    }
+
+    const { valido } = await verificarPassword(password, usuario[0].password);
+    if (!valido || !(await consumirCodigoTotp(usuario[0], codigo))) {
+      return res.status(401).json({ error: "Contraseña o código de verificación incorrectos" });
+    }
+
+    await sql.transaction([
+      sql`
+        UPDATE usuarios SET totp_habilitado = FALSE, totp_secreto = NULL, totp_ultimo_paso = NULL
+        WHERE id_usuario = ${usuario[0].id_usuario}
+      `,
+      sql`DELETE FROM codigos_recuperacion WHERE id_usuario = ${usuario[0].id_usuario}`,
+    ]);
+
+    res.json({ message: "Verificación en dos factores desactivada" });
+  } catch (error) {
+    console.error("Error al desactivar la verificación en dos factores:", error);
+    res.status(500).json({ error: "Error al desactivar la verificación en dos factores" });
+  }
+};
+
+/**
+ * @description Controlador para que el usuario autenticado regenere sus códigos de recuperación.
+ * Los códigos anteriores, usados o no, dejan de ser válidos.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado.
+ * - `req.body.codigo` (string): Código TOTP vigente.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con los nuevos códigos de recuperación en texto plano.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/2fa/codigos-recuperacion
+ */
+export const regenerarCodigosRecuperacion = async (req, res) => {
+  try {
+    const usuario = await sql`
+      SELECT id_usuario, totp_habilitado, totp_secreto, totp_ultimo_paso
+      FROM usuarios WHERE id_usuario = ${req.user.userId}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!usuario[0].totp_habilitado) {
+      return res.status(409).json({ error: "La verificación en dos factores no está activa" });
+    }
+
+    if (!(await consumirCodigoTotp(usuario[0], req.body.codigo))) {
+      return res.status(401).json({ error: "Código de verificación inválido" });
+    }
+
+    const codigos = generarCodigosRecuperacion();
+    await sql.transaction(consultasReemplazoCodigos(usuario[0].id_usuario, codigos));
+
+    res.json({ message: "Códigos de recuperación regenerados", codigos_recuperacion: codigos });
+  } catch (error) {
+    console.error("Error al regenerar los códigos de recuperación:", error);
+    res.status(500).json({ error: "Error al regenerar los códigos de recuperación" });
+  }
+};
+
+/**
+ * @description Controlador para que un administrador restablezca la verificación en dos factores de un usuario
+ * (por ejemplo, si perdió su dispositivo y sus códigos de recuperación). Elimina el secreto y los códigos
+ * y revoca las sesiones activas del usuario, que deberá volver a inscribirse.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.params`:
+ * - `id_usuario` (string | number): El ID del usuario.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method DELETE
+ * @route /api/usuarios/:id_usuario/2fa
+ */
+export const restablecer2faUsuario = async (req, res) => {
+  try {
+    const { id_usuario } = req.params;
+
+    const usuarioExistente = await sql`
+      SELECT id_usuario FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuarioExistente.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    await sql.transaction([
+      sql`
+        UPDATE usuarios SET totp_habilitado = FALSE, totp_secreto = NULL, totp_ultimo_paso = NULL
+        WHERE id_usuario = ${id_usuario}
+      `,
+      sql`DELETE FROM codigos_recuperacion WHERE id_usuario = ${id_usuario}`,
+      sql`
+        UPDATE sesiones SET revocada_en = NOW()
+        WHERE id_usuario = ${id_usuario} AND revocada_en IS NULL
+      `,
+    ]);
+
+    res.json({ message: "Verificación en dos factores restablecida correctamente" });
+  } catch (error) {
+    console.error("Error al restablecer la verificación en dos factores:", error);
+    res.status(500).json({ error: "Error al restablecer la verificación en dos factores" });
+  }
+};
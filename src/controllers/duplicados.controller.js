@@ -0,0 +1,265 @@
+/**
+ * @file Este archivo contiene los controladores de la detección y fusión de estudiantes duplicados.
+ * @description `crearEstudiante` solo rechaza cédulas idénticas, por lo que una misma persona puede quedar registrada
+ * dos veces (por ejemplo, con la cédula escrita como V- y como E-, o con espacios distintos en el nombre) y sus citas
+ * e incidencias repartidas entre ambos registros. Este módulo lista los pares de estudiantes que probablemente
+ * son la misma persona, con una puntuación de similitud, y permite a un administrador fusionarlos: los registros
+ * asociados del duplicado pasan al estudiante que se conserva y el duplicado se envía a la papelera.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/duplicados.controller
+ * @see {@link module:validations/duplicados.validations} Para las reglas de validación de datos.
+ */
+
+import { sql } from '../db.js';
+import { ENTIDADES_PAPELERA, TIPOS_DEPENDIENTES } from '../utilities/papelera.js';
+import { obtenerParametrosListado, respuestaListado } from '../utilities/listados.js';
+import { vinculoAdjuntoVigente } from '../utilities/adjuntos.js';
+import { fijarAutorCambios } from '../utilities/historialCambios.js';
+
+/**
+ * @description Puntuación mínima (0 a 1) de un par para listarlo cuando no se indica `umbral`.
+ * @type {number}
+ */
+const UMBRAL_DUPLICADOS_POR_DEFECTO = 0.5;
+
+/**
+ * @description Similitud mínima entre los nombres completos de dos estudiantes para compararlos como candidatos.
+ * Se aplica como `pg_trgm.similarity_threshold` durante la detección, de modo que el operador `%` use el índice
+ * de trigramas de la migración 009. Los pares con la misma cédula se comparan siempre.
+ * @type {number}
+ */
+const SIMILITUD_MINIMA_CANDIDATOS = 0.45;
+
+/**
+ * @description Peso de cada coincidencia en la puntuación de un par; suman 1. La similitud de los nombres aporta
+ * en proporción a su valor y las demás coincidencias aportan su peso completo. Así, el mismo nombre con la misma
+ * cédula (sin importar el prefijo) puntúa 0.85, y el mismo nombre con la misma fecha de nacimiento, 0.6.
+ * @type {{nombre: number, cedula: number, fecha_nacimiento: number, correo: number}}
+ */
+const PESOS_DUPLICADOS = {
+  nombre: 0.5,
+  cedula: 0.35,
+  fecha_nacimiento: 0.1,
+  correo: 0.05,
+};
+
+/**
+ * @description Construye el objeto JSON con los datos de un estudiante de un par y la cantidad de registros
+ * asociados de cada tipo, para decidir cuál conservar.
+ * @param {string} alias - Alias de la tabla `estudiantes` en la consulta.
+ * @returns {object} Fragmento SQL con el `json_build_object` del estudiante.
+ */
+const resumenEstudiante = (alias) => {
+  const registros = TIPOS_DEPENDIENTES
+    .map((tipo) => sql`
+      ${sql.unsafe(`'${tipo}'`)},
+      (SELECT COUNT(*) FROM ${sql.unsafe(ENTIDADES_PAPELERA[tipo].tabla)} t
+       WHERE t.id_estudiante = ${sql.unsafe(alias)}.id_estudiante AND t.deleted_at IS NULL)
+    `)
+    .reduce((lista, par) => sql`${lista}, ${par}`);
+
+  return sql`json_build_object(
+    'id_estudiante', ${sql.unsafe(alias)}.id_estudiante,
+    'nombres', ${sql.unsafe(alias)}.nombres,
+    'apellidos', ${sql.unsafe(alias)}.apellidos,
+    'cedula', ${sql.unsafe(alias)}.cedula,
+    'correo', ${sql.unsafe(alias)}.correo,
+    'fecha_nacimiento', ${sql.unsafe(alias)}.fecha_nacimiento,
+    'estado', ${sql.unsafe(alias)}.estado,
+    'fecha_registro', ${sql.unsafe(alias)}.fecha_registro,
+    'registros', json_build_object(${registros})
+  )`;
+};
+
+/**
+ * @description Obtiene una página de los pares de estudiantes que probablemente son la misma persona, de mayor
+ * a menor puntuación. Se comparan los pares con la misma cédula (solo sus dígitos) o con nombres completos similares
+ * (sin distinguir mayúsculas, acentos ni espacios), y cada par se puntúa según `PESOS_DUPLICADOS`. Solo se listan
+ * los pares con una puntuación mayor o igual a `umbral` (por defecto `UMBRAL_DUPLICADOS_POR_DEFECTO`).
+ * Se consideran los estudiantes en cualquier estado, salvo los que están en la papelera.
+ * @param {object} req - Objeto de solicitud de Express, con `umbral`, `limit` y `offset` en la cadena de consulta.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con `{ datos, paginacion }` o un mensaje de error.
+ * @method GET
+ * @route /duplicados/estudiantes
+ */
+export const obtenerEstudiantesDuplicados = async (req, res) => {
+  try {
+    const { parametros, limit, offset } = obtenerParametrosListado(req);
+    const umbral = parametros.umbral ?? UMBRAL_DUPLICADOS_POR_DEFECTO;
+
+    // Cada par se obtiene una sola vez (a < b); UNION elimina los pares que coinciden por ambas ramas.
+    const pares = sql`
+      WITH candidatos AS (
+        SELECT a.id_estudiante AS id_a, b.id_estudiante AS id_b
+        FROM estudiantes a
+        JOIN estudiantes b
+          ON cedula_normalizada(b.cedula) = cedula_normalizada(a.cedula) AND b.id_estudiante > a.id_estudiante
+        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL AND cedula_normalizada(a.cedula) <> ''
+        UNION
+        SELECT a.id_estudiante, b.id_estudiante
+        FROM estudiantes a
+        JOIN estudiantes b
+          ON texto_busqueda(b.nombres || ' ' || b.apellidos) % texto_busqueda(a.nombres || ' ' || a.apellidos)
+          AND b.id_estudiante > a.id_estudiante
+        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
+      ),
+      comparados AS (
+        SELECT
+          c.id_a, c.id_b,
+          similarity(texto_busqueda(a.nombres || ' ' || a.apellidos), texto_busqueda(b.nombres || ' ' || b.apellidos)) AS nombre,
+          COALESCE(cedula_normalizada(a.cedula) = cedula_normalizada(b.cedula) AND cedula_normalizada(a.cedula) <> '', FALSE) AS cedula,
+          COALESCE(a.fecha_nacimiento = b.fecha_nacimiento, FALSE) AS fecha_nacimiento,
+          COALESCE(lower(a.correo) = lower(b.correo), FALSE) AS correo
+        FROM candidatos c
+        JOIN estudiantes a ON a.id_estudiante = c.id_a
+        JOIN estudiantes b ON b.id_estudiante = c.id_b
+      )
+      SELECT
+        *,
+        ROUND((
+          nombre * ${PESOS_DUPLICADOS.nombre}::float8
+          + CASE WHEN cedula THEN ${PESOS_DUPLICADOS.cedula}::float8 ELSE 0 END
+          + CASE WHEN fecha_nacimiento THEN ${PESOS_DUPLICADOS.fecha_nacimiento}::float8 ELSE 0 END
+          + CASE WHEN correo THEN ${PESOS_DUPLICADOS.correo}::float8 ELSE 0 END
+        )::numeric, 3)::float8 AS puntuacion
+      FROM comparados
+    `;
+
+    // El umbral de similitud se fija solo para esta transacción de solo lectura, en la que también se cuenta el total.
+    const [, datos, conteo] = await sql.transaction([
+      sql`SELECT set_config('pg_trgm.similarity_threshold', ${String(SIMILITUD_MINIMA_CANDIDATOS)}, true)`,
+      sql`
+        SELECT
+          p.puntuacion,
+          json_build_object(
+            'nombre', ROUND(p.nombre::numeric, 3)::float8,
+            'cedula', p.cedula,
+            'fecha_nacimiento', p.fecha_nacimiento,
+            'correo', p.correo
+          ) AS coincidencias,
+          json_build_array(${resumenEstudiante('a')}, ${resumenEstudiante('b')}) AS estudiantes
+        FROM (${pares}) p
+        JOIN estudiantes a ON a.id_estudiante = p.id_a
+        JOIN estudiantes b ON b.id_estudiante = p.id_b
+        WHERE p.puntuacion >= ${umbral}
+        ORDER BY p.puntuacion DESC, p.id_a, p.id_b
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      sql`SELECT COUNT(*)::int AS total FROM (${pares}) p WHERE p.puntuacion >= ${umbral}`,
+    ], { readOnly: true });
+
+    res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+  } catch (error) {
+    console.error('Error al detectar estudiantes duplicados:', error);
+    res.status(500).json({ error: 'Error al detectar estudiantes duplicados' });
+  }
+};
+
+/**
+ * @description Fusiona un estudiante duplicado con el que se conserva. En una única sentencia (y, por lo tanto,
+ * en una única transacción) se traspasan al estudiante conservado los representantes, citas, incidencias, historial
+ * médico y reportes psicológicos vigentes del duplicado y sus archivos adjuntos, junto con las discapacidades asociadas
+ * que el conservado no tenga y las inscripciones en cursos en los que el conservado no esté inscrito en el mismo período
+ * (las que ambos tienen se quedan con el duplicado y no cuentan como traspasadas), se envía el duplicado a la papelera y se registra la fusión
+ * en `estudiantes_fusiones` con una copia de sus datos. Los datos del estudiante conservado no se modifican, y los
+ * registros del duplicado que ya estaban en la papelera se quedan con él. Un estudiante fusionado no se puede restaurar.
+ * Se espera que los datos hayan sido validados con `fusionarEstudiantesValidations`.
+ * @param {object} req - Objeto de solicitud de Express, con `id_estudiante_conservado`, `id_estudiante_duplicado`
+ * y `motivo` (opcional) en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la fusión registrada o un mensaje de error.
+ * @method POST
+ * @route /duplicados/estudiantes/fusionar
+ */
+export const fusionarEstudiantes = async (req, res) => {
+  try {
+    const { id_estudiante_conservado, id_estudiante_duplicado, motivo } = req.body;
+
+    const vigentes = await sql`
+      SELECT id_estudiante FROM estudiantes
+      WHERE id_estudiante IN (${id_estudiante_conservado}, ${id_estudiante_duplicado}) AND deleted_at IS NULL
+    `;
+    for (const id of [id_estudiante_conservado, id_estudiante_duplicado]) {
+      if (!vigentes.some((estudiante) => estudiante.id_estudiante === id)) {
+        return res.status(404).json({ error: `Estudiante ${id} no encontrado` });
+      }
+    }
+
+    // Los traspasos dependen de que el duplicado se haya enviado a la papelera en la misma sentencia.
+    const traspasos = TIPOS_DEPENDIENTES.map((tipo) => sql`
+      ${sql.unsafe(`${tipo}_traspasados`)} AS (
+        UPDATE ${sql.unsafe(ENTIDADES_PAPELERA[tipo].tabla)} SET id_estudiante = ${id_estudiante_conservado}
+        WHERE id_estudiante = ${id_estudiante_duplicado} AND deleted_at IS NULL AND EXISTS (SELECT 1 FROM duplicado)
+        RETURNING 1
+      )
+    `).reduce((lista, cte) => sql`${lista}, ${cte}`);
+    const registrosTraspasados = TIPOS_DEPENDIENTES
+      .map((tipo) => sql`${sql.unsafe(`'${tipo}'`)}, (SELECT COUNT(*) FROM ${sql.unsafe(`${tipo}_traspasados`)})`)
+      .reduce((lista, par) => sql`${lista}, ${par}`);
+
+    const [, fusion] = await sql.transaction([
+      fijarAutorCambios(req.user?.userId),
+      sql`
+        WITH duplicado AS (
+          UPDATE estudiantes SET deleted_at = NOW(), deleted_by = ${req.user?.userId ?? null}
+          WHERE id_estudiante = ${id_estudiante_duplicado} AND deleted_at IS NULL
+            AND EXISTS (SELECT 1 FROM estudiantes WHERE id_estudiante = ${id_estudiante_conservado} AND deleted_at IS NULL)
+          RETURNING *
+        ),
+        ${traspasos},
+        -- Las discapacidades e inscripciones que el conservado ya tiene no se pueden mover (son únicas por estudiante)
+        -- y se quedan con el duplicado; el resto se mueve igual que los demás registros.
+        discapacidades_traspasadas AS (
+          UPDATE estudiantes_discapacidades d SET id_estudiante = ${id_estudiante_conservado}
+          WHERE d.id_estudiante = ${id_estudiante_duplicado} AND EXISTS (SELECT 1 FROM duplicado)
+            AND NOT EXISTS (
+              SELECT 1 FROM estudiantes_discapacidades c
+              WHERE c.id_estudiante = ${id_estudiante_conservado} AND c.discapacidad_id = d.discapacidad_id
+            )
+          RETURNING 1
+        ),
+        inscripciones_traspasadas AS (
+          UPDATE inscripciones i SET id_estudiante = ${id_estudiante_conservado}
+          WHERE i.id_estudiante = ${id_estudiante_duplicado} AND EXISTS (SELECT 1 FROM duplicado)
+            AND NOT EXISTS (
+              SELECT 1 FROM inscripciones c
+              WHERE c.id_estudiante = ${id_estudiante_conservado} AND c.id_curso = i.id_curso AND c.id_periodo = i.id_periodo
+            )
+          RETURNING 1
+        ),
+        -- Los adjuntos acompañan a su registro vinculado: si este se queda con el duplicado (está en la papelera), el adjunto también.
+        adjuntos_traspasados AS (
+          UPDATE adjuntos a SET id_estudiante = ${id_estudiante_conservado}
+          WHERE a.id_estudiante = ${id_estudiante_duplicado} AND EXISTS (SELECT 1 FROM duplicado) AND ${vinculoAdjuntoVigente}
+          RETURNING 1
+        )
+        INSERT INTO estudiantes_fusiones (
+          id_estudiante_conservado, id_estudiante_fusionado, datos_fusionado, registros_traspasados, motivo, fusionado_por
+        )
+        SELECT
+          ${id_estudiante_conservado}, d.id_estudiante, to_jsonb(d) - 'deleted_at' - 'deleted_by',
+          json_build_object(
+            ${registrosTraspasados},
+            'discapacidades', (SELECT COUNT(*) FROM discapacidades_traspasadas),
+            'inscripciones', (SELECT COUNT(*) FROM inscripciones_traspasadas),
+            'adjuntos', (SELECT COUNT(*) FROM adjuntos_traspasados)
+          ),
+          ${motivo || null}, ${req.user?.userId ?? null}
+        FROM duplicado d
+        RETURNING *
+      `,
+    ]);
+
+    // Si otra petición eliminó alguno de los estudiantes entre la consulta y la fusión, no se aplica ningún cambio.
+    if (fusion.length === 0) {
+      return res.status(409).json({ error: 'Uno de los estudiantes se eliminó durante la operación; vuelva a intentarlo' });
+    }
+
+    res.json({ message: 'Estudiantes fusionados correctamente', fusion: fusion[0] });
+  } catch (error) {
+    console.error('Error al fusionar estudiantes:', error);
+    res.status(500).json({ error: 'Error al fusionar estudiantes' });
+  }
+};
@@ -1,35 +1,216 @@
-import { validationResult } from 'express-validator'; // Se importa 'validationResult' para manejar los resultados de las validaciones.
+import { validationResult, matchedData } from 'express-validator'; // Se importan 'validationResult' y 'matchedData' para manejar los resultados de las validaciones.
 import { sql } from '../db.js'; // Se importa el objeto de conexión a la base de datos.
 
 // Se importan las funciones de utilidad para el formateo de cadenas de texto.
 import { toCapitalCase, toLowerCase } from '../utilities/formatters.js';
+// Se importan las funciones del contrato común de listados (paginación, filtros y ordenamiento).
+import { obtenerParametrosListado, construirOrden, unirCondiciones, respuestaListado } from '../utilities/listados.js';
+// Se importan las funciones de normalización y resaltado de la búsqueda aproximada.
+import { normalizarTexto, resaltarCoincidencias } from '../utilities/busqueda.js';
+// Se importa la verificación de permisos usada para filtrar las secciones del expediente.
+import { puedeAcceder } from '../utilities/permisos.js';
+// Se importa la lectura de hojas de cálculo usada en la importación masiva.
+import { leerHojaCalculo } from '../utilities/hojasCalculo.js';
+// Se importan las funciones de exportación de listados a CSV y XLSX.
+import { obtenerFormatoRespuesta, enviarExportacion } from '../utilities/exportaciones.js';
+// Se importa la generación de la ficha imprimible del estudiante en PDF.
+import { generarFichaEstudiante } from '../utilities/fichaEstudiantePdf.js';
+// Se importa el envío de registros a la papelera (eliminación lógica).
+import { moverAPapelera } from '../utilities/papelera.js';
+// Se importan las funciones del historial de cambios por campo.
+import { RECURSO_POR_TABLA_HISTORIAL, TABLAS_HISTORIAL_CAMBIOS, fijarAutorCambios, reconstruirVersion } from '../utilities/historialCambios.js';
+// Se importa la actualización parcial con JSON Merge Patch.
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+// Se importa el control de concurrencia optimista (ETag / If-Match).
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+// Se importan las reglas de validación de estudiantes, aplicadas a cada fila de la importación masiva.
+import { estudianteValidations } from '../validations/estudiantes.validations.js';
 // eric
+/**
+ * @description Relación entre los campos públicos del parámetro `orden` y sus columnas SQL en el listado de estudiantes.
+ * Debe coincidir con `CAMPOS_ORDEN_ESTUDIANTES` de las validaciones.
+ * @type {Object<string, string>}
+ */
+const COLUMNAS_ORDEN_ESTUDIANTES = {
+    nombres: 'e.nombres',
+    apellidos: 'e.apellidos',
+    cedula: 'e.cedula',
+    fecha_registro: 'e.fecha_registro',
+    fecha_nacimiento: 'e.fecha_nacimiento',
+    carrera: 'ca.carrera',
+    facultad: 'f.facultad',
+};
+
+/**
+ * @description Estados que se listan cuando no se indica el filtro `estado`: los estudiantes egresados,
+ * retirados o suspendidos no aparecen en los listados operativos salvo que se pidan expresamente.
+ * @type {string[]}
+ */
+const ESTADOS_POR_DEFECTO = ['activo'];
+
+/**
+ * @function filtroEstadoEstudiantes
+ * @description Traduce el filtro `estado` de los listados de estudiantes a una condición SQL sobre `e.estado`.
+ * @param {string[]} [estados=ESTADOS_POR_DEFECTO] - Estados validados; `todos` desactiva el filtro.
+ * @returns {Array<object>} La condición del filtro, o ninguna si se piden todos los estados.
+ */
+const filtroEstadoEstudiantes = (estados = ESTADOS_POR_DEFECTO) => {
+    return estados.includes('todos') ? [] : [sql`e.estado = ANY(${estados})`];
+};
+
+/**
+ * @function construirFiltrosEstudiantes
+ * @description Traduce los filtros validados del listado de estudiantes a condiciones SQL parametrizadas.
+ * Los estudiantes en la papelera se excluyen siempre.
+ * @param {object} filtros - Parámetros de consulta validados.
+ * @returns {Array<object>} Fragmentos SQL de cada filtro presente.
+ */
+const construirFiltrosEstudiantes = (filtros) => {
+    const condiciones = [sql`e.deleted_at IS NULL`, ...filtroEstadoEstudiantes(filtros.estado)];
+    if (filtros.id_carrera !== undefined) condiciones.push(sql`e.id_carrera = ${filtros.id_carrera}`);
+    if (filtros.id_facultad !== undefined) condiciones.push(sql`ca.id_facultad = ${filtros.id_facultad}`);
+    if (filtros.discapacidad_id !== undefined) {
+        // Coinciden los estudiantes que tienen asociada cualquiera de las discapacidades indicadas.
+        condiciones.push(sql`EXISTS (
+            SELECT 1 FROM estudiantes_discapacidades ed
+            WHERE ed.id_estudiante = e.id_estudiante AND ed.discapacidad_id = ANY(${filtros.discapacidad_id})
+        )`);
+    }
+    if (filtros.posee_conapdis !== undefined) condiciones.push(sql`e.posee_conapdis = ${filtros.posee_conapdis ? 1 : 0}`);
+    if (filtros.seguimiento !== undefined) condiciones.push(sql`LOWER(e.seguimiento) = LOWER(${filtros.seguimiento})`);
+    if (filtros.fecha_registro_desde !== undefined) condiciones.push(sql`e.fecha_registro::date >= ${filtros.fecha_registro_desde}::date`);
+    if (filtros.fecha_registro_hasta !== undefined) condiciones.push(sql`e.fecha_registro::date <= ${filtros.fecha_registro_hasta}::date`);
+    return condiciones;
+};
+
+/**
+ * @function discapacidadesAsociadas
+ * @description Construye la subconsulta con las discapacidades asociadas a un estudiante (ver la migración 013),
+ * ordenadas por nombre, como un array JSON con su severidad, fecha de diagnóstico, certificado CONAPDIS y observaciones.
+ * @param {object} idEstudiante - Fragmento SQL o valor con el ID del estudiante.
+ * @returns {object} Fragmento SQL que devuelve el array (vacío si no tiene discapacidades).
+ */
+const discapacidadesAsociadas = (idEstudiante) => sql`
+    SELECT COALESCE(json_agg(json_build_object(
+        'discapacidad_id', ed.discapacidad_id,
+        'discapacidad', d.discapacidad,
+        'severidad', ed.severidad,
+        'fecha_diagnostico', ed.fecha_diagnostico,
+        'certificado_conapdis', ed.certificado_conapdis,
+        'observaciones', ed.observaciones
+    ) ORDER BY d.discapacidad), '[]')
+    FROM estudiantes_discapacidades ed
+    JOIN discapacidades d ON d.discapacidad_id = ed.discapacidad_id
+    WHERE ed.id_estudiante = ${idEstudiante}
+`;
+
+/**
+ * @description Columnas de la exportación del listado de estudiantes a CSV y XLSX.
+ * @type {Array<{campo: string, titulo: string, tipo?: string}>}
+ */
+const COLUMNAS_EXPORTACION_ESTUDIANTES = [
+    { campo: 'id_estudiante', titulo: 'ID', tipo: 'numero' },
+    { campo: 'nombres', titulo: 'Nombres' },
+    { campo: 'apellidos', titulo: 'Apellidos' },
+    { campo: 'cedula', titulo: 'Cédula' },
+    { campo: 'fecha_nacimiento', titulo: 'Fecha de nacimiento', tipo: 'fecha' },
+    { campo: 'telefono', titulo: 'Teléfono' },
+    { campo: 'otro_telefono', titulo: 'Otro teléfono' },
+    { campo: 'correo', titulo: 'Correo' },
+    { campo: 'direccion', titulo: 'Dirección' },
+    { campo: 'facultad', titulo: 'Facultad' },
+    { campo: 'carrera', titulo: 'Carrera' },
+    { campo: 'discapacidades', titulo: 'Discapacidades' },
+    { campo: 'posee_conapdis', titulo: 'Posee CONAPDIS', tipo: 'booleano' },
+    { campo: 'seguimiento', titulo: 'Seguimiento' },
+    { campo: 'observaciones', titulo: 'Observaciones' },
+    { campo: 'estado', titulo: 'Estado' },
+    { campo: 'nombre_repre', titulo: 'Representante' },
+    { campo: 'fecha_registro', titulo: 'Fecha de registro', tipo: 'fechaHora' },
+];
+
 /**
  * @function obtenerEstudiantes
- * @description Obtiene y devuelve una lista de todos los estudiantes, incluyendo información
- * relacionada de tablas como discapacidades, representantes, carreras y facultades.
- * Los resultados son ordenados alfabéticamente por los nombres de los estudiantes.
+ * @description Obtiene una página de estudiantes, incluyendo información relacionada de tablas como
+ * discapacidades, representantes, carreras y facultades, junto con el total de registros que cumplen los filtros.
+ * Sigue el contrato común de listados (`limit`, `offset`, `orden`) y acepta los filtros `id_carrera`, `id_facultad`,
+ * `discapacidad_id`, `posee_conapdis`, `seguimiento`, `fecha_registro_desde`, `fecha_registro_hasta` y `estado`.
+ * `discapacidad_id` acepta varios IDs separados por comas y coincide con cualquiera de las discapacidades asociadas
+ * al estudiante; cada estudiante incluye en `discapacidades` los nombres de todas ellas.
+ * Si no se indica `estado`, solo se listan los estudiantes activos; los estudiantes en la papelera no se listan nunca.
+ * Por defecto los resultados se ordenan alfabéticamente por los nombres de los estudiantes.
+ * Con `?format=csv|xlsx` (o la cabecera `Accept`) se exportan todos los estudiantes que cumplen los filtros.
+ * Se espera que los parámetros hayan sido validados con `obtenerEstudiantesValidations`.
  * @param {object} req - El objeto de la petición (request) de Express.
  * @param {object} res - El objeto de la respuesta (response) de Express.
- * @returns {void} Envía una respuesta JSON con la lista de estudiantes o un mensaje de error.
+ * @returns {void} Envía una respuesta JSON `{ datos, paginacion }`, el archivo exportado o un mensaje de error.
  */
 export const obtenerEstudiantes = async (req, res) => {
     try {
-        const estudiantes = await req.sql`
+        const formato = obtenerFormatoRespuesta(req);
+        if (!formato) {
+            return res.status(400).json({ error: 'Formato no admitido. Formatos permitidos: json, csv, xlsx' });
+        }
+
+        const { parametros, limit, offset } = obtenerParametrosListado(req);
+        const condicion = unirCondiciones(construirFiltrosEstudiantes(parametros));
+        const orden = construirOrden(parametros.orden, {
+            columnas: COLUMNAS_ORDEN_ESTUDIANTES,
+            ordenPorDefecto: 'nombres',
+            desempate: 'e.id_estudiante',
+        });
+
+        // Se toma un solo representante por estudiante para que cada estudiante ocupe una única fila en la página.
+        const consultarPagina = (limite, desplazamiento) => req.sql`
             SELECT 
                 e.*, 
                 d.discapacidad,
+                COALESCE(dis.discapacidades, '{}') AS discapacidades,
                 r.nombre_repre,
                 f.facultad, f.siglas,
                 ca.carrera
             FROM estudiantes e 
             LEFT JOIN discapacidades d ON e.discapacidad_id = d.discapacidad_id
-            LEFT JOIN representantes r ON r.id_estudiante = e.id_estudiante
+            LEFT JOIN LATERAL (
+                SELECT array_agg(dd.discapacidad ORDER BY dd.discapacidad) AS discapacidades
+                FROM estudiantes_discapacidades ed
+                JOIN discapacidades dd ON dd.discapacidad_id = ed.discapacidad_id
+                WHERE ed.id_estudiante = e.id_estudiante
+            ) dis ON TRUE
+            LEFT JOIN LATERAL (
+                SELECT nombre_repre FROM representantes
+                WHERE id_estudiante = e.id_estudiante AND deleted_at IS NULL
+                ORDER BY id_representante
+                LIMIT 1
+            ) r ON TRUE
             LEFT JOIN carreras ca ON e.id_carrera = ca.id_carrera
             LEFT JOIN facultades f ON f.id_facultad = ca.id_facultad
-            ORDER BY e.nombres ASC
+            WHERE ${condicion}
+            ${orden}
+            LIMIT ${limite} OFFSET ${desplazamiento}
         `;
-        res.json(estudiantes);
+
+        if (formato !== 'json') {
+            return await enviarExportacion(res, {
+                formato,
+                nombre: 'estudiantes',
+                columnas: COLUMNAS_EXPORTACION_ESTUDIANTES,
+                consultarLote: consultarPagina,
+            });
+        }
+
+        // La página y el total se consultan en la misma transacción de solo lectura para que sean consistentes.
+        const [estudiantes, conteo] = await req.sql.transaction([
+            consultarPagina(limit, offset),
+            req.sql`
+                SELECT COUNT(*)::int AS total
+                FROM estudiantes e
+                LEFT JOIN carreras ca ON e.id_carrera = ca.id_carrera
+                WHERE ${condicion}
+            `,
+        ], { readOnly: true });
+
+        res.json(respuestaListado({ datos: estudiantes, total: conteo[0].total, limit, offset }));
     } catch (error) {
         // Se registra el error en la consola del servidor para depuración.
         console.error('Error al obtener estudiantes:', error);
@@ -38,6 +219,123 @@ export const obtenerEstudiantes = async (req, res) => {
     }
 };
 
+/**
+ * @description Similitud mínima (0 a 1) entre el término y un campo para considerarlo una coincidencia.
+ * Se aplica como `pg_trgm.word_similarity_threshold` durante la búsqueda; valores menores toleran más errores de escritura.
+ * @type {number}
+ */
+const UMBRAL_SIMILITUD_BUSQUEDA = 0.4;
+
+/**
+ * @description Peso de las coincidencias en el nombre de un representante, para que puntúen por debajo
+ * de las coincidencias en los datos del propio estudiante.
+ * @type {number}
+ */
+const PESO_COINCIDENCIA_REPRESENTANTE = 0.8;
+
+/**
+ * @description Cantidad mínima de dígitos del término para buscarlo como fragmento de cédula.
+ * @type {number}
+ */
+const DIGITOS_MINIMOS_CEDULA = 3;
+
+/**
+ * @function buscarEstudiantes
+ * @description Busca estudiantes por nombres, apellidos, cédula, correo o nombre de sus representantes.
+ * La búsqueda no distingue mayúsculas ni acentos y tolera errores de escritura mediante similitud por trigramas;
+ * los dígitos del término se buscan además como fragmento de la cédula. Los resultados se ordenan por relevancia
+ * e incluyen en `resaltados` los campos que coinciden, con los fragmentos encontrados envueltos en `<mark>`.
+ * Como en el listado, si no se indica `estado` solo se buscan los estudiantes activos.
+ * Se espera que los parámetros hayan sido validados con `buscarEstudiantesValidations`.
+ * @param {object} req - El objeto de la petición de Express, con `q`, `estado`, `limit` y `offset` en la cadena de consulta.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON `{ datos, paginacion }` o un mensaje de error.
+ */
+export const buscarEstudiantes = async (req, res) => {
+    try {
+        const { parametros, limit, offset } = obtenerParametrosListado(req);
+        const termino = normalizarTexto(parametros.q);
+        const digitos = parametros.q.replace(/\D/g, '');
+        const coincideCedula = digitos.length >= DIGITOS_MINIMOS_CEDULA
+            ? req.sql`e.cedula LIKE ${`%${digitos}%`}`
+            : req.sql`FALSE`;
+        const condicionEstado = unirCondiciones([sql`e.deleted_at IS NULL`, ...filtroEstadoEstudiantes(parametros.estado)]);
+
+        // Cada rama usa su propio índice de trigramas (ver la migración 009); UNION elimina los estudiantes repetidos.
+        const candidatos = req.sql`
+            SELECT e.id_estudiante FROM estudiantes e
+            WHERE ${termino} <% texto_busqueda(e.nombres || ' ' || e.apellidos)
+            UNION
+            SELECT e.id_estudiante FROM estudiantes e WHERE ${coincideCedula}
+            UNION
+            SELECT e.id_estudiante FROM estudiantes e WHERE ${termino} <% texto_busqueda(e.correo)
+            UNION
+            SELECT r.id_estudiante FROM representantes r
+            WHERE ${termino} <% texto_busqueda(r.nombre_repre) AND r.deleted_at IS NULL
+        `;
+
+        // El umbral se fija solo para esta transacción de solo lectura, en la que también se cuenta el total.
+        const [, estudiantes, conteo] = await req.sql.transaction([
+            req.sql`SELECT set_config('pg_trgm.word_similarity_threshold', ${String(UMBRAL_SIMILITUD_BUSQUEDA)}, true)`,
+            req.sql`
+                SELECT
+                    e.id_estudiante, e.nombres, e.apellidos, e.cedula, e.correo, e.estado,
+                    ca.carrera,
+                    COALESCE(rep.representantes, '{}') AS representantes,
+                    GREATEST(
+                        word_similarity(${termino}, texto_busqueda(e.nombres || ' ' || e.apellidos)),
+                        CASE WHEN ${coincideCedula} THEN 1 ELSE 0 END,
+                        COALESCE(word_similarity(${termino}, texto_busqueda(e.correo)), 0),
+                        COALESCE(rep.similitud, 0) * ${PESO_COINCIDENCIA_REPRESENTANTE}::real
+                    ) AS puntuacion
+                FROM (${candidatos}) c
+                JOIN estudiantes e ON e.id_estudiante = c.id_estudiante
+                LEFT JOIN carreras ca ON e.id_carrera = ca.id_carrera
+                LEFT JOIN LATERAL (
+                    SELECT
+                        array_agg(r.nombre_repre ORDER BY r.id_representante) AS representantes,
+                        MAX(word_similarity(${termino}, texto_busqueda(r.nombre_repre))) AS similitud
+                    FROM representantes r
+                    WHERE r.id_estudiante = e.id_estudiante AND r.deleted_at IS NULL
+                ) rep ON TRUE
+                WHERE ${condicionEstado}
+                ORDER BY puntuacion DESC, e.apellidos, e.nombres, e.id_estudiante
+                LIMIT ${limit} OFFSET ${offset}
+            `,
+            req.sql`
+                SELECT COUNT(*)::int AS total
+                FROM (${candidatos}) c
+                JOIN estudiantes e ON e.id_estudiante = c.id_estudiante
+                WHERE ${condicionEstado}
+            `,
+        ], { readOnly: true });
+
+        const terminos = termino.split(' ');
+        const datos = estudiantes.map((estudiante) => {
+            const resaltados = {
+                nombres: resaltarCoincidencias(estudiante.nombres, terminos),
+                apellidos: resaltarCoincidencias(estudiante.apellidos, terminos),
+                cedula: digitos.length >= DIGITOS_MINIMOS_CEDULA ? resaltarCoincidencias(estudiante.cedula, [digitos]) : null,
+                correo: resaltarCoincidencias(estudiante.correo, terminos),
+                representantes: estudiante.representantes
+                    .map((nombre) => resaltarCoincidencias(nombre, terminos))
+                    .filter(Boolean),
+            };
+            if (resaltados.representantes.length === 0) delete resaltados.representantes;
+            // Solo se devuelven los campos que tienen alguna coincidencia.
+            for (const campo of Object.keys(resaltados)) {
+                if (resaltados[campo] === null) delete resaltados[campo];
+            }
+            return { ...estudiante, resaltados };
+        });
+
+        res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+    } catch (error) {
+        console.error('Error al buscar estudiantes:', error);
+        res.status(500).json({ error: 'Error al buscar estudiantes' });
+    }
+};
+
 /**
  * @function obtenerEstudiantePorId
  * @description Obtiene y devuelve la información detallada de un estudiante específico
@@ -55,15 +353,16 @@ export const obtenerEstudiantePorId = async (req, res) => {
             SELECT 
                 e.*, 
                 d.discapacidad,
+                (${discapacidadesAsociadas(sql`e.id_estudiante`)}) AS discapacidades,
                 r.nombre_repre,
                 f.facultad, f.siglas,
                 ca.carrera
             FROM estudiantes e 
             LEFT JOIN discapacidades d ON e.discapacidad_id = d.discapacidad_id
-            LEFT JOIN representantes r ON r.id_estudiante = e.id_estudiante
+            LEFT JOIN representantes r ON r.id_estudiante = e.id_estudiante AND r.deleted_at IS NULL
             LEFT JOIN carreras ca ON e.id_carrera = ca.id_carrera
             LEFT JOIN facultades f ON f.id_facultad = ca.id_facultad
-            WHERE e.id_estudiante = ${id_estudiante}
+            WHERE e.id_estudiante = ${id_estudiante} AND e.deleted_at IS NULL
         `;
 
         // Si no se encuentra ningún estudiante con el ID proporcionado, se envía un 404.
@@ -71,14 +370,225 @@ export const obtenerEstudiantePorId = async (req, res) => {
             return res.status(404).json({ error: 'Estudiante no encontrado' });
         }
 
-        // Se envía el primer (y único) resultado como respuesta JSON.
-        res.json(estudiante[0]);
+        // Se envía el primer (y único) resultado como respuesta JSON, con su versión en la cabecera ETag.
+        fijarEtag(res, estudiante[0]).json(estudiante[0]);
     } catch (error) {
         console.error('Error al obtener estudiante por ID:', error);
         res.status(500).json({ error: 'Error al obtener estudiante por ID' });
     }
 };
 
+/**
+ * @description Secciones del expediente de un estudiante. Cada sección indica el recurso de la matriz de permisos
+ * que se exige para incluirla y la consulta que obtiene sus datos. Las claves deben coincidir con
+ * `SECCIONES_EXPEDIENTE` de las validaciones.
+ * @type {Object<string, {recurso: string, consulta: function(number): object}>}
+ */
+const SECCIONES_EXPEDIENTE = {
+    representantes: {
+        recurso: 'representantes',
+        consulta: (id_estudiante) => sql`
+            SELECT * FROM representantes
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+            ORDER BY id_representante
+        `,
+    },
+    historial_medico: {
+        recurso: 'historial_medico',
+        consulta: (id_estudiante) => sql`
+            SELECT * FROM historial_medico
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+        `,
+    },
+    // Las adaptaciones son las recomendaciones de los reportes psicológicos, sin sus datos clínicos: las puede
+    // leer quien puede leer estudiantes (por ejemplo, los docentes, que son quienes deben aplicarlas).
+    adaptaciones: {
+        recurso: 'estudiantes',
+        consulta: (id_estudiante) => sql`
+            SELECT id_psicologico, btrim(recomendaciones) AS recomendaciones
+            FROM reporte_psicologico
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL AND btrim(recomendaciones) <> ''
+            ORDER BY id_psicologico DESC
+        `,
+    },
+    reportes_psicologicos: {
+        recurso: 'reporte_psicologico',
+        consulta: (id_estudiante) => sql`
+            SELECT * FROM reporte_psicologico
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+            ORDER BY id_psicologico DESC
+        `,
+    },
+    incidencias: {
+        recurso: 'incidencias',
+        consulta: (id_estudiante) => sql`
+            SELECT * FROM incidencias
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+            ORDER BY fecha_incidente DESC
+        `,
+    },
+    citas: {
+        recurso: 'citas',
+        consulta: (id_estudiante) => sql`
+            SELECT * FROM citas
+            WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+            ORDER BY fecha_cita DESC
+        `,
+    },
+};
+
+/**
+ * @function consultarExpediente
+ * @description Consulta los datos de un estudiante y las secciones solicitadas de su expediente que el autor
+ * de la petición puede leer. Todas las consultas se ejecutan en una misma transacción de solo lectura
+ * para que el expediente sea consistente.
+ * @param {object} req - El objeto de la petición de Express (con `req.user` o `req.apiKey`).
+ * @param {number|string} id_estudiante - ID del estudiante.
+ * @param {string[]} solicitadas - Secciones solicitadas (claves de `SECCIONES_EXPEDIENTE`).
+ * @returns {Promise<object|null>} Expediente con `estudiante`, las secciones permitidas y `secciones_omitidas`,
+ * o `null` si el estudiante no existe.
+ */
+const consultarExpediente = async (req, id_estudiante, solicitadas) => {
+    const secciones = solicitadas.filter((seccion) => puedeAcceder(req, SECCIONES_EXPEDIENTE[seccion].recurso, 'leer'));
+
+    const [estudiante, ...resultados] = await req.sql.transaction([
+        req.sql`
+            SELECT 
+                e.*, 
+                d.discapacidad,
+                (${discapacidadesAsociadas(sql`e.id_estudiante`)}) AS discapacidades,
+                f.facultad, f.siglas,
+                ca.carrera
+            FROM estudiantes e 
+            LEFT JOIN discapacidades d ON e.discapacidad_id = d.discapacidad_id
+            LEFT JOIN carreras ca ON e.id_carrera = ca.id_carrera
+            LEFT JOIN facultades f ON f.id_facultad = ca.id_facultad
+            WHERE e.id_estudiante = ${id_estudiante} AND e.deleted_at IS NULL
+        `,
+        ...secciones.map((seccion) => SECCIONES_EXPEDIENTE[seccion].consulta(id_estudiante)),
+    ], { readOnly: true });
+
+    if (estudiante.length === 0) {
+        return null;
+    }
+
+    const expediente = { estudiante: estudiante[0] };
+    secciones.forEach((seccion, i) => {
+        // El historial médico es un único registro por estudiante; el resto de las secciones son listas.
+        expediente[seccion] = seccion === 'historial_medico' ? (resultados[i][0] ?? null) : resultados[i];
+    });
+    expediente.secciones_omitidas = solicitadas.filter((seccion) => !secciones.includes(seccion));
+    return expediente;
+};
+
+/**
+ * @function obtenerExpedienteEstudiante
+ * @description Obtiene en una sola respuesta el expediente de un estudiante: sus datos junto con sus representantes,
+ * historial médico, adaptaciones recomendadas, reportes psicológicos, incidencias y citas. Con `?include=` (lista separada por comas) se eligen
+ * las secciones; por defecto se incluyen todas. Cada sección se incluye solo si el rol del usuario (o la API key)
+ * puede leer el recurso correspondiente; las secciones solicitadas sin permiso se informan en `secciones_omitidas`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params` e `include` opcional en la cadena de consulta.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con el expediente o un mensaje de error.
+ */
+export const obtenerExpedienteEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+        const { include } = matchedData(req, { locations: ['query'] });
+
+        const expediente = await consultarExpediente(req, id_estudiante, include ?? Object.keys(SECCIONES_EXPEDIENTE));
+        if (!expediente) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        res.json(expediente);
+    } catch (error) {
+        console.error('Error al obtener el expediente del estudiante:', error);
+        res.status(500).json({ error: 'Error al obtener el expediente del estudiante' });
+    }
+};
+
+/**
+ * @function obtenerFichaEstudiantePdf
+ * @description Genera en el servidor la ficha imprimible de un estudiante en PDF: datos personales, carrera y facultad,
+ * discapacidad, representantes, resumen del historial médico, adaptaciones recomendadas y reportes psicológicos.
+ * Las secciones confidenciales se incluyen solo si el rol puede leer el recurso correspondiente,
+ * con las mismas reglas que el expediente; las adaptaciones las recibe cualquier rol que pueda leer estudiantes.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía el documento PDF o un mensaje de error.
+ */
+export const obtenerFichaEstudiantePdf = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+
+        const expediente = await consultarExpediente(req, id_estudiante, ['representantes', 'historial_medico', 'adaptaciones', 'reportes_psicologicos']);
+        if (!expediente) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        const { estudiante } = expediente;
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="ficha_${estudiante.cedula ?? estudiante.id_estudiante}.pdf"`);
+
+        const documento = generarFichaEstudiante(expediente);
+        documento.pipe(res);
+        documento.end();
+    } catch (error) {
+        console.error('Error al generar la ficha PDF del estudiante:', error);
+        res.status(500).json({ error: 'Error al generar la ficha PDF del estudiante' });
+    }
+};
+
+/**
+ * @function formatearDatosEstudiante
+ * @description Aplica el formateo estándar a los campos de texto de un estudiante antes de guardarlo:
+ * nombres y apellidos en "Capital Case", correo en minúsculas y cédula en mayúsculas y sin espacios.
+ * @param {object} datos - Datos del estudiante (ya validados).
+ * @returns {object} Copia de los datos con los campos formateados.
+ */
+const formatearDatosEstudiante = (datos) => {
+    const formateados = { ...datos };
+    // Nombres y apellidos se convierten a "Capital Case".
+    formateados.nombres = toCapitalCase(datos.nombres);
+    formateados.apellidos = toCapitalCase(datos.apellidos);
+    // El correo se convierte a minúsculas, solo si está presente.
+    if (datos.correo) {
+        formateados.correo = toLowerCase(datos.correo);
+    }
+    // La cédula se convierte a mayúsculas y se eliminan espacios extra, asumiendo el formato V/E-XXXX.
+    if (datos.cedula) {
+        formateados.cedula = datos.cedula.toUpperCase().replace(/\s/g, '');
+    }
+    return formateados;
+};
+
+/**
+ * @function insertarEstudiante
+ * @description Construye la llamada a la función `insertar_estudiante` de la base de datos.
+ * Devuelve la consulta sin ejecutarla, para que pueda esperarse directamente o agruparse en una transacción.
+ * @param {function} conexion - Función de consulta SQL (`req.sql`).
+ * @param {object} datos - Datos del estudiante ya validados y formateados.
+ * @returns {object} Consulta que devuelve `[{ id_estudiante }]`.
+ */
+const insertarEstudiante = (conexion, datos) => conexion`
+    SELECT insertar_estudiante(
+        ${datos.nombres},
+        ${datos.apellidos},
+        ${datos.cedula},
+        ${datos.telefono},
+        ${datos.correo},
+        ${datos.discapacidad_id},
+        ${datos.fecha_nacimiento}::date,
+        ${datos.observaciones},
+        ${datos.seguimiento},
+        ${datos.direccion},
+        ${datos.id_carrera},
+        ${datos.posee_conapdis},
+        ${datos.otro_telefono}
+    ) as id_estudiante;
+`;
+
 /**
  * @function crearEstudiante
  * @description Crea un nuevo registro de estudiante en la base de datos.
@@ -99,19 +609,7 @@ export const crearEstudiante = async (req, res) => {
         } = req.body;
 
         // Se aplican las funciones de formateo a los campos de texto pertinentes.
-        // Nombres y apellidos se convierten a "Capital Case".
-        nombres = toCapitalCase(nombres);
-        apellidos = toCapitalCase(apellidos);
-        
-        // El correo se convierte a minúsculas, solo si está presente.
-        if (correo) { 
-            correo = toLowerCase(correo);
-        }
-        
-        // La cédula se convierte a mayúsculas y se eliminan espacios extra, asumiendo el formato V/E-XXXX.
-        if (cedula) { // Asegúrate de que cedula existe antes de intentar su método
-            cedula = cedula.toUpperCase().replace(/\s/g, ''); 
-        }
+        ({ nombres, apellidos, correo, cedula } = formatearDatosEstudiante({ nombres, apellidos, correo, cedula }));
 
         // Se verifica la disponibilidad del objeto de conexión SQL inyectado en el request.
         if (!req.sql) {
@@ -119,23 +617,13 @@ export const crearEstudiante = async (req, res) => {
         }
 
         // Se llama a la función `insertar_estudiante` de la base de datos para guardar el nuevo registro.
-        const nuevoEstudiante = await req.sql`
-            SELECT insertar_estudiante(
-                ${nombres},
-                ${apellidos},
-                ${cedula},
-                ${telefono},
-                ${correo},
-                ${discapacidad_id},
-                ${fecha_nacimiento}::date,
-                ${observaciones},
-                ${seguimiento},
-                ${direccion},
-                ${id_carrera},
-                ${posee_conapdis},
-                ${otro_telefono}
-            ) as id_estudiante; 
-        `;
+        const [, nuevoEstudiante] = await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            insertarEstudiante(req.sql, {
+                nombres, apellidos, cedula, telefono, correo, discapacidad_id, fecha_nacimiento,
+                observaciones, seguimiento, direccion, id_carrera, posee_conapdis, otro_telefono
+            }),
+        ]);
 
         // Se valida que la inserción haya retornado un ID válido.
         if (!nuevoEstudiante.length || nuevoEstudiante[0].id_estudiante === null) {
@@ -200,6 +688,167 @@ export const crearEstudiante = async (req, res) => {
     }
 };
 
+/**
+ * @description Cantidad máxima de filas de datos aceptadas en una importación masiva.
+ * @type {number}
+ */
+const MAXIMO_FILAS_IMPORTACION = 1000;
+
+/**
+ * @description Columnas de la hoja de cálculo que se importan; coinciden con los campos que acepta `crearEstudiante`.
+ * @type {string[]}
+ */
+const CAMPOS_IMPORTACION_ESTUDIANTE = [
+    'nombres', 'apellidos', 'cedula', 'telefono', 'correo', 'direccion', 'discapacidad_id',
+    'fecha_nacimiento', 'observaciones', 'seguimiento', 'id_carrera', 'posee_conapdis', 'otro_telefono'
+];
+
+/**
+ * @description Nombres alternativos de columna (ya normalizados) aceptados en la importación y el campo al que corresponden.
+ * @type {Object<string, string>}
+ */
+const ALIAS_COLUMNAS_ESTUDIANTE = {
+    nombre: 'nombres',
+    apellido: 'apellidos',
+    ci: 'cedula',
+    cedula_de_identidad: 'cedula',
+    email: 'correo',
+    correo_electronico: 'correo',
+    fecha_de_nacimiento: 'fecha_nacimiento',
+    conapdis: 'posee_conapdis',
+};
+
+/**
+ * @function importarEstudiantes
+ * @description Importa estudiantes desde una hoja de cálculo (CSV o XLSX) recibida en el campo `archivo`.
+ * Las columnas se asocian por su encabezado a los campos de `crearEstudiante` y cada fila se valida con
+ * `crearEstudianteValidations`. También se marcan como inválidas las cédulas repetidas dentro del archivo
+ * y las que ya están registradas.
+ * - `modo=simulacion` (por defecto): solo devuelve el informe por fila, sin guardar nada.
+ * - `modo=confirmar`: inserta todas las filas válidas en una única transacción; si alguna inserción falla, no se guarda ninguna.
+ * @param {object} req - El objeto de la petición de Express, con el archivo en `req.file` y `modo` en la cadena de consulta.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con el informe de la importación o un mensaje de error.
+ */
+export const importarEstudiantes = async (req, res) => {
+    try {
+        const { modo = 'simulacion' } = matchedData(req, { locations: ['query'] });
+
+        let filas;
+        try {
+            filas = await leerHojaCalculo(req.file);
+        } catch (error) {
+            return res.status(400).json({ error: `No se pudo leer el archivo: ${error.message}` });
+        }
+        if (filas.length === 0) {
+            return res.status(400).json({ error: 'El archivo no contiene filas de datos' });
+        }
+        if (filas.length > MAXIMO_FILAS_IMPORTACION) {
+            return res.status(400).json({ error: `El archivo supera el máximo de ${MAXIMO_FILAS_IMPORTACION} filas por importación` });
+        }
+
+        // Se asocia cada columna a su campo; las columnas desconocidas se informan y se ignoran.
+        const columnasIgnoradas = new Set();
+        const informe = [];
+        for (const { fila, datos } of filas) {
+            const cuerpo = {};
+            for (const [columna, valor] of Object.entries(datos)) {
+                const campo = ALIAS_COLUMNAS_ESTUDIANTE[columna] ?? columna;
+                if (CAMPOS_IMPORTACION_ESTUDIANTE.includes(campo)) {
+                    cuerpo[campo] = valor;
+                } else {
+                    columnasIgnoradas.add(columna);
+                }
+            }
+
+            // Se aplican las mismas reglas que en POST /estudiantes sobre una petición simulada con la fila como cuerpo.
+            const solicitudFila = { body: cuerpo };
+            for (const validacion of estudianteValidations.crearEstudianteValidations) {
+                await validacion.run(solicitudFila);
+            }
+            const errores = validationResult(solicitudFila).array().map((error) => ({ campo: error.path, mensaje: error.msg }));
+
+            informe.push({ fila, datos: formatearDatosEstudiante(solicitudFila.body), errores });
+        }
+
+        // Se detectan las cédulas repetidas dentro del archivo y las que ya están registradas.
+        const filasPorCedula = new Map();
+        for (const registro of informe) {
+            const { cedula } = registro.datos;
+            if (cedula) filasPorCedula.set(cedula, [...(filasPorCedula.get(cedula) ?? []), registro.fila]);
+        }
+        // Las cédulas de estudiantes en la papelera también cuentan: siguen ocupando la cédula hasta que se purguen.
+        const cedulasRegistradas = new Map((await req.sql`
+            SELECT cedula, deleted_at IS NOT NULL AS en_papelera FROM estudiantes WHERE cedula = ANY(${[...filasPorCedula.keys()]})
+        `).map(({ cedula, en_papelera }) => [cedula, en_papelera]));
+
+        for (const registro of informe) {
+            const { cedula } = registro.datos;
+            if (!cedula) continue;
+            const filasCedula = filasPorCedula.get(cedula);
+            if (filasCedula.length > 1) {
+                registro.errores.push({ campo: 'cedula', mensaje: `La cédula ${cedula} está repetida en el archivo (filas ${filasCedula.join(', ')})` });
+            }
+            if (cedulasRegistradas.has(cedula)) {
+                const mensaje = cedulasRegistradas.get(cedula)
+                    ? `Ya existe un estudiante con la cédula ${cedula} en la papelera; restáurelo en lugar de importarlo`
+                    : `Ya existe un estudiante registrado con la cédula ${cedula}`;
+                registro.errores.push({ campo: 'cedula', mensaje });
+            }
+        }
+
+        const validas = informe.filter(({ errores }) => errores.length === 0);
+        const resumen = {
+            modo,
+            total_filas: informe.length,
+            filas_validas: validas.length,
+            filas_invalidas: informe.length - validas.length,
+            columnas_ignoradas: [...columnasIgnoradas],
+        };
+
+        if (modo === 'simulacion') {
+            return res.json({
+                ...resumen,
+                filas: informe.map(({ fila, datos, errores }) => ({ fila, cedula: datos.cedula ?? null, estado: errores.length ? 'invalida' : 'valida', errores })),
+            });
+        }
+
+        if (validas.length === 0) {
+            return res.status(400).json({
+                error: 'El archivo no contiene filas válidas para importar',
+                ...resumen,
+                filas: informe.map(({ fila, datos, errores }) => ({ fila, cedula: datos.cedula ?? null, estado: 'invalida', errores })),
+            });
+        }
+
+        let resultados;
+        try {
+            [, ...resultados] = await req.sql.transaction([
+                fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+                ...validas.map(({ datos }) => insertarEstudiante(req.sql, datos)),
+            ]);
+        } catch (error) {
+            // Una cédula registrada entre la validación y la inserción revierte toda la importación.
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'Otra operación registró una de las cédulas durante la importación. No se guardó ninguna fila; vuelva a intentarlo' });
+            }
+            throw error;
+        }
+        const idsPorFila = new Map(validas.map(({ fila }, i) => [fila, resultados[i][0].id_estudiante]));
+
+        res.status(201).json({
+            ...resumen,
+            filas_insertadas: idsPorFila.size,
+            filas: informe.map(({ fila, datos, errores }) => (idsPorFila.has(fila)
+                ? { fila, cedula: datos.cedula, estado: 'insertada', id_estudiante: idsPorFila.get(fila), errores }
+                : { fila, cedula: datos.cedula ?? null, estado: 'invalida', errores })),
+        });
+    } catch (error) {
+        console.error('Error al importar estudiantes:', error);
+        res.status(500).json({ error: 'Error al importar estudiantes' });
+    }
+};
+
 /**
  * @function editarEstudiante
  * @description Actualiza un registro de estudiante existente en la base de datos.
@@ -236,25 +885,30 @@ export const editarEstudiante = async (req, res) => {
             cedula = cedula.toUpperCase().replace(/\s/g, '');
         }
 
-        // Se llama a la función `editar_estudiante` de la base de datos para realizar la actualización.
-        const estudianteEditado = await req.sql`
-            SELECT editar_estudiante(
-                ${id_estudiante},
-                ${nombres},
-                ${apellidos},
-                ${cedula},
-                ${telefono},
-                ${correo},
-                ${discapacidad_id},
-                ${fecha_nacimiento}, 
-                ${observaciones},
-                ${seguimiento},
-                ${direccion},
-                ${id_carrera},
-                ${posee_conapdis},
-                ${otro_telefono}
-            ) as success_edit; 
-        `;
+        // Se llama a la función `editar_estudiante` de la base de datos para realizar la actualización,
+        // en una transacción que registra al autor en el historial de cambios y comprueba la versión indicada en If-Match.
+        const estudianteEditado = (await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.estudiantes, id_estudiante),
+            req.sql`
+                SELECT editar_estudiante(
+                    ${id_estudiante},
+                    ${nombres},
+                    ${apellidos},
+                    ${cedula},
+                    ${telefono},
+                    ${correo},
+                    ${discapacidad_id},
+                    ${fecha_nacimiento},
+                    ${observaciones},
+                    ${seguimiento},
+                    ${direccion},
+                    ${id_carrera},
+                    ${posee_conapdis},
+                    ${otro_telefono}
+                ) as success_edit
+            `,
+        ])).at(-1);
 
         // Se verifica si la función de la base de datos indicó que la edición fue exitosa.
         if (estudianteEditado.length === 0 || estudianteEditado[0].success_edit === false) {
@@ -265,14 +919,496 @@ export const editarEstudiante = async (req, res) => {
         res.json({ message: 'Estudiante actualizado correctamente' }); 
 
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.estudiantes, req.params.id_estudiante);
+        }
         console.error('Error al editar estudiante:', error);
         res.status(500).json({ error: 'Error al editar estudiante' });
     }
 };
 
+/**
+ * @description Actualiza parcialmente un estudiante con un documento JSON Merge Patch (RFC 7396): solo cambian
+ * los campos enviados y los enviados con `null` se borran (por ejemplo, `{ "correo": null }` o `{ "posee_conapdis": 0 }`,
+ * que con `PUT` se ignoraban). Los campos se validan con `estudianteValidations.crearEstudianteValidations` y se
+ * formatean con `formatearDatosEstudiante`. El estado se cambia con `POST /estudiantes/:id_estudiante/estado`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_estudiante` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el estudiante actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /estudiantes/:id_estudiante
+ */
+export const parchearEstudiante = crearControladorMergePatch({
+    tabla: 'estudiantes',
+    columnaId: 'id_estudiante',
+    campos: [
+        'nombres', 'apellidos', 'cedula', 'telefono', 'correo', 'direccion', 'discapacidad_id', 'fecha_nacimiento',
+        'observaciones', 'seguimiento', 'id_carrera', 'posee_conapdis', 'otro_telefono',
+    ],
+    validaciones: estudianteValidations.crearEstudianteValidations,
+    formatear: formatearDatosEstudiante,
+    noEncontrado: 'Estudiante no encontrado',
+    errorActualizar: 'Error al actualizar estudiante',
+});
+
+/**
+ * @description Transiciones de estado permitidas: para cada estado, los estados a los que puede pasar un estudiante.
+ * Un estudiante retirado o egresado puede reincorporarse (volver a `activo`); uno suspendido puede volver
+ * a `activo` o retirarse.
+ * @type {Object<string, string[]>}
+ */
+const TRANSICIONES_ESTADO_ESTUDIANTE = {
+    activo: ['egresado', 'retirado', 'suspendido'],
+    suspendido: ['activo', 'retirado'],
+    retirado: ['activo'],
+    egresado: ['activo'],
+};
+
+/**
+ * @function cambiarEstadoEstudiante
+ * @description Cambia el estado de un estudiante (activo, egresado, retirado o suspendido) y registra la transición
+ * en `estudiantes_estados_historial` con el motivo, el autor (usuario o API key) y la fecha.
+ * Solo se aceptan las transiciones de `TRANSICIONES_ESTADO_ESTUDIANTE`. La actualización y el registro del historial
+ * se hacen en una única sentencia que exige que el estado no haya cambiado desde que se consultó.
+ * Se espera que los datos hayan sido validados con `cambiarEstadoValidations`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params` y `estado` y `motivo` en `req.body`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con la transición registrada o un mensaje de error.
+ */
+export const cambiarEstadoEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+        const { estado, motivo } = req.body;
+
+        const estudiante = await req.sql`
+            SELECT estado FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+        `;
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        const estadoAnterior = estudiante[0].estado;
+        if (estadoAnterior === estado) {
+            return res.status(409).json({ error: `El estudiante ya se encuentra en estado ${estado}` });
+        }
+        const permitidos = TRANSICIONES_ESTADO_ESTUDIANTE[estadoAnterior] ?? [];
+        if (!permitidos.includes(estado)) {
+            return res.status(409).json({
+                error: `No se puede cambiar el estado de ${estadoAnterior} a ${estado}. Estados permitidos: ${permitidos.join(', ')}`,
+            });
+        }
+
+        const [, transicion] = await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            req.sql`
+                WITH actualizado AS (
+                    UPDATE estudiantes SET estado = ${estado}
+                    WHERE id_estudiante = ${id_estudiante} AND estado = ${estadoAnterior} AND deleted_at IS NULL
+                    RETURNING id_estudiante
+                )
+                INSERT INTO estudiantes_estados_historial (id_estudiante, estado_anterior, estado_nuevo, motivo, cambiado_por, id_api_key)
+                SELECT id_estudiante, ${estadoAnterior}, ${estado}, ${motivo}, ${req.user?.userId ?? null}, ${req.apiKey?.id_api_key ?? null}
+                FROM actualizado
+                RETURNING *
+            `,
+        ]);
+
+        // Si otra petición cambió el estado entre la consulta y la actualización, no se aplica ningún cambio.
+        if (transicion.length === 0) {
+            return res.status(409).json({ error: 'El estado del estudiante cambió durante la operación; vuelva a intentarlo' });
+        }
+
+        res.json({ message: 'Estado del estudiante actualizado correctamente', transicion: transicion[0] });
+    } catch (error) {
+        console.error('Error al cambiar el estado del estudiante:', error);
+        res.status(500).json({ error: 'Error al cambiar el estado del estudiante' });
+    }
+};
+
+/**
+ * @function obtenerHistorialEstadosEstudiante
+ * @description Obtiene el estado actual de un estudiante y el historial de sus cambios de estado, del más reciente
+ * al más antiguo, con el nombre del usuario o de la API key que hizo cada cambio.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON `{ id_estudiante, estado, historial }` o un mensaje de error.
+ */
+export const obtenerHistorialEstadosEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+
+        const [estudiante, historial] = await req.sql.transaction([
+            req.sql`SELECT id_estudiante, estado FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL`,
+            req.sql`
+                SELECT
+                    h.*,
+                    u.nombre || ' ' || u.apellido AS nombre_usuario,
+                    k.nombre AS nombre_api_key
+                FROM estudiantes_estados_historial h
+                LEFT JOIN usuarios u ON u.id_usuario = h.cambiado_por
+                LEFT JOIN api_keys k ON k.id_api_key = h.id_api_key
+                WHERE h.id_estudiante = ${id_estudiante}
+                ORDER BY h.cambiado_en DESC, h.id_historial DESC
+            `,
+        ], { readOnly: true });
+
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        res.json({ ...estudiante[0], historial });
+    } catch (error) {
+        console.error('Error al obtener el historial de estados del estudiante:', error);
+        res.status(500).json({ error: 'Error al obtener el historial de estados del estudiante' });
+    }
+};
+
+/**
+ * @function obtenerHistorialCambiosEstudiante
+ * @description Obtiene una página del historial de cambios por campo de un estudiante, de sus representantes
+ * y de sus discapacidades asociadas, del más reciente al más antiguo. Cada cambio incluye el valor anterior y el nuevo de los campos modificados
+ * y el usuario o la API key que lo hizo. Los cambios de los representantes solo se incluyen si el autor
+ * de la petición puede leer representantes. Acepta los filtros `tabla`, `campo`, `desde` y `hasta`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON `{ datos, paginacion }` o un mensaje de error.
+ */
+export const obtenerHistorialCambiosEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+        const { parametros, limit, offset } = obtenerParametrosListado(req);
+        const tablas = TABLAS_HISTORIAL_CAMBIOS.filter((tabla) => puedeAcceder(req, RECURSO_POR_TABLA_HISTORIAL[tabla], 'leer'));
+
+        const condiciones = [req.sql`h.id_estudiante = ${id_estudiante}`, req.sql`h.tabla = ANY(${tablas})`];
+        if (parametros.tabla !== undefined) condiciones.push(req.sql`h.tabla = ${parametros.tabla}`);
+        if (parametros.campo !== undefined) condiciones.push(req.sql`h.cambios ? ${parametros.campo}`);
+        if (parametros.desde !== undefined) condiciones.push(req.sql`h.cambiado_en::date >= ${parametros.desde}::date`);
+        if (parametros.hasta !== undefined) condiciones.push(req.sql`h.cambiado_en::date <= ${parametros.hasta}::date`);
+        const condicion = unirCondiciones(condiciones);
+
+        const [estudiante, datos, conteo] = await req.sql.transaction([
+            req.sql`SELECT id_estudiante FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL`,
+            req.sql`
+                SELECT
+                    h.*,
+                    u.nombre || ' ' || u.apellido AS nombre_usuario,
+                    k.nombre AS nombre_api_key
+                FROM historial_cambios h
+                LEFT JOIN usuarios u ON u.id_usuario = h.cambiado_por
+                LEFT JOIN api_keys k ON k.id_api_key = h.id_api_key
+                WHERE ${condicion}
+                ORDER BY h.cambiado_en DESC, h.id_cambio DESC
+                LIMIT ${limit} OFFSET ${offset}
+            `,
+            req.sql`SELECT COUNT(*)::int AS total FROM historial_cambios h WHERE ${condicion}`,
+        ], { readOnly: true });
+
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+    } catch (error) {
+        console.error('Error al obtener el historial de cambios del estudiante:', error);
+        res.status(500).json({ error: 'Error al obtener el historial de cambios del estudiante' });
+    }
+};
+
+/**
+ * @function obtenerVersionEstudiante
+ * @description Obtiene los datos de un estudiante y de sus representantes tal como eran en una fecha, deshaciendo
+ * los cambios posteriores registrados en el historial. Con solo la fecha (AAAA-MM-DD) se muestra el estado al final
+ * de ese día. Los representantes se incluyen solo si el autor de la petición puede leerlos, y solo los que
+ * pertenecían al estudiante y no estaban en la papelera en esa fecha.
+ * Se espera que los datos hayan sido validados con `versionEstudianteValidations`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params` y `fecha` en la cadena de consulta.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON `{ fecha, estudiante, representantes }` o un mensaje de error.
+ */
+export const obtenerVersionEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+        const { fecha } = matchedData(req, { locations: ['query'] });
+        const incluirRepresentantes = puedeAcceder(req, 'representantes', 'leer');
+
+        const soloFecha = /^\d{4}-\d{2}-\d{2}$/.test(fecha);
+        const posteriorA = (columna) => soloFecha
+            ? req.sql`${req.sql.unsafe(columna)} >= ${fecha}::date + 1`
+            : req.sql`${req.sql.unsafe(columna)} > ${fecha}::timestamptz`;
+        // Representantes que pertenecen o pertenecieron al estudiante.
+        const representantes = req.sql`
+            SELECT r.* FROM representantes r
+            WHERE r.id_estudiante = ${id_estudiante}
+                OR r.id_representante IN (
+                    SELECT id_registro FROM historial_cambios
+                    WHERE tabla = 'representantes' AND id_estudiante = ${id_estudiante}
+                )
+        `;
+
+        const consultas = [
+            req.sql`
+                SELECT to_jsonb(e) AS datos, ${posteriorA('e.fecha_registro')} AS registrado_despues
+                FROM estudiantes e
+                WHERE e.id_estudiante = ${id_estudiante} AND e.deleted_at IS NULL
+            `,
+            req.sql`
+                SELECT h.operacion, h.cambios FROM historial_cambios h
+                WHERE h.tabla = 'estudiantes' AND h.id_registro = ${id_estudiante} AND ${posteriorA('h.cambiado_en')}
+                ORDER BY h.cambiado_en DESC, h.id_cambio DESC
+            `,
+        ];
+        if (incluirRepresentantes) {
+            consultas.push(
+                req.sql`SELECT to_jsonb(r) AS datos FROM (${representantes}) r`,
+                req.sql`
+                    SELECT h.id_registro, h.operacion, h.cambios FROM historial_cambios h
+                    WHERE h.tabla = 'representantes' AND ${posteriorA('h.cambiado_en')}
+                        AND h.id_registro IN (SELECT id_representante FROM (${representantes}) r)
+                    ORDER BY h.cambiado_en DESC, h.id_cambio DESC
+                `,
+            );
+        }
+        const [estudiante, cambiosEstudiante, actuales, cambiosRepresentantes] = await req.sql.transaction(consultas, { readOnly: true });
+
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+        const version = reconstruirVersion(estudiante[0].datos, cambiosEstudiante);
+        // Los estudiantes registrados antes de que existiera el historial no tienen un cambio de creación.
+        if (!version || estudiante[0].registrado_despues) {
+            return res.status(404).json({ error: `El estudiante no estaba registrado el ${fecha}` });
+        }
+
+        const respuesta = { fecha, estudiante: version };
+        if (incluirRepresentantes) {
+            respuesta.representantes = actuales
+                .map(({ datos }) => reconstruirVersion(
+                    datos,
+                    cambiosRepresentantes.filter(({ id_registro }) => id_registro === datos.id_representante),
+                ))
+                .filter((representante) => representante
+                    && representante.id_estudiante === Number(id_estudiante)
+                    && representante.deleted_at === null);
+        }
+
+        res.json(respuesta);
+    } catch (error) {
+        console.error('Error al obtener la versión del estudiante:', error);
+        res.status(500).json({ error: 'Error al obtener la versión del estudiante' });
+    }
+};
+
+/**
+ * @description Campos editables de la asociación entre un estudiante y una discapacidad.
+ * @type {string[]}
+ */
+const CAMPOS_DISCAPACIDAD_ESTUDIANTE = ['severidad', 'fecha_diagnostico', 'certificado_conapdis', 'observaciones'];
+
+/**
+ * @function obtenerDiscapacidadesEstudiante
+ * @description Obtiene las discapacidades asociadas a un estudiante, ordenadas por nombre, con su severidad,
+ * fecha de diagnóstico, número de certificado CONAPDIS y observaciones.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con las discapacidades o un mensaje de error.
+ */
+export const obtenerDiscapacidadesEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+
+        const [estudiante, discapacidades] = await req.sql.transaction([
+            req.sql`SELECT id_estudiante FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL`,
+            req.sql`
+                SELECT ed.*, d.discapacidad
+                FROM estudiantes_discapacidades ed
+                JOIN discapacidades d ON d.discapacidad_id = ed.discapacidad_id
+                WHERE ed.id_estudiante = ${id_estudiante}
+                ORDER BY d.discapacidad
+            `,
+        ], { readOnly: true });
+
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+
+        res.json(discapacidades);
+    } catch (error) {
+        console.error('Error al obtener las discapacidades del estudiante:', error);
+        res.status(500).json({ error: 'Error al obtener las discapacidades del estudiante' });
+    }
+};
+
+/**
+ * @function agregarDiscapacidadEstudiante
+ * @description Asocia una discapacidad a un estudiante con su severidad, fecha de diagnóstico, certificado CONAPDIS
+ * y observaciones (opcionales). Si el estudiante no tenía discapacidad principal (`estudiantes.discapacidad_id`),
+ * esta pasa a serlo. Se espera que los datos hayan sido validados con `agregarDiscapacidadValidations`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` en `req.params` y los datos en `req.body`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con la asociación creada o un mensaje de error.
+ */
+export const agregarDiscapacidadEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante } = req.params;
+        const { discapacidad_id, severidad, fecha_diagnostico, certificado_conapdis, observaciones } = req.body;
+
+        const [estudiante, discapacidad] = await req.sql.transaction([
+            req.sql`SELECT id_estudiante FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL`,
+            req.sql`SELECT discapacidad FROM discapacidades WHERE discapacidad_id = ${discapacidad_id}`,
+        ], { readOnly: true });
+        if (estudiante.length === 0) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
+        if (discapacidad.length === 0) {
+            return res.status(404).json({ error: 'Discapacidad no encontrada' });
+        }
+
+        const [, asociacion] = await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            req.sql`
+                WITH asociada AS (
+                    INSERT INTO estudiantes_discapacidades
+                        (id_estudiante, discapacidad_id, severidad, fecha_diagnostico, certificado_conapdis, observaciones)
+                    VALUES (
+                        ${id_estudiante}, ${discapacidad_id}, ${severidad ?? null}, ${fecha_diagnostico ?? null},
+                        ${certificado_conapdis ?? null}, ${observaciones ?? null}
+                    )
+                    ON CONFLICT DO NOTHING
+                    RETURNING *
+                ),
+                principal AS (
+                    UPDATE estudiantes SET discapacidad_id = ${discapacidad_id}
+                    WHERE id_estudiante = ${id_estudiante} AND discapacidad_id IS NULL AND EXISTS (SELECT 1 FROM asociada)
+                )
+                SELECT * FROM asociada
+            `,
+        ]);
+        if (asociacion.length === 0) {
+            return res.status(409).json({ error: `El estudiante ya tiene asociada la discapacidad ${discapacidad[0].discapacidad}` });
+        }
+
+        fijarEtag(res, asociacion[0]).status(201).json({
+            message: 'Discapacidad asociada correctamente',
+            discapacidad: { ...asociacion[0], discapacidad: discapacidad[0].discapacidad },
+        });
+    } catch (error) {
+        console.error('Error al asociar la discapacidad al estudiante:', error);
+        res.status(500).json({ error: 'Error al asociar la discapacidad al estudiante' });
+    }
+};
+
+/**
+ * @function editarDiscapacidadEstudiante
+ * @description Edita los datos de la discapacidad asociada a un estudiante. Solo se modifican los campos
+ * de `CAMPOS_DISCAPACIDAD_ESTUDIANTE` presentes en el cuerpo; `null` los borra.
+ * Con la cabecera `If-Match`, responde `412` si la asociación fue modificada desde que se consultó.
+ * Se espera que los datos hayan sido validados con `editarDiscapacidadValidations`.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` y `discapacidad_id` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON con la asociación actualizada o un mensaje de error.
+ */
+export const editarDiscapacidadEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante, discapacidad_id } = req.params;
+
+        const campos = CAMPOS_DISCAPACIDAD_ESTUDIANTE.filter((campo) => req.body[campo] !== undefined);
+        if (campos.length === 0) {
+            return res.status(400).json({ error: `Debe indicar al menos un campo: ${CAMPOS_DISCAPACIDAD_ESTUDIANTE.join(', ')}` });
+        }
+        const asignaciones = campos
+            .map((campo) => req.sql`${req.sql.unsafe(campo)} = ${req.body[campo]}`)
+            .reduce((lista, asignacion) => req.sql`${lista}, ${asignacion}`);
+
+        const asociacion = (await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.estudiantes_discapacidades, [id_estudiante, discapacidad_id]),
+            req.sql`
+                UPDATE estudiantes_discapacidades ed SET ${asignaciones}
+                FROM estudiantes e
+                WHERE ed.id_estudiante = ${id_estudiante} AND ed.discapacidad_id = ${discapacidad_id}
+                    AND e.id_estudiante = ed.id_estudiante AND e.deleted_at IS NULL
+                RETURNING ed.*
+            `,
+        ])).at(-1);
+        if (asociacion.length === 0) {
+            return res.status(404).json({ error: 'El estudiante no tiene asociada esa discapacidad' });
+        }
+
+        fijarEtag(res, asociacion[0]).json({ message: 'Discapacidad del estudiante actualizada correctamente', discapacidad: asociacion[0] });
+    } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(
+                res,
+                ENTIDADES_VERSIONADAS.estudiantes_discapacidades,
+                [req.params.id_estudiante, req.params.discapacidad_id],
+            );
+        }
+        console.error('Error al editar la discapacidad del estudiante:', error);
+        res.status(500).json({ error: 'Error al editar la discapacidad del estudiante' });
+    }
+};
+
+/**
+ * @function eliminarDiscapacidadEstudiante
+ * @description Quita una discapacidad de un estudiante. Si era su discapacidad principal (`estudiantes.discapacidad_id`),
+ * pasa a serlo la asociada más antigua de las restantes, o ninguna.
+ * Con la cabecera `If-Match`, responde `412` si la asociación fue modificada desde que se consultó.
+ * @param {object} req - El objeto de la petición de Express, con `id_estudiante` y `discapacidad_id` en `req.params`.
+ * @param {object} res - El objeto de la respuesta de Express.
+ * @returns {void} Envía una respuesta JSON indicando el éxito de la eliminación o un mensaje de error.
+ */
+export const eliminarDiscapacidadEstudiante = async (req, res) => {
+    try {
+        const { id_estudiante, discapacidad_id } = req.params;
+
+        // La subconsulta de la discapacidad principal no ve el DELETE de la misma sentencia, por eso excluye la eliminada.
+        const eliminada = (await req.sql.transaction([
+            fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.estudiantes_discapacidades, [id_estudiante, discapacidad_id]),
+            req.sql`
+                WITH eliminada AS (
+                    DELETE FROM estudiantes_discapacidades ed
+                    USING estudiantes e
+                    WHERE ed.id_estudiante = ${id_estudiante} AND ed.discapacidad_id = ${discapacidad_id}
+                        AND e.id_estudiante = ed.id_estudiante AND e.deleted_at IS NULL
+                    RETURNING ed.id_estudiante
+                ),
+                principal AS (
+                    UPDATE estudiantes e SET discapacidad_id = (
+                        SELECT ed.discapacidad_id FROM estudiantes_discapacidades ed
+                        WHERE ed.id_estudiante = e.id_estudiante AND ed.discapacidad_id <> ${discapacidad_id}
+                        ORDER BY ed.fecha_registro, ed.discapacidad_id
+                        LIMIT 1
+                    )
+                    WHERE e.id_estudiante = ${id_estudiante} AND e.discapacidad_id = ${discapacidad_id}
+                        AND EXISTS (SELECT 1 FROM eliminada)
+                )
+                SELECT * FROM eliminada
+            `,
+        ])).at(-1);
+        if (eliminada.length === 0) {
+            return res.status(404).json({ error: 'El estudiante no tiene asociada esa discapacidad' });
+        }
+
+        res.json({ message: 'Discapacidad quitada del estudiante correctamente' });
+    } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(
+                res,
+                ENTIDADES_VERSIONADAS.estudiantes_discapacidades,
+                [req.params.id_estudiante, req.params.discapacidad_id],
+            );
+        }
+        console.error('Error al quitar la discapacidad del estudiante:', error);
+        res.status(500).json({ error: 'Error al quitar la discapacidad del estudiante' });
+    }
+};
+
 /**
  * @function eliminarEstudiante
- * @description Elimina un registro de estudiante de la base de datos basándose en su ID.
+ * @description Envía un estudiante a la papelera (eliminación lógica) junto con sus representantes, citas,
+ * incidencias, historial médico y reportes psicológicos. Los registros dejan de aparecer en las consultas
+ * y pueden restaurarse desde `/papelera` hasta que un administrador los purgue.
  * Esta función espera que el 'id_estudiante' haya sido validado previamente
  * en el middleware de rutas.
  * @param {object} req - El objeto de la petición de Express, que contiene 'id_estudiante' en `req.params`.
@@ -283,19 +1419,26 @@ export const eliminarEstudiante = async (req, res) => {
     try {
         const { id_estudiante } = req.params; // Se extrae el ID del estudiante a eliminar.
 
-        // Se llama a la función `eliminar_estudiante` de la base de datos.
-        const estudianteEliminado = await req.sql`
-            SELECT eliminar_estudiante(${id_estudiante}) as success
-        `;
+        // Se marca el estudiante y sus registros asociados como eliminados, registrando quién lo hizo.
+        const estudianteEliminado = await moverAPapelera(
+            'estudiantes',
+            id_estudiante,
+            req.user?.userId ?? null,
+            comprobarVersion(req, ENTIDADES_VERSIONADAS.estudiantes, id_estudiante),
+            req.apiKey?.id_api_key ?? null,
+        );
 
-        // Se verifica si la eliminación fue exitosa (la función devuelve 'true').
-        if (!estudianteEliminado.length || estudianteEliminado[0].success === false) {
+        // Si el estudiante no existe o ya estaba en la papelera, se responde 404.
+        if (!estudianteEliminado) {
             return res.status(404).json({ error: 'Estudiante no encontrado' });
         }
 
         // Se envía una respuesta de éxito 200 (OK).
         res.json({ message: 'Estudiante eliminado correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.estudiantes, req.params.id_estudiante);
+        }
         console.error('Error al eliminar estudiante:', error);
         res.status(500).json({ error: 'Error al eliminar estudiante' });
     }
@@ -14,6 +14,8 @@
 import { sql } from '../db.js'; // Importa la conexión a la base de datos
 import { validationResult } from 'express-validator'; // Para la validación de datos
 import { facultadesValidations } from '../validations/facultades.validations.js'; // Importa las validaciones de facultades
+import { crearControladorMergePatch } from '../utilities/mergePatch.js'; // Actualización parcial (JSON Merge Patch)
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js'; // Control de concurrencia (ETag / If-Match)
 
 /**
  * @description Convierte una cadena de texto a formato "Título de Caso" (primera letra de cada palabra en mayúscula).
@@ -80,7 +82,7 @@ export const obtenerFacultadPorId = async (req, res) => {
     if (facultad.length === 0) {
       return res.status(404).json({ error: 'Facultad no encontrada' });
     }
-    res.json(facultad[0]);
+    fijarEtag(res, facultad[0]).json(facultad[0]);
   } catch (error) {
     console.error('Error al obtener facultad por ID:', error);
     res.status(500).json({ error: 'Error al obtener facultad por ID' });
@@ -158,21 +160,48 @@ export const editarFacultad = async (req, res) => {
       formattedSiglas = toUpperCase(siglas);
     }
 
-    // Llama a una función almacenada en la base de datos para editar la facultad.
-    const result = await sql`
-      SELECT editar_facultad(${id_facultad}, ${formattedFacultad}, ${formattedSiglas}) AS success
-    `;
+    // Llama a una función almacenada en la base de datos para editar la facultad,
+    // después de comprobar la versión indicada en If-Match.
+    const result = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.facultades, id_facultad),
+      sql`
+        SELECT editar_facultad(${id_facultad}, ${formattedFacultad}, ${formattedSiglas}) AS success
+      `,
+    ])).at(-1);
     // Si la función de la DB indica que no se pudo actualizar (ej. facultad no encontrada), devuelve 404.
     if (!result[0].success) {
       return res.status(404).json({ error: 'Facultad no encontrada o no se pudo actualizar' });
     }
     res.json({ message: 'Facultad actualizada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.facultades, req.params.id_facultad);
+    }
     console.error('Error al editar facultad:', error);
     res.status(500).json({ error: 'Error al editar facultad' });
   }
 };
 
+/**
+ * @description Actualiza parcialmente una facultad con un documento JSON Merge Patch (RFC 7396).
+ * Los campos se validan con `facultadesValidations.crearFacultadValidations` y se formatean como al crearla.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_facultad` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la facultad actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /facultades/:id_facultad
+ */
+export const parchearFacultad = crearControladorMergePatch({
+  tabla: 'facultades',
+  columnaId: 'id_facultad',
+  campos: ['facultad', 'siglas'],
+  validaciones: facultadesValidations.crearFacultadValidations,
+  formatear: ({ facultad, siglas }) => ({ facultad: toTitleCase(facultad), siglas: toUpperCase(siglas) }),
+  eliminacionLogica: false,
+  noEncontrado: 'Facultad no encontrada',
+  errorActualizar: 'Error al actualizar la facultad',
+});
+
 /**
  * @description Elimina una facultad de la base de datos por su ID.
  * Aplica validaciones al parámetro de ID antes de proceder con la eliminación.
@@ -194,16 +223,23 @@ export const eliminarFacultad = async (req, res) => {
 
   try {
     const { id_facultad } = req.params;
-    // Llama a una función almacenada en la base de datos para eliminar la facultad.
-    const result = await sql`
-      SELECT eliminar_facultad(${id_facultad}) AS success
-    `;
+    // Llama a una función almacenada en la base de datos para eliminar la facultad,
+    // después de comprobar la versión indicada en If-Match.
+    const result = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.facultades, id_facultad),
+      sql`
+        SELECT eliminar_facultad(${id_facultad}) AS success
+      `,
+    ])).at(-1);
     // Si la función de la DB indica que no se pudo eliminar (ej. facultad no encontrada), devuelve 404.
     if (!result[0].success) {
       return res.status(404).json({ error: 'Facultad no encontrada o no se pudo eliminar' });
     }
     res.json({ message: 'Facultad eliminada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.facultades, req.params.id_facultad);
+    }
     console.error('Error al eliminar facultad:', error);
     res.status(500).json({ error: 'Error al eliminar facultad' });
   }
@@ -15,29 +15,76 @@ import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { incidenciasValidations } from '../validations/incidencias.validations.js';
 import { toCapitalCase } from '../utilities/formatters.js'; // Importa la función de formateo
+import { obtenerFormatoRespuesta, enviarExportacion } from '../utilities/exportaciones.js'; // Exportación de listados a CSV y XLSX
+import { moverAPapelera, nuevoEstudianteVigente } from '../utilities/papelera.js'; // Eliminación lógica (papelera)
+import { crearControladorMergePatch } from '../utilities/mergePatch.js'; // Actualización parcial (JSON Merge Patch)
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js'; // Control de concurrencia (ETag / If-Match)
+
+/**
+ * @description Columnas de la exportación del listado de incidencias a CSV y XLSX.
+ * @type {Array<{campo: string, titulo: string, tipo?: string}>}
+ */
+const COLUMNAS_EXPORTACION_INCIDENCIAS = [
+  { campo: 'id_incidencia', titulo: 'ID', tipo: 'numero' },
+  { campo: 'cedula_estudiante', titulo: 'Cédula del estudiante' },
+  { campo: 'nombre_estudiante', titulo: 'Nombres del estudiante' },
+  { campo: 'apellido_estudiante', titulo: 'Apellidos del estudiante' },
+  { campo: 'fecha_incidente', titulo: 'Fecha del incidente', tipo: 'fecha' },
+  { campo: 'hora_incidente', titulo: 'Hora del incidente' },
+  { campo: 'lugar_incidente', titulo: 'Lugar' },
+  { campo: 'descripcion_incidente', titulo: 'Descripción' },
+  { campo: 'acuerdos', titulo: 'Acuerdos' },
+  { campo: 'observaciones', titulo: 'Observaciones' },
+];
+
+/**
+ * @description Consulta el listado de incidencias con los datos del estudiante, de la más reciente a la más antigua.
+ * Sin argumentos devuelve todas las incidencias (`LIMIT NULL`); con ellos, un lote para la exportación.
+ * @param {number|null} [limite=null] - Cantidad máxima de incidencias.
+ * @param {number} [desplazamiento=0] - Cantidad de incidencias a omitir.
+ * @returns {object} Consulta SQL pendiente de ejecutar.
+ */
+const consultarIncidencias = (limite = null, desplazamiento = 0) => sql`
+  SELECT 
+    i.*, 
+    e.nombres AS nombre_estudiante, 
+    e.apellidos AS apellido_estudiante, 
+    e.cedula AS cedula_estudiante
+  FROM incidencias i
+  JOIN estudiantes e ON i.id_estudiante = e.id_estudiante
+  WHERE i.deleted_at IS NULL AND e.deleted_at IS NULL
+  ORDER BY i.fecha_incidente DESC, i.id_incidencia
+  LIMIT ${limite} OFFSET ${desplazamiento}
+`;
 
 /**
  * @description Obtiene todas las incidencias registradas en el sistema.
  * Realiza una unión con la tabla de estudiantes para incluir el nombre completo y la cédula
  * del estudiante asociado a cada incidencia y ordena los resultados por fecha de incidente de forma descendente.
+ * Con `?format=csv|xlsx` (o la cabecera `Accept`) se exporta el listado como hoja de cálculo.
  * @param {object} req - Objeto de solicitud de Express.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un array de objetos de incidencia o un mensaje de error.
+ * @returns {Promise<void>} Responde con un array de objetos de incidencia, el archivo exportado o un mensaje de error.
  * @method GET
  * @route /incidencias
  */
 export const obtenerIncidencias = async (req, res) => {
   try {
-    const incidencias = await sql`
-      SELECT 
-        i.*, 
-        e.nombres AS nombre_estudiante, 
-        e.apellidos AS apellido_estudiante, 
-        e.cedula AS cedula_estudiante
-      FROM incidencias i
-      JOIN estudiantes e ON i.id_estudiante = e.id_estudiante
-      ORDER BY i.fecha_incidente DESC
-    `;
+    const formato = obtenerFormatoRespuesta(req);
+    if (!formato) {
+      return res.status(400).json({ error: 'Formato no admitido. Formatos permitidos: json, csv, xlsx' });
+    }
+
+    if (formato !== 'json') {
+      return await enviarExportacion(res, {
+        formato,
+        nombre: 'incidencias',
+        columnas: COLUMNAS_EXPORTACION_INCIDENCIAS,
+        consultarLote: consultarIncidencias,
+      });
+    }
+
+    const incidencias = await consultarIncidencias();
     res.json(incidencias);
   } catch (error) {
     console.error('Error al obtener incidencias:', error);
@@ -73,7 +120,7 @@ export const obtenerIncidenciaPorId = async (req, res) => {
         e.cedula AS cedula_estudiante
       FROM incidencias i
       JOIN estudiantes e ON i.id_estudiante = e.id_estudiante
-      WHERE i.id_incidencia = ${id_incidencia}
+      WHERE i.id_incidencia = ${id_incidencia} AND i.deleted_at IS NULL AND e.deleted_at IS NULL
       ORDER BY i.fecha_incidente DESC
     `;
 
@@ -81,7 +128,7 @@ export const obtenerIncidenciaPorId = async (req, res) => {
       return res.status(404).json({ error: 'Incidencia no encontrada' });
     }
 
-    res.json(incidencia[0]);
+    fijarEtag(res, incidencia[0]).json(incidencia[0]);
   } catch (error) {
     console.error('Error al obtener incidencia por ID:', error);
     res.status(500).json({ error: 'Error al obtener incidencia por ID' });
@@ -109,7 +156,7 @@ export const obtenerIncidenciasPorEstudiante = async (req, res) => {
         e.cedula AS cedula_estudiante
       FROM incidencias i
       JOIN estudiantes e ON i.id_estudiante = e.id_estudiante
-      WHERE i.id_estudiante = ${id_estudiante}
+      WHERE i.id_estudiante = ${id_estudiante} AND i.deleted_at IS NULL AND e.deleted_at IS NULL
       ORDER BY i.fecha_incidente DESC
     `;
 
@@ -166,7 +213,8 @@ export const crearIncidencia = async (req, res) => {
     }
 
 
-    // Llama a una función almacenada en la base de datos para insertar la nueva incidencia.
+    // Llama a una función almacenada en la base de datos para insertar la nueva incidencia,
+    // solo si el estudiante existe y no está en la papelera.
     const nuevaIncidencia = await sql`
       SELECT insertar_incidencia(
         ${id_estudiante},
@@ -176,8 +224,12 @@ export const crearIncidencia = async (req, res) => {
         ${descripcion_incidente},
         ${acuerdos},
         ${observaciones || null}
-      ) as incidencia;
+      ) as incidencia
+      FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL;
     `;
+    if (nuevaIncidencia.length === 0) {
+      return res.status(404).json({ error: "Estudiante no encontrado" });
+    }
 
     // Verificar que se haya retornado una incidencia válida
     if (!nuevaIncidencia.length || !nuevaIncidencia[0].incidencia) {
@@ -198,7 +250,8 @@ export const crearIncidencia = async (req, res) => {
  * a "Capital Case" si se proporcionan.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_incidencia` y campos opcionales en `req.body`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con un mensaje de éxito, con 404 si el nuevo `id_estudiante` no existe o está
+ * en la papelera, o con errores de validación/servidor.
  * @method PUT
  * @route /incidencias/:id_incidencia
  */
@@ -230,34 +283,75 @@ export const editarIncidencia = async (req, res) => {
     if (acuerdos) acuerdos = toCapitalCase(acuerdos);
     if (observaciones) observaciones = toCapitalCase(observaciones);
 
-    // Llama a una función almacenada en la base de datos para editar la incidencia.
-    const incidenciaEditada = await sql`
-      SELECT editar_incidencia(
-        ${id_incidencia},
-        ${id_estudiante || null},
-        ${hora_incidente || null},
-        ${fecha_incidente || null},
-        ${lugar_incidente || null},
-        ${descripcion_incidente || null},
-        ${acuerdos || null},
-        ${observaciones || null}
-      ) as success
-    `;
+    // Llama a una función almacenada en la base de datos para editar la incidencia,
+    // después de comprobar la versión indicada en If-Match.
+    const incidenciaEditada = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.incidencias, id_incidencia),
+      sql`
+        SELECT editar_incidencia(
+          ${id_incidencia},
+          ${id_estudiante || null},
+          ${hora_incidente || null},
+          ${fecha_incidente || null},
+          ${lugar_incidente || null},
+          ${descripcion_incidente || null},
+          ${acuerdos || null},
+          ${observaciones || null}
+        ) as success
+        WHERE ${nuevoEstudianteVigente(id_estudiante || null)}
+      `,
+    ])).at(-1);
 
+    // Sin filas, el nuevo estudiante no existe o está en la papelera y la incidencia no se modificó.
+    if (!incidenciaEditada.length) {
+      return res.status(404).json({ error: 'Estudiante no encontrado' });
+    }
     // Si la función de la DB indica que no se pudo actualizar (ej. incidencia no encontrada), devuelve 404.
-    if (!incidenciaEditada.length || !incidenciaEditada[0].success) {
+    if (!incidenciaEditada[0].success) {
       return res.status(404).json({ error: 'Incidencia no encontrada o no se pudo actualizar' });
     }
 
     res.json({ message: 'Incidencia actualizada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.incidencias, req.params.id_incidencia);
+    }
     console.error('Error al editar incidencia:', error);
     res.status(500).json({ error: 'Error al editar incidencia' });
   }
 };
 
 /**
- * @description Elimina una incidencia de la base de datos por su ID.
+ * @description Actualiza parcialmente una incidencia con un documento JSON Merge Patch (RFC 7396): solo cambian
+ * los campos enviados y los enviados con `null` se borran (por ejemplo, `{ "observaciones": null }`).
+ * Los campos se validan con `incidenciasValidations.crearIncidenciaValidations` y
+ * `incidenciasValidations.parchearIncidenciaValidations`, y los de texto se formatean a "Capital Case".
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_incidencia` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la incidencia actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /incidencias/:id_incidencia
+ */
+export const parchearIncidencia = crearControladorMergePatch({
+  tabla: 'incidencias',
+  columnaId: 'id_incidencia',
+  campos: ['id_estudiante', 'hora_incidente', 'fecha_incidente', 'lugar_incidente', 'descripcion_incidente', 'acuerdos', 'observaciones'],
+  validaciones: [...incidenciasValidations.crearIncidenciaValidations, ...incidenciasValidations.parchearIncidenciaValidations],
+  formatear: (valores) => ({
+    ...valores,
+    lugar_incidente: toCapitalCase(valores.lugar_incidente),
+    descripcion_incidente: toCapitalCase(valores.descripcion_incidente),
+    acuerdos: toCapitalCase(valores.acuerdos),
+    observaciones: toCapitalCase(valores.observaciones),
+  }),
+  condicion: ({ id_estudiante }) => nuevoEstudianteVigente(id_estudiante),
+  noEncontrado: 'Incidencia o estudiante no encontrado',
+  errorActualizar: 'Error al actualizar incidencia',
+});
+
+/**
+ * @description Envía una incidencia a la papelera (eliminación lógica) por su ID.
+ * La incidencia deja de aparecer en las consultas y puede restaurarse desde `/papelera`.
  * Aplica validación al parámetro `id_incidencia`.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_incidencia`.
  * @param {object} res - Objeto de respuesta de Express.
@@ -276,18 +370,24 @@ export const eliminarIncidencia = async (req, res) => {
   try {
     const { id_incidencia } = req.params;
 
-    // Llama a una función almacenada en la base de datos para eliminar la incidencia.
-    const incidenciaEliminada = await sql`
-      SELECT eliminar_incidencia(${id_incidencia}) as success
-    `;
+    // Marca la incidencia como eliminada, registrando quién la eliminó.
+    const incidenciaEliminada = await moverAPapelera(
+      'incidencias',
+      id_incidencia,
+      req.user?.userId ?? null,
+      comprobarVersion(req, ENTIDADES_VERSIONADAS.incidencias, id_incidencia),
+    );
 
-    // Si la función de la DB indica que no se pudo eliminar (ej. incidencia no encontrada), devuelve 404.
-    if (!incidenciaEliminada.length || !incidenciaEliminada[0].success) {
+    // Si la incidencia no existe o ya estaba en la papelera, devuelve 404.
+    if (!incidenciaEliminada) {
       return res.status(404).json({ error: 'Incidencia no encontrada o no se pudo eliminar' });
     }
 
     res.json({ message: 'Incidencia eliminada correctamente' });
   } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.incidencias, req.params.id_incidencia);
+    }
     console.error('Error al eliminar incidencia:', error);
     res.status(500).json({ error: 'Error al eliminar incidencia' });
   }
@@ -0,0 +1,267 @@
+/**
+ * @file Este archivo contiene los controladores para la gestión de las inscripciones.
+ * @description Implementa la lógica para obtener, crear, editar y eliminar las inscripciones de los estudiantes
+ * en los cursos de cada período académico. Las inscripciones de los estudiantes que están en la papelera
+ * no aparecen en las consultas ni se pueden modificar.
+ * Se espera que los datos hayan sido validados con `inscripcionesValidations` en las rutas.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/inscripciones.controller
+ * @see {@link module:validations/inscripciones.validations} Para las reglas de validación de datos.
+ */
+
+import { sql } from '../db.js';
+import { inscripcionesValidations } from '../validations/inscripciones.validations.js';
+import { obtenerParametrosListado, unirCondiciones, respuestaListado } from '../utilities/listados.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { nuevoEstudianteVigente } from '../utilities/papelera.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+
+/**
+ * @description Campos de una inscripción que se pueden editar.
+ * @type {string[]}
+ */
+const CAMPOS_INSCRIPCION = ['id_estudiante', 'id_curso', 'id_periodo', 'seccion'];
+
+/**
+ * @description Fragmento SQL con las columnas de una inscripción que se devuelven por la API: la inscripción
+ * con los datos básicos del estudiante, el curso y el período (alias `i`, `e`, `cu` y `p`).
+ */
+const COLUMNAS_INSCRIPCION = sql`
+  i.*, e.nombres, e.apellidos, e.cedula, cu.codigo, cu.curso, p.periodo
+`;
+
+/**
+ * @description Fragmento SQL con las uniones de las columnas de `COLUMNAS_INSCRIPCION`. Excluye los estudiantes
+ * que están en la papelera.
+ */
+const UNIONES_INSCRIPCION = sql`
+  FROM inscripciones i
+  JOIN estudiantes e ON e.id_estudiante = i.id_estudiante AND e.deleted_at IS NULL
+  JOIN cursos cu ON cu.id_curso = i.id_curso
+  JOIN periodos_academicos p ON p.id_periodo = i.id_periodo
+`;
+
+/**
+ * @description Condición SQL que exige que el estudiante de la inscripción (alias `i`) no esté en la papelera.
+ */
+const estudianteVigente = sql`EXISTS (
+  SELECT 1 FROM estudiantes e WHERE e.id_estudiante = i.id_estudiante AND e.deleted_at IS NULL
+)`;
+
+/**
+ * @description Traduce los errores de la base de datos causados por los datos de una inscripción a una respuesta.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {Error & {code?: string}} error - Error de la consulta.
+ * @returns {object|null} La respuesta enviada, o `null` si es un error del servidor.
+ */
+const responderErrorInscripcion = (res, error) => {
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'El estudiante ya está inscrito en ese curso en el período indicado' });
+  }
+  if (error.code === '23503') {
+    return res.status(400).json({ error: 'El estudiante, el curso o el período indicado no existe' });
+  }
+  return null;
+};
+
+/**
+ * @description Obtiene el listado paginado de las inscripciones, ordenadas por período (del más reciente al más antiguo),
+ * curso y estudiante. Acepta los filtros `id_periodo`, `id_curso` e `id_estudiante`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con `{ datos, paginacion }` o un mensaje de error.
+ * @method GET
+ * @route /inscripciones
+ */
+export const obtenerInscripciones = async (req, res) => {
+  try {
+    const { parametros, limit, offset } = obtenerParametrosListado(req);
+    const condicion = unirCondiciones([
+      ...(parametros.id_periodo ? [sql`i.id_periodo = ${parametros.id_periodo}`] : []),
+      ...(parametros.id_curso ? [sql`i.id_curso = ${parametros.id_curso}`] : []),
+      ...(parametros.id_estudiante ? [sql`i.id_estudiante = ${parametros.id_estudiante}`] : []),
+    ]);
+
+    const [datos, conteo] = await sql.transaction([
+      sql`
+        SELECT ${COLUMNAS_INSCRIPCION}
+        ${UNIONES_INSCRIPCION}
+        WHERE ${condicion}
+        ORDER BY p.fecha_inicio DESC, cu.curso ASC, e.apellidos ASC, e.nombres ASC, i.id_inscripcion ASC
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      sql`SELECT COUNT(*)::int AS total ${UNIONES_INSCRIPCION} WHERE ${condicion}`,
+    ], { readOnly: true });
+
+    res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+  } catch (error) {
+    console.error('Error al obtener las inscripciones:', error);
+    res.status(500).json({ error: 'Error al obtener las inscripciones' });
+  }
+};
+
+/**
+ * @description Obtiene una inscripción por su ID, con su versión en la cabecera `ETag`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_inscripcion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la inscripción o un mensaje de error 404 si no se encuentra.
+ * @method GET
+ * @route /inscripciones/:id_inscripcion
+ */
+export const obtenerInscripcionPorId = async (req, res) => {
+  try {
+    const { id_inscripcion } = req.params;
+    const inscripcion = await sql`
+      SELECT ${COLUMNAS_INSCRIPCION}
+      ${UNIONES_INSCRIPCION}
+      WHERE i.id_inscripcion = ${id_inscripcion}
+    `;
+    if (inscripcion.length === 0) {
+      return res.status(404).json({ error: 'Inscripción no encontrada' });
+    }
+    fijarEtag(res, inscripcion[0]).json(inscripcion[0]);
+  } catch (error) {
+    console.error('Error al obtener la inscripción:', error);
+    res.status(500).json({ error: 'Error al obtener la inscripción' });
+  }
+};
+
+/**
+ * @description Inscribe a un estudiante en un curso de un período académico.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `id_estudiante`, `id_curso`, `id_periodo`
+ * y, opcionalmente, `seccion` en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la inscripción creada o un mensaje de error (404 si el estudiante no existe
+ * o está en la papelera, 400 si el curso o el período no existen, 409 si ya estaba inscrito).
+ * @method POST
+ * @route /inscripciones
+ */
+export const crearInscripcion = async (req, res) => {
+  try {
+    const { id_estudiante, id_curso, id_periodo, seccion } = req.body;
+    const inscripcion = await sql`
+      INSERT INTO inscripciones (id_estudiante, id_curso, id_periodo, seccion)
+      SELECT id_estudiante, ${id_curso}, ${id_periodo}, ${seccion ?? null}
+      FROM estudiantes
+      WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+      RETURNING *
+    `;
+    if (inscripcion.length === 0) {
+      return res.status(404).json({ error: 'Estudiante no encontrado' });
+    }
+    res.status(201).json({ message: 'Estudiante inscrito correctamente', inscripcion: inscripcion[0] });
+  } catch (error) {
+    if (responderErrorInscripcion(res, error)) {
+      return;
+    }
+    console.error('Error al crear la inscripción:', error);
+    res.status(500).json({ error: 'Error al crear la inscripción' });
+  }
+};
+
+/**
+ * @description Edita una inscripción. Solo se modifican los campos de `CAMPOS_INSCRIPCION` presentes en el cuerpo;
+ * `seccion: null` la borra. Con la cabecera `If-Match`, responde `412` si la inscripción fue modificada desde que
+ * se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_inscripcion` y campos opcionales en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la inscripción actualizada o un mensaje de error.
+ * @method PUT
+ * @route /inscripciones/:id_inscripcion
+ */
+export const editarInscripcion = async (req, res) => {
+  try {
+    const { id_inscripcion } = req.params;
+
+    const campos = CAMPOS_INSCRIPCION.filter((campo) => req.body[campo] !== undefined);
+    if (campos.length === 0) {
+      return res.status(400).json({ error: `Debe indicar al menos un campo: ${CAMPOS_INSCRIPCION.join(', ')}` });
+    }
+    const asignaciones = campos
+      .map((campo) => sql`${sql.unsafe(campo)} = ${req.body[campo]}`)
+      .reduce((lista, asignacion) => sql`${lista}, ${asignacion}`);
+    const inscripcion = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.inscripciones, id_inscripcion),
+      sql`
+        UPDATE inscripciones i SET ${asignaciones}
+        WHERE i.id_inscripcion = ${id_inscripcion} AND ${estudianteVigente}
+          AND ${nuevoEstudianteVigente(req.body.id_estudiante)}
+        RETURNING i.*
+      `,
+    ])).at(-1);
+    if (inscripcion.length === 0) {
+      return res.status(404).json({ error: 'Inscripción o estudiante no encontrado' });
+    }
+
+    res.json({ message: 'Inscripción actualizada correctamente', inscripcion: inscripcion[0] });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.inscripciones, req.params.id_inscripcion);
+    }
+    if (responderErrorInscripcion(res, error)) {
+      return;
+    }
+    console.error('Error al editar la inscripción:', error);
+    res.status(500).json({ error: 'Error al editar la inscripción' });
+  }
+};
+
+/**
+ * @description Actualiza parcialmente una inscripción con un documento JSON Merge Patch (RFC 7396); `seccion` se
+ * puede borrar con `null`. Los campos se validan con `inscripcionesValidations.crearInscripcionValidations`.
+ * Como en `editarInscripcion`, ni el estudiante de la inscripción ni el nuevo (si se cambia) pueden estar en la papelera.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_inscripcion` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la inscripción actualizada o con errores de validación/servidor.
+ * @method PATCH
+ * @route /inscripciones/:id_inscripcion
+ */
+export const parchearInscripcion = crearControladorMergePatch({
+  tabla: 'inscripciones',
+  columnaId: 'id_inscripcion',
+  campos: CAMPOS_INSCRIPCION,
+  validaciones: inscripcionesValidations.crearInscripcionValidations,
+  eliminacionLogica: false,
+  condicion: ({ id_estudiante }) => sql`
+    EXISTS (
+      SELECT 1 FROM estudiantes e WHERE e.id_estudiante = inscripciones.id_estudiante AND e.deleted_at IS NULL
+    ) AND ${nuevoEstudianteVigente(id_estudiante)}
+  `,
+  responderError: responderErrorInscripcion,
+  noEncontrado: 'Inscripción o estudiante no encontrado',
+  errorActualizar: 'Error al actualizar la inscripción',
+});
+
+/**
+ * @description Elimina una inscripción (el estudiante deja de estar inscrito en el curso en ese período).
+ * Con la cabecera `If-Match`, responde `412` si la inscripción fue modificada desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_inscripcion`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o de error.
+ * @method DELETE
+ * @route /inscripciones/:id_inscripcion
+ */
+export const eliminarInscripcion = async (req, res) => {
+  try {
+    const { id_inscripcion } = req.params;
+    const eliminada = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.inscripciones, id_inscripcion),
+      sql`
+        DELETE FROM inscripciones i
+        WHERE i.id_inscripcion = ${id_inscripcion} AND ${estudianteVigente}
+        RETURNING i.id_inscripcion
+      `,
+    ])).at(-1);
+    if (eliminada.length === 0) {
+      return res.status(404).json({ error: 'Inscripción no encontrada' });
+    }
+    res.json({ message: 'Inscripción eliminada correctamente' });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.inscripciones, req.params.id_inscripcion);
+    }
+    console.error('Error al eliminar la inscripción:', error);
+    res.status(500).json({ error: 'Error al eliminar la inscripción' });
+  }
+};
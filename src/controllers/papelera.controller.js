@@ -0,0 +1,302 @@
+/**
+ * @file Este archivo contiene los controladores de la papelera.
+ * @description Implementa el listado de los registros eliminados (estudiantes, representantes, citas, incidencias,
+ * historial médico y reportes psicológicos), su restauración y su purga definitiva. La purga solo se permite
+ * cuando el registro lleva en la papelera al menos `PAPELERA_DIAS_RETENCION` días, y usa las funciones
+ * `eliminar_*` de la base de datos que antes llamaban los controladores. Solo los administradores acceden a estas rutas.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/papelera.controller
+ * @see {@link module:utilities/papelera} Para las entidades de la papelera y el envío de registros a ella.
+ * @see {@link module:validations/papelera.validations} Para las reglas de validación de datos.
+ */
+
+import { sql } from '../db.js';
+import { PAPELERA_DIAS_RETENCION } from '../config.js';
+import { ENTIDADES_PAPELERA, TIPOS_PAPELERA, TIPOS_DEPENDIENTES } from '../utilities/papelera.js';
+import { obtenerParametrosListado, unirCondiciones, respuestaListado } from '../utilities/listados.js';
+import { formatDate } from '../utilities/formatters.js';
+import { fijarAutorCambios } from '../utilities/historialCambios.js';
+import { VINCULOS_ADJUNTO } from '../utilities/adjuntos.js';
+import { obtenerAlmacenamiento } from '../utilities/almacenamiento.js';
+
+/**
+ * @description Construye la consulta que reúne los registros eliminados de los tipos indicados con un formato común:
+ * `tipo`, `id`, `descripcion`, `id_estudiante`, `deleted_at` y `deleted_by`.
+ * @param {string[]} tipos - Tipos de la papelera a incluir.
+ * @returns {object} Fragmento SQL con la unión de los registros eliminados.
+ */
+const consultarEliminados = (tipos) => {
+  return tipos
+    .map((tipo) => {
+      const { tabla, columnaId, descripcion } = ENTIDADES_PAPELERA[tipo];
+      return sql`
+        SELECT ${tipo}::text AS tipo, ${sql.unsafe(columnaId)} AS id, ${sql.unsafe(descripcion)} AS descripcion,
+          id_estudiante, deleted_at, deleted_by
+        FROM ${sql.unsafe(tabla)}
+        WHERE deleted_at IS NOT NULL
+      `;
+    })
+    .reduce((union, rama) => sql`${union} UNION ALL ${rama}`);
+};
+
+/**
+ * @description Condición SQL que indica si un registro eliminado ya cumplió el período de retención.
+ * @type {object}
+ */
+const retencionVencida = sql`deleted_at <= NOW() - make_interval(days => ${PAPELERA_DIAS_RETENCION})`;
+
+/**
+ * @description Columna de `adjuntos` que vincula los adjuntos a cada tipo de la papelera que puede tenerlos: los del
+ * estudiante y los vinculados a un historial médico, una incidencia o un reporte psicológico.
+ * @type {Object<string, string>}
+ */
+const COLUMNA_ADJUNTOS_POR_TIPO = {
+  estudiantes: 'id_estudiante',
+  ...Object.fromEntries(Object.entries(VINCULOS_ADJUNTO).map(([campo, { tabla }]) => [tabla, campo])),
+};
+
+/**
+ * @description Construye la consulta que elimina los adjuntos de los registros que se van a purgar. Se ejecuta en la
+ * misma transacción, antes de las funciones `eliminar_*`: si no, la purga de un estudiante borraría sus adjuntos en
+ * cascada sin borrar sus archivos, y la de un registro vinculado los dejaría sin vínculo y otra vez visibles.
+ * @param {string} tipo - Tipo de la papelera (clave de `ENTIDADES_PAPELERA`).
+ * @param {Array<number|string>} ids - IDs de los registros que se van a purgar.
+ * @returns {object|null} Consulta sin ejecutar que devuelve el almacenamiento y la clave de cada adjunto eliminado,
+ * o `null` si el tipo no tiene adjuntos.
+ */
+const eliminarAdjuntosPurgados = (tipo, ids) => {
+  const columna = COLUMNA_ADJUNTOS_POR_TIPO[tipo];
+  if (!columna || ids.length === 0) {
+    return null;
+  }
+  const { tabla, columnaId } = ENTIDADES_PAPELERA[tipo];
+  return sql`
+    DELETE FROM adjuntos
+    WHERE ${sql.unsafe(columna)} = ANY(${ids.map(Number)})
+      AND EXISTS (
+        SELECT 1 FROM ${sql.unsafe(tabla)} r
+        WHERE r.${sql.unsafe(columnaId)} = adjuntos.${sql.unsafe(columna)} AND r.deleted_at IS NOT NULL
+      )
+    RETURNING almacenamiento, clave_almacenamiento
+  `;
+};
+
+/**
+ * @description Borra del almacenamiento los archivos de los adjuntos eliminados. Sus registros ya no existen; si un
+ * archivo no se puede borrar, solo se informa en el registro del servidor.
+ * @param {Array<{almacenamiento: string, clave_almacenamiento: string}>} adjuntos - Adjuntos eliminados.
+ * @returns {Promise<void>}
+ */
+const borrarArchivosAdjuntos = async (adjuntos) => {
+  await Promise.all(adjuntos.map(({ almacenamiento, clave_almacenamiento }) => (
+    Promise.resolve()
+      .then(() => obtenerAlmacenamiento(almacenamiento).eliminar(clave_almacenamiento))
+      .catch((error) => console.error('Error al eliminar el archivo del adjunto:', error))
+  )));
+};
+
+/**
+ * @description Obtiene una página de los registros en la papelera, del eliminado más recientemente al más antiguo.
+ * Acepta los filtros `tipo` (lista separada por comas) e `id_estudiante`. Cada registro incluye quién lo eliminó
+ * y `purgable_desde`, la fecha a partir de la cual puede purgarse.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con `{ datos, paginacion }` o un mensaje de error.
+ * @method GET
+ * @route /papelera
+ */
+export const obtenerPapelera = async (req, res) => {
+  try {
+    const { parametros, limit, offset } = obtenerParametrosListado(req);
+    const eliminados = consultarEliminados(parametros.tipo ?? TIPOS_PAPELERA);
+    const condiciones = [];
+    if (parametros.id_estudiante !== undefined) condiciones.push(sql`p.id_estudiante = ${parametros.id_estudiante}`);
+    const condicion = unirCondiciones(condiciones);
+
+    const [datos, conteo] = await sql.transaction([
+      sql`
+        SELECT
+          p.*,
+          u.nombre || ' ' || u.apellido AS eliminado_por,
+          p.deleted_at + make_interval(days => ${PAPELERA_DIAS_RETENCION}) AS purgable_desde
+        FROM (${eliminados}) p
+        LEFT JOIN usuarios u ON u.id_usuario = p.deleted_by
+        WHERE ${condicion}
+        ORDER BY p.deleted_at DESC, p.tipo, p.id
+        LIMIT ${limit} OFFSET ${offset}
+      `,
+      sql`SELECT COUNT(*)::int AS total FROM (${eliminados}) p WHERE ${condicion}`,
+    ], { readOnly: true });
+
+    res.json(respuestaListado({ datos, total: conteo[0].total, limit, offset }));
+  } catch (error) {
+    console.error('Error al obtener la papelera:', error);
+    res.status(500).json({ error: 'Error al obtener la papelera' });
+  }
+};
+
+/**
+ * @description Restaura un registro de la papelera. Al restaurar un estudiante se restauran también los registros
+ * asociados que se eliminaron junto con él (misma fecha de eliminación); los que se eliminaron antes por separado
+ * siguen en la papelera. Un registro asociado a un estudiante eliminado no se puede restaurar sin restaurar antes al estudiante.
+ * Los estudiantes que se fusionaron con otro (ver `controllers/duplicados.controller`) no se pueden restaurar.
+ * @param {object} req - Objeto de solicitud de Express. Se esperan `req.params.tipo` y `req.params.id`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o un error.
+ * @method POST
+ * @route /papelera/:tipo/:id/restaurar
+ */
+export const restaurarDePapelera = async (req, res) => {
+  try {
+    const { tipo, id } = req.params;
+    const { tabla, columnaId } = ENTIDADES_PAPELERA[tipo];
+
+    const registro = await sql`
+      SELECT t.deleted_at, e.deleted_at AS estudiante_deleted_at
+      FROM ${sql.unsafe(tabla)} t
+      LEFT JOIN estudiantes e ON e.id_estudiante = t.id_estudiante
+      WHERE t.${sql.unsafe(columnaId)} = ${id}
+    `;
+    if (registro.length === 0 || !registro[0].deleted_at) {
+      return res.status(404).json({ error: 'El registro no está en la papelera' });
+    }
+    if (tipo !== 'estudiantes' && registro[0].estudiante_deleted_at) {
+      return res.status(409).json({ error: 'El estudiante al que pertenece el registro está en la papelera; restáurelo primero' });
+    }
+
+    if (tipo !== 'estudiantes') {
+      await sql.transaction([
+        fijarAutorCambios(req.user?.userId),
+        sql`
+          UPDATE ${sql.unsafe(tabla)} SET deleted_at = NULL, deleted_by = NULL
+          WHERE ${sql.unsafe(columnaId)} = ${id} AND deleted_at IS NOT NULL
+        `,
+      ]);
+      return res.json({ message: 'Registro restaurado correctamente' });
+    }
+
+    const fusion = await sql`
+      SELECT id_estudiante_conservado FROM estudiantes_fusiones WHERE id_estudiante_fusionado = ${id} LIMIT 1
+    `;
+    if (fusion.length > 0) {
+      return res.status(409).json({
+        error: `El estudiante se fusionó con el estudiante ${fusion[0].id_estudiante_conservado} y no se puede restaurar`,
+      });
+    }
+
+    // Los registros asociados se restauran antes que el estudiante, comparando con su fecha de eliminación.
+    const [, ...resultados] = await sql.transaction([
+      fijarAutorCambios(req.user?.userId),
+      ...TIPOS_DEPENDIENTES.map((dependiente) => sql`
+        UPDATE ${sql.unsafe(ENTIDADES_PAPELERA[dependiente].tabla)} SET deleted_at = NULL, deleted_by = NULL
+        WHERE id_estudiante = ${id}
+          AND deleted_at = (SELECT deleted_at FROM estudiantes WHERE id_estudiante = ${id})
+        RETURNING id_estudiante
+      `),
+      sql`
+        UPDATE estudiantes SET deleted_at = NULL, deleted_by = NULL
+        WHERE id_estudiante = ${id} AND deleted_at IS NOT NULL
+      `,
+    ]);
+
+    const registrosAsociados = Object.fromEntries(TIPOS_DEPENDIENTES.map((dependiente, i) => [dependiente, resultados[i].length]));
+    res.json({ message: 'Estudiante restaurado correctamente', registros_asociados_restaurados: registrosAsociados });
+  } catch (error) {
+    console.error('Error al restaurar el registro de la papelera:', error);
+    res.status(500).json({ error: 'Error al restaurar el registro de la papelera' });
+  }
+};
+
+/**
+ * @description Elimina definitivamente un registro de la papelera con la función `eliminar_*` de su tipo, junto con
+ * sus archivos adjuntos (los del estudiante o los vinculados al registro) y sus archivos en el almacenamiento.
+ * Solo se permite cuando el registro lleva en la papelera al menos `PAPELERA_DIAS_RETENCION` días.
+ * @param {object} req - Objeto de solicitud de Express. Se esperan `req.params.tipo` y `req.params.id`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o un error.
+ * @method DELETE
+ * @route /papelera/:tipo/:id
+ */
+export const purgarDePapelera = async (req, res) => {
+  try {
+    const { tipo, id } = req.params;
+    const { tabla, columnaId, funcionEliminar } = ENTIDADES_PAPELERA[tipo];
+
+    const registro = await sql`
+      SELECT
+        deleted_at,
+        deleted_at + make_interval(days => ${PAPELERA_DIAS_RETENCION}) AS purgable_desde,
+        ${retencionVencida} AS vencido
+      FROM ${sql.unsafe(tabla)}
+      WHERE ${sql.unsafe(columnaId)} = ${id}
+    `;
+    if (registro.length === 0 || !registro[0].deleted_at) {
+      return res.status(404).json({ error: 'El registro no está en la papelera' });
+    }
+    if (!registro[0].vencido) {
+      return res.status(409).json({
+        error: `El registro solo puede purgarse tras ${PAPELERA_DIAS_RETENCION} días en la papelera, a partir del ${formatDate(registro[0].purgable_desde, true)}`,
+        purgable_desde: registro[0].purgable_desde,
+      });
+    }
+
+    const adjuntos = eliminarAdjuntosPurgados(tipo, [id]);
+    const resultados = await sql.transaction([
+      ...(adjuntos ? [adjuntos] : []),
+      sql`SELECT ${sql.unsafe(funcionEliminar)}(${id}) AS success`,
+    ]);
+    const resultado = resultados.at(-1);
+    if (!resultado.length || !resultado[0].success) {
+      return res.status(404).json({ error: 'El registro no se pudo purgar' });
+    }
+    await borrarArchivosAdjuntos(adjuntos ? resultados[0] : []);
+
+    res.json({ message: 'Registro eliminado definitivamente' });
+  } catch (error) {
+    console.error('Error al purgar el registro de la papelera:', error);
+    res.status(500).json({ error: 'Error al purgar el registro de la papelera' });
+  }
+};
+
+/**
+ * @description Elimina definitivamente todos los registros de la papelera que cumplieron el período de retención
+ * (opcionalmente, solo de los tipos indicados en `tipo`), con sus archivos adjuntos. Los registros asociados se purgan
+ * antes que los estudiantes, y todas las eliminaciones se hacen en una única transacción.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con la cantidad de registros purgados por tipo o un mensaje de error.
+ * @method DELETE
+ * @route /papelera
+ */
+export const purgarPapelera = async (req, res) => {
+  try {
+    const { parametros } = obtenerParametrosListado(req);
+    const solicitados = parametros.tipo ?? TIPOS_PAPELERA;
+    const tipos = [...TIPOS_DEPENDIENTES, 'estudiantes'].filter((tipo) => solicitados.includes(tipo));
+
+    const vencidos = await sql.transaction(tipos.map((tipo) => {
+      const { tabla, columnaId } = ENTIDADES_PAPELERA[tipo];
+      return sql`SELECT ${sql.unsafe(columnaId)} AS id FROM ${sql.unsafe(tabla)} WHERE ${retencionVencida}`;
+    }), { readOnly: true });
+
+    const adjuntos = tipos
+      .map((tipo, i) => eliminarAdjuntosPurgados(tipo, vencidos[i].map(({ id }) => id)))
+      .filter(Boolean);
+    const eliminaciones = tipos.flatMap((tipo, i) => vencidos[i].map(({ id }) => (
+      sql`SELECT ${sql.unsafe(ENTIDADES_PAPELERA[tipo].funcionEliminar)}(${id}) AS success`
+    )));
+    if (eliminaciones.length > 0) {
+      const resultados = await sql.transaction([...adjuntos, ...eliminaciones]);
+      await borrarArchivosAdjuntos(resultados.slice(0, adjuntos.length).flat());
+    }
+
+    res.json({
+      message: `Se eliminaron definitivamente ${eliminaciones.length} registros con más de ${PAPELERA_DIAS_RETENCION} días en la papelera`,
+      purgados: Object.fromEntries(tipos.map((tipo, i) => [tipo, vencidos[i].length])),
+    });
+  } catch (error) {
+    console.error('Error al purgar la papelera:', error);
+    res.status(500).json({ error: 'Error al purgar la papelera' });
+  }
+};
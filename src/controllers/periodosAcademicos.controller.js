@@ -0,0 +1,184 @@
+/**
+ * @file Este archivo contiene los controladores para la gestión de los períodos académicos.
+ * @description Implementa la lógica para obtener, crear, editar y eliminar los períodos académicos (lapsos)
+ * en los que se inscriben los estudiantes y se asignan los docentes a los cursos.
+ * Se espera que los datos hayan sido validados con `periodosAcademicosValidations` en las rutas.
+ * @author Eric
+ * @version 1.0.0
+ * @module controllers/periodosAcademicos.controller
+ * @see {@link module:validations/periodosAcademicos.validations} Para las reglas de validación de datos.
+ */
+
+import { sql } from '../db.js';
+import { periodosAcademicosValidations } from '../validations/periodosAcademicos.validations.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+
+/**
+ * @description Campos de un período académico que se pueden editar.
+ * @type {string[]}
+ */
+const CAMPOS_PERIODO = ['periodo', 'fecha_inicio', 'fecha_fin'];
+
+/**
+ * @description Obtiene todos los períodos académicos, del más reciente al más antiguo.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un array de períodos académicos o un mensaje de error.
+ * @method GET
+ * @route /periodos-academicos
+ */
+export const obtenerPeriodosAcademicos = async (req, res) => {
+  try {
+    const periodos = await sql`SELECT * FROM periodos_academicos ORDER BY fecha_inicio DESC, id_periodo DESC`;
+    res.json(periodos);
+  } catch (error) {
+    console.error('Error al obtener los períodos académicos:', error);
+    res.status(500).json({ error: 'Error al obtener los períodos académicos' });
+  }
+};
+
+/**
+ * @description Obtiene un período académico por su ID, con su versión en la cabecera `ETag`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_periodo`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el período académico o un mensaje de error 404 si no se encuentra.
+ * @method GET
+ * @route /periodos-academicos/:id_periodo
+ */
+export const obtenerPeriodoAcademicoPorId = async (req, res) => {
+  try {
+    const { id_periodo } = req.params;
+    const periodo = await sql`SELECT * FROM periodos_academicos WHERE id_periodo = ${id_periodo}`;
+    if (periodo.length === 0) {
+      return res.status(404).json({ error: 'Período académico no encontrado' });
+    }
+    fijarEtag(res, periodo[0]).json(periodo[0]);
+  } catch (error) {
+    console.error('Error al obtener el período académico:', error);
+    res.status(500).json({ error: 'Error al obtener el período académico' });
+  }
+};
+
+/**
+ * @description Crea un período académico.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `periodo`, `fecha_inicio` y `fecha_fin` en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el período académico creado o un mensaje de error
+ * (409 si ya existe un período con ese nombre).
+ * @method POST
+ * @route /periodos-academicos
+ */
+export const crearPeriodoAcademico = async (req, res) => {
+  try {
+    const { periodo, fecha_inicio, fecha_fin } = req.body;
+    const [creado] = await sql`
+      INSERT INTO periodos_academicos (periodo, fecha_inicio, fecha_fin)
+      VALUES (${periodo}, ${fecha_inicio}, ${fecha_fin})
+      RETURNING *
+    `;
+    res.status(201).json({ message: 'Período académico creado correctamente', periodo: creado });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Ya existe el período académico ${req.body.periodo}` });
+    }
+    console.error('Error al crear el período académico:', error);
+    res.status(500).json({ error: 'Error al crear el período académico' });
+  }
+};
+
+/**
+ * @description Edita un período académico. Solo se modifican los campos de `CAMPOS_PERIODO` presentes en el cuerpo.
+ * Con la cabecera `If-Match`, responde `412` si el período fue modificado desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_periodo` y campos opcionales en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el período académico actualizado o un mensaje de error.
+ * @method PUT
+ * @route /periodos-academicos/:id_periodo
+ */
+export const editarPeriodoAcademico = async (req, res) => {
+  try {
+    const { id_periodo } = req.params;
+
+    const campos = CAMPOS_PERIODO.filter((campo) => req.body[campo] !== undefined);
+    if (campos.length === 0) {
+      return res.status(400).json({ error: `Debe indicar al menos un campo: ${CAMPOS_PERIODO.join(', ')}` });
+    }
+    const asignaciones = campos
+      .map((campo) => sql`${sql.unsafe(campo)} = ${req.body[campo]}`)
+      .reduce((lista, asignacion) => sql`${lista}, ${asignacion}`);
+
+    const periodo = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.periodos_academicos, id_periodo),
+      sql`UPDATE periodos_academicos SET ${asignaciones} WHERE id_periodo = ${id_periodo} RETURNING *`,
+    ])).at(-1);
+    if (periodo.length === 0) {
+      return res.status(404).json({ error: 'Período académico no encontrado' });
+    }
+
+    res.json({ message: 'Período académico actualizado correctamente', periodo: periodo[0] });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.periodos_academicos, req.params.id_periodo);
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `Ya existe el período académico ${req.body.periodo}` });
+    }
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'La fecha de fin debe ser posterior a la fecha de inicio' });
+    }
+    console.error('Error al editar el período académico:', error);
+    res.status(500).json({ error: 'Error al editar el período académico' });
+  }
+};
+
+/**
+ * @description Actualiza parcialmente un período académico con un documento JSON Merge Patch (RFC 7396).
+ * Los campos se validan con `periodosAcademicosValidations.crearPeriodoValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_periodo` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el período académico actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /periodos-academicos/:id_periodo
+ */
+export const parchearPeriodoAcademico = crearControladorMergePatch({
+  tabla: 'periodos_academicos',
+  columnaId: 'id_periodo',
+  campos: CAMPOS_PERIODO,
+  validaciones: periodosAcademicosValidations.crearPeriodoValidations,
+  eliminacionLogica: false,
+  noEncontrado: 'Período académico no encontrado',
+  errorActualizar: 'Error al actualizar el período académico',
+});
+
+/**
+ * @description Elimina un período académico. No se puede eliminar si tiene inscripciones o asignaciones de docentes.
+ * Con la cabecera `If-Match`, responde `412` si el período fue modificado desde que se consultó.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_periodo`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un mensaje de éxito o de error (409 si el período está en uso).
+ * @method DELETE
+ * @route /periodos-academicos/:id_periodo
+ */
+export const eliminarPeriodoAcademico = async (req, res) => {
+  try {
+    const { id_periodo } = req.params;
+    const eliminado = (await sql.transaction([
+      ...comprobarVersion(req, ENTIDADES_VERSIONADAS.periodos_academicos, id_periodo),
+      sql`DELETE FROM periodos_academicos WHERE id_periodo = ${id_periodo} RETURNING id_periodo`,
+    ])).at(-1);
+    if (eliminado.length === 0) {
+      return res.status(404).json({ error: 'Período académico no encontrado' });
+    }
+    res.json({ message: 'Período académico eliminado correctamente' });
+  } catch (error) {
+    if (esConflictoVersion(error)) {
+      return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.periodos_academicos, req.params.id_periodo);
+    }
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'No se puede eliminar el período académico porque tiene inscripciones o docentes asignados' });
+    }
+    console.error('Error al eliminar el período académico:', error);
+    res.status(500).json({ error: 'Error al eliminar el período académico' });
+  }
+};
@@ -13,6 +13,9 @@
 import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { reportePsicologicoValidations } from '../validations/reportePsicologico.validations.js';
+import { moverAPapelera, nuevoEstudianteVigente } from '../utilities/papelera.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
 
 /**
  * @description Obtiene todos los reportes psicológicos registrados en el sistema.
@@ -27,6 +30,7 @@ export const obtenerReportesPsicologicos = async (req, res) => {
     try {
         const reportesPsicologicos = await sql`
             SELECT * FROM reporte_psicologico
+            WHERE deleted_at IS NULL
             ORDER BY id_psicologico DESC
         `;
         res.json(reportesPsicologicos);
@@ -56,14 +60,14 @@ export const obtenerReportePsicologicoPorId = async (req, res) => {
     try {
         const { id_psicologico } = req.params;
         const reportePsicologico = await sql`
-            SELECT * FROM reporte_psicologico WHERE id_psicologico = ${id_psicologico}
+            SELECT * FROM reporte_psicologico WHERE id_psicologico = ${id_psicologico} AND deleted_at IS NULL
         `;
 
         if (reportePsicologico.length === 0) {
             return res.status(404).json({ error: 'Reporte psicológico no encontrado' });
         }
 
-        res.json(reportePsicologico[0]);
+        fijarEtag(res, reportePsicologico[0]).json(reportePsicologico[0]);
     } catch (error) {
         console.error('Error al obtener reporte psicológico por ID:', error);
         res.status(500).json({ error: 'Error al obtener reporte psicológico por ID' });
@@ -98,15 +102,20 @@ export const crearReportePsicologico = async (req, res) => {
             recomendaciones
         } = req.body;
 
-        // Llama a una función almacenada en la base de datos para insertar el nuevo reporte psicológico.
+        // Llama a una función almacenada en la base de datos para insertar el nuevo reporte psicológico,
+        // solo si el estudiante existe y no está en la papelera.
         const result = await sql`
             SELECT insertar_reporte_psicologico(
                 ${id_estudiante},
                 ${motivo_consulta || null},
                 ${sintesis_diagnostica || null},
                 ${recomendaciones || null}
-            ) AS id_psicologico;
+            ) AS id_psicologico
+            FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL;
         `;
+        if (result.length === 0) {
+            return res.status(404).json({ error: "Estudiante no encontrado" });
+        }
 
         // Verifica si la inserción fue exitosa y se devolvió un ID válido.
         if (!result.length || result[0].id_psicologico === null) {
@@ -126,7 +135,8 @@ export const crearReportePsicologico = async (req, res) => {
  * para el ID del reporte psicológico y los campos a actualizar.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_psicologico` y campos opcionales en `req.body`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con un mensaje de éxito, con 404 si el nuevo `id_estudiante` no existe o está
+ * en la papelera, o con errores de validación/servidor.
  * @method PUT
  * @route /reportes_psicologicos/:id_psicologico
  */
@@ -149,31 +159,64 @@ export const editarReportePsicologico = async (req, res) => {
             recomendaciones
         } = req.body;
 
-        // Llama a una función almacenada en la base de datos para editar el reporte psicológico.
-        const result = await sql`
-            SELECT editar_reporte_psicologico(
-                ${id_psicologico},
-                ${id_estudiante || null},
-                ${motivo_consulta || null},
-                ${sintesis_diagnostica || null},
-                ${recomendaciones || null}
-            ) AS success;
-        `;
+        // Llama a una función almacenada en la base de datos para editar el reporte psicológico,
+        // después de comprobar la versión indicada en If-Match.
+        const result = (await sql.transaction([
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.reporte_psicologico, id_psicologico),
+            sql`
+                SELECT editar_reporte_psicologico(
+                    ${id_psicologico},
+                    ${id_estudiante || null},
+                    ${motivo_consulta || null},
+                    ${sintesis_diagnostica || null},
+                    ${recomendaciones || null}
+                ) AS success
+                WHERE ${nuevoEstudianteVigente(id_estudiante || null)};
+            `,
+        ])).at(-1);
 
+        // Sin filas, el nuevo estudiante no existe o está en la papelera y el reporte no se modificó.
+        if (!result.length) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
         // Si la función de la DB indica que no se pudo actualizar (ej. reporte psicológico no encontrado), devuelve 404.
-        if (!result.length || !result[0].success) {
+        if (!result[0].success) {
             return res.status(404).json({ error: 'Reporte psicológico no encontrado o no se pudo actualizar' });
         }
 
         res.json({ success: true, message: 'Reporte psicológico actualizado correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.reporte_psicologico, req.params.id_psicologico);
+        }
         console.error('Error al editar reporte psicológico:', error);
         res.status(500).json({ error: 'Error al editar reporte psicológico' });
     }
 };
 
 /**
- * @description Elimina un registro de reporte psicológico de la base de datos por su ID.
+ * @description Actualiza parcialmente un reporte psicológico con un documento JSON Merge Patch (RFC 7396): solo cambian
+ * los campos enviados y los enviados con `null` se borran. Los campos se validan con
+ * `reportePsicologicoValidations.crearReportePsicologicoValidations`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_psicologico` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el reporte psicológico actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /reporte-psicologico/:id_psicologico
+ */
+export const parchearReportePsicologico = crearControladorMergePatch({
+    tabla: 'reporte_psicologico',
+    columnaId: 'id_psicologico',
+    campos: ['id_estudiante', 'motivo_consulta', 'sintesis_diagnostica', 'recomendaciones'],
+    validaciones: reportePsicologicoValidations.crearReportePsicologicoValidations,
+    condicion: ({ id_estudiante }) => nuevoEstudianteVigente(id_estudiante),
+    noEncontrado: 'Reporte psicológico o estudiante no encontrado',
+    errorActualizar: 'Error al actualizar el reporte psicológico',
+});
+
+/**
+ * @description Envía un reporte psicológico a la papelera (eliminación lógica) por su ID.
+ * El reporte deja de aparecer en las consultas y puede restaurarse desde `/papelera`.
  * Aplica validación al parámetro `id_psicologico`.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_psicologico`.
  * @param {object} res - Objeto de respuesta de Express.
@@ -192,17 +235,24 @@ export const eliminarReportePsicologico = async (req, res) => {
     try {
         const { id_psicologico } = req.params;
 
-        const result = await sql`
-            SELECT eliminar_reporte_psicologico(${id_psicologico}) AS success;
-        `;
+        // Marca el reporte psicológico como eliminado, registrando quién lo eliminó.
+        const reporteEliminado = await moverAPapelera(
+            'reporte_psicologico',
+            id_psicologico,
+            req.user?.userId ?? null,
+            comprobarVersion(req, ENTIDADES_VERSIONADAS.reporte_psicologico, id_psicologico),
+        );
 
-        // Si la función de la DB indica que no se pudo eliminar (ej. reporte psicológico no encontrado), devuelve 404.
-        if (!result.length || !result[0].success) {
+        // Si el reporte psicológico no existe o ya estaba en la papelera, devuelve 404.
+        if (!reporteEliminado) {
             return res.status(404).json({ error: 'Reporte psicológico no encontrado o no se pudo eliminar' });
         }
 
         res.json({ message: 'Reporte psicológico eliminado correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.reporte_psicologico, req.params.id_psicologico);
+        }
         console.error('Error al eliminar reporte psicológico:', error);
         res.status(500).json({ error: 'Error al eliminar reporte psicológico' });
     }
@@ -225,7 +275,7 @@ export const obtenerReportesPsicologicosPorEstudiante = async (req, res) => {
             SELECT rp.*, e.nombres, e.apellidos
             FROM reporte_psicologico rp
             INNER JOIN estudiantes e ON rp.id_estudiante = e.id_estudiante
-            WHERE rp.id_estudiante = ${id_estudiante}
+            WHERE rp.id_estudiante = ${id_estudiante} AND rp.deleted_at IS NULL AND e.deleted_at IS NULL
             ORDER BY rp.id_psicologico DESC
         `;
         if (!reportes.length) {
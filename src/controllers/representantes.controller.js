@@ -14,22 +14,76 @@ import { validationResult } from 'express-validator';
 import { sql } from '../db.js';
 import { representanteValidations } from '../validations/representantes.validations.js';
 import { toCapitalCase } from '../utilities/formatters.js'; // <-- Importa el formateador
+import { obtenerFormatoRespuesta, enviarExportacion } from '../utilities/exportaciones.js';
+import { moverAPapelera, nuevoEstudianteVigente } from '../utilities/papelera.js';
+import { fijarAutorCambios } from '../utilities/historialCambios.js';
+import { crearControladorMergePatch } from '../utilities/mergePatch.js';
+import { ENTIDADES_VERSIONADAS, comprobarVersion, esConflictoVersion, fijarEtag, responderConflictoVersion } from '../utilities/versiones.js';
+
+/**
+ * @description Columnas de la exportación del listado de representantes a CSV y XLSX.
+ * @type {Array<{campo: string, titulo: string, tipo?: string}>}
+ */
+const COLUMNAS_EXPORTACION_REPRESENTANTES = [
+    { campo: 'id_representante', titulo: 'ID', tipo: 'numero' },
+    { campo: 'id_estudiante', titulo: 'ID del estudiante', tipo: 'numero' },
+    { campo: 'nombre_repre', titulo: 'Nombre' },
+    { campo: 'parentesco', titulo: 'Parentesco' },
+    { campo: 'cedula_repre', titulo: 'Cédula' },
+    { campo: 'telefono_repre', titulo: 'Teléfono' },
+    { campo: 'correo_repre', titulo: 'Correo' },
+    { campo: 'fecha_nacimiento', titulo: 'Fecha de nacimiento', tipo: 'fecha' },
+    { campo: 'lugar_nacimiento', titulo: 'Lugar de nacimiento' },
+    { campo: 'estado_civil', titulo: 'Estado civil' },
+    { campo: 'ocupacion', titulo: 'Ocupación' },
+    { campo: 'lugar_trabajo', titulo: 'Lugar de trabajo' },
+    { campo: 'direccion', titulo: 'Dirección' },
+    { campo: 'estado', titulo: 'Estado' },
+    { campo: 'municipio', titulo: 'Municipio' },
+    { campo: 'departamento', titulo: 'Departamento' },
+];
+
+/**
+ * @description Consulta el listado de representantes ordenado por nombre.
+ * Sin argumentos devuelve todos los representantes (`LIMIT NULL`); con ellos, un lote para la exportación.
+ * @param {number|null} [limite=null] - Cantidad máxima de representantes.
+ * @param {number} [desplazamiento=0] - Cantidad de representantes a omitir.
+ * @returns {object} Consulta SQL pendiente de ejecutar.
+ */
+const consultarRepresentantes = (limite = null, desplazamiento = 0) => sql`
+    SELECT * FROM representantes
+    WHERE deleted_at IS NULL
+    ORDER BY nombre_repre ASC, id_representante
+    LIMIT ${limite} OFFSET ${desplazamiento}
+`;
 
 /**
  * @description Obtiene todos los representantes registrados en el sistema.
  * Los resultados se ordenan por `nombre_repre` de forma ascendente.
+ * Con `?format=csv|xlsx` (o la cabecera `Accept`) se exporta el listado como hoja de cálculo.
  * @param {object} req - Objeto de solicitud de Express.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un array de objetos de representante o un mensaje de error.
+ * @returns {Promise<void>} Responde con un array de objetos de representante, el archivo exportado o un mensaje de error.
  * @method GET
  * @route /representantes
  */
 export const obtenerRepresentantes = async (req, res) => {
     try {
-        const representantes = await sql`
-            SELECT * FROM representantes
-            ORDER BY nombre_repre ASC
-        `;
+        const formato = obtenerFormatoRespuesta(req);
+        if (!formato) {
+            return res.status(400).json({ error: 'Formato no admitido. Formatos permitidos: json, csv, xlsx' });
+        }
+
+        if (formato !== 'json') {
+            return await enviarExportacion(res, {
+                formato,
+                nombre: 'representantes',
+                columnas: COLUMNAS_EXPORTACION_REPRESENTANTES,
+                consultarLote: consultarRepresentantes,
+            });
+        }
+
+        const representantes = await consultarRepresentantes();
         res.json(representantes);
     } catch (error) {
         console.error('Error al obtener representantes:', error);
@@ -57,14 +111,14 @@ export const obtenerRepresentantePorId = async (req, res) => {
     try {
         const { id_representante } = req.params;
         const representante = await sql`
-            SELECT * FROM representantes WHERE id_representante = ${id_representante}
+            SELECT * FROM representantes WHERE id_representante = ${id_representante} AND deleted_at IS NULL
         `;
 
         if (representante.length === 0) {
             return res.status(404).json({ error: 'Representante no encontrado' });
         }
 
-        res.json(representante[0]);
+        fijarEtag(res, representante[0]).json(representante[0]);
     } catch (error) {
         console.error('Error al obtener representante por ID:', error);
         res.status(500).json({ error: 'Error al obtener representante por ID' });
@@ -101,7 +155,7 @@ export const obtenerRepresentantePorEstudiante = async (req, res) => {
             SELECT r.*, e.nombres AS nombre_estudiante, e.apellidos AS apellido_estudiante
             FROM representantes r
             JOIN estudiantes e ON r.id_estudiante = e.id_estudiante
-            WHERE r.id_estudiante = ${id_estudiante}
+            WHERE r.id_estudiante = ${id_estudiante} AND r.deleted_at IS NULL AND e.deleted_at IS NULL
         `;
 
         if (representante.length === 0) {
@@ -157,25 +211,33 @@ export const crearRepresentante = async (req, res) => {
         lugar_nacimiento = toCapitalCase(lugar_nacimiento);
         estado = toCapitalCase(estado);
 
-        const nuevoRepresentante = await sql`
-            SELECT insertar_representante(
-                ${id_estudiante},
-                ${nombre_repre},
-                ${parentesco},
-                ${cedula_repre},
-                ${telefono_repre || null},
-                ${correo_repre || null},
-                ${lugar_nacimiento || null},
-                ${fecha_nacimiento ? new Date(fecha_nacimiento) : null}::date,
-                ${direccion || null},
-                ${ocupacion || null},
-                ${lugar_trabajo || null},
-                ${estado || null},
-                ${municipio || null},
-                ${departamento || null},
-                ${estado_civil || null}
-            ) as representante;
-        `;
+        // El representante solo se inserta si el estudiante existe y no está en la papelera.
+        const [, nuevoRepresentante] = await sql.transaction([
+            fijarAutorCambios(req.user?.userId),
+            sql`
+                SELECT insertar_representante(
+                    ${id_estudiante},
+                    ${nombre_repre},
+                    ${parentesco},
+                    ${cedula_repre},
+                    ${telefono_repre || null},
+                    ${correo_repre || null},
+                    ${lugar_nacimiento || null},
+                    ${fecha_nacimiento ? new Date(fecha_nacimiento) : null}::date,
+                    ${direccion || null},
+                    ${ocupacion || null},
+                    ${lugar_trabajo || null},
+                    ${estado || null},
+                    ${municipio || null},
+                    ${departamento || null},
+                    ${estado_civil || null}
+                ) as representante
+                FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL
+            `,
+        ]);
+        if (nuevoRepresentante.length === 0) {
+            return res.status(404).json({ error: "Estudiante no encontrado" });
+        }
 
         if (!nuevoRepresentante.length || !nuevoRepresentante[0].representante) {
             throw new Error("Error al guardar el representante en la base de datos");
@@ -194,7 +256,8 @@ export const crearRepresentante = async (req, res) => {
  * para el ID del representante y los campos a actualizar.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_representante` y campos opcionales en `req.body`.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un mensaje de éxito o con errores de validación/servidor.
+ * @returns {Promise<void>} Responde con un mensaje de éxito, con 404 si el nuevo `id_estudiante` no existe o está
+ * en la papelera, o con errores de validación/servidor.
  * @method PUT
  * @route /representantes/:id_representante
  */
@@ -233,42 +296,86 @@ export const editarRepresentante = async (req, res) => {
         if (lugar_nacimiento) lugar_nacimiento = toCapitalCase(lugar_nacimiento);
         if (estado) estado = toCapitalCase(estado);
 
-        // Llama a una función almacenada en la base de datos para editar el representante.
-        const representanteEditado = await sql`
-            SELECT editar_representante(
-                ${id_representante},
-                ${id_estudiante || null},
-                ${nombre_repre || null},
-                ${parentesco || null},
-                ${cedula_repre || null},
-                ${telefono_repre || null},
-                ${correo_repre || null},
-                ${lugar_nacimiento || null},
-                ${fecha_nacimiento ? new Date(fecha_nacimiento) : null}::date,
-                ${direccion || null},
-                ${ocupacion || null},
-                ${lugar_trabajo || null},
-                ${estado || null},
-                ${municipio || null},
-                ${departamento || null},
-                ${estado_civil || null}
-            ) as success
-        `;
+        // Llama a una función almacenada en la base de datos para editar el representante,
+        // en una transacción que registra al autor en el historial de cambios y comprueba la versión indicada en If-Match.
+        const representanteEditado = (await sql.transaction([
+            fijarAutorCambios(req.user?.userId),
+            ...comprobarVersion(req, ENTIDADES_VERSIONADAS.representantes, id_representante),
+            sql`
+                SELECT editar_representante(
+                    ${id_representante},
+                    ${id_estudiante || null},
+                    ${nombre_repre || null},
+                    ${parentesco || null},
+                    ${cedula_repre || null},
+                    ${telefono_repre || null},
+                    ${correo_repre || null},
+                    ${lugar_nacimiento || null},
+                    ${fecha_nacimiento ? new Date(fecha_nacimiento) : null}::date,
+                    ${direccion || null},
+                    ${ocupacion || null},
+                    ${lugar_trabajo || null},
+                    ${estado || null},
+                    ${municipio || null},
+                    ${departamento || null},
+                    ${estado_civil || null}
+                ) as success
+                WHERE ${nuevoEstudianteVigente(id_estudiante || null)}
+            `,
+        ])).at(-1);
 
+        // Sin filas, el nuevo estudiante no existe o está en la papelera y el representante no se modificó.
+        if (!representanteEditado.length) {
+            return res.status(404).json({ error: 'Estudiante no encontrado' });
+        }
         // Si la función de la DB indica que no se pudo actualizar (ej. representante no encontrado), devuelve 404.
-        if (!representanteEditado.length || !representanteEditado[0].success) {
+        if (!representanteEditado[0].success) {
             return res.status(404).json({ error: 'Representante no encontrado o no se pudo actualizar' });
         }
 
         res.json({ message: 'Representante actualizado correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.representantes, req.params.id_representante);
+        }
         console.error('Error al editar representante:', error);
         res.status(500).json({ error: 'Error al editar representante' });
     }
 };
 
 /**
- * @description Elimina un registro de representante de la base de datos por su ID.
+ * @description Actualiza parcialmente un representante con un documento JSON Merge Patch (RFC 7396): solo cambian
+ * los campos enviados y los enviados con `null` se borran. Los campos se validan con
+ * `representanteValidations.crearRepresentanteValidations` y se formatean como al crearlo.
+ * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_representante` y el documento de cambios en `req.body`.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con el representante actualizado o con errores de validación/servidor.
+ * @method PATCH
+ * @route /representantes/:id_representante
+ */
+export const parchearRepresentante = crearControladorMergePatch({
+    tabla: 'representantes',
+    columnaId: 'id_representante',
+    campos: [
+        'id_estudiante', 'nombre_repre', 'parentesco', 'cedula_repre', 'telefono_repre', 'correo_repre',
+        'lugar_nacimiento', 'fecha_nacimiento', 'direccion', 'ocupacion', 'lugar_trabajo', 'estado',
+        'municipio', 'departamento', 'estado_civil',
+    ],
+    validaciones: representanteValidations.crearRepresentanteValidations,
+    formatear: (valores) => ({
+        ...valores,
+        nombre_repre: toCapitalCase(valores.nombre_repre),
+        lugar_nacimiento: toCapitalCase(valores.lugar_nacimiento),
+        estado: toCapitalCase(valores.estado),
+    }),
+    condicion: ({ id_estudiante }) => nuevoEstudianteVigente(id_estudiante),
+    noEncontrado: 'Representante o estudiante no encontrado',
+    errorActualizar: 'Error al actualizar representante',
+});
+
+/**
+ * @description Envía un representante a la papelera (eliminación lógica) por su ID.
+ * El representante deja de aparecer en las consultas y puede restaurarse desde `/papelera`.
  * Aplica validación al parámetro `id_representante`.
  * @param {object} req - Objeto de solicitud de Express. Se espera `req.params.id_representante`.
  * @param {object} res - Objeto de respuesta de Express.
@@ -287,17 +394,24 @@ export const eliminarRepresentante = async (req, res) => {
     try {
         const { id_representante } = req.params;
 
-        const representanteEliminado = await sql`
-            SELECT eliminar_representante(${id_representante}) as success
-        `;
+        // Marca el representante como eliminado, registrando quién lo eliminó.
+        const representanteEliminado = await moverAPapelera(
+            'representantes',
+            id_representante,
+            req.user?.userId ?? null,
+            comprobarVersion(req, ENTIDADES_VERSIONADAS.representantes, id_representante),
+        );
 
-        // Si la función de la DB indica que no se pudo eliminar (ej. representante no encontrado), devuelve 404.
-        if (!representanteEliminado.length || !representanteEliminado[0].success) {
+        // Si el representante no existe o ya estaba en la papelera, devuelve 404.
+        if (!representanteEliminado) {
             return res.status(404).json({ error: 'Representante no encontrado o no se pudo eliminar' });
         }
 
         res.json({ message: 'Representante eliminado correctamente' });
     } catch (error) {
+        if (esConflictoVersion(error)) {
+            return await responderConflictoVersion(res, ENTIDADES_VERSIONADAS.representantes, req.params.id_representante);
+        }
         console.error('Error al eliminar representante:', error);
         res.status(500).json({ error: 'Error al eliminar representante' });
     }
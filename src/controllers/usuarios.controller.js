@@ -1,25 +1,34 @@
 /**
  * @file Este archivo contiene los controladores para la gestión de usuarios.
  * @description Cada función implementa la lógica de negocio para registrar, autenticar,
- * consultar, editar y eliminar usuarios, así como obtener información específica
- * como la contraseña o el nombre por cédula.
+ * consultar, editar, desactivar y reactivar usuarios, consultar y editar el perfil propio, gestionar sesiones
+ * (tokens de actualización, cierre de sesión y revocación), el cambio y restablecimiento de contraseñas,
+ * así como obtener información específica como el nombre por cédula.
  * @author Eric
  * @version 1.0.0
  * @see {@link ../db.js} Para la configuración de la conexión a la base de datos.
  */
 
+import { matchedData } from "express-validator";
 import { sql } from "../db.js";
 import { toCapitalCase } from "../utilities/formatters.js"; // Importa la función de formateo
+import { generarTokenAcceso, generarToken2fa } from "../utilities/jwt.js";
+import { JWT_EXPIRES_IN, PASSWORD_RESET_EXPIRES_MINUTES, TOKEN_2FA_EXPIRES_IN } from "../config.js";
+import { ROLES } from "../utilities/permisos.js";
+import { hashPassword, verificarPassword } from "../utilities/passwords.js";
+import { generarTokenAleatorio, hashToken } from "../utilities/tokens.js";
+import { obtenerBloqueoActivo, registrarFallo, reiniciarCuenta, registrarIntento } from "../utilities/intentosLogin.js";
+import { construirRespuestaLogin } from "../utilities/sesiones.js";
 
 /**
  * @description Controlador para registrar un nuevo usuario en el sistema.
  * Valida la existencia previa del usuario por cédula y el rol proporcionado antes de la inserción.
- * Aplica formato "Capital Case" a los campos `nombre` y `apellido`.
+ * Aplica formato "Capital Case" a los campos `nombre` y `apellido` y almacena la contraseña como hash bcrypt.
  * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
  * - `nombre` (string): El nombre del usuario.
  * - `apellido` (string): El apellido del usuario.
  * - `cedula_usuario` (string): La cédula de identidad única del usuario.
- * - `password` (string): La contraseña del usuario (se recomienda hashing antes de enviar a la DB).
+ * - `password` (string): La contraseña del usuario (se guarda como hash bcrypt, nunca en texto plano).
  * - `rol` (string): El rol asignado al usuario (ej. "administrador", "psicologo", "docente").
  * @param {object} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
@@ -37,7 +46,7 @@ export const registrarUsuario = async (req, res) => {
 
     // **Validación de Rol (Recomendada):** Verifica que el 'rol' proporcionado sea uno de los valores permitidos.
     // Esto asegura que se cumpla con las restricciones de la base de datos (ej. un CHECK constraint).
-    if (!["administrador", "psicologo", "docente"].includes(rol)) {
+    if (!ROLES.includes(rol)) {
       return res.status(400).json({ error: "Rol inválido proporcionado." });
     }
 
@@ -51,11 +60,14 @@ export const registrarUsuario = async (req, res) => {
       return res.status(400).json({ error: "El usuario ya existe" });
     }
 
+    // **Hash de la Contraseña:** La contraseña nunca se almacena en texto plano.
+    const passwordHash = await hashPassword(password);
+
     // **Inserción del Nuevo Usuario:** Si el usuario no existe y el rol es válido, se procede a insertar el nuevo registro
     // en la tabla `usuarios` con todos los datos proporcionados, incluyendo el rol.
     await sql`
       INSERT INTO usuarios (nombre, apellido, cedula_usuario, password, rol)
-      VALUES (${nombre}, ${apellido}, ${cedula_usuario}, ${password}, ${rol})
+      VALUES (${nombre}, ${apellido}, ${cedula_usuario}, ${passwordHash}, ${rol})
     `;
 
     // Responde con un estado 201 (Created) indicando que el usuario fue registrado exitosamente.
@@ -70,12 +82,24 @@ export const registrarUsuario = async (req, res) => {
 
 /**
  * @description Controlador para el inicio de sesión de un usuario.
- * Autentica al usuario verificando su cédula y contraseña.
+ * Autentica al usuario verificando su cédula y contraseña (comparación bcrypt en tiempo constante) y, si son correctas, emite un
+ * token de acceso JWT firmado que contiene el ID y el rol del usuario. Este token debe
+ * enviarse en la cabecera `Authorization: Bearer <token>` en el resto de las peticiones.
+ * Si la contraseña almacenada es heredada (texto plano), se reemplaza por su hash bcrypt tras el inicio de sesión exitoso.
+ * Cada intento se registra en la bitácora; tras varios fallos consecutivos la cuenta o la IP se bloquean
+ * temporalmente (con duración exponencial) y se responde 429 sin verificar la contraseña.
+ * Las cuentas desactivadas se rechazan con 403 aunque la contraseña sea correcta.
  * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
  * - `cedula_usuario` (string): La cédula de identidad del usuario.
  * - `password` (string): La contraseña proporcionada por el usuario.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON con el resultado del inicio de sesión.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON con el resultado del inicio de sesión
+ * y, en caso de éxito, el token de acceso (`token`), su tipo (`token_type`), su vigencia (`expires_in`),
+ * el token de actualización (`refresh_token`) con su fecha de expiración (`refresh_expires_at`)
+ * y el indicador `debe_cambiar_password`. Mientras este indicador sea `true`, el resto de la API
+ * responderá 403 hasta que el usuario cambie su contraseña. Si el usuario tiene activa la verificación en dos
+ * factores, en lugar de los tokens se responde `requiere_2fa: true` con un token intermedio (`token_2fa`)
+ * que debe enviarse junto al código TOTP a `POST /usuarios/login/2fa`.
  * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
  * @method POST
  * @route /api/usuarios/login
@@ -83,30 +107,77 @@ export const registrarUsuario = async (req, res) => {
 export const iniciarSesion = async (req, res) => {
   try {
     const { cedula_usuario, password } = req.body;
+    const ip = req.ip;
+
+    // **Protección contra Fuerza Bruta:** Si la cuenta o la IP están bloqueadas, se rechaza el intento
+    // sin verificar la contraseña.
+    const bloqueo = await obtenerBloqueoActivo(cedula_usuario, ip);
+    if (bloqueo) {
+      await registrarIntento({ cedula_usuario, ip, exito: false, motivo: `${bloqueo.tipo}_bloqueada` });
+      const segundosRestantes = Math.ceil((bloqueo.bloqueado_hasta.getTime() - Date.now()) / 1000);
+      res.set('Retry-After', String(Math.max(segundosRestantes, 1)));
+      return res.status(429).json({
+        error: 'Demasiados intentos fallidos. Intente nuevamente más tarde',
+        success: false,
+        bloqueado_hasta: bloqueo.bloqueado_hasta.toISOString(),
+      });
+    }
 
-    // **Búsqueda de Usuario y Autenticación:** Se busca al usuario en la base de datos
-    // por su cédula y contraseña. También se selecciona el rol para ser devuelto en la respuesta.
+    // **Búsqueda de Usuario:** Se busca al usuario en la base de datos por su cédula.
+    // También se selecciona el rol para ser devuelto en la respuesta.
     const usuario = await sql`
-      SELECT id_usuario, nombre, apellido, cedula_usuario, rol FROM usuarios WHERE cedula_usuario = ${cedula_usuario} AND password = ${password} 
+      SELECT id_usuario, nombre, apellido, cedula_usuario, rol, password, debe_cambiar_password, totp_habilitado, activo FROM usuarios WHERE cedula_usuario = ${cedula_usuario}
     `;
 
-    // Si no se encuentra ningún usuario que coincida con ambas credenciales, se considera un fallo de autenticación.
-    if (usuario.length === 0) {
+    // **Autenticación:** Se verifica la contraseña contra el hash almacenado.
+    // Si el usuario no existe, la verificación se realiza igualmente contra un hash ficticio para igualar el tiempo de respuesta.
+    const { valido, requiereRehash } = await verificarPassword(password, usuario[0]?.password);
+
+    // Si el usuario no existe o la contraseña no coincide, se considera un fallo de autenticación.
+    if (!valido) {
+      await registrarFallo(cedula_usuario, ip);
+      await registrarIntento({ cedula_usuario, id_usuario: usuario[0]?.id_usuario, ip, exito: false, motivo: 'credenciales_invalidas' });
       return res.status(401).json({ error: 'Credenciales inválidas', success: false });
     }
 
     // Si las credenciales son correctas, el usuario autenticado se encuentra en la primera posición del array de resultados.
-    const usuarioLogueado = usuario[0];
+    const { password: _password, ...usuarioLogueado } = usuario[0];
+
+    // **Cuentas Desactivadas:** Se informa solo después de validar la contraseña, para no revelar el estado de la cuenta.
+    if (!usuarioLogueado.activo) {
+      await registrarIntento({ cedula_usuario, id_usuario: usuarioLogueado.id_usuario, ip, exito: false, motivo: 'cuenta_desactivada' });
+      return res.status(403).json({ error: 'Acceso denegado: La cuenta está desactivada', success: false });
+    }
+
+    // **Migración de Contraseñas Heredadas:** Si la contraseña estaba en texto plano, se guarda su hash bcrypt.
+    if (requiereRehash) {
+      const passwordHash = await hashPassword(password);
+      await sql`
+        UPDATE usuarios SET password = ${passwordHash} WHERE id_usuario = ${usuarioLogueado.id_usuario}
+      `;
+    }
+
+    // **Verificación en Dos Factores:** Si el usuario la tiene activa, la contraseña correcta no basta para iniciar sesión.
+    // Se entrega un token intermedio de corta duración y el contador de fallos de la cuenta no se reinicia
+    // hasta que se valide el código en `POST /usuarios/login/2fa`.
+    if (usuarioLogueado.totp_habilitado) {
+      await registrarIntento({ cedula_usuario, id_usuario: usuarioLogueado.id_usuario, ip, exito: false, motivo: 'pendiente_2fa' });
+      return res.json({
+        message: 'Se requiere el código de verificación en dos factores',
+        success: true,
+        requiere_2fa: true,
+        token_2fa: generarToken2fa(usuarioLogueado),
+        expires_in: TOKEN_2FA_EXPIRES_IN,
+      });
+    }
+
+    // Se reinicia el contador de fallos de la cuenta y se registra el intento exitoso.
+    await reiniciarCuenta(cedula_usuario);
+    await registrarIntento({ cedula_usuario, id_usuario: usuarioLogueado.id_usuario, ip, exito: true, motivo: 'exito' });
 
     // Responde con un estado 200 (OK), indicando un inicio de sesión exitoso.
-    // Incluye un mensaje, el estado de éxito, el rol del usuario y su ID.
-    res.json({
-      message: 'Inicio de sesión exitoso',
-      success: true,
-      rol: usuarioLogueado.rol,
-      id_usuario: usuarioLogueado.id_usuario,
-      // cedula_usuario: usuarioLogueado.cedula_usuario, // Esta línea está comentada, puede ser útil para depuración.
-    });
+    // Incluye un mensaje, el estado de éxito, los tokens de la nueva sesión, el rol del usuario y su ID.
+    res.json(await construirRespuestaLogin(usuarioLogueado));
   } catch (error) {
     // Captura y registra cualquier error ocurrido durante el proceso de inicio de sesión.
     console.error('Error al iniciar sesión:', error);
@@ -116,43 +187,476 @@ export const iniciarSesion = async (req, res) => {
 };
 
 /**
- * @description Controlador para obtener la contraseña de un usuario específico por su ID.
- * **NOTA DE SEGURIDAD:** Esta función expone información sensible. En un entorno de producción,
- * se DEBE implementar una capa de autenticación y autorización robusta (ej. verificar que
- * el usuario que realiza la solicitud es un administrador autorizado) para restringir su acceso.
+ * @description Controlador para renovar el token de acceso a partir de un token de actualización.
+ * El token de actualización se rota: el anterior deja de ser válido y se entrega uno nuevo para la misma sesión.
+ * El nuevo token de acceso se firma con el rol vigente del usuario en la base de datos.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
+ * - `refresh_token` (string): El token de actualización recibido al iniciar sesión o en la última renovación.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un JSON con los nuevos tokens.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/refresh
+ */
+export const refrescarSesion = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    const nuevoRefreshToken = generarTokenAleatorio();
+
+    // **Rotación del Token:** Se reemplaza el hash del token de actualización solo si la sesión sigue vigente.
+    const sesion = await sql`
+      UPDATE sesiones
+      SET refresh_token_hash = ${hashToken(nuevoRefreshToken)}, ultimo_uso_en = NOW()
+      WHERE refresh_token_hash = ${hashToken(refresh_token)}
+        AND revocada_en IS NULL
+        AND expira_en > NOW()
+      RETURNING id_sesion, id_usuario, expira_en
+    `;
+
+    if (sesion.length === 0) {
+      return res.status(401).json({ error: 'Acceso denegado: Token de actualización inválido o expirado', success: false });
+    }
+
+    // Se obtiene el rol vigente del usuario para firmar el nuevo token de acceso.
+    const usuario = await sql`
+      SELECT id_usuario, rol, activo FROM usuarios WHERE id_usuario = ${sesion[0].id_usuario}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(401).json({ error: 'Acceso denegado: Usuario no encontrado', success: false });
+    }
+
+    if (!usuario[0].activo) {
+      return res.status(401).json({ error: 'Acceso denegado: Usuario desactivado', success: false });
+    }
+
+    const token = generarTokenAcceso(usuario[0], sesion[0].id_sesion);
+
+    res.json({
+      success: true,
+      token,
+      token_type: 'Bearer',
+      expires_in: JWT_EXPIRES_IN,
+      refresh_token: nuevoRefreshToken,
+      refresh_expires_at: new Date(sesion[0].expira_en).toISOString(),
+    });
+  } catch (error) {
+    console.error('Error al renovar la sesión:', error);
+    res.status(500).json({ error: 'Error al renovar la sesión', success: false });
+  }
+};
+
+/**
+ * @description Controlador para cerrar sesión.
+ * Revoca la sesión asociada al token de actualización, con lo que también dejan de aceptarse
+ * los tokens de acceso emitidos para ella. No requiere un token de acceso vigente.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
+ * - `refresh_token` (string): El token de actualización de la sesión a cerrar.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/logout
+ */
+export const cerrarSesion = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    await sql`
+      UPDATE sesiones SET revocada_en = NOW()
+      WHERE refresh_token_hash = ${hashToken(refresh_token)} AND revocada_en IS NULL
+    `;
+
+    // Se responde con éxito aunque la sesión ya estuviera cerrada, para no revelar si el token existía.
+    res.json({ message: 'Sesión cerrada correctamente' });
+  } catch (error) {
+    console.error('Error al cerrar sesión:', error);
+    res.status(500).json({ error: 'Error al cerrar sesión' });
+  }
+};
+
+/**
+ * @description Controlador para que un administrador revoque todas las sesiones activas de un usuario.
+ * Los tokens de acceso y de actualización emitidos para esas sesiones dejan de ser válidos de inmediato.
  * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.params`:
- * - `id_usuario` (string | number): El ID del usuario cuya contraseña se desea obtener.
+ * - `id_usuario` (string | number): El ID del usuario cuyas sesiones se revocarán.
  * @param {object} res - Objeto de respuesta de Express.
- * @returns {Promise<void>} Responde con un estado HTTP y un JSON que contiene la contraseña o un mensaje de error.
+ * @returns {Promise<void>} Responde con un estado HTTP y un JSON con la cantidad de sesiones revocadas.
  * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
- * @method GET
- * @route /api/usuarios/password/:id_usuario
+ * @method POST
+ * @route /api/usuarios/:id_usuario/revocar-sesiones
  */
-export const obtenerPasswordUsuario = async (req, res) => {
+export const revocarSesionesUsuario = async (req, res) => {
   try {
     const { id_usuario } = req.params;
-    // **NOTA DE SEGURIDAD CRÍTICA:**
-    // En un entorno de producción, es imprescindible añadir aquí una lógica de validación
-    // de roles y permisos. Por ejemplo, verificar que el usuario autenticado que realiza
-    // esta solicitud tiene rol de 'administrador' y está autorizado para ver la contraseña
-    // de otros usuarios. La exposición directa de contraseñas es una vulnerabilidad mayor.
 
-    // Consulta la base de datos para obtener únicamente el campo `password` del usuario por su ID.
+    const usuarioExistente = await sql`
+      SELECT id_usuario FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuarioExistente.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    const revocadas = await sql`
+      UPDATE sesiones SET revocada_en = NOW()
+      WHERE id_usuario = ${id_usuario} AND revocada_en IS NULL
+      RETURNING id_sesion
+    `;
+
+    res.json({ message: "Sesiones revocadas correctamente", sesiones_revocadas: revocadas.length });
+  } catch (error) {
+    console.error("Error al revocar sesiones:", error);
+    res.status(500).json({ error: "Error al revocar sesiones" });
+  }
+};
+
+/**
+ * @description Controlador para que un administrador desbloquee la cuenta de un usuario
+ * bloqueada por intentos fallidos de inicio de sesión. Reinicia también el historial de bloqueos,
+ * de modo que el siguiente bloqueo vuelva a tener la duración base.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.params`:
+ * - `id_usuario` (string | number): El ID del usuario a desbloquear.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/:id_usuario/desbloquear
+ */
+export const desbloquearUsuario = async (req, res) => {
+  try {
+    const { id_usuario } = req.params;
+
+    const usuario = await sql`
+      SELECT cedula_usuario FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    await reiniciarCuenta(usuario[0].cedula_usuario);
+
+    res.json({ message: "Usuario desbloqueado correctamente" });
+  } catch (error) {
+    console.error("Error al desbloquear usuario:", error);
+    res.status(500).json({ error: "Error al desbloquear usuario" });
+  }
+};
+
+/**
+ * @description Controlador para consultar la bitácora de intentos de inicio de sesión.
+ * Admite filtros opcionales por cédula, IP, resultado y rango de fechas, y paginación con `limit`/`offset`.
+ * Los resultados se ordenan del intento más reciente al más antiguo.
+ * @param {object} req - Objeto de solicitud de Express. Puede contener en `req.query`:
+ * - `cedula_usuario` (string, opcional): Cédula utilizada en el intento.
+ * - `ip` (string, opcional): Dirección IP del cliente.
+ * - `exito` (boolean, opcional): `true` para intentos exitosos, `false` para fallidos.
+ * - `desde` / `hasta` (string ISO 8601, opcional): Rango de fechas del intento.
+ * - `limit` (number, opcional, por defecto 50) y `offset` (number, opcional, por defecto 0).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un array JSON de intentos.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method GET
+ * @route /api/usuarios/intentos-login
+ */
+export const obtenerIntentosLogin = async (req, res) => {
+  try {
+    // Se usan los valores ya validados y convertidos por `obtenerIntentosLoginValidations`.
+    const { cedula_usuario, ip, exito, desde, hasta, limit = 50, offset = 0 } = matchedData(req, { locations: ['query'] });
+
+    const intentos = await sql`
+      SELECT i.*, u.nombre, u.apellido
+      FROM intentos_login i
+      LEFT JOIN usuarios u ON u.id_usuario = i.id_usuario
+      WHERE (${cedula_usuario ?? null}::text IS NULL OR i.cedula_usuario = ${cedula_usuario ?? null})
+        AND (${ip ?? null}::text IS NULL OR i.ip = ${ip ?? null})
+        AND (${exito ?? null}::boolean IS NULL OR i.exito = ${exito ?? null})
+        AND (${desde ?? null}::timestamptz IS NULL OR i.creado_en >= ${desde ?? null})
+        AND (${hasta ?? null}::timestamptz IS NULL OR i.creado_en <= ${hasta ?? null})
+      ORDER BY i.creado_en DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `;
+
+    res.json(intentos);
+  } catch (error) {
+    console.error("Error al obtener intentos de inicio de sesión:", error);
+    res.status(500).json({ error: "Error al obtener intentos de inicio de sesión" });
+  }
+};
+
+/**
+ * @description Controlador para que el usuario autenticado cambie su propia contraseña.
+ * Exige la contraseña actual, almacena la nueva como hash bcrypt y desactiva el indicador
+ * `debe_cambiar_password`.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado (adjuntado por `verificarToken`).
+ * - `req.body.password_actual` (string): La contraseña actual del usuario.
+ * - `req.body.password_nuevo` (string): La nueva contraseña.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method PUT
+ * @route /api/usuarios/cambiar-password
+ */
+export const cambiarPassword = async (req, res) => {
+  try {
+    const { password_actual, password_nuevo } = req.body;
+    const id_usuario = req.user.userId;
+
+    // **Verificación de la Contraseña Actual:** Se obtiene el hash almacenado del usuario autenticado.
     const usuario = await sql`
       SELECT password FROM usuarios WHERE id_usuario = ${id_usuario}
     `;
 
-    // Si el usuario no es encontrado con el ID proporcionado, se devuelve un error 404.
     if (usuario.length === 0) {
       return res.status(404).json({ error: "Usuario no encontrado" });
     }
-    // Si el usuario es encontrado, se responde con la contraseña.
-    res.json({ password: usuario[0].password });
+
+    const { valido } = await verificarPassword(password_actual, usuario[0].password);
+    if (!valido) {
+      return res.status(401).json({ error: "La contraseña actual es incorrecta" });
+    }
+
+    // **Actualización:** Se guarda el hash de la nueva contraseña y se desactiva el cambio obligatorio.
+    const passwordHash = await hashPassword(password_nuevo);
+    await sql`
+      UPDATE usuarios
+      SET password = ${passwordHash}, debe_cambiar_password = FALSE
+      WHERE id_usuario = ${id_usuario}
+    `;
+
+    res.json({ message: "Contraseña actualizada correctamente" });
   } catch (error) {
-    // Captura y registra cualquier error durante el proceso.
-    console.error("Error al obtener contraseña:", error);
-    // Responde con un estado 500 (Internal Server Error).
-    res.status(500).json({ error: "Error al obtener contraseña" });
+    console.error("Error al cambiar contraseña:", error);
+    res.status(500).json({ error: "Error al cambiar contraseña" });
+  }
+};
+
+/**
+ * @description Obtiene el perfil de un usuario tal como lo devuelve la API (nunca incluye la contraseña ni el secreto TOTP).
+ * @param {number} id_usuario - ID del usuario.
+ * @returns {Promise<object|null>} Perfil del usuario o `null` si no existe.
+ */
+const consultarPerfil = async (id_usuario) => {
+  const usuario = await sql`
+    SELECT id_usuario, nombre, apellido, cedula_usuario, rol, debe_cambiar_password, totp_habilitado
+    FROM usuarios
+    WHERE id_usuario = ${id_usuario}
+  `;
+  return usuario[0] ?? null;
+};
+
+/**
+ * @description Controlador para obtener el perfil del usuario autenticado.
+ * Evita que el cliente tenga que conservar el `id_usuario` de la respuesta de inicio de sesión.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado (adjuntado por `verificarToken`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un objeto JSON con el perfil del usuario.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method GET
+ * @route /api/usuarios/me
+ */
+export const obtenerPerfil = async (req, res) => {
+  try {
+    const perfil = await consultarPerfil(req.user.userId);
+
+    if (!perfil) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    res.json(perfil);
+  } catch (error) {
+    console.error("Error al obtener el perfil:", error);
+    res.status(500).json({ error: "Error al obtener el perfil" });
+  }
+};
+
+/**
+ * @description Controlador para que el usuario autenticado actualice su propio perfil.
+ * Cualquier rol puede modificar su nombre y apellido, y su contraseña si envía también la actual.
+ * El rol y la cédula solo pueden modificarlos los administradores; para el resto se responde 403.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.user.userId` (number): El ID del usuario autenticado.
+ * - `req.body` (object): Campos a actualizar (`nombre`, `apellido`, `password_actual` y `password_nuevo`
+ *   y, solo para administradores, `cedula_usuario` y `rol`).
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un objeto JSON con el perfil actualizado.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method PUT
+ * @route /api/usuarios/me
+ */
+export const actualizarPerfil = async (req, res) => {
+  try {
+    const id_usuario = req.user.userId;
+    let { nombre, apellido, cedula_usuario, rol, password_actual, password_nuevo } = req.body;
+
+    // **Campos Restringidos:** Solo un administrador puede cambiar su rol o su cédula.
+    if ((cedula_usuario !== undefined || rol !== undefined) && req.user.rol !== "administrador") {
+      return res.status(403).json({ error: "Acceso denegado: Solo un administrador puede modificar el rol o la cédula" });
+    }
+
+    const usuario = await sql`
+      SELECT id_usuario, cedula_usuario, password FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuario.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    // **Cambio de Cédula:** Se verifica que la nueva cédula no pertenezca a otro usuario.
+    if (cedula_usuario && cedula_usuario !== usuario[0].cedula_usuario) {
+      const cedulaEnUso = await sql`
+        SELECT id_usuario FROM usuarios WHERE cedula_usuario = ${cedula_usuario} AND id_usuario <> ${id_usuario}
+      `;
+      if (cedulaEnUso.length > 0) {
+        return res.status(409).json({ error: "La cédula ya está registrada para otro usuario" });
+      }
+    }
+
+    // **Cambio de Contraseña:** Exige la contraseña actual, igual que `PUT /usuarios/cambiar-password`.
+    let passwordHash = null;
+    if (password_nuevo) {
+      const { valido } = await verificarPassword(password_actual, usuario[0].password);
+      if (!valido) {
+        return res.status(401).json({ error: "La contraseña actual es incorrecta" });
+      }
+      passwordHash = await hashPassword(password_nuevo);
+    }
+
+    if (nombre) nombre = toCapitalCase(nombre);
+    if (apellido) apellido = toCapitalCase(apellido);
+
+    await sql`
+      SELECT editar_usuario(
+        ${id_usuario},
+        ${nombre ?? null},
+        ${apellido ?? null},
+        ${cedula_usuario ?? null},
+        ${passwordHash},
+        ${rol ?? null}
+      )
+    `;
+
+    // Un cambio de contraseña completa también el cambio obligatorio solicitado por un administrador.
+    if (passwordHash) {
+      await sql`
+        UPDATE usuarios SET debe_cambiar_password = FALSE WHERE id_usuario = ${id_usuario}
+      `;
+    }
+
+    res.json({ message: "Perfil actualizado correctamente", usuario: await consultarPerfil(id_usuario) });
+  } catch (error) {
+    console.error("Error al actualizar el perfil:", error);
+    res.status(500).json({ error: "Error al actualizar el perfil" });
+  }
+};
+
+/**
+ * @description Controlador para que un administrador inicie el restablecimiento de la contraseña de un usuario.
+ * Genera un token de un solo uso con vigencia limitada (`PASSWORD_RESET_EXPIRES_MINUTES`), invalida los tokens
+ * pendientes anteriores del usuario, revoca sus sesiones activas y activa el indicador `debe_cambiar_password`.
+ * Solo se almacena el hash del token; el token en texto plano se devuelve una única vez en la respuesta
+ * para que el administrador se lo entregue al usuario.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.params.id_usuario` (string | number): El ID del usuario cuya contraseña se restablecerá.
+ * - `req.user.userId` (number): El ID del administrador autenticado.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un JSON con el token y su fecha de expiración.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/:id_usuario/restablecer-password
+ */
+export const generarRestablecimientoPassword = async (req, res) => {
+  try {
+    const { id_usuario } = req.params;
+
+    // **Verificación de Usuario Existente**
+    const usuarioExistente = await sql`
+      SELECT id_usuario FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuarioExistente.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    const token = generarTokenAleatorio();
+    const expiraEn = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+
+    // **Emisión del Token:** Se invalidan los tokens pendientes, se registra el nuevo, se fuerza el cambio
+    // y se cierran las sesiones abiertas, todo dentro de una misma transacción.
+    await sql.transaction([
+      sql`
+        UPDATE password_reset_tokens SET usado_en = NOW()
+        WHERE id_usuario = ${id_usuario} AND usado_en IS NULL
+      `,
+      sql`
+        INSERT INTO password_reset_tokens (id_usuario, token_hash, expira_en, creado_por)
+        VALUES (${id_usuario}, ${hashToken(token)}, ${expiraEn.toISOString()}, ${req.user.userId})
+      `,
+      sql`
+        UPDATE usuarios SET debe_cambiar_password = TRUE WHERE id_usuario = ${id_usuario}
+      `,
+      sql`
+        UPDATE sesiones SET revocada_en = NOW()
+        WHERE id_usuario = ${id_usuario} AND revocada_en IS NULL
+      `,
+    ]);
+
+    res.status(201).json({
+      message: "Token de restablecimiento generado correctamente",
+      token,
+      expira_en: expiraEn.toISOString(),
+    });
+  } catch (error) {
+    console.error("Error al generar restablecimiento de contraseña:", error);
+    res.status(500).json({ error: "Error al generar restablecimiento de contraseña" });
+  }
+};
+
+/**
+ * @description Controlador para restablecer una contraseña usando un token emitido por un administrador.
+ * El token se consume de forma atómica: solo es válido si no ha sido usado ni ha expirado.
+ * La nueva contraseña se almacena como hash bcrypt y se desactiva el indicador `debe_cambiar_password`.
+ * Esta ruta es pública (no requiere token de acceso).
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.body`:
+ * - `token` (string): El token de restablecimiento recibido del administrador.
+ * - `password_nuevo` (string): La nueva contraseña.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/restablecer-password
+ */
+export const restablecerPassword = async (req, res) => {
+  try {
+    const { token, password_nuevo } = req.body;
+    const passwordHash = await hashPassword(password_nuevo);
+
+    // **Consumo del Token y Actualización:** Se marca el token como usado y se actualiza la contraseña
+    // en una sola sentencia, de modo que un mismo token no pueda usarse dos veces.
+    const resultado = await sql`
+      WITH token_valido AS (
+        UPDATE password_reset_tokens SET usado_en = NOW()
+        WHERE token_hash = ${hashToken(token)} AND usado_en IS NULL AND expira_en > NOW()
+        RETURNING id_usuario
+      )
+      UPDATE usuarios u
+      SET password = ${passwordHash}, debe_cambiar_password = FALSE
+      FROM token_valido t
+      WHERE u.id_usuario = t.id_usuario
+      RETURNING u.id_usuario
+    `;
+
+    if (resultado.length === 0) {
+      return res.status(400).json({ error: "Token de restablecimiento inválido o expirado" });
+    }
+
+    res.json({ message: "Contraseña restablecida correctamente" });
+  } catch (error) {
+    console.error("Error al restablecer contraseña:", error);
+    res.status(500).json({ error: "Error al restablecer contraseña" });
   }
 };
 
@@ -168,7 +672,8 @@ export const obtenerPasswordUsuario = async (req, res) => {
 export const obtenerTodosLosUsuarios = async (req, res) => {
   try {
     // Realiza una consulta SQL para seleccionar todos los registros de la tabla `usuarios`.
-    const usuarios = await sql`SELECT * FROM usuarios`;
+    // La columna `password` se omite: el hash de la contraseña nunca se expone.
+    const usuarios = await sql`SELECT id_usuario, nombre, apellido, cedula_usuario, rol, totp_habilitado, activo, desactivado_en FROM usuarios`;
     // Responde con un estado 200 (OK) y la lista de usuarios.
     res.json(usuarios);
   } catch (error) {
@@ -181,8 +686,10 @@ export const obtenerTodosLosUsuarios = async (req, res) => {
 
 /**
  * @description Controlador para editar la información de un usuario existente.
- * Permite actualizar el nombre, apellido, cédula, contraseña y/o rol del usuario.
+ * Permite actualizar el nombre, apellido, cédula, contraseña y/o rol del usuario. Solo está disponible para
+ * administradores; el resto de los usuarios editan su propio perfil con `PUT /usuarios/me`.
  * Aplica formato "Capital Case" a los campos `nombre` y `apellido` si se proporcionan.
+ * Si se proporciona una nueva contraseña, se almacena como hash bcrypt.
  * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
  * - `req.params.id_usuario` (string | number): El ID del usuario a editar.
  * - `req.body`: Puede incluir cualquiera de los siguientes campos para actualizar:
@@ -207,6 +714,9 @@ export const editarUsuario = async (req, res) => {
     if (nombre) nombre = toCapitalCase(nombre);
     if (apellido) apellido = toCapitalCase(apellido);
 
+    // Si se proporciona una nueva contraseña, se reemplaza por su hash bcrypt antes de guardarla.
+    if (password) password = await hashPassword(password);
+
     // **Verificación de Usuario Existente:** Se consulta la base de datos para asegurar que el usuario a editar realmente existe.
     const usuarioExistente = await sql`
       SELECT * FROM usuarios WHERE id_usuario = ${id_usuario}
@@ -219,7 +729,7 @@ export const editarUsuario = async (req, res) => {
 
     // **Validación de Rol (Opcional):** Si el campo 'rol' se proporciona en la solicitud de actualización,
     // se valida que sea uno de los valores permitidos para mantener la integridad de los datos.
-    if (rol && !['administrador', 'psicologo', 'docente'].includes(rol)) {
+    if (rol && !ROLES.includes(rol)) {
       return res.status(400).json({ error: 'Rol inválido proporcionado para actualización.' });
     }
 
@@ -248,42 +758,96 @@ export const editarUsuario = async (req, res) => {
 };
 
 /**
- * @description Controlador para eliminar un usuario existente del sistema.
+ * @description Controlador para desactivar la cuenta de un usuario.
+ * Las cuentas no se eliminan: el registro se conserva para que el usuario siga identificándose como autor
+ * de la información que registró, pero deja de poder iniciar sesión y sus sesiones activas se revocan.
+ * Un administrador no puede desactivar su propia cuenta.
+ * @param {object} req - Objeto de solicitud de Express. Se espera que contenga:
+ * - `req.params.id_usuario` (string | number): El ID del usuario a desactivar.
+ * - `req.user.userId` (number): El ID del administrador autenticado.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
+ * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
+ * @method POST
+ * @route /api/usuarios/:id_usuario/desactivar
+ */
+export const desactivarUsuario = async (req, res) => {
+  try {
+    const { id_usuario } = req.params;
+
+    if (Number(id_usuario) === req.user.userId) {
+      return res.status(400).json({ error: "No puede desactivar su propia cuenta" });
+    }
+
+    // **Verificación de Usuario Existente**
+    const usuarioExistente = await sql`
+      SELECT id_usuario, activo FROM usuarios WHERE id_usuario = ${id_usuario}
+    `;
+
+    if (usuarioExistente.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado" });
+    }
+
+    if (!usuarioExistente[0].activo) {
+      return res.status(409).json({ error: "El usuario ya está desactivado" });
+    }
+
+    // **Desactivación:** Se marca la cuenta como inactiva y se cierran sus sesiones en una misma transacción.
+    await sql.transaction([
+      sql`
+        UPDATE usuarios
+        SET activo = FALSE, desactivado_en = NOW(), desactivado_por = ${req.user.userId}
+        WHERE id_usuario = ${id_usuario}
+      `,
+      sql`
+        UPDATE sesiones SET revocada_en = NOW()
+        WHERE id_usuario = ${id_usuario} AND revocada_en IS NULL
+      `,
+    ]);
+
+    res.json({ message: "Usuario desactivado correctamente" });
+  } catch (error) {
+    console.error("Error al desactivar usuario:", error);
+    res.status(500).json({ error: "Error al desactivar usuario" });
+  }
+};
+
+/**
+ * @description Controlador para reactivar la cuenta de un usuario desactivado.
  * @param {object} req - Objeto de solicitud de Express. Se espera que contenga en `req.params`:
- * - `id_usuario` (string | number): El ID del usuario a eliminar.
+ * - `id_usuario` (string | number): El ID del usuario a reactivar.
  * @param {object} res - Objeto de respuesta de Express.
  * @returns {Promise<void>} Responde con un estado HTTP y un mensaje JSON.
  * @throws {Error} Si ocurre un error durante la interacción con la base de datos.
- * @method DELETE
- * @route /api/usuarios/:id_usuario
+ * @method POST
+ * @route /api/usuarios/:id_usuario/reactivar
  */
-export const eliminarUsuario = async (req, res) => {
+export const reactivarUsuario = async (req, res) => {
   try {
     const { id_usuario } = req.params;
 
-    // **Verificación de Usuario Existente:** Se verifica si el usuario a eliminar realmente existe en la base de datos.
     const usuarioExistente = await sql`
-      SELECT * FROM usuarios WHERE id_usuario = ${id_usuario}
+      SELECT id_usuario, activo FROM usuarios WHERE id_usuario = ${id_usuario}
     `;
 
-    // Si el usuario no es encontrado, se devuelve un error 404.
     if (usuarioExistente.length === 0) {
       return res.status(404).json({ error: "Usuario no encontrado" });
     }
 
-    // **Eliminación del Usuario:** Se invoca una función almacenada en PostgreSQL `eliminar_usuario`
-    // para remover el registro del usuario de la base de datos.
+    if (usuarioExistente[0].activo) {
+      return res.status(409).json({ error: "El usuario ya está activo" });
+    }
+
     await sql`
-      SELECT eliminar_usuario(${id_usuario})
+      UPDATE usuarios
+      SET activo = TRUE, desactivado_en = NULL, desactivado_por = NULL
+      WHERE id_usuario = ${id_usuario}
     `;
 
-    // Responde con un estado 200 (OK) y un mensaje de éxito.
-    res.json({ message: "Usuario eliminado correctamente" });
+    res.json({ message: "Usuario reactivado correctamente" });
   } catch (error) {
-    // Captura y registra cualquier error durante el proceso de eliminación.
-    console.error("Error al eliminar usuario:", error);
-    // Responde con un estado 500 (Internal Server Error).
-    res.status(500).json({ error: "Error al eliminar usuario" });
+    console.error("Error al reactivar usuario:", error);
+    res.status(500).json({ error: "Error al reactivar usuario" });
   }
 };
 
@@ -302,7 +866,7 @@ export const obtenerUsuarioPorId = async (req, res) => {
     const { id_usuario } = req.params;
     // Realiza una consulta para obtener los campos relevantes de un usuario específico por su ID.
     const usuario = await sql`
-      SELECT id_usuario, nombre, apellido, cedula_usuario, rol
+      SELECT id_usuario, nombre, apellido, cedula_usuario, rol, totp_habilitado, activo, desactivado_en
       FROM usuarios
       WHERE id_usuario = ${id_usuario}
     `;
@@ -335,14 +899,15 @@ export const obtenerNombrePorCedula = async (req, res) => {
     const { cedula_usuario } = req.params;
     // Realiza una consulta para obtener el nombre y apellido de un usuario por su cédula.
     const usuario = await sql`
-      SELECT nombre, apellido FROM usuarios WHERE cedula_usuario = ${cedula_usuario}
+      SELECT nombre, apellido, activo FROM usuarios WHERE cedula_usuario = ${cedula_usuario}
     `;
     // Si no se encuentra un usuario con la cédula dada, se devuelve un error 404.
     if (usuario.length === 0) {
       return res.status(404).json({ error: "Usuario no encontrado" });
     }
     // Responde con un estado 200 (OK) y un objeto que contiene el nombre y apellido.
-    res.json({ nombre: usuario[0].nombre, apellido: usuario[0].apellido });
+    // Los usuarios desactivados también se resuelven, para seguir mostrándolos como autores de sus registros.
+    res.json({ nombre: usuario[0].nombre, apellido: usuario[0].apellido, activo: usuario[0].activo });
   } catch (error) {
     // Captura y registra cualquier error.
     console.error("Error al obtener nombre por cédula:", error);
@@ -12,7 +12,7 @@
 // ----------------------------------------
 
 import express from 'express'; // Importa el framework Express para construir la aplicación web.
-import { PORT } from './config.js'; // Importa la variable de entorno PORT desde el archivo de configuración.
+import { PORT, TRUST_PROXY } from './config.js'; // Importa las variables PORT y TRUST_PROXY desde el archivo de configuración.
 // Importa variables de entorno relacionadas con la base de datos desde config.js.
 // Aunque no se usan directamente aquí para la conexión con Neon, es buena práctica mantenerlas si son parte de la configuración general.
 import { DB_USER, DB_HOST, DB_PASSWORD, DB_DATABASE, DB_PORT } from './config.js';
@@ -23,6 +23,14 @@ import cors from 'cors'; // Importa CORS (Cross-Origin Resource Sharing) para ma
 // Importar la instancia de conexión a la base de datos según configuración
 import { sql } from './db.js';
 
+// Importar los middlewares de autenticación JWT y de autorización por rol
+import { verificarToken } from './middlewares/auth.middleware.js';
+import { autorizarRecurso } from './middlewares/permisos.middleware.js';
+import { verificarApiKey } from './middlewares/apiKey.middleware.js';
+
+// Tipo de contenido de los documentos JSON Merge Patch de los endpoints PATCH
+import { TIPO_MERGE_PATCH } from './utilities/mergePatch.js';
+
 // Importar las rutas de la API
 // ----------------------------
 // Cada importación representa un conjunto de rutas para una entidad específica de tu aplicación.
@@ -36,6 +44,14 @@ import incidenciasRoutes from './routes/incidencias.routes.js';
 import usuariosRoutes from './routes/usuarios.routes.js';
 import carrerasRoutes from './routes/carreras.routes.js';
 import facultadesRoutes from './routes/facultades.routes.js';
+import apiKeysRoutes from './routes/apiKeys.routes.js';
+import papeleraRoutes from './routes/papelera.routes.js';
+import duplicadosRoutes from './routes/duplicados.routes.js';
+import adjuntosRoutes from './routes/adjuntos.routes.js';
+import periodosAcademicosRoutes from './routes/periodosAcademicos.routes.js';
+import cursosRoutes from './routes/cursos.routes.js';
+import inscripcionesRoutes from './routes/inscripciones.routes.js';
+import asignacionesDocentesRoutes from './routes/asignacionesDocentes.routes.js';
 
 /**
  * Carga las variables de entorno desde el archivo `.env` al objeto `process.env`.
@@ -49,17 +65,27 @@ dotenv.config();
  */
 const app = express();
 
+/**
+ * Configura `trust proxy` para que `req.ip` refleje la IP real del cliente cuando la API está detrás de un proxy.
+ * Se usa, entre otros, en la protección contra fuerza bruta del inicio de sesión.
+ */
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+}
+
 /**
  * Middleware para habilitar CORS (Cross-Origin Resource Sharing).
+ * Expone la cabecera `ETag` para que los clientes web puedan leer la versión de los registros y enviarla en `If-Match`.
  * @function
  */
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 
 /**
  * Middleware para parsear el cuerpo de las peticiones entrantes como JSON.
+ * También acepta los documentos JSON Merge Patch (`application/merge-patch+json`) de los endpoints `PATCH`.
  * @function
  */
-app.use(express.json());
+app.use(express.json({ type: ['application/json', TIPO_MERGE_PATCH] }));
 
 /**
  * Middleware personalizado para inyectar la instancia de conexión a la base de datos (`sql`) en el objeto de solicitud (`req`).
@@ -75,19 +101,32 @@ app.use((req, res, next) => {
 
 /**
  * Monta las rutas de la API bajo sus respectivos prefijos.
+ * Todos los enrutadores exigen un token de acceso válido (`verificarToken`) y un rol autorizado
+ * según la matriz de permisos (`autorizarRecurso`); las peticiones sin permiso reciben un 403.
+ * El enrutador de usuarios aplica ambos middlewares internamente para dejar pública la ruta `/usuarios/login`.
+ * Los enrutadores de estudiantes y carreras aceptan además una API key en la cabecera `X-API-Key` (`verificarApiKey`),
+ * que reemplaza al token de acceso para las integraciones entre sistemas.
  * @name RutasAPI
  * @memberof module:index
  */
-app.use('/citas', citasRoutes);
-app.use('/representantes', representantesRoutes);
-app.use('/estudiantes', estudiantesRoutes);
-app.use('/historial_medico', historialMedicoRoutes);
-app.use('/discapacidades', discapacidadesRoutes);
-app.use('/reporte-psicologico', reportePsicologicoRoutes);
-app.use('/incidencias', incidenciasRoutes);
+app.use('/citas', verificarToken, autorizarRecurso('citas'), citasRoutes);
+app.use('/representantes', verificarToken, autorizarRecurso('representantes'), representantesRoutes);
+app.use('/estudiantes', verificarApiKey('estudiantes'), verificarToken, autorizarRecurso('estudiantes'), estudiantesRoutes);
+app.use('/historial_medico', verificarToken, autorizarRecurso('historial_medico'), historialMedicoRoutes);
+app.use('/discapacidades', verificarToken, autorizarRecurso('discapacidades'), discapacidadesRoutes);
+app.use('/reporte-psicologico', verificarToken, autorizarRecurso('reporte_psicologico'), reportePsicologicoRoutes);
+app.use('/incidencias', verificarToken, autorizarRecurso('incidencias'), incidenciasRoutes);
 app.use('/usuarios', usuariosRoutes);
-app.use('/carreras', carrerasRoutes);
-app.use('/facultades', facultadesRoutes);
+app.use('/carreras', verificarApiKey('carreras'), verificarToken, autorizarRecurso('carreras'), carrerasRoutes);
+app.use('/facultades', verificarToken, autorizarRecurso('facultades'), facultadesRoutes);
+app.use('/api-keys', verificarToken, autorizarRecurso('api_keys'), apiKeysRoutes);
+app.use('/papelera', verificarToken, autorizarRecurso('papelera'), papeleraRoutes);
+app.use('/duplicados', verificarToken, autorizarRecurso('duplicados'), duplicadosRoutes);
+app.use('/adjuntos', verificarToken, autorizarRecurso('adjuntos'), adjuntosRoutes);
+app.use('/periodos-academicos', verificarToken, autorizarRecurso('periodos_academicos'), periodosAcademicosRoutes);
+app.use('/cursos', verificarToken, autorizarRecurso('cursos'), cursosRoutes);
+app.use('/inscripciones', verificarToken, autorizarRecurso('inscripciones'), inscripcionesRoutes);
+app.use('/asignaciones-docentes', verificarToken, autorizarRecurso('asignaciones_docentes'), asignacionesDocentesRoutes);
 
 /**
  * Endpoint para verificar la conexión a la base de datos y obtener su versión.
@@ -0,0 +1,58 @@
+/**
+ * @file Este archivo contiene el middleware de autenticación por API key.
+ * @description Permite que los sistemas institucionales (oficina de inscripción, scripts de reportes) consuman
+ * los recursos habilitados sin un inicio de sesión, enviando la clave en la cabecera `X-API-Key`.
+ * Se monta antes de `verificarToken` en los enrutadores de `RECURSOS_API_KEY`: si la cabecera no se envía,
+ * la petición continúa con la autenticación JWT habitual; si se envía, la API key reemplaza al token
+ * y los middlewares de autenticación y autorización por rol se omiten.
+ * @author Eric
+ * @version 1.0.0
+ * @module middlewares/apiKey.middleware
+ * @see module:utilities/permisos
+ */
+
+import { sql } from '../db.js';
+import { hashToken } from '../utilities/tokens.js';
+import { tienePermisoApiKey, ACCION_POR_METODO } from '../utilities/permisos.js';
+
+/**
+ * @description Crea un middleware que autentica la API key enviada en `X-API-Key` y verifica que tenga
+ * acceso al recurso y el alcance requerido por el método HTTP. Registra la fecha del último uso de la clave
+ * y adjunta sus datos a `req.apiKey`.
+ * Responde 401 si la clave no existe, fue revocada o expiró, y 403 si no cubre el recurso o la acción.
+ * @param {string} recurso - Nombre del recurso al que se accede.
+ * @returns {function} Middleware de Express.
+ */
+export const verificarApiKey = (recurso) => async (req, res, next) => {
+    const clave = req.header('X-API-Key');
+
+    // Sin API key, la petición se autentica con el token de acceso.
+    if (!clave) {
+        return next();
+    }
+
+    try {
+        // Se busca la clave vigente por su hash y se registra su uso en una sola sentencia.
+        const apiKey = await sql`
+            UPDATE api_keys SET ultimo_uso_en = NOW()
+            WHERE key_hash = ${hashToken(clave)}
+              AND revocada_en IS NULL
+              AND (expira_en IS NULL OR expira_en > NOW())
+            RETURNING id_api_key, nombre, recursos, scopes
+        `;
+
+        if (apiKey.length === 0) {
+            return res.status(401).json({ error: 'Acceso denegado: API key inválida, revocada o expirada' });
+        }
+
+        if (!tienePermisoApiKey(apiKey[0], recurso, ACCION_POR_METODO[req.method])) {
+            return res.status(403).json({ error: 'Acceso denegado: La API key no tiene permiso para esta operación' });
+        }
+
+        req.apiKey = apiKey[0];
+        next();
+    } catch (error) {
+        console.error('Error al verificar API key:', error);
+        return res.status(500).json({ error: 'Error al verificar la API key' });
+    }
+};
@@ -1,9 +1,49 @@
+/**
+ * @file Este archivo contiene el middleware de autenticación de la API.
+ * @description Verifica el token JWT enviado en la cabecera `Authorization: Bearer <token>`
+ * y adjunta la información del usuario autenticado a `req.user`. Se monta en todos los
+ * enrutadores, con excepción del inicio de sesión.
+ * @author Eric
+ * @version 1.1.0
+ * @module middlewares/auth.middleware
+ * @see module:utilities/jwt
+ */
+
 import jwt from 'jsonwebtoken';
 import { sql } from '../db.js';
+import { verificarTokenAcceso } from '../utilities/jwt.js';
+import { requiere2fa } from '../utilities/permisos.js';
+
+/**
+ * @description Rutas accesibles mientras el usuario tiene un cambio de contraseña pendiente
+ * (`debe_cambiar_password`). El resto de la API responde 403 hasta que se complete el cambio.
+ * @type {string[]}
+ */
+const RUTAS_PERMITIDAS_CON_CAMBIO_PENDIENTE = ['/usuarios/cambiar-password', '/usuarios/me'];
 
-const secretKey = process.env.JWT_SECRET || 'miSecreto';
+/**
+ * @description Rutas accesibles mientras el usuario pertenece a un rol con verificación en dos factores obligatoria
+ * (`TOTP_ROLES_OBLIGATORIO`) y aún no la ha activado. El resto de la API responde 403 hasta que complete la inscripción.
+ * @type {string[]}
+ */
+const RUTAS_PERMITIDAS_CON_2FA_PENDIENTE = ['/usuarios/cambiar-password', '/usuarios/me', '/usuarios/2fa/inscribir', '/usuarios/2fa/activar'];
 
+/**
+ * @description Middleware que exige un token de acceso válido.
+ * Responde con 401 si el token no se envía, es inválido, ha expirado, pertenece a un usuario inexistente o desactivado,
+ * a una sesión revocada o a un usuario cuyo rol cambió después de su emisión,
+ * y con 403 si el usuario debe cambiar su contraseña o activar la verificación en dos factores antes de continuar.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {Promise<void>}
+ */
 export const verificarToken = async (req, res, next) => {
+    // Las peticiones ya autenticadas con una API key (ver `verificarApiKey`) no requieren token.
+    if (req.apiKey) {
+        return next();
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
@@ -11,18 +51,57 @@ export const verificarToken = async (req, res, next) => {
     }
 
     try {
-        const decoded = jwt.verify(token, secretKey);
+        const decoded = verificarTokenAcceso(token);
         req.user = decoded; // Adjunta la información del usuario al objeto 'req'
 
-        // Opcional: Verificar si el usuario existe en la base de datos (por si fue eliminado)
-        const user = await sql`SELECT * FROM usuarios WHERE id_usuario = ${decoded.userId}`;
+        // Verifica que el usuario siga existiendo en la base de datos (por si fue eliminado)
+        // y obtiene el estado de la sesión a la que pertenece el token.
+        const user = await sql`
+            SELECT u.id_usuario, u.rol, u.activo, u.debe_cambiar_password, u.totp_habilitado, s.id_sesion, s.revocada_en, s.expira_en
+            FROM usuarios u
+            LEFT JOIN sesiones s ON s.id_sesion = ${decoded.sid ?? null} AND s.id_usuario = u.id_usuario
+            WHERE u.id_usuario = ${decoded.userId}
+        `;
         if (user.length === 0) {
             return res.status(401).json({ error: 'Acceso denegado: Usuario no encontrado' });
         }
 
+        // Rechaza los tokens de usuarios desactivados, aunque su sesión siga vigente.
+        if (!user[0].activo) {
+            return res.status(401).json({ error: 'Acceso denegado: Usuario desactivado' });
+        }
+
+        // Rechaza los tokens cuya sesión no existe, fue revocada (logout o revocación administrativa) o expiró.
+        const sesion = user[0];
+        if (!sesion.id_sesion || sesion.revocada_en || new Date(sesion.expira_en) <= new Date()) {
+            return res.status(401).json({ error: 'Acceso denegado: Sesión revocada o expirada' });
+        }
+
+        // Rechaza los tokens emitidos con un rol distinto al rol vigente del usuario.
+        if (user[0].rol !== decoded.rol) {
+            return res.status(401).json({ error: 'Acceso denegado: El rol del usuario ha cambiado, inicie sesión nuevamente' });
+        }
+
+        // Si un administrador restableció la contraseña, solo se permite el cambio de contraseña.
+        const ruta = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+        if (user[0].debe_cambiar_password && !RUTAS_PERMITIDAS_CON_CAMBIO_PENDIENTE.includes(ruta)) {
+            return res.status(403).json({ error: 'Acceso denegado: Debe cambiar su contraseña', debe_cambiar_password: true });
+        }
+
+        // Si el rol exige verificación en dos factores y el usuario no la ha activado, solo se permite la inscripción.
+        if (requiere2fa(user[0].rol) && !user[0].totp_habilitado && !RUTAS_PERMITIDAS_CON_2FA_PENDIENTE.includes(ruta)) {
+            return res.status(403).json({
+                error: 'Acceso denegado: Debe configurar la autenticación de dos factores',
+                requiere_inscripcion_2fa: true,
+            });
+        }
+
         next(); // Continúa con la siguiente función (el controlador)
     } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+            return res.status(401).json({ error: 'Acceso denegado: Token expirado' });
+        }
         console.error('Error al verificar token:', error);
         return res.status(401).json({ error: 'Acceso denegado: Token inválido' });
     }
-};
\ No newline at end of file
+};
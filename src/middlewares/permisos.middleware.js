@@ -0,0 +1,41 @@
+/**
+ * @file Este archivo contiene los middlewares de autorización por rol de la API.
+ * @description Aplica la matriz de permisos declarada en `utilities/permisos` sobre el rol
+ * del usuario autenticado (`req.user.rol`). Debe montarse después de `verificarToken`.
+ * Las peticiones no autorizadas se rechazan con un estado 403 (Forbidden).
+ * @author Eric
+ * @version 1.0.0
+ * @module middlewares/permisos.middleware
+ * @see module:utilities/permisos
+ * @see module:middlewares/auth.middleware
+ */
+
+import { tienePermiso, ACCION_POR_METODO } from '../utilities/permisos.js';
+
+/**
+ * @description Crea un middleware que exige permiso para una acción concreta sobre un recurso.
+ * @param {string} recurso - Nombre del recurso en la matriz de permisos.
+ * @param {string} accion - Acción requerida ("leer", "crear", "editar" o "eliminar").
+ * @returns {function} Middleware de Express.
+ */
+export const autorizar = (recurso, accion) => (req, res, next) => {
+    // Los permisos de las API keys ya se verificaron en `verificarApiKey` según sus alcances.
+    if (req.apiKey) {
+        return next();
+    }
+    if (!tienePermiso(req.user?.rol, recurso, accion)) {
+        return res.status(403).json({ error: 'Acceso denegado: Permisos insuficientes' });
+    }
+    next();
+};
+
+/**
+ * @description Crea un middleware que exige permiso sobre un recurso deduciendo la acción
+ * a partir del método HTTP de la petición (GET → leer, POST → crear, PUT/PATCH → editar, DELETE → eliminar).
+ * Se utiliza al montar cada enrutador completo en `index.js`.
+ * @param {string} recurso - Nombre del recurso en la matriz de permisos.
+ * @returns {function} Middleware de Express.
+ */
+export const autorizarRecurso = (recurso) => (req, res, next) => {
+    return autorizar(recurso, ACCION_POR_METODO[req.method])(req, res, next);
+};
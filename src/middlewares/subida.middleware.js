@@ -0,0 +1,93 @@
+/**
+ * @file Este archivo contiene el middleware de subida de archivos de la API.
+ * @description Configura `multer` con almacenamiento en memoria para recibir hojas de cálculo (CSV o XLSX)
+ * y archivos adjuntos de los estudiantes en peticiones `multipart/form-data`, y traduce sus errores a respuestas
+ * 400 o 413 con el formato `{ error }` de la API.
+ * @author Eric
+ * @version 1.0.0
+ * @module middlewares/subida.middleware
+ * @see module:utilities/hojasCalculo
+ * @see module:utilities/adjuntos
+ */
+
+import path from 'path';
+import multer from 'multer';
+import { EXTENSIONES_HOJA_CALCULO } from '../utilities/hojasCalculo.js';
+import { ADJUNTOS_TAMANO_MAXIMO_MB } from '../config.js';
+
+/**
+ * @description Tamaño máximo de una hoja de cálculo subida, en bytes (5 MB).
+ * @type {number}
+ */
+export const TAMANO_MAXIMO_HOJA_CALCULO = 5 * 1024 * 1024;
+
+/**
+ * @description Instancia de multer para hojas de cálculo: un único archivo en memoria, con tamaño y extensión limitados.
+ * @type {import('multer').Multer}
+ */
+const subidaHojaCalculo = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TAMANO_MAXIMO_HOJA_CALCULO, files: 1 },
+    fileFilter: (req, archivo, cb) => {
+        const extension = path.extname(archivo.originalname).toLowerCase();
+        if (!EXTENSIONES_HOJA_CALCULO.includes(extension)) {
+            return cb(new Error(`Formato no admitido. Formatos permitidos: ${EXTENSIONES_HOJA_CALCULO.join(', ')}`));
+        }
+        cb(null, true);
+    },
+});
+
+/**
+ * @description Instancia de multer para los adjuntos: un único archivo en memoria, con tamaño limitado.
+ * El formato se comprueba después, por el contenido del archivo (ver `utilities/adjuntos.js`).
+ * @type {import('multer').Multer}
+ */
+const subidaAdjunto = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: ADJUNTOS_TAMANO_MAXIMO_MB * 1024 * 1024, files: 1 },
+});
+
+/**
+ * @description Crea un middleware que recibe un único archivo con la instancia de multer indicada y lo deja en `req.file`.
+ * Responde 413 si el archivo supera el tamaño máximo y 400 si falta, tiene un formato no admitido
+ * o la petición no es válida.
+ * @param {import('multer').Multer} subida - Instancia de multer.
+ * @param {number} tamanoMaximo - Tamaño máximo del archivo, en bytes (para el mensaje de error).
+ * @param {string} campo - Nombre del campo del formulario que contiene el archivo.
+ * @returns {function} Middleware de Express.
+ */
+const recibirArchivo = (subida, tamanoMaximo, campo) => (req, res, next) => {
+    subida.single(campo)(req, res, (error) => {
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `El archivo supera el tamaño máximo de ${tamanoMaximo / (1024 * 1024)} MB` });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ error: `Error al recibir el archivo: ${error.message}` });
+        }
+        if (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: `Debe adjuntar el archivo en el campo "${campo}"` });
+        }
+        next();
+    });
+};
+
+/**
+ * @description Crea un middleware que recibe una hoja de cálculo en el campo indicado y la deja en `req.file`.
+ * Responde 413 si el archivo supera `TAMANO_MAXIMO_HOJA_CALCULO` y 400 si falta, tiene un formato no admitido
+ * o la petición no es válida.
+ * @param {string} campo - Nombre del campo del formulario que contiene el archivo.
+ * @returns {function} Middleware de Express.
+ */
+export const subirHojaCalculo = (campo) => recibirArchivo(subidaHojaCalculo, TAMANO_MAXIMO_HOJA_CALCULO, campo);
+
+/**
+ * @description Crea un middleware que recibe un archivo adjunto en el campo indicado y lo deja en `req.file`,
+ * junto con los demás campos del formulario en `req.body`. Responde 413 si el archivo supera
+ * `ADJUNTOS_TAMANO_MAXIMO_MB` y 400 si falta o la petición no es válida.
+ * @param {string} campo - Nombre del campo del formulario que contiene el archivo.
+ * @returns {function} Middleware de Express.
+ */
+export const subirAdjunto = (campo) => recibirArchivo(subidaAdjunto, ADJUNTOS_TAMANO_MAXIMO_MB * 1024 * 1024, campo);
@@ -0,0 +1,100 @@
+/**
+ * @file Este archivo define las rutas de los archivos adjuntos de los estudiantes.
+ * @description Configura los endpoints para subir, listar, consultar, descargar y eliminar los adjuntos.
+ * Se monta en `index.js` detrás de `verificarToken` y de la autorización por rol del recurso `adjuntos`;
+ * el controlador comprueba además los permisos del recurso que decide la visibilidad de cada adjunto.
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/adjuntos.routes
+ * @see {@link module:controllers/adjuntos.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/adjuntos.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    subirAdjunto,
+    obtenerAdjuntos,
+    obtenerAdjuntoPorId,
+    descargarAdjunto,
+    eliminarAdjunto,
+} from '../controllers/adjuntos.controller.js';
+import { adjuntosValidations } from '../validations/adjuntos.validations.js';
+import { subirAdjunto as recibirAdjunto } from '../middlewares/subida.middleware.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de los adjuntos.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para subir un adjunto de un estudiante. El archivo se envía como `multipart/form-data`
+ * en el campo `archivo`, junto con `id_estudiante`, `tipo` y, opcionalmente, `descripcion` y el registro vinculado.
+ * @method POST
+ * @route /adjuntos
+ * @param {function} recibirAdjunto - Middleware que recibe el archivo en `req.file`.
+ * @param {Array<import('express-validator').ValidationChain>} adjuntosValidations.subirAdjuntoValidations - Middlewares de validación de los campos del formulario.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} subirAdjunto - Controlador que guarda el archivo y registra el adjunto.
+ */
+router.post('/', recibirAdjunto('archivo'), adjuntosValidations.subirAdjuntoValidations, validar, subirAdjunto);
+
+/**
+ * @description Ruta para obtener el listado paginado de los adjuntos de un estudiante que el usuario puede ver.
+ * Acepta `id_estudiante` (requerido), `tipo`, `limit` y `offset`.
+ * @method GET
+ * @route /adjuntos
+ * @param {Array<import('express-validator').ValidationChain>} adjuntosValidations.listarAdjuntosValidations - Middlewares de validación de la paginación y los filtros.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerAdjuntos - Controlador que devuelve los adjuntos.
+ */
+router.get('/', adjuntosValidations.listarAdjuntosValidations, validar, obtenerAdjuntos);
+
+/**
+ * @description Ruta para obtener los datos de un adjunto.
+ * @method GET
+ * @route /adjuntos/:id_adjunto
+ * @param {Array<import('express-validator').ValidationChain>} adjuntosValidations.adjuntoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerAdjuntoPorId - Controlador que devuelve el adjunto.
+ */
+router.get('/:id_adjunto', adjuntosValidations.adjuntoValidations, validar, obtenerAdjuntoPorId);
+
+/**
+ * @description Ruta para descargar el contenido de un adjunto.
+ * @method GET
+ * @route /adjuntos/:id_adjunto/descarga
+ * @param {Array<import('express-validator').ValidationChain>} adjuntosValidations.adjuntoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} descargarAdjunto - Controlador que envía el archivo.
+ */
+router.get('/:id_adjunto/descarga', adjuntosValidations.adjuntoValidations, validar, descargarAdjunto);
+
+/**
+ * @description Ruta para eliminar un adjunto y su archivo.
+ * @method DELETE
+ * @route /adjuntos/:id_adjunto
+ * @param {Array<import('express-validator').ValidationChain>} adjuntosValidations.adjuntoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarAdjunto - Controlador que elimina el adjunto.
+ */
+router.delete('/:id_adjunto', adjuntosValidations.adjuntoValidations, validar, eliminarAdjunto);
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * @file Este archivo define las rutas para la gestión de API keys.
+ * @description Configura los endpoints con los que los administradores crean, consultan, rotan y revocan
+ * las API keys de las integraciones entre sistemas. Se monta en `index.js` detrás de `verificarToken`
+ * y de la autorización por rol del recurso `api_keys` (solo administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/apiKeys.routes
+ * @see {@link module:controllers/apiKeys.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/apiKeys.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    crearApiKey,
+    obtenerApiKeys,
+    obtenerApiKeyPorId,
+    rotarApiKey,
+    revocarApiKey
+} from '../controllers/apiKeys.controller.js';
+import { apiKeysValidations } from '../validations/apiKeys.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de API keys.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errores: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para crear una API key. La clave se devuelve una única vez en la respuesta.
+ * @method POST
+ * @route /api-keys
+ * @param {Array<import('express-validator').ValidationChain>} apiKeysValidations.crearApiKeyValidations - Middlewares de validación de la API key.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} crearApiKey - Controlador que crea la API key.
+ */
+router.post('/', apiKeysValidations.crearApiKeyValidations, validar, crearApiKey);
+
+/**
+ * @description Ruta para obtener todas las API keys.
+ * @method GET
+ * @route /api-keys
+ * @param {function} obtenerApiKeys - Controlador que devuelve las API keys.
+ */
+router.get('/', obtenerApiKeys);
+
+/**
+ * @description Ruta para obtener una API key por su ID.
+ * @method GET
+ * @route /api-keys/:id_api_key
+ * @param {string} :id_api_key - ID único de la API key.
+ * @param {function} obtenerApiKeyPorId - Controlador que devuelve la API key.
+ */
+router.get('/:id_api_key', apiKeysValidations.idApiKeyValidations, validar, obtenerApiKeyPorId);
+
+/**
+ * @description Ruta para rotar una API key. La clave anterior deja de ser válida de inmediato.
+ * @method POST
+ * @route /api-keys/:id_api_key/rotar
+ * @param {string} :id_api_key - ID único de la API key.
+ * @param {function} rotarApiKey - Controlador que genera la nueva clave.
+ */
+router.post('/:id_api_key/rotar', apiKeysValidations.idApiKeyValidations, validar, rotarApiKey);
+
+/**
+ * @description Ruta para revocar una API key.
+ * @method DELETE
+ * @route /api-keys/:id_api_key
+ * @param {string} :id_api_key - ID único de la API key.
+ * @param {function} revocarApiKey - Controlador que revoca la API key.
+ */
+router.delete('/:id_api_key', apiKeysValidations.idApiKeyValidations, validar, revocarApiKey);
+
+export default router;
@@ -0,0 +1,123 @@
+/**
+ * @file Este archivo define las rutas para la gestión de las asignaciones de docentes.
+ * @description Configura los endpoints para consultar, crear, editar y eliminar las asignaciones de los docentes a los cursos
+ * de cada período académico, y para consultar los estudiantes de una asignación. Se monta en `index.js` detrás de
+ * `verificarToken` y de la autorización por rol del recurso `asignaciones_docentes` (la consulta está abierta a
+ * todos los roles; los cambios, solo a administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/asignacionesDocentes.routes
+ * @see {@link module:controllers/asignacionesDocentes.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/asignacionesDocentes.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    obtenerAsignacionesDocentes,
+    obtenerAsignacionDocentePorId,
+    obtenerEstudiantesAsignacion,
+    crearAsignacionDocente,
+    editarAsignacionDocente,
+    parchearAsignacionDocente,
+    eliminarAsignacionDocente
+} from '../controllers/asignacionesDocentes.controller.js';
+import { asignacionesDocentesValidations } from '../validations/asignacionesDocentes.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de las asignaciones de docentes.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener el listado paginado de asignaciones de docentes. Acepta los filtros `id_periodo`, `id_curso` e `id_usuario`.
+ * @method GET
+ * @route /asignaciones-docentes
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.listarAsignacionesValidations - Middlewares de validación de la paginación y los filtros.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerAsignacionesDocentes - Controlador que devuelve las asignaciones.
+ */
+router.get('/', asignacionesDocentesValidations.listarAsignacionesValidations, validar, obtenerAsignacionesDocentes);
+
+/**
+ * @description Ruta para obtener una asignación de docente por su ID, con su versión en la cabecera `ETag`.
+ * @method GET
+ * @route /asignaciones-docentes/:id_asignacion
+ * @param {string} :id_asignacion - ID único de la asignación.
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.asignacionValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerAsignacionDocentePorId - Controlador que devuelve la asignación.
+ */
+router.get('/:id_asignacion', asignacionesDocentesValidations.asignacionValidations, validar, obtenerAsignacionDocentePorId);
+
+/**
+ * @description Ruta para obtener los estudiantes inscritos en el curso y la sección de una asignación, con sus discapacidades.
+ * @method GET
+ * @route /asignaciones-docentes/:id_asignacion/estudiantes
+ * @param {string} :id_asignacion - ID único de la asignación.
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.asignacionValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerEstudiantesAsignacion - Controlador que devuelve los estudiantes de la asignación.
+ */
+router.get('/:id_asignacion/estudiantes', asignacionesDocentesValidations.asignacionValidations, validar, obtenerEstudiantesAsignacion);
+
+/**
+ * @description Ruta para asignar un docente a un curso de un período académico.
+ * @method POST
+ * @route /asignaciones-docentes
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.crearAsignacionValidations - Middlewares de validación de la asignación.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} crearAsignacionDocente - Controlador que crea la asignación.
+ */
+router.post('/', asignacionesDocentesValidations.crearAsignacionValidations, validar, crearAsignacionDocente);
+
+/**
+ * @description Ruta para editar una asignación de docente. Admite la cabecera `If-Match`.
+ * @method PUT
+ * @route /asignaciones-docentes/:id_asignacion
+ * @param {string} :id_asignacion - ID único de la asignación.
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.editarAsignacionValidations - Middlewares de validación del ID y de los campos a editar.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} editarAsignacionDocente - Controlador que actualiza la asignación.
+ */
+router.put('/:id_asignacion', asignacionesDocentesValidations.editarAsignacionValidations, validar, editarAsignacionDocente);
+
+/**
+ * @description Ruta para actualizar parcialmente una asignación de docente con un documento JSON Merge Patch (RFC 7396).
+ * Las validaciones se realizan dentro del controlador `parchearAsignacionDocente`.
+ * @method PATCH
+ * @route /asignaciones-docentes/:id_asignacion
+ * @param {string} :id_asignacion - ID único de la asignación.
+ * @param {function} parchearAsignacionDocente - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_asignacion', parchearAsignacionDocente);
+
+/**
+ * @description Ruta para eliminar una asignación de docente. Admite la cabecera `If-Match`.
+ * @method DELETE
+ * @route /asignaciones-docentes/:id_asignacion
+ * @param {string} :id_asignacion - ID único de la asignación.
+ * @param {Array<import('express-validator').ValidationChain>} asignacionesDocentesValidations.asignacionValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarAsignacionDocente - Controlador que elimina la asignación.
+ */
+router.delete('/:id_asignacion', asignacionesDocentesValidations.asignacionValidations, validar, eliminarAsignacionDocente);
+
+export default router;
@@ -16,6 +16,7 @@ import {
     obtenerCarreraPorId,
     crearCarrera,
     editarCarrera,
+    parchearCarrera,
     eliminarCarrera
 } from '../controllers/carreras.controller.js';
 
@@ -63,6 +64,17 @@ router.post('/', crearCarrera);
  */
 router.put('/:id_carrera', editarCarrera);
 
+/**
+ * @description Ruta para actualizar parcialmente una carrera con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`carrera`, `id_facultad`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearCarrera`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /carreras/:id_carrera
+ * @param {string} :id_carrera - ID único del registro a actualizar.
+ * @param {function} parchearCarrera - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_carrera', parchearCarrera);
+
 /**
  * @description Ruta para eliminar una carrera por su ID.
  * La validación del `id_carrera` se realiza dentro del controlador `eliminarCarrera`.
@@ -17,6 +17,7 @@ import {
     obtenerCitaPorId,
     crearCita,
     actualizarCita,
+    parchearCita,
     eliminarCita,
     marcarCitaComoRealizada
 } from '../controllers/citas.controller.js';
@@ -68,6 +69,17 @@ router.post('/', crearCita); // Las validaciones se ejecutan dentro del controla
  */
 router.put('/:id_citas', actualizarCita); // Las validaciones se ejecutan dentro del controlador actualizarCita
 
+/**
+ * @description Ruta para actualizar parcialmente una cita con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`id_estudiante`, `fecha_cita`, `motivo_cita`, `pendiente`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearCita`.
+ * @method PATCH
+ * @route /citas/:id_citas
+ * @param {string} :id_citas - ID único de la cita a actualizar.
+ * @param {function} parchearCita - Controlador que aplica el documento de cambios y devuelve la cita actualizada.
+ */
+router.patch('/:id_citas', parchearCita); // Las validaciones se ejecutan dentro del controlador parchearCita
+
 /**
  * @description Ruta para eliminar una cita del sistema por su ID.
  * La validación del `id_citas` se realiza dentro del controlador `eliminarCita`.
@@ -0,0 +1,110 @@
+/**
+ * @file Este archivo define las rutas para la gestión de los cursos.
+ * @description Configura los endpoints para consultar, crear, editar y eliminar los cursos (asignaturas) de cada carrera. Se
+ * monta en `index.js` detrás de `verificarToken` y de la autorización por rol del recurso `cursos` (la consulta
+ * está abierta a todos los roles; los cambios, solo a administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/cursos.routes
+ * @see {@link module:controllers/cursos.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/cursos.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    obtenerCursos,
+    obtenerCursoPorId,
+    crearCurso,
+    editarCurso,
+    parchearCurso,
+    eliminarCurso
+} from '../controllers/cursos.controller.js';
+import { cursosValidations } from '../validations/cursos.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de los cursos.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener los cursos. Acepta el filtro `id_carrera`.
+ * @method GET
+ * @route /cursos
+ * @param {Array<import('express-validator').ValidationChain>} cursosValidations.listarCursosValidations - Middlewares de validación del filtro por carrera.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerCursos - Controlador que devuelve los cursos.
+ */
+router.get('/', cursosValidations.listarCursosValidations, validar, obtenerCursos);
+
+/**
+ * @description Ruta para obtener un curso por su ID, con su versión en la cabecera `ETag`.
+ * @method GET
+ * @route /cursos/:id_curso
+ * @param {string} :id_curso - ID único del curso.
+ * @param {Array<import('express-validator').ValidationChain>} cursosValidations.cursoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerCursoPorId - Controlador que devuelve el curso.
+ */
+router.get('/:id_curso', cursosValidations.cursoValidations, validar, obtenerCursoPorId);
+
+/**
+ * @description Ruta para crear un curso.
+ * @method POST
+ * @route /cursos
+ * @param {Array<import('express-validator').ValidationChain>} cursosValidations.crearCursoValidations - Middlewares de validación del curso.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} crearCurso - Controlador que crea el curso.
+ */
+router.post('/', cursosValidations.crearCursoValidations, validar, crearCurso);
+
+/**
+ * @description Ruta para editar un curso. Admite la cabecera `If-Match`.
+ * @method PUT
+ * @route /cursos/:id_curso
+ * @param {string} :id_curso - ID único del curso.
+ * @param {Array<import('express-validator').ValidationChain>} cursosValidations.editarCursoValidations - Middlewares de validación del ID y de los campos a editar.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} editarCurso - Controlador que actualiza el curso.
+ */
+router.put('/:id_curso', cursosValidations.editarCursoValidations, validar, editarCurso);
+
+/**
+ * @description Ruta para actualizar parcialmente un curso con un documento JSON Merge Patch (RFC 7396).
+ * Las validaciones se realizan dentro del controlador `parchearCurso`.
+ * @method PATCH
+ * @route /cursos/:id_curso
+ * @param {string} :id_curso - ID único del curso.
+ * @param {function} parchearCurso - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_curso', parchearCurso);
+
+/**
+ * @description Ruta para eliminar un curso sin inscripciones ni docentes asignados. Admite la cabecera `If-Match`.
+ * @method DELETE
+ * @route /cursos/:id_curso
+ * @param {string} :id_curso - ID único del curso.
+ * @param {Array<import('express-validator').ValidationChain>} cursosValidations.cursoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarCurso - Controlador que elimina el curso.
+ */
+router.delete('/:id_curso', cursosValidations.cursoValidations, validar, eliminarCurso);
+
+export default router;
@@ -18,6 +18,7 @@ import {
     obtenerDiscapacidadPorId,
     crearDiscapacidad,
     editarDiscapacidad,
+    parchearDiscapacidad,
     eliminarDiscapacidad
 } from '../controllers/discapacidades.controller.js';
 
@@ -106,6 +107,17 @@ router.put(
     editarDiscapacidad
 );
 
+/**
+ * @description Ruta para actualizar parcialmente una discapacidad con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`discapacidad`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearDiscapacidad`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /discapacidades/:discapacidad_id
+ * @param {string} :discapacidad_id - ID único del registro a actualizar.
+ * @param {function} parchearDiscapacidad - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:discapacidad_id', parchearDiscapacidad);
+
 /**
  * @description Ruta para eliminar una discapacidad del sistema por su ID.
  * Aplica validación al parámetro `discapacidad_id`.
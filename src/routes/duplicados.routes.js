@@ -0,0 +1,61 @@
+/**
+ * @file Este archivo define las rutas de la detección y fusión de estudiantes duplicados.
+ * @description Configura los endpoints que listan los pares de estudiantes que probablemente son la misma persona
+ * y fusionan un duplicado con el estudiante que se conserva. Se monta en `index.js` detrás de `verificarToken`
+ * y de la autorización por rol del recurso `duplicados` (la fusión es solo para administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/duplicados.routes
+ * @see {@link module:controllers/duplicados.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/duplicados.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import { obtenerEstudiantesDuplicados, fusionarEstudiantes } from '../controllers/duplicados.controller.js';
+import { duplicadosValidations } from '../validations/duplicados.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de los duplicados.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener el listado paginado de los pares de estudiantes probablemente duplicados.
+ * Acepta `limit`, `offset` y `umbral` (puntuación mínima, de 0 a 1).
+ * @method GET
+ * @route /duplicados/estudiantes
+ * @param {Array<import('express-validator').ValidationChain>} duplicadosValidations.listarDuplicadosValidations - Middlewares de validación de la paginación y el umbral.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerEstudiantesDuplicados - Controlador que devuelve los pares puntuados.
+ */
+router.get('/estudiantes', duplicadosValidations.listarDuplicadosValidations, validar, obtenerEstudiantesDuplicados);
+
+/**
+ * @description Ruta para fusionar un estudiante duplicado con el que se conserva.
+ * @method POST
+ * @route /duplicados/estudiantes/fusionar
+ * @param {Array<import('express-validator').ValidationChain>} duplicadosValidations.fusionarEstudiantesValidations - Middlewares de validación de los estudiantes y el motivo.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} fusionarEstudiantes - Controlador que traspasa los registros y envía el duplicado a la papelera.
+ */
+router.post('/estudiantes/fusionar', duplicadosValidations.fusionarEstudiantesValidations, validar, fusionarEstudiantes);
+
+export default router;
@@ -15,12 +15,27 @@ import { validationResult } from 'express-validator'; // Se importa la función
 
 // Se importan las reglas de validación específicas para el modelo de estudiante.
 import { estudianteValidations } from '../validations/estudiantes.validations.js';
+// Se importa el middleware que recibe las hojas de cálculo de la importación masiva.
+import { subirHojaCalculo } from '../middlewares/subida.middleware.js';
 
 import {
     obtenerEstudiantes,
+    buscarEstudiantes,
     obtenerEstudiantePorId,
+    obtenerExpedienteEstudiante,
+    obtenerFichaEstudiantePdf,
     crearEstudiante,
+    importarEstudiantes,
     editarEstudiante,
+    parchearEstudiante,
+    cambiarEstadoEstudiante,
+    obtenerHistorialEstadosEstudiante,
+    obtenerDiscapacidadesEstudiante,
+    agregarDiscapacidadEstudiante,
+    editarDiscapacidadEstudiante,
+    eliminarDiscapacidadEstudiante,
+    obtenerHistorialCambiosEstudiante,
+    obtenerVersionEstudiante,
     eliminarEstudiante
 } from '../controllers/estudiantes.controller.js'; // Se importan las funciones controladoras que manejan la lógica de negocio.
 
@@ -31,13 +46,65 @@ import {
 const router = express.Router();
 
 /**
- * @description Ruta para obtener todos los estudiantes.
- * Esta ruta no requiere validación de cuerpo o parámetros de URL, ya que solo recupera una lista completa.
+ * @description Ruta para obtener el listado paginado de estudiantes.
+ * Acepta los parámetros comunes de listado (`limit`, `offset`, `orden`) y los filtros `id_carrera`, `id_facultad`,
+ * `discapacidad_id`, `posee_conapdis`, `seguimiento`, `fecha_registro_desde`, `fecha_registro_hasta` y `estado`
+ * (por defecto solo se listan los estudiantes activos).
  * @method GET
  * @route /estudiantes
- * @param {function} obtenerEstudiantes - Controlador que maneja la lógica para obtener todos los estudiantes.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.obtenerEstudiantesValidations - Middlewares de validación de los parámetros de consulta.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerEstudiantes - Controlador que maneja la lógica para obtener los estudiantes.
  */
-router.get('/', obtenerEstudiantes);
+router.get('/',
+    estudianteValidations.obtenerEstudiantesValidations, // Middleware de validación de paginación, orden y filtros.
+    /**
+     * @description Middleware para verificar los errores de validación de los parámetros de consulta.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerEstudiantes
+);
+
+/**
+ * @description Ruta para buscar estudiantes por nombres, apellidos, cédula, correo o nombre de sus representantes.
+ * La búsqueda no distingue acentos, tolera errores de escritura y devuelve los resultados ordenados por relevancia.
+ * Se declara antes de `/:id_estudiante` para que `search` no se interprete como un ID.
+ * @method GET
+ * @route /estudiantes/search
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.buscarEstudiantesValidations - Middlewares de validación del término y la paginación.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} buscarEstudiantes - Controlador que maneja la lógica de la búsqueda.
+ */
+router.get('/search',
+    estudianteValidations.buscarEstudiantesValidations, // Middleware de validación del término de búsqueda.
+    /**
+     * @description Middleware para verificar los errores de validación de los parámetros de búsqueda.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    buscarEstudiantes
+);
 
 /**
  * @description Ruta para obtener un estudiante específico por su ID.
@@ -70,6 +137,67 @@ router.get('/:id_estudiante',
     obtenerEstudiantePorId
 );
 
+/**
+ * @description Ruta para obtener el expediente consolidado de un estudiante (datos, representantes, historial médico,
+ * reportes psicológicos, incidencias y citas). Las secciones se eligen con `?include=` y se filtran según el rol.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/expediente
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.obtenerExpedienteValidations - Middlewares de validación del ID y de las secciones.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerExpedienteEstudiante - Controlador que arma el expediente.
+ */
+router.get('/:id_estudiante/expediente',
+    estudianteValidations.obtenerExpedienteValidations, // Middleware de validación del ID y de las secciones solicitadas.
+    /**
+     * @description Middleware para verificar los errores de validación del expediente.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerExpedienteEstudiante
+);
+
+/**
+ * @description Ruta para descargar la ficha imprimible de un estudiante en PDF, generada en el servidor.
+ * Las secciones confidenciales (historial médico, adaptaciones y reportes psicológicos) se incluyen según el rol.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/pdf
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.editarEstudianteValidations[0] - Middleware de validación para el ID del estudiante (reutiliza la primera regla de edición).
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerFichaEstudiantePdf - Controlador que genera el documento.
+ */
+router.get('/:id_estudiante/pdf',
+    // La primera regla de 'editarEstudianteValidations' valida que 'id_estudiante' sea un entero positivo.
+    estudianteValidations.editarEstudianteValidations[0],
+    /**
+     * @description Middleware para verificar los errores de validación del `id_estudiante`.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerFichaEstudiantePdf
+);
+
 /**
  * @description Ruta para crear un nuevo estudiante.
  * Se aplican todas las reglas de validación definidas en `crearEstudianteValidations`
@@ -99,6 +227,38 @@ router.post('/',
     }
 );
 
+/**
+ * @description Ruta para importar estudiantes de forma masiva desde una hoja de cálculo (CSV o XLSX).
+ * El archivo se envía como `multipart/form-data` en el campo `archivo`. Con `?modo=simulacion` (por defecto)
+ * solo se devuelve el informe de errores por fila; con `?modo=confirmar` se insertan las filas válidas en una transacción.
+ * @method POST
+ * @route /estudiantes/importar
+ * @param {function} subirHojaCalculo - Middleware que recibe el archivo en `req.file`.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.importarEstudiantesValidations - Middlewares de validación del modo.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} importarEstudiantes - Controlador que valida e importa las filas.
+ */
+router.post('/importar',
+    subirHojaCalculo('archivo'), // Middleware que recibe la hoja de cálculo.
+    estudianteValidations.importarEstudiantesValidations, // Middleware de validación del modo de importación.
+    /**
+     * @description Middleware para verificar los errores de validación del modo de importación.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    importarEstudiantes
+);
+
 /**
  * @description Ruta para editar un estudiante existente por su ID.
  * Se aplican las validaciones de `editarEstudianteValidations`, que incluyen la validación del ID
@@ -129,6 +289,256 @@ router.put('/:id_estudiante',
     }
 );
 
+/**
+ * @description Ruta para actualizar parcialmente un estudiante con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (los mismos que al crearlo, salvo el estado); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearEstudiante`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /estudiantes/:id_estudiante
+ * @param {string} :id_estudiante - ID único del registro a actualizar.
+ * @param {function} parchearEstudiante - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_estudiante', parchearEstudiante);
+
+/**
+ * @description Ruta para obtener el estado actual de un estudiante y el historial de sus cambios de estado.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/estado
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.editarEstudianteValidations[0] - Middleware de validación para el ID del estudiante (reutiliza la primera regla de edición).
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerHistorialEstadosEstudiante - Controlador que obtiene el historial de estados.
+ */
+router.get('/:id_estudiante/estado',
+    // La primera regla de 'editarEstudianteValidations' valida que 'id_estudiante' sea un entero positivo.
+    estudianteValidations.editarEstudianteValidations[0],
+    /**
+     * @description Middleware para verificar los errores de validación del `id_estudiante`.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerHistorialEstadosEstudiante
+);
+
+/**
+ * @description Ruta para cambiar el estado de un estudiante (activo, egresado, retirado o suspendido).
+ * Es la única forma de modificar el estado: cada cambio exige un motivo y queda registrado en el historial.
+ * @method POST
+ * @route /estudiantes/:id_estudiante/estado
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.cambiarEstadoValidations - Middlewares de validación del ID, el estado y el motivo.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} cambiarEstadoEstudiante - Controlador que aplica y registra la transición.
+ */
+router.post('/:id_estudiante/estado',
+    estudianteValidations.cambiarEstadoValidations, // Middleware de validación del ID, el estado y el motivo.
+    /**
+     * @description Middleware para verificar los errores de validación del cambio de estado.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    cambiarEstadoEstudiante
+);
+
+/**
+ * @description Ruta para obtener las discapacidades asociadas a un estudiante, con su severidad, fecha de diagnóstico,
+ * certificado CONAPDIS y observaciones.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/discapacidades
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.editarEstudianteValidations[0] - Middleware de validación para el ID del estudiante (reutiliza la primera regla de edición).
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerDiscapacidadesEstudiante - Controlador que obtiene las discapacidades del estudiante.
+ */
+router.get('/:id_estudiante/discapacidades',
+    estudianteValidations.editarEstudianteValidations[0], // Valida que 'id_estudiante' sea un entero positivo.
+    /**
+     * @description Middleware para verificar los errores de validación del `id_estudiante`.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerDiscapacidadesEstudiante
+);
+
+/**
+ * @description Ruta para asociar una discapacidad a un estudiante.
+ * @method POST
+ * @route /estudiantes/:id_estudiante/discapacidades
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.agregarDiscapacidadValidations - Middlewares de validación del ID, la discapacidad y sus datos.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} agregarDiscapacidadEstudiante - Controlador que crea la asociación.
+ */
+router.post('/:id_estudiante/discapacidades',
+    estudianteValidations.agregarDiscapacidadValidations, // Middleware de validación del ID, la discapacidad y sus datos.
+    /**
+     * @description Middleware para verificar los errores de validación de la discapacidad.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    agregarDiscapacidadEstudiante
+);
+
+/**
+ * @description Ruta para editar los datos (severidad, fecha de diagnóstico, certificado CONAPDIS u observaciones)
+ * de una discapacidad asociada a un estudiante. Admite la cabecera `If-Match`.
+ * @method PUT
+ * @route /estudiantes/:id_estudiante/discapacidades/:discapacidad_id
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {string} :discapacidad_id - ID de la discapacidad asociada.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.editarDiscapacidadValidations - Middlewares de validación de los IDs y los datos.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} editarDiscapacidadEstudiante - Controlador que actualiza la asociación.
+ */
+router.put('/:id_estudiante/discapacidades/:discapacidad_id',
+    estudianteValidations.editarDiscapacidadValidations, // Middleware de validación de los IDs y los datos.
+    /**
+     * @description Middleware para verificar los errores de validación de la edición.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    editarDiscapacidadEstudiante
+);
+
+/**
+ * @description Ruta para quitar una discapacidad de un estudiante. Admite la cabecera `If-Match`.
+ * @method DELETE
+ * @route /estudiantes/:id_estudiante/discapacidades/:discapacidad_id
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {string} :discapacidad_id - ID de la discapacidad asociada.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.discapacidadEstudianteValidations - Middlewares de validación de los IDs.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarDiscapacidadEstudiante - Controlador que elimina la asociación.
+ */
+router.delete('/:id_estudiante/discapacidades/:discapacidad_id',
+    estudianteValidations.discapacidadEstudianteValidations, // Middleware de validación de los IDs.
+    /**
+     * @description Middleware para verificar los errores de validación de los IDs.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    eliminarDiscapacidadEstudiante
+);
+
+/**
+ * @description Ruta para obtener el historial de cambios por campo de un estudiante y de sus representantes.
+ * Acepta `limit`, `offset` y los filtros `tabla`, `campo`, `desde` y `hasta`.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/historial-cambios
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.historialCambiosValidations - Middlewares de validación del ID, la paginación y los filtros.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerHistorialCambiosEstudiante - Controlador que obtiene el historial de cambios.
+ */
+router.get('/:id_estudiante/historial-cambios',
+    estudianteValidations.historialCambiosValidations, // Middleware de validación del ID, la paginación y los filtros.
+    /**
+     * @description Middleware para verificar los errores de validación del historial de cambios.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerHistorialCambiosEstudiante
+);
+
+/**
+ * @description Ruta para obtener los datos de un estudiante y de sus representantes tal como eran en una fecha.
+ * @method GET
+ * @route /estudiantes/:id_estudiante/version?fecha=
+ * @param {string} :id_estudiante - ID único del estudiante.
+ * @param {Array<import('express-validator').ValidationChain>} estudianteValidations.versionEstudianteValidations - Middlewares de validación del ID y la fecha.
+ * @param {function} middleware - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerVersionEstudiante - Controlador que reconstruye los datos en esa fecha.
+ */
+router.get('/:id_estudiante/version',
+    estudianteValidations.versionEstudianteValidations, // Middleware de validación del ID y la fecha.
+    /**
+     * @description Middleware para verificar los errores de validación de la fecha.
+     * @param {object} req - Objeto de solicitud de Express.
+     * @param {object} res - Objeto de respuesta de Express.
+     * @param {function} next - Función para pasar el control al siguiente middleware (el controlador).
+     * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+     */
+    (req, res, next) => {
+        const errors = validationResult(req); // Se recopilan los errores de validación del request.
+        if (!errors.isEmpty()) {
+            // Si existen errores de validación, se envía una respuesta de error 400 (Bad Request).
+            return res.status(400).json({ errors: errors.array() });
+        }
+        next(); // Si la validación es exitosa, se pasa el control al controlador.
+    },
+    obtenerVersionEstudiante
+);
+
 /**
  * @description Ruta para eliminar un estudiante por su ID.
  * Se valida el `id_estudiante` del parámetro de la URL para asegurar que es un valor válido
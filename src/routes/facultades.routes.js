@@ -17,6 +17,7 @@ import {
     obtenerFacultadPorId,
     crearFacultad,
     editarFacultad,
+    parchearFacultad,
     eliminarFacultad,
     obtenerFacultadesConCarreras
 } from '../controllers/facultades.controller.js';
@@ -92,6 +93,17 @@ router.post('/', facultadesValidations.crearFacultadValidations, validar, crearF
  */
 router.put('/:id_facultad', facultadesValidations.editarFacultadValidations, validar, editarFacultad);
 
+/**
+ * @description Ruta para actualizar parcialmente una facultad con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`facultad`, `siglas`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearFacultad`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /facultades/:id_facultad
+ * @param {string} :id_facultad - ID único del registro a actualizar.
+ * @param {function} parchearFacultad - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_facultad', parchearFacultad);
+
 /**
  * @description Ruta para eliminar una facultad del sistema por su ID.
  * Aplica las validaciones definidas en `eliminarFacultadValidations` antes de ejecutar el controlador.
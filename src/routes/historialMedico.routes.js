@@ -19,6 +19,7 @@ import {
     obtenerHistorialMedicoPorId,
     crearHistorialMedico,
     editarHistorialMedico,
+    parchearHistorialMedico,
     eliminarHistorialMedico,
     obtenerHistorialMedicoPorEstudiante
 } from '../controllers/HistorialMedico.controller.js';
@@ -117,6 +118,17 @@ router.put(
     editarHistorialMedico
 );
 
+/**
+ * @description Ruta para actualizar parcialmente un historial médico con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`id_estudiante`, `certificado_conapdis`, `informe_medico`, `tratamiento`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearHistorialMedico`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /historial_medico/:id_historialmedico
+ * @param {string} :id_historialmedico - ID único del registro a actualizar.
+ * @param {function} parchearHistorialMedico - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_historialmedico', parchearHistorialMedico);
+
 /**
  * @description Ruta para eliminar un historial médico del sistema por su ID.
  * Aplica validación al parámetro `id_historialmedico`.
@@ -19,6 +19,7 @@ import {
     obtenerIncidenciasPorEstudiante,
     crearIncidencia,
     editarIncidencia,
+    parchearIncidencia,
     eliminarIncidencia
 } from '../controllers/incidencias.controller.js';
 
@@ -116,6 +117,17 @@ router.put(
     editarIncidencia
 );
 
+/**
+ * @description Ruta para actualizar parcialmente una incidencia con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (los mismos que al crearla, `hora_incidente` y `observaciones`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearIncidencia`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /incidencias/:id_incidencia
+ * @param {string} :id_incidencia - ID único del registro a actualizar.
+ * @param {function} parchearIncidencia - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_incidencia', parchearIncidencia);
+
 /**
  * @description Ruta para eliminar una incidencia del sistema por su ID.
  * Aplica validación al parámetro `id_incidencia`.
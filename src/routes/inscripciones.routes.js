@@ -0,0 +1,110 @@
+/**
+ * @file Este archivo define las rutas para la gestión de las inscripciones.
+ * @description Configura los endpoints para consultar, crear, editar y eliminar las inscripciones de los estudiantes en los
+ * cursos de cada período académico. Se monta en `index.js` detrás de `verificarToken` y de la autorización por rol
+ * del recurso `inscripciones`.
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/inscripciones.routes
+ * @see {@link module:controllers/inscripciones.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/inscripciones.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    obtenerInscripciones,
+    obtenerInscripcionPorId,
+    crearInscripcion,
+    editarInscripcion,
+    parchearInscripcion,
+    eliminarInscripcion
+} from '../controllers/inscripciones.controller.js';
+import { inscripcionesValidations } from '../validations/inscripciones.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de las inscripciones.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener el listado paginado de inscripciones. Acepta los filtros `id_periodo`, `id_curso` e `id_estudiante`.
+ * @method GET
+ * @route /inscripciones
+ * @param {Array<import('express-validator').ValidationChain>} inscripcionesValidations.listarInscripcionesValidations - Middlewares de validación de la paginación y los filtros.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerInscripciones - Controlador que devuelve las inscripciones.
+ */
+router.get('/', inscripcionesValidations.listarInscripcionesValidations, validar, obtenerInscripciones);
+
+/**
+ * @description Ruta para obtener una inscripción por su ID, con su versión en la cabecera `ETag`.
+ * @method GET
+ * @route /inscripciones/:id_inscripcion
+ * @param {string} :id_inscripcion - ID único de la inscripción.
+ * @param {Array<import('express-validator').ValidationChain>} inscripcionesValidations.inscripcionValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerInscripcionPorId - Controlador que devuelve la inscripción.
+ */
+router.get('/:id_inscripcion', inscripcionesValidations.inscripcionValidations, validar, obtenerInscripcionPorId);
+
+/**
+ * @description Ruta para inscribir a un estudiante en un curso de un período académico.
+ * @method POST
+ * @route /inscripciones
+ * @param {Array<import('express-validator').ValidationChain>} inscripcionesValidations.crearInscripcionValidations - Middlewares de validación de la inscripción.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} crearInscripcion - Controlador que crea la inscripción.
+ */
+router.post('/', inscripcionesValidations.crearInscripcionValidations, validar, crearInscripcion);
+
+/**
+ * @description Ruta para editar una inscripción. Admite la cabecera `If-Match`.
+ * @method PUT
+ * @route /inscripciones/:id_inscripcion
+ * @param {string} :id_inscripcion - ID único de la inscripción.
+ * @param {Array<import('express-validator').ValidationChain>} inscripcionesValidations.editarInscripcionValidations - Middlewares de validación del ID y de los campos a editar.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} editarInscripcion - Controlador que actualiza la inscripción.
+ */
+router.put('/:id_inscripcion', inscripcionesValidations.editarInscripcionValidations, validar, editarInscripcion);
+
+/**
+ * @description Ruta para actualizar parcialmente una inscripción con un documento JSON Merge Patch (RFC 7396).
+ * Las validaciones se realizan dentro del controlador `parchearInscripcion`.
+ * @method PATCH
+ * @route /inscripciones/:id_inscripcion
+ * @param {string} :id_inscripcion - ID único de la inscripción.
+ * @param {function} parchearInscripcion - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_inscripcion', parchearInscripcion);
+
+/**
+ * @description Ruta para eliminar una inscripción. Admite la cabecera `If-Match`.
+ * @method DELETE
+ * @route /inscripciones/:id_inscripcion
+ * @param {string} :id_inscripcion - ID único de la inscripción.
+ * @param {Array<import('express-validator').ValidationChain>} inscripcionesValidations.inscripcionValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarInscripcion - Controlador que elimina la inscripción.
+ */
+router.delete('/:id_inscripcion', inscripcionesValidations.inscripcionValidations, validar, eliminarInscripcion);
+
+export default router;
@@ -0,0 +1,86 @@
+/**
+ * @file Este archivo define las rutas de la papelera.
+ * @description Configura los endpoints con los que los administradores consultan los registros eliminados,
+ * los restauran o los purgan definitivamente. Se monta en `index.js` detrás de `verificarToken`
+ * y de la autorización por rol del recurso `papelera` (solo administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/papelera.routes
+ * @see {@link module:controllers/papelera.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/papelera.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    obtenerPapelera,
+    restaurarDePapelera,
+    purgarDePapelera,
+    purgarPapelera
+} from '../controllers/papelera.controller.js';
+import { papeleraValidations } from '../validations/papelera.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de la papelera.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener el listado paginado de los registros en la papelera.
+ * Acepta `limit`, `offset` y los filtros `tipo` e `id_estudiante`.
+ * @method GET
+ * @route /papelera
+ * @param {Array<import('express-validator').ValidationChain>} papeleraValidations.listarPapeleraValidations - Middlewares de validación de la paginación y los filtros.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerPapelera - Controlador que devuelve los registros eliminados.
+ */
+router.get('/', papeleraValidations.listarPapeleraValidations, validar, obtenerPapelera);
+
+/**
+ * @description Ruta para purgar todos los registros cuyo período de retención venció (opcionalmente, solo de los tipos de `tipo`).
+ * @method DELETE
+ * @route /papelera
+ * @param {Array<import('express-validator').ValidationChain>} papeleraValidations.purgarPapeleraValidations - Middlewares de validación del filtro de tipos.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} purgarPapelera - Controlador que purga los registros vencidos.
+ */
+router.delete('/', papeleraValidations.purgarPapeleraValidations, validar, purgarPapelera);
+
+/**
+ * @description Ruta para restaurar un registro de la papelera.
+ * @method POST
+ * @route /papelera/:tipo/:id/restaurar
+ * @param {string} :tipo - Tipo del registro (estudiantes, representantes, citas, incidencias, historial_medico o reporte_psicologico).
+ * @param {string} :id - ID del registro.
+ * @param {function} restaurarDePapelera - Controlador que restaura el registro.
+ */
+router.post('/:tipo/:id/restaurar', papeleraValidations.elementoPapeleraValidations, validar, restaurarDePapelera);
+
+/**
+ * @description Ruta para eliminar definitivamente un registro de la papelera, una vez cumplido el período de retención.
+ * @method DELETE
+ * @route /papelera/:tipo/:id
+ * @param {string} :tipo - Tipo del registro.
+ * @param {string} :id - ID del registro.
+ * @param {function} purgarDePapelera - Controlador que purga el registro.
+ */
+router.delete('/:tipo/:id', papeleraValidations.elementoPapeleraValidations, validar, purgarDePapelera);
+
+export default router;
@@ -0,0 +1,108 @@
+/**
+ * @file Este archivo define las rutas para la gestión de los períodos académicos.
+ * @description Configura los endpoints para consultar, crear, editar y eliminar los períodos académicos (lapsos). Se monta en
+ * `index.js` detrás de `verificarToken` y de la autorización por rol del recurso `periodos_academicos` (la
+ * consulta está abierta a todos los roles; los cambios, solo a administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module routes/periodosAcademicos.routes
+ * @see {@link module:controllers/periodosAcademicos.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:validations/periodosAcademicos.validations} Para las reglas de validación de datos.
+ */
+
+import express from 'express';
+import {
+    obtenerPeriodosAcademicos,
+    obtenerPeriodoAcademicoPorId,
+    crearPeriodoAcademico,
+    editarPeriodoAcademico,
+    parchearPeriodoAcademico,
+    eliminarPeriodoAcademico
+} from '../controllers/periodosAcademicos.controller.js';
+import { periodosAcademicosValidations } from '../validations/periodosAcademicos.validations.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @description Instancia de Express Router para gestionar las rutas de los períodos académicos.
+ * @type {express.Router}
+ */
+const router = express.Router();
+
+/**
+ * @description Middleware para manejar los errores de validación de `express-validator`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {function} next - Función para pasar el control al siguiente middleware o controlador.
+ * @returns {void} Responde con errores de validación o pasa al siguiente middleware.
+ * @function
+ */
+const validar = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @description Ruta para obtener todos los períodos académicos.
+ * @method GET
+ * @route /periodos-academicos
+ * @param {function} obtenerPeriodosAcademicos - Controlador que devuelve los períodos académicos.
+ */
+router.get('/', obtenerPeriodosAcademicos);
+
+/**
+ * @description Ruta para obtener un período académico por su ID, con su versión en la cabecera `ETag`.
+ * @method GET
+ * @route /periodos-academicos/:id_periodo
+ * @param {string} :id_periodo - ID único del período académico.
+ * @param {Array<import('express-validator').ValidationChain>} periodosAcademicosValidations.periodoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerPeriodoAcademicoPorId - Controlador que devuelve el período académico.
+ */
+router.get('/:id_periodo', periodosAcademicosValidations.periodoValidations, validar, obtenerPeriodoAcademicoPorId);
+
+/**
+ * @description Ruta para crear un período académico.
+ * @method POST
+ * @route /periodos-academicos
+ * @param {Array<import('express-validator').ValidationChain>} periodosAcademicosValidations.crearPeriodoValidations - Middlewares de validación del período académico.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} crearPeriodoAcademico - Controlador que crea el período académico.
+ */
+router.post('/', periodosAcademicosValidations.crearPeriodoValidations, validar, crearPeriodoAcademico);
+
+/**
+ * @description Ruta para editar un período académico. Admite la cabecera `If-Match`.
+ * @method PUT
+ * @route /periodos-academicos/:id_periodo
+ * @param {string} :id_periodo - ID único del período académico.
+ * @param {Array<import('express-validator').ValidationChain>} periodosAcademicosValidations.editarPeriodoValidations - Middlewares de validación del ID y de los campos a editar.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} editarPeriodoAcademico - Controlador que actualiza el período académico.
+ */
+router.put('/:id_periodo', periodosAcademicosValidations.editarPeriodoValidations, validar, editarPeriodoAcademico);
+
+/**
+ * @description Ruta para actualizar parcialmente un período académico con un documento JSON Merge Patch (RFC 7396).
+ * Las validaciones se realizan dentro del controlador `parchearPeriodoAcademico`.
+ * @method PATCH
+ * @route /periodos-academicos/:id_periodo
+ * @param {string} :id_periodo - ID único del período académico.
+ * @param {function} parchearPeriodoAcademico - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_periodo', parchearPeriodoAcademico);
+
+/**
+ * @description Ruta para eliminar un período académico sin inscripciones ni docentes asignados. Admite la cabecera `If-Match`.
+ * @method DELETE
+ * @route /periodos-academicos/:id_periodo
+ * @param {string} :id_periodo - ID único del período académico.
+ * @param {Array<import('express-validator').ValidationChain>} periodosAcademicosValidations.periodoValidations - Middlewares de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} eliminarPeriodoAcademico - Controlador que elimina el período académico.
+ */
+router.delete('/:id_periodo', periodosAcademicosValidations.periodoValidations, validar, eliminarPeriodoAcademico);
+
+export default router;
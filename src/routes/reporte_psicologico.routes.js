@@ -18,6 +18,7 @@ import {
     obtenerReportePsicologicoPorId,
     crearReportePsicologico,
     editarReportePsicologico,
+    parchearReportePsicologico,
     eliminarReportePsicologico,
     obtenerReportesPsicologicosPorEstudiante
 } from '../controllers/reportePsicologico.controller.js';
@@ -122,6 +123,17 @@ router.put(
     editarReportePsicologico
 );
 
+/**
+ * @description Ruta para actualizar parcialmente un reporte psicológico con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (`id_estudiante`, `motivo_consulta`, `sintesis_diagnostica`, `recomendaciones`); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearReportePsicologico`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /reporte-psicologico/:id_psicologico
+ * @param {string} :id_psicologico - ID único del registro a actualizar.
+ * @param {function} parchearReportePsicologico - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_psicologico', parchearReportePsicologico);
+
 /**
  * @description Ruta para eliminar un reporte psicológico del sistema por su ID.
  * Aplica validación al parámetro `id_psicologico`.
@@ -18,6 +18,7 @@ import {
     obtenerRepresentantePorId,
     crearRepresentante,
     editarRepresentante,
+    parchearRepresentante,
     eliminarRepresentante,
     obtenerRepresentantePorEstudiante
 } from '../controllers/representantes.controller.js';
@@ -110,6 +111,17 @@ router.put(
     editarRepresentante
 );
 
+/**
+ * @description Ruta para actualizar parcialmente un representante con un documento JSON Merge Patch (RFC 7396).
+ * Solo cambian los campos enviados (los mismos que al crearlo); los enviados con `null` se borran.
+ * Las validaciones se realizan dentro del controlador `parchearRepresentante`, que responde con el registro actualizado.
+ * @method PATCH
+ * @route /representantes/:id_representante
+ * @param {string} :id_representante - ID único del registro a actualizar.
+ * @param {function} parchearRepresentante - Controlador que aplica el documento de cambios.
+ */
+router.patch('/:id_representante', parchearRepresentante);
+
 /**
  * @description Ruta para eliminar un representante del sistema por su ID.
  * Aplica validación al parámetro `id_representante`.
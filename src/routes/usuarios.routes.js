@@ -8,6 +8,7 @@
  * @version 1.0.0
  * @module routes/usuarios.routes
  * @see {@link module:controllers/usuarios.controller} Para la lógica de negocio de cada ruta.
+ * @see {@link module:controllers/dosFactores.controller} Para la verificación en dos factores.
  * @see {@link module:validations/usuarios.validations} Para las reglas de validación de datos.
  */
 
@@ -17,13 +18,33 @@ import {
     iniciarSesion,
     obtenerTodosLosUsuarios,
     editarUsuario,
-    eliminarUsuario,
-    obtenerPasswordUsuario,
+    desactivarUsuario,
+    reactivarUsuario,
     obtenerUsuarioPorId,
-    obtenerNombrePorCedula
+    obtenerNombrePorCedula,
+    cambiarPassword,
+    generarRestablecimientoPassword,
+    restablecerPassword,
+    refrescarSesion,
+    cerrarSesion,
+    revocarSesionesUsuario,
+    desbloquearUsuario,
+    obtenerIntentosLogin,
+    obtenerPerfil,
+    actualizarPerfil
 } from '../controllers/usuarios.controller.js';
+import {
+    iniciarSesion2fa,
+    inscribir2fa,
+    activar2fa,
+    desactivar2fa,
+    regenerarCodigosRecuperacion,
+    restablecer2faUsuario
+} from '../controllers/dosFactores.controller.js';
 
 import { usuarioValidations } from '../validations/usuarios.validations.js';
+import { verificarToken } from '../middlewares/auth.middleware.js';
+import { autorizarRecurso } from '../middlewares/permisos.middleware.js';
 import { validationResult } from 'express-validator';
 
 /**
@@ -51,19 +72,9 @@ const validar = (req, res, next) => {
     next();
 };
 
-/**
- * @description Ruta para registrar un nuevo usuario.
- * Aplica las validaciones definidas en `registrarUsuarioValidations` antes de ejecutar el controlador.
- * @method POST
- * @route /usuarios/registrar
- * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.registrarUsuarioValidations - Middlewares de validación para el registro.
- * @param {function} validar - Middleware para manejar los resultados de la validación.
- * @param {function} registrarUsuario - Controlador que maneja la lógica de registro de usuario.
- */
-router.post('/registrar', usuarioValidations.registrarUsuarioValidations, validar, registrarUsuario);
-
 /**
  * @description Ruta para iniciar sesión de un usuario.
+ * No requiere token y devuelve el token de acceso, o un token intermedio si el usuario tiene activa la verificación en dos factores.
  * Aplica las validaciones definidas en `iniciarSesionValidations` antes de ejecutar el controlador.
  * @method POST
  * @route /usuarios/login
@@ -73,6 +84,142 @@ router.post('/registrar', usuarioValidations.registrarUsuarioValidations, valida
  */
 router.post('/login', usuarioValidations.iniciarSesionValidations, validar, iniciarSesion);
 
+/**
+ * @description Ruta pública para completar el inicio de sesión de un usuario con verificación en dos factores,
+ * enviando el token intermedio de `/usuarios/login` junto a un código TOTP o un código de recuperación.
+ * @method POST
+ * @route /usuarios/login/2fa
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.iniciarSesion2faValidations - Middlewares de validación del token y el código.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} iniciarSesion2fa - Controlador que verifica el segundo factor y emite los tokens de la sesión.
+ */
+router.post('/login/2fa', usuarioValidations.iniciarSesion2faValidations, validar, iniciarSesion2fa);
+
+/**
+ * @description Ruta pública para renovar el token de acceso con un token de actualización.
+ * El token de actualización se rota en cada uso.
+ * @method POST
+ * @route /usuarios/refresh
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.refreshTokenValidations - Middleware de validación del token de actualización.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} refrescarSesion - Controlador que renueva los tokens de la sesión.
+ */
+router.post('/refresh', usuarioValidations.refreshTokenValidations, validar, refrescarSesion);
+
+/**
+ * @description Ruta pública para cerrar sesión revocando el token de actualización.
+ * No requiere un token de acceso vigente, para permitir cerrar sesiones cuyo token de acceso ya expiró.
+ * @method POST
+ * @route /usuarios/logout
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.refreshTokenValidations - Middleware de validación del token de actualización.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} cerrarSesion - Controlador que revoca la sesión.
+ */
+router.post('/logout', usuarioValidations.refreshTokenValidations, validar, cerrarSesion);
+
+/**
+ * @description Ruta pública para restablecer una contraseña con el token de un solo uso emitido por un administrador.
+ * @method POST
+ * @route /usuarios/restablecer-password
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.restablecerPasswordValidations - Middlewares de validación del token y la nueva contraseña.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} restablecerPassword - Controlador que consume el token y actualiza la contraseña.
+ */
+router.post('/restablecer-password', usuarioValidations.restablecerPasswordValidations, validar, restablecerPassword);
+
+/**
+ * @description Todas las rutas definidas a continuación requieren un token de acceso válido.
+ * @param {function} verificarToken - Middleware de autenticación JWT.
+ */
+router.use(verificarToken);
+
+/**
+ * @description Ruta para que el usuario autenticado cambie su propia contraseña.
+ * Está disponible para cualquier rol y también cuando el usuario tiene un cambio de contraseña pendiente.
+ * @method PUT
+ * @route /usuarios/cambiar-password
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.cambiarPasswordValidations - Middlewares de validación de la contraseña actual y la nueva.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} cambiarPassword - Controlador que maneja el cambio de contraseña.
+ */
+router.put('/cambiar-password', usuarioValidations.cambiarPasswordValidations, validar, cambiarPassword);
+
+/**
+ * @description Ruta para obtener el perfil del usuario autenticado. Disponible para cualquier rol.
+ * Debe declararse antes de `/:id_usuario` para que no se interprete como un ID.
+ * @method GET
+ * @route /usuarios/me
+ * @param {function} obtenerPerfil - Controlador que devuelve el perfil del usuario autenticado.
+ */
+router.get('/me', obtenerPerfil);
+
+/**
+ * @description Ruta para que el usuario autenticado actualice su propio perfil.
+ * El rol y la cédula solo pueden modificarlos los administradores.
+ * @method PUT
+ * @route /usuarios/me
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.actualizarPerfilValidations - Middlewares de validación de los campos del perfil.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} actualizarPerfil - Controlador que actualiza el perfil del usuario autenticado.
+ */
+router.put('/me', usuarioValidations.actualizarPerfilValidations, validar, actualizarPerfil);
+
+/**
+ * @description Ruta para que el usuario autenticado inicie la inscripción de la verificación en dos factores.
+ * Disponible para administradores y psicólogos.
+ * @method POST
+ * @route /usuarios/2fa/inscribir
+ * @param {function} inscribir2fa - Controlador que genera el secreto TOTP y su URI otpauth.
+ */
+router.post('/2fa/inscribir', inscribir2fa);
+
+/**
+ * @description Ruta para activar la verificación en dos factores confirmando un código de la aplicación de autenticación.
+ * @method POST
+ * @route /usuarios/2fa/activar
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.codigoTotpValidations - Middleware de validación del código.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} activar2fa - Controlador que activa la verificación y emite los códigos de recuperación.
+ */
+router.post('/2fa/activar', usuarioValidations.codigoTotpValidations, validar, activar2fa);
+
+/**
+ * @description Ruta para desactivar la verificación en dos factores de la propia cuenta.
+ * @method POST
+ * @route /usuarios/2fa/desactivar
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.desactivar2faValidations - Middlewares de validación de la contraseña y el código.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} desactivar2fa - Controlador que desactiva la verificación.
+ */
+router.post('/2fa/desactivar', usuarioValidations.desactivar2faValidations, validar, desactivar2fa);
+
+/**
+ * @description Ruta para regenerar los códigos de recuperación de la propia cuenta.
+ * @method POST
+ * @route /usuarios/2fa/codigos-recuperacion
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.codigoTotpValidations - Middleware de validación del código.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} regenerarCodigosRecuperacion - Controlador que reemplaza los códigos de recuperación.
+ */
+router.post('/2fa/codigos-recuperacion', usuarioValidations.codigoTotpValidations, validar, regenerarCodigosRecuperacion);
+
+/**
+ * @description Las rutas definidas a continuación requieren, según la matriz de permisos, el rol de administrador.
+ * @param {function} autorizarRecurso - Middleware de autorización por rol para el recurso `usuarios`.
+ */
+router.use(autorizarRecurso('usuarios'));
+
+/**
+ * @description Ruta para registrar un nuevo usuario.
+ * Aplica las validaciones definidas en `registrarUsuarioValidations` antes de ejecutar el controlador.
+ * @method POST
+ * @route /usuarios/registrar
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.registrarUsuarioValidations - Middlewares de validación para el registro.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} registrarUsuario - Controlador que maneja la lógica de registro de usuario.
+ */
+router.post('/registrar', usuarioValidations.registrarUsuarioValidations, validar, registrarUsuario);
+
 /**
  * @description Ruta para obtener todos los usuarios registrados en el sistema.
  * @method GET
@@ -81,6 +228,17 @@ router.post('/login', usuarioValidations.iniciarSesionValidations, validar, inic
  */
 router.get('/', obtenerTodosLosUsuarios);
 
+/**
+ * @description Ruta para consultar la bitácora de intentos de inicio de sesión.
+ * Debe declararse antes de `/:id_usuario` para que no se interprete como un ID.
+ * @method GET
+ * @route /usuarios/intentos-login
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.obtenerIntentosLoginValidations - Middlewares de validación de los filtros.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} obtenerIntentosLogin - Controlador que devuelve los intentos registrados.
+ */
+router.get('/intentos-login', usuarioValidations.obtenerIntentosLoginValidations, validar, obtenerIntentosLogin);
+
 /**
  * @description Ruta para obtener la información de un usuario específico por su ID.
  * @method GET
@@ -103,24 +261,84 @@ router.get('/:id_usuario', obtenerUsuarioPorId);
 router.put('/:id_usuario', usuarioValidations.editarUsuarioValidations, validar, editarUsuario);
 
 /**
- * @description Ruta para eliminar un usuario del sistema por su ID.
+ * @description Ruta para dar de baja a un usuario. Se conserva por compatibilidad: ya no elimina el registro,
+ * sino que desactiva la cuenta igual que `POST /usuarios/:id_usuario/desactivar`.
  * @method DELETE
  * @route /usuarios/:id_usuario
- * @param {string} :id_usuario - ID único del usuario a eliminar.
- * @param {function} eliminarUsuario - Controlador que maneja la lógica de eliminación de usuario.
+ * @param {string} :id_usuario - ID único del usuario a desactivar.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} desactivarUsuario - Controlador que desactiva la cuenta del usuario.
  */
-router.delete('/:id_usuario', eliminarUsuario);
+router.delete('/:id_usuario', usuarioValidations.idUsuarioValidations, validar, desactivarUsuario);
 
 /**
- * @description Ruta para obtener la contraseña de un usuario específico por su ID.
- * **Nota de Seguridad:** En un entorno de producción, esta ruta debería estar protegida
- * con autenticación y autorización para administradores, ya que expone información sensible.
- * @method GET
- * @route /usuarios/:id_usuario/password
- * @param {string} :id_usuario - ID único del usuario cuya contraseña se desea obtener.
- * @param {function} obtenerPasswordUsuario - Controlador que devuelve la contraseña de un usuario.
+ * @description Ruta para desactivar la cuenta de un usuario. El usuario deja de poder iniciar sesión,
+ * pero se conserva como autor de sus registros.
+ * @method POST
+ * @route /usuarios/:id_usuario/desactivar
+ * @param {string} :id_usuario - ID único del usuario a desactivar.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} desactivarUsuario - Controlador que desactiva la cuenta del usuario.
+ */
+router.post('/:id_usuario/desactivar', usuarioValidations.idUsuarioValidations, validar, desactivarUsuario);
+
+/**
+ * @description Ruta para reactivar la cuenta de un usuario desactivado.
+ * @method POST
+ * @route /usuarios/:id_usuario/reactivar
+ * @param {string} :id_usuario - ID único del usuario a reactivar.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} reactivarUsuario - Controlador que reactiva la cuenta del usuario.
+ */
+router.post('/:id_usuario/reactivar', usuarioValidations.idUsuarioValidations, validar, reactivarUsuario);
+
+/**
+ * @description Ruta para que un administrador genere un token de restablecimiento de contraseña.
+ * El usuario queda obligado a cambiar su contraseña en su próximo inicio de sesión.
+ * @method POST
+ * @route /usuarios/:id_usuario/restablecer-password
+ * @param {string} :id_usuario - ID único del usuario cuya contraseña se restablecerá.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} generarRestablecimientoPassword - Controlador que emite el token de restablecimiento.
+ */
+router.post('/:id_usuario/restablecer-password', usuarioValidations.idUsuarioValidations, validar, generarRestablecimientoPassword);
+
+/**
+ * @description Ruta para que un administrador revoque todas las sesiones activas de un usuario.
+ * @method POST
+ * @route /usuarios/:id_usuario/revocar-sesiones
+ * @param {string} :id_usuario - ID único del usuario cuyas sesiones se revocarán.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} revocarSesionesUsuario - Controlador que revoca las sesiones del usuario.
+ */
+router.post('/:id_usuario/revocar-sesiones', usuarioValidations.idUsuarioValidations, validar, revocarSesionesUsuario);
+
+/**
+ * @description Ruta para que un administrador desbloquee una cuenta bloqueada por intentos fallidos de inicio de sesión.
+ * @method POST
+ * @route /usuarios/:id_usuario/desbloquear
+ * @param {string} :id_usuario - ID único del usuario a desbloquear.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} desbloquearUsuario - Controlador que reinicia el bloqueo de la cuenta.
+ */
+router.post('/:id_usuario/desbloquear', usuarioValidations.idUsuarioValidations, validar, desbloquearUsuario);
+
+/**
+ * @description Ruta para que un administrador restablezca la verificación en dos factores de un usuario.
+ * @method DELETE
+ * @route /usuarios/:id_usuario/2fa
+ * @param {string} :id_usuario - ID único del usuario.
+ * @param {Array<import('express-validator').ValidationChain>} usuarioValidations.idUsuarioValidations - Middleware de validación del ID.
+ * @param {function} validar - Middleware para manejar los resultados de la validación.
+ * @param {function} restablecer2faUsuario - Controlador que elimina el secreto y los códigos del usuario.
  */
-router.get('/:id_usuario/password', obtenerPasswordUsuario);
+router.delete('/:id_usuario/2fa', usuarioValidations.idUsuarioValidations, validar, restablecer2faUsuario);
 
 /**
  * @description Ruta para obtener el nombre y apellido de un usuario a partir de su cédula.
@@ -0,0 +1,131 @@
+/**
+ * @file Este archivo contiene las reglas de los archivos adjuntos de los estudiantes.
+ * @description Define los tipos de adjunto (foto, certificado CONAPDIS, informe médico, documento de identidad u otro),
+ * los formatos admitidos, los registros a los que se puede vincular un adjunto y el recurso de la matriz de permisos
+ * que decide quién puede verlo. El formato de cada archivo se determina por su contenido (su firma), no por
+ * la extensión ni por el tipo MIME que declara el cliente.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/adjuntos
+ * @see module:controllers/adjuntos.controller
+ */
+
+import crypto from 'crypto';
+import { sql } from '../db.js';
+import { PERMISOS } from './permisos.js';
+
+/**
+ * @description Tipos de adjunto y el recurso de la matriz de permisos que exigen como mínimo, estén o no vinculados
+ * a otro registro: los documentos médicos solo los ve el personal clínico; el resto, quien puede leer estudiantes.
+ * @type {Object<string, string>}
+ */
+export const RECURSO_POR_TIPO_ADJUNTO = {
+  foto: 'estudiantes',
+  documento_identidad: 'estudiantes',
+  certificado_conapdis: 'historial_medico',
+  informe_medico: 'historial_medico',
+  otro: 'estudiantes',
+};
+
+/**
+ * @description Tipos de adjunto admitidos.
+ * @type {string[]}
+ */
+export const TIPOS_ADJUNTO = Object.keys(RECURSO_POR_TIPO_ADJUNTO);
+
+/**
+ * @description Registros a los que se puede vincular un adjunto (además del estudiante), con su tabla y el recurso
+ * de la matriz de permisos que exigen. Un adjunto vinculado a uno de ellos lo ve quien puede leer ese recurso
+ * (ver `recursoAdjunto`).
+ * Los nombres son constantes del código y se interpolan como SQL.
+ * @type {Object<string, {tabla: string, recurso: string}>}
+ */
+export const VINCULOS_ADJUNTO = {
+  id_historialmedico: { tabla: 'historial_medico', recurso: 'historial_medico' },
+  id_incidencia: { tabla: 'incidencias', recurso: 'incidencias' },
+  id_psicologico: { tabla: 'reporte_psicologico', recurso: 'reporte_psicologico' },
+};
+
+/**
+ * @description Condición SQL que se cumple si el registro vinculado al adjunto `a` (si lo hay) no está en la papelera.
+ * @type {object}
+ */
+export const vinculoAdjuntoVigente = Object.entries(VINCULOS_ADJUNTO)
+  .map(([campo, { tabla }]) => sql`
+    NOT EXISTS (
+      SELECT 1 FROM ${sql.unsafe(tabla)} v
+      WHERE v.${sql.unsafe(campo)} = a.${sql.unsafe(campo)} AND v.deleted_at IS NOT NULL
+    )
+  `)
+  .reduce((condicion, vinculo) => sql`${condicion} AND ${vinculo}`);
+
+/**
+ * @description Formatos admitidos: tipo MIME, extensión con la que se guarda y firma (bytes iniciales) que lo identifica.
+ * @type {Array<{tipoMime: string, extension: string, firma: number[]}>}
+ */
+const FORMATOS_ADJUNTO = [
+  { tipoMime: 'application/pdf', extension: '.pdf', firma: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { tipoMime: 'image/jpeg', extension: '.jpg', firma: [0xff, 0xd8, 0xff] },
+  { tipoMime: 'image/png', extension: '.png', firma: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+
+/**
+ * @description Tipos MIME admitidos para los adjuntos.
+ * @type {string[]}
+ */
+export const TIPOS_MIME_ADJUNTO = FORMATOS_ADJUNTO.map(({ tipoMime }) => tipoMime);
+
+/**
+ * @description Tipos MIME admitidos para las fotos de los estudiantes.
+ * @type {string[]}
+ */
+export const TIPOS_MIME_FOTO = ['image/jpeg', 'image/png'];
+
+/**
+ * @description Determina el formato de un archivo por su contenido.
+ * @param {Buffer} contenido - Contenido del archivo.
+ * @returns {{tipoMime: string, extension: string}|null} Formato del archivo, o `null` si no es un formato admitido.
+ */
+export const detectarFormato = (contenido) => {
+  const formato = FORMATOS_ADJUNTO.find(({ firma }) => firma.every((byte, i) => contenido[i] === byte));
+  return formato ? { tipoMime: formato.tipoMime, extension: formato.extension } : null;
+};
+
+/**
+ * @description Calcula la suma de verificación SHA-256 de un archivo.
+ * @param {Buffer} contenido - Contenido del archivo.
+ * @returns {string} Hash SHA-256 en hexadecimal (64 caracteres).
+ */
+export const calcularChecksum = (contenido) => {
+  return crypto.createHash('sha256').update(contenido).digest('hex');
+};
+
+/**
+ * @description Indica si un recurso es al menos tan restrictivo como otro para leer: todos los roles que pueden
+ * leer `recurso` pueden leer también `referencia`.
+ * @param {string} recurso - Recurso a comparar (clave de `PERMISOS`).
+ * @param {string} referencia - Recurso de referencia (clave de `PERMISOS`).
+ * @returns {boolean} `true` si `recurso` no deja ver el adjunto a ningún rol que `referencia` excluya.
+ */
+const esAlMenosTanRestrictivo = (recurso, referencia) => {
+  return PERMISOS[recurso].leer.every((rol) => PERMISOS[referencia].leer.includes(rol));
+};
+
+/**
+ * @description Determina el recurso que decide la visibilidad de un adjunto. El recurso de su tipo es el mínimo
+ * exigido: si el adjunto está vinculado a un registro, se usa el recurso de ese registro solo si es al menos tan
+ * restrictivo (por ejemplo, un informe médico se puede vincular a un historial médico o a un reporte psicológico,
+ * pero no a una incidencia, que pueden leer los docentes).
+ * @param {string} tipo - Tipo del adjunto.
+ * @param {string|undefined} vinculo - Campo del registro vinculado (clave de `VINCULOS_ADJUNTO`), si lo hay.
+ * @returns {string|null} Recurso de la matriz de permisos, o `null` si el registro vinculado es menos restrictivo
+ * que el tipo del adjunto.
+ */
+export const recursoAdjunto = (tipo, vinculo) => {
+  const recursoTipo = RECURSO_POR_TIPO_ADJUNTO[tipo];
+  if (!vinculo) {
+    return recursoTipo;
+  }
+  const recursoVinculo = VINCULOS_ADJUNTO[vinculo].recurso;
+  return esAlMenosTanRestrictivo(recursoVinculo, recursoTipo) ? recursoVinculo : null;
+};
@@ -0,0 +1,101 @@
+/**
+ * @file Este archivo contiene los backends de almacenamiento de los archivos adjuntos.
+ * @description Los controladores no acceden directamente al disco: guardan, leen y eliminan los archivos a través
+ * del backend configurado en `ADJUNTOS_ALMACENAMIENTO`, identificándolos por una clave (una ruta relativa como
+ * `12/4f1c….pdf`). La clave y el nombre del backend se guardan con cada adjunto, de modo que se pueda agregar
+ * otro backend (por ejemplo, un bucket de objetos) registrándolo con `registrarBackendAlmacenamiento`.
+ * Por defecto se usa el disco local.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/almacenamiento
+ * @see module:controllers/adjuntos.controller
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ADJUNTOS_ALMACENAMIENTO, ADJUNTOS_DIRECTORIO } from '../config.js';
+
+/**
+ * @typedef {object} BackendAlmacenamiento
+ * @property {function(string, Buffer): Promise<void>} guardar - Guarda el contenido con la clave indicada.
+ * @property {function(string): Promise<import('stream').Readable>} leer - Devuelve un flujo de lectura del archivo.
+ * @property {function(string): Promise<void>} eliminar - Elimina el archivo; no falla si ya no existe.
+ */
+
+/**
+ * @description Crea el backend que guarda los archivos en un directorio del disco local.
+ * @param {string} directorio - Directorio raíz de los archivos (se crea si no existe).
+ * @returns {BackendAlmacenamiento} Backend de almacenamiento local.
+ */
+export const crearAlmacenamientoLocal = (directorio) => {
+  const raiz = path.resolve(directorio);
+
+  // Las claves las genera la API, pero se verifica igualmente que no salgan del directorio raíz.
+  const rutaDe = (clave) => {
+    const ruta = path.resolve(raiz, clave);
+    if (!ruta.startsWith(raiz + path.sep)) {
+      throw new Error(`Clave de almacenamiento no válida: ${clave}`);
+    }
+    return ruta;
+  };
+
+  return {
+    guardar: async (clave, contenido) => {
+      const ruta = rutaDe(clave);
+      await fs.promises.mkdir(path.dirname(ruta), { recursive: true });
+      await fs.promises.writeFile(ruta, contenido, { flag: 'wx' });
+    },
+    leer: async (clave) => {
+      const ruta = rutaDe(clave);
+      // Se comprueba que el archivo exista antes de crear el flujo, para poder responder 404 en lugar de cortar la respuesta.
+      await fs.promises.access(ruta, fs.constants.R_OK);
+      return fs.createReadStream(ruta);
+    },
+    eliminar: async (clave) => {
+      await fs.promises.rm(rutaDe(clave), { force: true });
+    },
+  };
+};
+
+/**
+ * @description Fábricas de los backends disponibles, por nombre.
+ * @type {Object<string, function(): BackendAlmacenamiento>}
+ */
+const FABRICAS_ALMACENAMIENTO = {
+  local: () => crearAlmacenamientoLocal(ADJUNTOS_DIRECTORIO),
+};
+
+/**
+ * @description Instancias ya creadas de los backends, por nombre.
+ * @type {Map<string, BackendAlmacenamiento>}
+ */
+const backends = new Map();
+
+/**
+ * @description Registra un backend de almacenamiento adicional.
+ * @param {string} nombre - Nombre del backend (el valor de `ADJUNTOS_ALMACENAMIENTO` que lo selecciona).
+ * @param {function(): BackendAlmacenamiento} fabrica - Función que crea el backend la primera vez que se usa.
+ * @returns {void}
+ */
+export const registrarBackendAlmacenamiento = (nombre, fabrica) => {
+  FABRICAS_ALMACENAMIENTO[nombre] = fabrica;
+  backends.delete(nombre);
+};
+
+/**
+ * @description Obtiene un backend de almacenamiento por su nombre (por defecto, el configurado en `ADJUNTOS_ALMACENAMIENTO`).
+ * Los adjuntos se leen y eliminan con el backend con el que se guardaron.
+ * @param {string} [nombre=ADJUNTOS_ALMACENAMIENTO] - Nombre del backend.
+ * @returns {BackendAlmacenamiento} Backend de almacenamiento.
+ * @throws {Error} Si no hay ningún backend registrado con ese nombre.
+ */
+export const obtenerAlmacenamiento = (nombre = ADJUNTOS_ALMACENAMIENTO) => {
+  if (!backends.has(nombre)) {
+    const fabrica = FABRICAS_ALMACENAMIENTO[nombre];
+    if (!fabrica) {
+      throw new Error(`Backend de almacenamiento no registrado: ${nombre}`);
+    }
+    backends.set(nombre, fabrica());
+  }
+  return backends.get(nombre);
+};
@@ -0,0 +1,139 @@
+/**
+ * @file Este archivo contiene funciones de utilidad para la búsqueda aproximada de texto.
+ * @description Normaliza los términos de búsqueda igual que la función `texto_busqueda` de la base de datos
+ * (minúsculas y sin acentos) y resalta en los resultados los fragmentos que coinciden con la búsqueda.
+ * La similitud por trigramas replica la de la extensión `pg_trgm`, de modo que las palabras con errores
+ * de escritura que la base de datos considera coincidencias también se resaltan.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/busqueda
+ */
+
+/**
+ * @description Similitud mínima entre un término y una palabra para resaltarla como coincidencia aproximada.
+ * @type {number}
+ */
+const SIMILITUD_MINIMA_RESALTADO = 0.4;
+
+/**
+ * @description Longitud mínima de un término para buscarlo dentro de los campos.
+ * @type {number}
+ */
+const LONGITUD_MINIMA_TERMINO = 2;
+
+/**
+ * @description Normaliza un carácter: lo convierte a minúsculas y le quita los acentos y diacríticos.
+ * @param {string} caracter - Carácter a normalizar.
+ * @returns {string} Carácter normalizado.
+ */
+const normalizarCaracter = (caracter) => caracter.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * @description Normaliza un texto para la búsqueda: minúsculas, sin acentos y con los espacios colapsados.
+ * @param {string} texto - Texto a normalizar.
+ * @returns {string} Texto normalizado.
+ */
+export const normalizarTexto = (texto) => {
+  return String(texto)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * @description Obtiene el conjunto de trigramas de una palabra con el mismo relleno que usa `pg_trgm`.
+ * @param {string} palabra - Palabra normalizada.
+ * @returns {Set<string>} Trigramas de la palabra.
+ */
+const obtenerTrigramas = (palabra) => {
+  const relleno = `  ${palabra} `;
+  const trigramas = new Set();
+  for (let i = 0; i <= relleno.length - 3; i++) {
+    trigramas.add(relleno.slice(i, i + 3));
+  }
+  return trigramas;
+};
+
+/**
+ * @description Calcula la similitud por trigramas entre dos palabras (0 a 1), como `similarity()` de `pg_trgm`.
+ * @param {string} a - Primera palabra normalizada.
+ * @param {string} b - Segunda palabra normalizada.
+ * @returns {number} Proporción de trigramas compartidos.
+ */
+export const similitudTrigramas = (a, b) => {
+  const trigramasA = obtenerTrigramas(a);
+  const trigramasB = obtenerTrigramas(b);
+  let compartidos = 0;
+  for (const trigrama of trigramasA) {
+    if (trigramasB.has(trigrama)) compartidos++;
+  }
+  return compartidos / (trigramasA.size + trigramasB.size - compartidos);
+};
+
+/**
+ * @description Escapa los caracteres especiales de HTML para que el texto resaltado pueda insertarse en una página.
+ * @param {string} texto - Texto a escapar.
+ * @returns {string} Texto escapado.
+ */
+const escaparHtml = (texto) => texto.replace(/[&<>"']/g, (caracter) => `&#${caracter.charCodeAt(0)};`);
+
+/**
+ * @description Resalta en un valor los fragmentos que coinciden con los términos de búsqueda, envolviéndolos en `<mark>`.
+ * La comparación no distingue mayúsculas ni acentos. Si un término no aparece literalmente, se resaltan las
+ * palabras del valor suficientemente parecidas (errores de escritura). El resto del texto se escapa como HTML.
+ * @param {string|null} valor - Valor original del campo.
+ * @param {string[]} terminos - Términos de búsqueda normalizados.
+ * @returns {string|null} Valor resaltado, o `null` si no hay coincidencias.
+ */
+export const resaltarCoincidencias = (valor, terminos) => {
+  if (valor === null || valor === undefined) return null;
+  const original = String(valor);
+
+  // Se normaliza carácter por carácter para conservar la correspondencia con las posiciones del valor original.
+  let normalizado = '';
+  const posiciones = [];
+  for (let i = 0; i < original.length; i++) {
+    const caracter = normalizarCaracter(original[i]);
+    for (let j = 0; j < caracter.length; j++) posiciones.push(i);
+    normalizado += caracter;
+  }
+
+  const rangos = [];
+  const agregarRango = (inicio, fin) => rangos.push([posiciones[inicio], posiciones[fin - 1] + 1]);
+
+  for (const termino of terminos.filter((t) => t.length >= LONGITUD_MINIMA_TERMINO)) {
+    let indice = normalizado.indexOf(termino);
+    if (indice !== -1) {
+      while (indice !== -1) {
+        agregarRango(indice, indice + termino.length);
+        indice = normalizado.indexOf(termino, indice + termino.length);
+      }
+      continue;
+    }
+    for (const palabra of normalizado.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (similitudTrigramas(termino, palabra[0]) >= SIMILITUD_MINIMA_RESALTADO) {
+        agregarRango(palabra.index, palabra.index + palabra[0].length);
+      }
+    }
+  }
+
+  if (rangos.length === 0) return null;
+
+  // Se unen los rangos solapados y se construye el texto resaltado.
+  rangos.sort((a, b) => a[0] - b[0]);
+  let resultado = '';
+  let cursor = 0;
+  let actual = rangos[0].slice();
+  for (const [inicio, fin] of [...rangos.slice(1), [Infinity, Infinity]]) {
+    if (inicio <= actual[1]) {
+      actual[1] = Math.max(actual[1], fin);
+      continue;
+    }
+    resultado += `${escaparHtml(original.slice(cursor, actual[0]))}<mark>${escaparHtml(original.slice(actual[0], actual[1]))}</mark>`;
+    cursor = actual[1];
+    actual = [inicio, fin];
+  }
+  return resultado + escaparHtml(original.slice(cursor));
+};
@@ -0,0 +1,184 @@
+/**
+ * @file Este archivo contiene las funciones de utilidad para exportar listados a CSV y XLSX.
+ * @description Los endpoints de listado responden en JSON por defecto y generan una hoja de cálculo cuando se pide
+ * con `?format=csv|xlsx` o con la cabecera `Accept` (`text/csv` o el tipo MIME de XLSX). Las exportaciones:
+ * - Incluyen todos los registros que cumplen los filtros del listado (sin paginación), con el mismo orden.
+ * - Se consultan en lotes de `TAMANO_LOTE_EXPORTACION` registros y se envían al cliente a medida que se generan.
+ * - Usan encabezados en español, fechas `dd/mm/aaaa` y booleanos "Sí"/"No".
+ * - En CSV usan `;` como separador y UTF-8 con BOM, que es lo que espera Excel con la configuración regional en español.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/exportaciones
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { toDate, formatDate, formatBoolean } from './formatters.js';
+
+/**
+ * @description Tipos MIME de los formatos de exportación.
+ * @type {Object<string, string>}
+ */
+export const TIPOS_MIME_EXPORTACION = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * @description Cantidad de registros que se consultan por lote al exportar.
+ * @type {number}
+ */
+export const TAMANO_LOTE_EXPORTACION = 1000;
+
+/**
+ * @description Separador de columnas de los CSV exportados.
+ * @type {string}
+ */
+const SEPARADOR_CSV = ';';
+
+/**
+ * @description Determina el formato de respuesta de un listado. El parámetro `format` tiene prioridad sobre la cabecera `Accept`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @returns {string|null} "json", "csv" o "xlsx"; `null` si `format` tiene un valor no admitido.
+ */
+export const obtenerFormatoRespuesta = (req) => {
+  const { format } = req.query;
+  if (format !== undefined) {
+    const formato = String(format).toLowerCase();
+    return ['json', ...Object.keys(TIPOS_MIME_EXPORTACION)].includes(formato) ? formato : null;
+  }
+  // JSON va primero para que `*/*` y la ausencia de `Accept` mantengan la respuesta habitual.
+  const tipo = req.accepts(['application/json', TIPOS_MIME_EXPORTACION.csv, TIPOS_MIME_EXPORTACION.xlsx]);
+  return Object.keys(TIPOS_MIME_EXPORTACION).find((formato) => TIPOS_MIME_EXPORTACION[formato] === tipo) ?? 'json';
+};
+
+/**
+ * @description Completa un número con ceros a la izquierda hasta dos dígitos.
+ * @param {number} numero - Número a formatear.
+ * @returns {string} Número con dos dígitos.
+ */
+const dosDigitos = (numero) => String(numero).padStart(2, '0');
+
+/**
+ * @description Formatea un valor como texto según el tipo de su columna, para los archivos CSV.
+ * @param {*} valor - Valor de la columna.
+ * @param {string} tipo - Tipo de la columna ("texto", "numero", "fecha", "fechaHora" o "booleano").
+ * @returns {string} Valor formateado.
+ */
+const formatearTexto = (valor, tipo) => {
+  if (valor === null || valor === undefined || valor === '') return '';
+  if (tipo === 'booleano') return formatBoolean(valor);
+  if (tipo === 'fecha' || tipo === 'fechaHora') return formatDate(valor, tipo === 'fechaHora');
+  // Las listas (por ejemplo, las discapacidades de un estudiante) se exportan en una sola celda.
+  const texto = Array.isArray(valor) ? valor.join(', ') : String(valor);
+  // Se neutralizan los textos que una hoja de cálculo interpretaría como fórmula (inyección CSV).
+  return tipo === 'texto' && /^[=+\-@\t\r]/.test(texto) ? `'${texto}` : texto;
+};
+
+/**
+ * @description Convierte un valor en el tipo de celda adecuado para XLSX (número, fecha o texto).
+ * @param {*} valor - Valor de la columna.
+ * @param {string} tipo - Tipo de la columna.
+ * @returns {*} Valor de la celda.
+ */
+const valorCelda = (valor, tipo) => {
+  if (valor === null || valor === undefined || valor === '') return null;
+  if (tipo === 'numero') return Number(valor);
+  if (tipo === 'fecha' || tipo === 'fechaHora') {
+    const fecha = toDate(valor);
+    // Excel no guarda zona horaria: se escribe la fecha y hora locales como si fueran UTC para que se vean igual.
+    return fecha && new Date(Date.UTC(fecha.getFullYear(), fecha.getMonth(), fecha.getDate(), fecha.getHours(), fecha.getMinutes()));
+  }
+  // En XLSX los textos no se interpretan como fórmulas, por lo que no necesitan neutralizarse.
+  if (Array.isArray(valor)) return valor.length ? valor.join(', ') : null;
+  return tipo === 'booleano' ? formatearTexto(valor, tipo) : String(valor);
+};
+
+/**
+ * @description Escapa un campo de CSV: lo encierra entre comillas si contiene el separador, comillas o saltos de línea.
+ * @param {string} texto - Texto del campo.
+ * @returns {string} Campo escapado.
+ */
+const escaparCsv = (texto) => (/[";\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto);
+
+/**
+ * @description Recorre un listado consultándolo en lotes, para no cargar todos los registros en memoria.
+ * @param {function(number, number): Promise<Array<object>>} consultarLote - Consulta que recibe `limit` y `offset`.
+ * @param {Array<object>} primerLote - Primer lote ya consultado.
+ * @yields {object} Cada registro del listado.
+ */
+async function* recorrerLotes(consultarLote, primerLote) {
+  let lote = primerLote;
+  let offset = 0;
+  while (true) {
+    yield* lote;
+    if (lote.length < TAMANO_LOTE_EXPORTACION) return;
+    offset += TAMANO_LOTE_EXPORTACION;
+    lote = await consultarLote(TAMANO_LOTE_EXPORTACION, offset);
+  }
+}
+
+/**
+ * @description Escribe un texto en la respuesta respetando la contrapresión del cliente.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {string} texto - Texto a escribir.
+ * @returns {Promise<void>}
+ */
+const escribir = async (res, texto) => {
+  if (!res.write(texto)) await once(res, 'drain');
+};
+
+/**
+ * @description Envía un listado como archivo CSV o XLSX, generándolo a medida que se consultan los lotes.
+ * El primer lote se consulta antes de enviar las cabeceras, de modo que un error inicial llegue al controlador
+ * y se responda con el 500 habitual; un error posterior interrumpe la descarga.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {object} opciones - Opciones de la exportación.
+ * @param {string} opciones.formato - "csv" o "xlsx".
+ * @param {string} opciones.nombre - Nombre base del archivo y de la hoja (ej. "estudiantes").
+ * @param {Array<{campo: string, titulo: string, tipo?: string}>} opciones.columnas - Columnas exportadas, en orden.
+ * Los tipos admitidos son "texto" (por defecto), "numero", "fecha", "fechaHora" y "booleano".
+ * @param {function(number, number): Promise<Array<object>>} opciones.consultarLote - Consulta del listado que recibe `limit` y `offset`.
+ * @returns {Promise<void>}
+ */
+export const enviarExportacion = async (res, { formato, nombre, columnas, consultarLote }) => {
+  const primerLote = await consultarLote(TAMANO_LOTE_EXPORTACION, 0);
+  const fecha = new Date();
+  const nombreArchivo = `${nombre}_${fecha.getFullYear()}-${dosDigitos(fecha.getMonth() + 1)}-${dosDigitos(fecha.getDate())}.${formato}`;
+
+  res.status(200);
+  res.setHeader('Content-Type', formato === 'csv' ? `${TIPOS_MIME_EXPORTACION.csv}; charset=utf-8` : TIPOS_MIME_EXPORTACION.xlsx);
+  res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}"`);
+
+  try {
+    if (formato === 'csv') {
+      await escribir(res, `\uFEFF${columnas.map(({ titulo }) => escaparCsv(titulo)).join(SEPARADOR_CSV)}\r\n`);
+      for await (const registro of recorrerLotes(consultarLote, primerLote)) {
+        const linea = columnas.map(({ campo, tipo = 'texto' }) => escaparCsv(formatearTexto(registro[campo], tipo)));
+        await escribir(res, `${linea.join(SEPARADOR_CSV)}\r\n`);
+      }
+      res.end();
+      return;
+    }
+
+    const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const hoja = libro.addWorksheet(nombre);
+    hoja.columns = columnas.map(({ campo, titulo, tipo = 'texto' }) => ({
+      key: campo,
+      header: titulo,
+      width: Math.max(titulo.length + 2, 12),
+      style: tipo === 'fecha' ? { numFmt: 'dd/mm/yyyy' } : tipo === 'fechaHora' ? { numFmt: 'dd/mm/yyyy hh:mm' } : {},
+    }));
+    hoja.getRow(1).font = { bold: true };
+    hoja.getRow(1).commit();
+    for await (const registro of recorrerLotes(consultarLote, primerLote)) {
+      hoja.addRow(columnas.map(({ campo, tipo = 'texto' }) => valorCelda(registro[campo], tipo))).commit();
+    }
+    hoja.commit();
+    await libro.commit();
+  } catch (error) {
+    // Las cabeceras ya se enviaron: solo se puede interrumpir la descarga.
+    console.error(`Error al exportar ${nombre}:`, error);
+    res.destroy(error);
+  }
+};
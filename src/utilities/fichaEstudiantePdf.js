@@ -0,0 +1,223 @@
+/**
+ * @file Este archivo genera la ficha imprimible de un estudiante en formato PDF.
+ * @description Construye el documento con `pdfkit` a partir del expediente del estudiante, sin servicios externos.
+ * Solo se dibujan las secciones presentes en el expediente: las secciones confidenciales (historial médico y reportes
+ * psicológicos) ya vienen filtradas según el rol por el controlador, y las omitidas no se mencionan en el documento.
+ * Las adaptaciones recomendadas se dibujan aparte de los reportes psicológicos, para que las reciba también el docente.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/fichaEstudiantePdf
+ * @see module:controllers/estudiantes.controller
+ */
+
+import PDFDocument from 'pdfkit';
+import { formatDate, formatBoolean, toCapitalCase } from './formatters.js';
+
+/**
+ * @description Colores y medidas del documento.
+ * @type {object}
+ */
+const ESTILO = {
+  margen: 50,
+  colorTitulo: '#1f3864',
+  colorEtiqueta: '#555555',
+  colorLinea: '#b4c6e7',
+  anchoEtiqueta: 150,
+};
+
+/**
+ * @description Dibuja el título de una sección con una línea divisoria.
+ * @param {PDFKit.PDFDocument} documento - Documento en construcción.
+ * @param {string} titulo - Título de la sección.
+ * @returns {void}
+ */
+const dibujarTituloSeccion = (documento, titulo) => {
+  // Se evita que un título quede solo al final de la página.
+  if (documento.y > documento.page.height - documento.page.margins.bottom - 80) documento.addPage();
+  documento.moveDown(0.8);
+  documento.font('Helvetica-Bold').fontSize(13).fillColor(ESTILO.colorTitulo).text(titulo, ESTILO.margen);
+  const y = documento.y + 2;
+  documento.moveTo(ESTILO.margen, y).lineTo(documento.page.width - ESTILO.margen, y).strokeColor(ESTILO.colorLinea).stroke();
+  documento.moveDown(0.5);
+};
+
+/**
+ * @description Dibuja una lista de pares etiqueta-valor. Los valores vacíos se muestran como "—".
+ * @param {PDFKit.PDFDocument} documento - Documento en construcción.
+ * @param {Array<[string, *]>} campos - Pares `[etiqueta, valor]`.
+ * @returns {void}
+ */
+const dibujarCampos = (documento, campos) => {
+  const anchoValor = documento.page.width - 2 * ESTILO.margen - ESTILO.anchoEtiqueta;
+  for (const [etiqueta, valor] of campos) {
+    const texto = valor === null || valor === undefined || valor === '' ? '—' : String(valor);
+    // Se empieza una página nueva si la etiqueta y su valor no alcanzan a comenzar en la actual.
+    if (documento.y > documento.page.height - documento.page.margins.bottom - 30) documento.addPage();
+    const y = documento.y;
+    documento.font('Helvetica-Bold').fontSize(10).fillColor(ESTILO.colorEtiqueta)
+      .text(`${etiqueta}:`, ESTILO.margen, y, { width: ESTILO.anchoEtiqueta - 10 });
+    const altoEtiqueta = documento.y - y;
+    documento.font('Helvetica').fillColor('black')
+      .text(texto, ESTILO.margen + ESTILO.anchoEtiqueta, y, { width: anchoValor });
+    documento.y = Math.max(documento.y, y + altoEtiqueta) + 3;
+  }
+};
+
+/**
+ * @description Dibuja un párrafo simple (por ejemplo, un mensaje de "sin registros").
+ * @param {PDFKit.PDFDocument} documento - Documento en construcción.
+ * @param {string} texto - Texto del párrafo.
+ * @returns {void}
+ */
+const dibujarNota = (documento, texto) => {
+  documento.font('Helvetica-Oblique').fontSize(10).fillColor(ESTILO.colorEtiqueta).text(texto, ESTILO.margen);
+};
+
+/**
+ * @description Resume en una línea los datos de una discapacidad asociada al estudiante
+ * (severidad, fecha de diagnóstico y certificado CONAPDIS), omitiendo los que no estén registrados.
+ * @param {object} discapacidad - Discapacidad asociada, como la devuelve el expediente.
+ * @returns {string|null} Resumen, o `null` si no tiene datos registrados.
+ */
+const resumirDiscapacidad = (discapacidad) => {
+  const datos = [
+    discapacidad.severidad && `Severidad ${discapacidad.severidad}`,
+    discapacidad.fecha_diagnostico && `diagnosticada el ${formatDate(discapacidad.fecha_diagnostico)}`,
+    discapacidad.certificado_conapdis && `certificado CONAPDIS ${discapacidad.certificado_conapdis}`,
+  ].filter(Boolean);
+  return datos.length ? datos.join(' · ') : null;
+};
+
+/**
+ * @description Dibuja el número de página y la leyenda de confidencialidad en el pie de cada página.
+ * Requiere que el documento se haya creado con `bufferPages`.
+ * @param {PDFKit.PDFDocument} documento - Documento en construcción.
+ * @returns {void}
+ */
+const dibujarPies = (documento) => {
+  const { start, count } = documento.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    documento.switchToPage(i);
+    // Se desactiva temporalmente el margen inferior para escribir en él sin crear una página nueva.
+    const margenInferior = documento.page.margins.bottom;
+    documento.page.margins.bottom = 0;
+    documento.font('Helvetica').fontSize(8).fillColor(ESTILO.colorEtiqueta).text(
+      `Documento confidencial · Página ${i - start + 1} de ${count}`,
+      ESTILO.margen,
+      documento.page.height - 35,
+      { width: documento.page.width - 2 * ESTILO.margen, align: 'center' },
+    );
+    documento.page.margins.bottom = margenInferior;
+  }
+};
+
+/**
+ * @description Genera la ficha del estudiante en PDF a partir de su expediente.
+ * El documento se devuelve sin finalizar: quien lo recibe debe conectarlo a la respuesta (`pipe`) y llamar a `end()`.
+ * @param {object} expediente - Expediente devuelto por la consulta del controlador.
+ * @param {object} expediente.estudiante - Datos del estudiante, con carrera, facultad y discapacidades asociadas.
+ * @param {Array<object>} [expediente.representantes] - Representantes del estudiante.
+ * @param {object|null} [expediente.historial_medico] - Historial médico (solo si el rol puede leerlo).
+ * @param {Array<{recomendaciones: string}>} [expediente.adaptaciones] - Recomendaciones de los reportes psicológicos.
+ * @param {Array<object>} [expediente.reportes_psicologicos] - Reportes psicológicos (solo si el rol puede leerlos).
+ * @returns {PDFKit.PDFDocument} Documento PDF.
+ */
+export const generarFichaEstudiante = (expediente) => {
+  const { estudiante, representantes, historial_medico, adaptaciones, reportes_psicologicos } = expediente;
+  const nombreCompleto = `${estudiante.nombres ?? ''} ${estudiante.apellidos ?? ''}`.trim();
+
+  const documento = new PDFDocument({
+    size: 'LETTER',
+    margin: ESTILO.margen,
+    bufferPages: true,
+    info: { Title: `Ficha del estudiante ${nombreCompleto}`, Author: 'SMGED' },
+  });
+
+  // Encabezado.
+  documento.font('Helvetica-Bold').fontSize(18).fillColor(ESTILO.colorTitulo).text('Ficha del estudiante', { align: 'center' });
+  documento.font('Helvetica').fontSize(12).fillColor('black').text(nombreCompleto, { align: 'center' });
+  documento.fontSize(9).fillColor(ESTILO.colorEtiqueta).text(`Generada el ${formatDate(new Date(), true)}`, { align: 'center' });
+
+  dibujarTituloSeccion(documento, 'Datos personales');
+  dibujarCampos(documento, [
+    ['Nombres', estudiante.nombres],
+    ['Apellidos', estudiante.apellidos],
+    ['Cédula', estudiante.cedula],
+    ['Fecha de nacimiento', formatDate(estudiante.fecha_nacimiento)],
+    ['Teléfono', estudiante.telefono],
+    ['Otro teléfono', estudiante.otro_telefono],
+    ['Correo', estudiante.correo],
+    ['Dirección', estudiante.direccion],
+  ]);
+
+  dibujarTituloSeccion(documento, 'Datos académicos');
+  dibujarCampos(documento, [
+    ['Facultad', estudiante.siglas ? `${estudiante.facultad} (${estudiante.siglas})` : estudiante.facultad],
+    ['Carrera', estudiante.carrera],
+    ['Estado', toCapitalCase(estudiante.estado)],
+    ['Fecha de registro', formatDate(estudiante.fecha_registro)],
+  ]);
+
+  dibujarTituloSeccion(documento, 'Discapacidad');
+  const discapacidades = estudiante.discapacidades ?? [];
+  if (discapacidades.length === 0) dibujarNota(documento, 'Sin discapacidades registradas.');
+  dibujarCampos(documento, [
+    ...discapacidades.map((discapacidad) => [discapacidad.discapacidad, resumirDiscapacidad(discapacidad)]),
+    ['Posee CONAPDIS', formatBoolean(estudiante.posee_conapdis)],
+    ['Seguimiento', estudiante.seguimiento],
+    ['Observaciones', estudiante.observaciones],
+  ]);
+
+  if (representantes) {
+    dibujarTituloSeccion(documento, 'Representantes');
+    if (representantes.length === 0) dibujarNota(documento, 'Sin representantes registrados.');
+    representantes.forEach((representante, i) => {
+      if (i > 0) documento.moveDown(0.5);
+      dibujarCampos(documento, [
+        ['Nombre', representante.nombre_repre],
+        ['Parentesco', representante.parentesco],
+        ['Cédula', representante.cedula_repre],
+        ['Teléfono', representante.telefono_repre],
+        ['Correo', representante.correo_repre],
+      ]);
+    });
+  }
+
+  if (historial_medico !== undefined) {
+    dibujarTituloSeccion(documento, 'Resumen del historial médico');
+    if (!historial_medico) {
+      dibujarNota(documento, 'Sin historial médico registrado.');
+    } else {
+      dibujarCampos(documento, [
+        ['Certificado CONAPDIS', historial_medico.certificado_conapdis],
+        ['Informe médico', historial_medico.informe_medico],
+        ['Tratamiento', historial_medico.tratamiento],
+      ]);
+    }
+  }
+
+  if (adaptaciones) {
+    dibujarTituloSeccion(documento, 'Adaptaciones recomendadas');
+    if (adaptaciones.length === 0) {
+      dibujarNota(documento, 'Sin adaptaciones registradas.');
+    } else {
+      const recomendaciones = adaptaciones.map(({ recomendaciones }) => recomendaciones);
+      documento.font('Helvetica').fontSize(10).fillColor('black').list(recomendaciones, ESTILO.margen, documento.y, { bulletRadius: 2 });
+    }
+  }
+
+  if (reportes_psicologicos) {
+    dibujarTituloSeccion(documento, 'Reportes psicológicos (confidencial)');
+    if (reportes_psicologicos.length === 0) dibujarNota(documento, 'Sin reportes psicológicos registrados.');
+    reportes_psicologicos.forEach((reporte, i) => {
+      if (i > 0) documento.moveDown(0.5);
+      dibujarCampos(documento, [
+        ['Motivo de consulta', reporte.motivo_consulta],
+        ['Síntesis diagnóstica', reporte.sintesis_diagnostica],
+      ]);
+    });
+  }
+
+  dibujarPies(documento);
+  return documento;
+};
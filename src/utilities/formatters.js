@@ -1,6 +1,7 @@
 /**
  * @file Este archivo contiene funciones de utilidad para el formateo de cadenas de texto.
  * @description Proporciona funciones para convertir texto a minúsculas y a formato "Capital Case" (primera letra de cada palabra en mayúscula).
+ * También incluye funciones para presentar fechas (`dd/mm/aaaa`) y booleanos ("Sí"/"No") en documentos y exportaciones.
  * @author Eric
  * @version 1.0.0
  * @module utilities/formatters
@@ -42,4 +43,43 @@ export const toCapitalCase = (text) => {
       return word.charAt(0).toUpperCase() + word.slice(1);
     })
     .join(' '); // Une todas las palabras de nuevo en una sola cadena, separadas por un espacio.
-};
\ No newline at end of file
+};
+/**
+ * @description Convierte un valor de fecha de la base de datos en un objeto `Date`.
+ * Las fechas sin hora (`AAAA-MM-DD`) se interpretan en la zona horaria local, como lo hace el driver de PostgreSQL.
+ * @param {Date|string} valor - Valor de la columna.
+ * @returns {Date|null} La fecha, o `null` si el valor no es una fecha válida.
+ */
+export const toDate = (valor) => {
+  const fecha = typeof valor === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(valor)
+    ? new Date(`${valor}T00:00:00`)
+    : new Date(valor);
+  return Number.isNaN(fecha.getTime()) ? null : fecha;
+};
+
+/**
+ * @description Formatea una fecha con el formato local `dd/mm/aaaa`, y opcionalmente la hora (`dd/mm/aaaa hh:mm`).
+ * Si el valor está vacío se devuelve una cadena vacía; si no es una fecha válida, el valor original como texto.
+ * @param {Date|string|null} valor - Fecha a formatear.
+ * @param {boolean} [conHora=false] - Si se incluye la hora.
+ * @returns {string} La fecha formateada.
+ */
+export const formatDate = (valor, conHora = false) => {
+  if (valor === null || valor === undefined || valor === '') return '';
+  const fecha = toDate(valor);
+  if (!fecha) return String(valor);
+  const dosDigitos = (numero) => String(numero).padStart(2, '0');
+  const dia = `${dosDigitos(fecha.getDate())}/${dosDigitos(fecha.getMonth() + 1)}/${fecha.getFullYear()}`;
+  return conHora ? `${dia} ${dosDigitos(fecha.getHours())}:${dosDigitos(fecha.getMinutes())}` : dia;
+};
+
+/**
+ * @description Formatea un valor booleano de la base de datos (`true`/`false`, `1`/`0`) como "Sí" o "No".
+ * Si el valor está vacío se devuelve una cadena vacía.
+ * @param {boolean|number|string|null} valor - Valor a formatear.
+ * @returns {string} "Sí", "No" o una cadena vacía.
+ */
+export const formatBoolean = (valor) => {
+  if (valor === null || valor === undefined || valor === '') return '';
+  return [true, 1, '1', 't', 'true'].includes(valor) ? 'Sí' : 'No';
+};
@@ -0,0 +1,67 @@
+/**
+ * @file Este archivo contiene las funciones del historial de cambios por campo de los estudiantes, sus representantes
+ * y sus discapacidades asociadas.
+ * @description El historial lo registra un trigger de la base de datos (migraciones `015_historial_cambios.sql` y
+ * `018_historial_cambios_eliminaciones.sql`) en cada alta y modificación (y en cada baja de una discapacidad asociada).
+ * Para que quede registrado el autor, las consultas que modifican estos registros se ejecutan
+ * en una transacción que empieza con `fijarAutorCambios`. A partir del historial se reconstruye cómo era un registro
+ * en una fecha dada.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/historialCambios
+ * @see module:controllers/estudiantes.controller
+ */
+
+import { sql } from '../db.js';
+
+/**
+ * @description Tablas cuyo historial de cambios se registra, con el recurso de la matriz de permisos que se exige
+ * para ver sus cambios. Las discapacidades asociadas se muestran a quien puede leer estudiantes.
+ * @type {Object<string, string>}
+ */
+export const RECURSO_POR_TABLA_HISTORIAL = {
+  estudiantes: 'estudiantes',
+  representantes: 'representantes',
+  estudiantes_discapacidades: 'estudiantes',
+};
+
+/**
+ * @description Tablas cuyo historial de cambios se registra.
+ * @type {string[]}
+ */
+export const TABLAS_HISTORIAL_CAMBIOS = Object.keys(RECURSO_POR_TABLA_HISTORIAL);
+
+/**
+ * @description Construye la consulta que fija el autor de los cambios de la transacción en curso. Debe ser la primera
+ * consulta de la transacción (`sql.transaction([fijarAutorCambios(...), ...])`).
+ * @param {number|null|undefined} idUsuario - ID del usuario que hace los cambios.
+ * @param {number|null|undefined} [idApiKey] - ID de la API key que hace los cambios, si la petición usa una.
+ * @returns {object} Consulta sin ejecutar.
+ */
+export const fijarAutorCambios = (idUsuario, idApiKey) => sql`
+  SELECT
+    set_config('historial.id_usuario', ${String(idUsuario ?? '')}, true),
+    set_config('historial.id_api_key', ${String(idApiKey ?? '')}, true)
+`;
+
+/**
+ * @description Reconstruye cómo era un registro en una fecha a partir de sus datos actuales y de los cambios
+ * posteriores a esa fecha, deshaciéndolos del más reciente al más antiguo.
+ * @param {object} actual - Datos actuales del registro (`to_jsonb` de la fila).
+ * @param {Array<{operacion: string, cambios: object}>} cambiosPosteriores - Cambios posteriores a la fecha,
+ * del más reciente al más antiguo.
+ * @returns {object|null} Datos del registro en esa fecha, o `null` si se creó después.
+ */
+export const reconstruirVersion = (actual, cambiosPosteriores) => {
+  if (cambiosPosteriores.some(({ operacion }) => operacion === 'creacion')) {
+    return null;
+  }
+  // El número de versión (el ETag) solo corresponde a los datos actuales y no queda en el historial.
+  const { version: _versionActual, ...datos } = actual;
+  for (const { cambios } of cambiosPosteriores) {
+    for (const [campo, { anterior }] of Object.entries(cambios)) {
+      datos[campo] = anterior;
+    }
+  }
+  return datos;
+};
@@ -0,0 +1,104 @@
+/**
+ * @file Este archivo contiene funciones de utilidad para leer hojas de cálculo (CSV y XLSX).
+ * @description Convierte la primera hoja de un archivo subido en una lista de filas, cada una como un objeto
+ * cuyas claves son los encabezados normalizados (minúsculas, sin acentos y con `_` en lugar de espacios).
+ * Todos los valores se devuelven como texto, para validarlos con las mismas reglas que el cuerpo de una petición.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/hojasCalculo
+ */
+
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { normalizarTexto } from './busqueda.js';
+
+/**
+ * @description Extensiones de archivo de hoja de cálculo admitidas.
+ * @type {string[]}
+ */
+export const EXTENSIONES_HOJA_CALCULO = ['.csv', '.xlsx'];
+
+/**
+ * @description Normaliza un encabezado de columna para usarlo como clave (ej. "Cédula " → "cedula", "Otro teléfono" → "otro_telefono").
+ * @param {string} encabezado - Texto del encabezado.
+ * @returns {string} Encabezado normalizado.
+ */
+export const normalizarEncabezado = (encabezado) => normalizarTexto(String(encabezado ?? '').replace(/^\uFEFF/, '')).replace(/[\s-]+/g, '_');
+
+/**
+ * @description Convierte el valor de una celda en texto. Las fechas se expresan como `AAAA-MM-DD` y las fórmulas,
+ * hipervínculos y textos enriquecidos se reducen a su valor visible.
+ * @param {*} valor - Valor de la celda tal como lo entrega ExcelJS.
+ * @returns {string|undefined} Texto de la celda recortado, o `undefined` si la celda está vacía.
+ */
+const textoCelda = (valor) => {
+  if (valor === null || valor === undefined) return undefined;
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor === 'object') {
+    if ('result' in valor) return textoCelda(valor.result);
+    if ('richText' in valor) return textoCelda(valor.richText.map(({ text }) => text).join(''));
+    if ('text' in valor) return textoCelda(valor.text);
+    return undefined;
+  }
+  const texto = String(valor).trim();
+  return texto === '' ? undefined : texto;
+};
+
+/**
+ * @description Detecta el separador de un CSV (`,` o `;`, habitual en las configuraciones regionales en español)
+ * contando sus apariciones en la línea de encabezados.
+ * @param {Buffer} buffer - Contenido del archivo.
+ * @returns {string} Separador detectado.
+ */
+const detectarSeparador = (buffer) => {
+  const encabezados = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  return (encabezados.match(/;/g) ?? []).length > (encabezados.match(/,/g) ?? []).length ? ';' : ',';
+};
+
+/**
+ * @description Lee la primera hoja de un archivo CSV o XLSX subido con multer.
+ * La primera fila se toma como encabezados; las filas sin ningún valor se omiten.
+ * @param {object} archivo - Archivo recibido por multer (almacenamiento en memoria).
+ * @param {Buffer} archivo.buffer - Contenido del archivo.
+ * @param {string} archivo.originalname - Nombre original, usado para distinguir el formato.
+ * @returns {Promise<Array<{fila: number, datos: Object<string, string>}>>} Filas con su número en la hoja (la primera fila de datos es la 2).
+ * @throws {Error} Si el formato no es admitido o el archivo no se puede leer.
+ */
+export const leerHojaCalculo = async ({ buffer, originalname }) => {
+  const extension = path.extname(originalname).toLowerCase();
+  const libro = new ExcelJS.Workbook();
+  let hoja;
+
+  if (extension === '.csv') {
+    // `map` conserva los valores como texto: sin él, ExcelJS convierte "0414..." en número y pierde el cero inicial.
+    hoja = await libro.csv.read(Readable.from(buffer), {
+      map: (valor) => valor,
+      parserOptions: { delimiter: detectarSeparador(buffer) },
+    });
+  } else if (extension === '.xlsx') {
+    await libro.xlsx.load(buffer);
+    hoja = libro.worksheets[0];
+  } else {
+    throw new Error(`Formato no admitido: ${extension || 'sin extensión'}. Formatos permitidos: ${EXTENSIONES_HOJA_CALCULO.join(', ')}`);
+  }
+
+  if (!hoja || hoja.rowCount === 0) return [];
+
+  const encabezados = [];
+  hoja.getRow(1).eachCell((celda, columna) => {
+    encabezados[columna] = normalizarEncabezado(textoCelda(celda.value));
+  });
+
+  const filas = [];
+  hoja.eachRow((fila, numero) => {
+    if (numero === 1) return;
+    const datos = {};
+    fila.eachCell((celda, columna) => {
+      const valor = textoCelda(celda.value);
+      if (encabezados[columna] && valor !== undefined) datos[encabezados[columna]] = valor;
+    });
+    if (Object.keys(datos).length > 0) filas.push({ fila: numero, datos });
+  });
+  return filas;
+};
@@ -0,0 +1,130 @@
+/**
+ * @file Este archivo contiene las funciones de protección contra fuerza bruta del inicio de sesión.
+ * @description Mantiene contadores de intentos fallidos por cuenta (cédula) y por dirección IP,
+ * aplica bloqueos temporales con duración exponencial al superar el límite configurado y
+ * registra cada intento en la bitácora `intentos_login`.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/intentosLogin
+ * @see module:config
+ * @see module:db
+ */
+
+import { sql } from '../db.js';
+import {
+  LOGIN_MAX_FALLOS_CUENTA,
+  LOGIN_MAX_FALLOS_IP,
+  LOGIN_VENTANA_MINUTOS,
+  LOGIN_BLOQUEO_BASE_MINUTOS,
+  LOGIN_BLOQUEO_MAX_MINUTOS,
+} from '../config.js';
+
+/**
+ * @description Límite de fallos por tipo de contador.
+ * @type {Object<string, number>}
+ */
+const MAX_FALLOS = {
+  cuenta: LOGIN_MAX_FALLOS_CUENTA,
+  ip: LOGIN_MAX_FALLOS_IP,
+};
+
+/**
+ * @description Calcula la duración de un bloqueo según la cantidad de bloqueos previos (backoff exponencial).
+ * @param {number} bloqueosPrevios - Bloqueos consecutivos anteriores del contador.
+ * @returns {number} Duración del bloqueo en minutos.
+ */
+const calcularMinutosBloqueo = (bloqueosPrevios) => {
+  return Math.min(LOGIN_BLOQUEO_BASE_MINUTOS * 2 ** bloqueosPrevios, LOGIN_BLOQUEO_MAX_MINUTOS);
+};
+
+/**
+ * @description Busca un bloqueo vigente para la cuenta o la IP indicadas.
+ * @param {string} cedula_usuario - Cédula con la que se intenta iniciar sesión.
+ * @param {string} ip - Dirección IP del cliente.
+ * @returns {Promise<{tipo: string, bloqueado_hasta: Date}|null>} El bloqueo más largo vigente o `null`.
+ */
+export const obtenerBloqueoActivo = async (cedula_usuario, ip) => {
+  const bloqueos = await sql`
+    SELECT tipo, bloqueado_hasta
+    FROM bloqueos_login
+    WHERE ((tipo = 'cuenta' AND clave = ${cedula_usuario}) OR (tipo = 'ip' AND clave = ${ip}))
+      AND bloqueado_hasta > NOW()
+    ORDER BY bloqueado_hasta DESC
+    LIMIT 1
+  `;
+  return bloqueos.length ? { tipo: bloqueos[0].tipo, bloqueado_hasta: new Date(bloqueos[0].bloqueado_hasta) } : null;
+};
+
+/**
+ * @description Incrementa el contador de fallos de un tipo y clave y, si alcanza el límite, aplica un bloqueo.
+ * Si el último fallo es anterior a la ventana configurada, el contador se reinicia.
+ * @param {string} tipo - Tipo de contador ("cuenta" o "ip").
+ * @param {string} clave - Cédula o dirección IP.
+ * @returns {Promise<void>}
+ */
+const incrementarFallos = async (tipo, clave) => {
+  const contador = await sql`
+    INSERT INTO bloqueos_login (tipo, clave, fallos, actualizado_en)
+    VALUES (${tipo}, ${clave}, 1, NOW())
+    ON CONFLICT (tipo, clave) DO UPDATE SET
+      fallos = CASE
+        WHEN bloqueos_login.actualizado_en < NOW() - make_interval(mins => ${LOGIN_VENTANA_MINUTOS}) THEN 1
+        ELSE bloqueos_login.fallos + 1
+      END,
+      actualizado_en = NOW()
+    RETURNING fallos, bloqueos
+  `;
+
+  const { fallos, bloqueos } = contador[0];
+  if (fallos >= MAX_FALLOS[tipo]) {
+    await sql`
+      UPDATE bloqueos_login
+      SET fallos = 0,
+          bloqueos = bloqueos + 1,
+          bloqueado_hasta = NOW() + make_interval(mins => ${calcularMinutosBloqueo(bloqueos)})
+      WHERE tipo = ${tipo} AND clave = ${clave}
+    `;
+  }
+};
+
+/**
+ * @description Registra un intento fallido en los contadores de la cuenta y de la IP.
+ * @param {string} cedula_usuario - Cédula con la que se intentó iniciar sesión.
+ * @param {string} ip - Dirección IP del cliente.
+ * @returns {Promise<void>}
+ */
+export const registrarFallo = async (cedula_usuario, ip) => {
+  await incrementarFallos('cuenta', cedula_usuario);
+  await incrementarFallos('ip', ip);
+};
+
+/**
+ * @description Reinicia el contador y el historial de bloqueos de una cuenta.
+ * Se usa tras un inicio de sesión exitoso y en el desbloqueo administrativo.
+ * @param {string} cedula_usuario - Cédula de la cuenta.
+ * @returns {Promise<boolean>} `true` si la cuenta tenía un contador registrado.
+ */
+export const reiniciarCuenta = async (cedula_usuario) => {
+  const eliminado = await sql`
+    DELETE FROM bloqueos_login WHERE tipo = 'cuenta' AND clave = ${cedula_usuario}
+    RETURNING clave
+  `;
+  return eliminado.length > 0;
+};
+
+/**
+ * @description Registra un intento de inicio de sesión en la bitácora.
+ * @param {object} intento - Datos del intento.
+ * @param {string} intento.cedula_usuario - Cédula utilizada.
+ * @param {number|null} [intento.id_usuario] - ID del usuario, si la cédula corresponde a uno.
+ * @param {string} intento.ip - Dirección IP del cliente.
+ * @param {boolean} intento.exito - Indica si el inicio de sesión fue exitoso.
+ * @param {string} intento.motivo - Motivo del resultado ("exito", "exito_codigo_recuperacion", "credenciales_invalidas", "cuenta_desactivada", "pendiente_2fa", "codigo_2fa_invalido", "cuenta_bloqueada", "ip_bloqueada").
+ * @returns {Promise<void>}
+ */
+export const registrarIntento = async ({ cedula_usuario, id_usuario = null, ip, exito, motivo }) => {
+  await sql`
+    INSERT INTO intentos_login (cedula_usuario, id_usuario, ip, exito, motivo)
+    VALUES (${cedula_usuario}, ${id_usuario}, ${ip}, ${exito}, ${motivo})
+  `;
+};
@@ -0,0 +1,79 @@
+/**
+ * @file Este archivo contiene funciones de utilidad para la emisión y verificación de tokens JWT.
+ * @description Centraliza la firma de los tokens de acceso que se entregan al iniciar sesión o al
+ * renovar la sesión, y su posterior verificación, de modo que el controlador de usuarios y el
+ * middleware de autenticación compartan la misma clave secreta y el mismo formato de carga útil.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/jwt
+ * @see module:config
+ */
+
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET, JWT_EXPIRES_IN, TOKEN_2FA_EXPIRES_IN } from '../config.js';
+
+if (!JWT_SECRET) {
+  throw new Error('No se ha definido la clave secreta JWT_SECRET. Verifica tu archivo .env');
+}
+
+/**
+ * @description Firma un token de acceso para el usuario autenticado.
+ * La carga útil contiene el ID del usuario (`userId`), su rol (`rol`) y el ID de la sesión
+ * del servidor a la que pertenece (`sid`), que permite revocarlo antes de su expiración.
+ * @param {object} usuario - Registro del usuario autenticado.
+ * @param {number} usuario.id_usuario - ID del usuario.
+ * @param {string} usuario.rol - Rol del usuario ("administrador", "psicologo" o "docente").
+ * @param {number} idSesion - ID de la sesión registrada en la tabla `sesiones`.
+ * @returns {string} Token JWT firmado.
+ */
+export const generarTokenAcceso = (usuario, idSesion) => {
+  return jwt.sign(
+    { userId: usuario.id_usuario, rol: usuario.rol, sid: idSesion },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+};
+
+/**
+ * @description Verifica la firma y la vigencia de un token de acceso.
+ * @param {string} token - Token JWT recibido en la cabecera `Authorization`.
+ * @returns {object} Carga útil decodificada del token.
+ * @throws {import('jsonwebtoken').JsonWebTokenError} Si el token es inválido o ha expirado.
+ */
+export const verificarTokenAcceso = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  // Los tokens intermedios (ej. verificación en dos factores) no otorgan acceso a la API.
+  if (decoded.proposito) {
+    throw new jwt.JsonWebTokenError('El token no es un token de acceso');
+  }
+  return decoded;
+};
+
+/**
+ * @description Firma el token intermedio que se entrega tras validar la contraseña de un usuario con
+ * verificación en dos factores activa. Solo sirve para completar el inicio de sesión en `POST /usuarios/login/2fa`.
+ * @param {object} usuario - Registro del usuario cuya contraseña ya fue validada.
+ * @param {number} usuario.id_usuario - ID del usuario.
+ * @returns {string} Token JWT firmado con una vigencia de `TOKEN_2FA_EXPIRES_IN`.
+ */
+export const generarToken2fa = (usuario) => {
+  return jwt.sign(
+    { userId: usuario.id_usuario, proposito: '2fa' },
+    JWT_SECRET,
+    { expiresIn: TOKEN_2FA_EXPIRES_IN }
+  );
+};
+
+/**
+ * @description Verifica un token intermedio de verificación en dos factores.
+ * @param {string} token - Token recibido en el cuerpo de la solicitud.
+ * @returns {object} Carga útil decodificada del token.
+ * @throws {import('jsonwebtoken').JsonWebTokenError} Si el token es inválido, ha expirado o no es un token de 2FA.
+ */
+export const verificarToken2fa = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (decoded.proposito !== '2fa') {
+    throw new jwt.JsonWebTokenError('El token no es un token de verificación en dos factores');
+  }
+  return decoded;
+};
@@ -0,0 +1,145 @@
+/**
+ * @file Este archivo define el contrato común de parámetros de consulta para los listados de la API.
+ * @description Todos los endpoints de listado aceptan los mismos parámetros de paginación y ordenamiento:
+ * - `limit`: cantidad máxima de registros (1 a `LISTADO_LIMITE_MAXIMO`, por defecto `LISTADO_LIMITE_POR_DEFECTO`).
+ * - `offset`: cantidad de registros a omitir (por defecto 0).
+ * - `orden`: lista de campos separados por comas; un `-` delante indica orden descendente (ej. `-fecha_registro,nombres`).
+ * Solo se puede ordenar por los campos declarados por cada listado, y la respuesta siempre tiene la forma
+ * `{ datos, paginacion: { total, limit, offset } }`. Los filtros propios de cada listado se validan en su módulo
+ * de validaciones y se combinan con `unirCondiciones`.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/listados
+ */
+
+import { query, matchedData } from 'express-validator';
+import { sql } from '../db.js';
+
+/**
+ * @description Cantidad de registros devuelta cuando no se indica `limit`.
+ * @type {number}
+ */
+export const LISTADO_LIMITE_POR_DEFECTO = 20;
+
+/**
+ * @description Valor máximo aceptado para `limit`.
+ * @type {number}
+ */
+export const LISTADO_LIMITE_MAXIMO = 100;
+
+/**
+ * @description Convierte el parámetro `orden` en una lista de campos y direcciones.
+ * @param {string} orden - Valor del parámetro (ej. "-fecha_registro,nombres").
+ * @returns {Array<{campo: string, descendente: boolean}>} Campos de ordenamiento en el orden indicado.
+ */
+export const parsearOrden = (orden) => {
+  return String(orden)
+    .split(',')
+    .map((campo) => campo.trim())
+    .filter(Boolean)
+    .map((campo) => ({ campo: campo.replace(/^-/, ''), descendente: campo.startsWith('-') }));
+};
+
+/**
+ * @description Construye las validaciones de los parámetros de paginación, para los listados con un orden fijo
+ * (por ejemplo, los resultados de búsqueda ordenados por relevancia).
+ * @returns {Array<import('express-validator').ValidationChain>} Validaciones de `limit` y `offset`.
+ */
+export const validacionesPaginacion = () => [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: LISTADO_LIMITE_MAXIMO })
+    .withMessage(`El parámetro limit debe ser un entero entre 1 y ${LISTADO_LIMITE_MAXIMO}`)
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('El parámetro offset debe ser un entero mayor o igual a 0')
+    .toInt(),
+];
+
+/**
+ * @description Construye las validaciones de los parámetros comunes de paginación y ordenamiento.
+ * @param {string[]} camposOrdenables - Campos por los que el listado permite ordenar.
+ * @returns {Array<import('express-validator').ValidationChain>} Validaciones de `limit`, `offset` y `orden`.
+ */
+export const validacionesListado = (camposOrdenables) => [
+  ...validacionesPaginacion(),
+  query('orden')
+    .optional()
+    .custom((orden) => {
+      const campos = parsearOrden(orden);
+      if (campos.length === 0) {
+        throw new Error('El parámetro orden no puede estar vacío');
+      }
+      const invalidos = campos.filter(({ campo }) => !camposOrdenables.includes(campo));
+      if (invalidos.length > 0) {
+        throw new Error(`No se puede ordenar por: ${invalidos.map(({ campo }) => campo).join(', ')}. Campos permitidos: ${camposOrdenables.join(', ')}`);
+      }
+      return true;
+    }),
+];
+
+/**
+ * @description Construye la cláusula `ORDER BY` a partir del parámetro `orden`.
+ * Solo se usan las expresiones SQL declaradas en `columnas`, por lo que el valor del cliente nunca
+ * se inserta directamente en la consulta. Se agrega siempre `desempate` para que la paginación sea estable.
+ * @param {string|undefined} orden - Valor validado del parámetro `orden`.
+ * @param {object} opciones - Opciones del listado.
+ * @param {Object<string, string>} opciones.columnas - Relación entre los campos públicos y sus expresiones SQL.
+ * @param {string} opciones.ordenPorDefecto - Orden aplicado cuando no se indica `orden` (mismo formato).
+ * @param {string} opciones.desempate - Expresión SQL de una columna única (ej. la clave primaria).
+ * @returns {object} Fragmento SQL con la cláusula `ORDER BY`.
+ * @throws {Error} Si algún campo no está declarado en `columnas`.
+ */
+export const construirOrden = (orden, { columnas, ordenPorDefecto, desempate }) => {
+  const expresiones = parsearOrden(orden ?? ordenPorDefecto).map(({ campo, descendente }) => {
+    if (!Object.hasOwn(columnas, campo)) {
+      throw new Error(`Campo de ordenamiento no permitido: ${campo}`);
+    }
+    return `${columnas[campo]} ${descendente ? 'DESC' : 'ASC'} NULLS LAST`;
+  });
+  return sql.unsafe(`ORDER BY ${[...expresiones, `${desempate} ASC`].join(', ')}`);
+};
+
+/**
+ * @description Combina condiciones SQL con `AND` para formar la cláusula `WHERE` de un listado.
+ * @param {Array<object>} condiciones - Fragmentos SQL de cada filtro aplicado.
+ * @returns {object} Fragmento SQL con la condición combinada (`TRUE` si no hay filtros).
+ */
+export const unirCondiciones = (condiciones) => {
+  if (condiciones.length === 0) {
+    return sql`TRUE`;
+  }
+  return condiciones.reduce((acumulado, condicion) => sql`${acumulado} AND ${condicion}`);
+};
+
+/**
+ * @description Obtiene los parámetros validados de la cadena de consulta y los de paginación con sus valores por defecto.
+ * En Express 5 `req.query` es de solo lectura, por lo que los valores convertidos por los validadores
+ * (ej. `toInt`) se leen con `matchedData`.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @returns {{parametros: object, limit: number, offset: number}} Parámetros de consulta validados.
+ */
+export const obtenerParametrosListado = (req) => {
+  const parametros = matchedData(req, { locations: ['query'] });
+  return {
+    parametros,
+    limit: parametros.limit ?? LISTADO_LIMITE_POR_DEFECTO,
+    offset: parametros.offset ?? 0,
+  };
+};
+
+/**
+ * @description Construye el cuerpo de respuesta común de los listados.
+ * @param {object} datos - Resultado del listado.
+ * @param {Array<object>} datos.datos - Registros de la página solicitada.
+ * @param {number} datos.total - Total de registros que cumplen los filtros.
+ * @param {number} datos.limit - Límite aplicado.
+ * @param {number} datos.offset - Desplazamiento aplicado.
+ * @returns {{datos: Array<object>, paginacion: {total: number, limit: number, offset: number}}} Cuerpo de la respuesta.
+ */
+export const respuestaListado = ({ datos, total, limit, offset }) => ({
+  datos,
+  paginacion: { total, limit, offset },
+});
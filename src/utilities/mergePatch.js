@@ -0,0 +1,216 @@
+/**
+ * @file Este archivo contiene la actualización parcial de registros con JSON Merge Patch (RFC 7396).
+ * @description Los endpoints `PATCH` de la API reciben un documento de cambios (`application/merge-patch+json`
+ * o `application/json`) en el que cada clave presente reemplaza el valor del campo y una clave con valor `null`
+ * lo borra; los campos que no se envían no cambian. A diferencia de los `PUT`, que llaman a las funciones
+ * `editar_*` de la base de datos, se distingue así un campo omitido de uno que se quiere vaciar, y se conservan
+ * valores como `0`, `false` o `""`. Las validaciones de creación de cada entidad se aplican al registro resultante,
+ * de modo que un campo requerido no se puede borrar. Se responde con el registro actualizado.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/mergePatch
+ * @see {@link https://www.rfc-editor.org/rfc/rfc7396} Para la especificación de JSON Merge Patch.
+ */
+
+import { param, validationResult } from 'express-validator';
+import { sql } from '../db.js';
+import { fijarAutorCambios } from './historialCambios.js';
+import { unirCondiciones } from './listados.js';
+import {
+  condicionRegistro,
+  comprobarVersion,
+  esConflictoVersion,
+  fijarEtag,
+  responderConflictoVersion,
+  versionesIfMatch,
+} from './versiones.js';
+
+/**
+ * @description Tipo de contenido de los documentos JSON Merge Patch.
+ * @type {string}
+ */
+export const TIPO_MERGE_PATCH = 'application/merge-patch+json';
+
+/**
+ * @description Indica si un valor es un objeto JSON (y no un array ni `null`).
+ * @param {*} valor - Valor a comprobar.
+ * @returns {boolean} `true` si es un objeto.
+ */
+const esObjeto = (valor) => typeof valor === 'object' && valor !== null && !Array.isArray(valor);
+
+/**
+ * @description Aplica un documento JSON Merge Patch a un registro plano: las claves con `null` se eliminan y el
+ * resto reemplaza el valor actual.
+ * @param {object} actual - Registro actual.
+ * @param {object} parche - Documento de cambios.
+ * @returns {object} Registro resultante.
+ */
+export const aplicarMergePatch = (actual, parche) => {
+  const resultado = { ...actual };
+  for (const [campo, valor] of Object.entries(parche)) {
+    if (valor === null) {
+      delete resultado[campo];
+    } else {
+      resultado[campo] = valor;
+    }
+  }
+  return resultado;
+};
+
+/**
+ * @description Traduce los errores de la base de datos causados por los datos enviados a una respuesta 4xx:
+ * valores duplicados (409), referencias a registros inexistentes, campos obligatorios y restricciones (400).
+ * @param {Error & {code?: string}} error - Error de la consulta.
+ * @returns {{estado: number, error: string}|null} Respuesta a enviar, o `null` si es un error del servidor.
+ */
+const traducirErrorBaseDatos = (error) => {
+  const codigo = error?.code ?? '';
+  if (codigo === '23505') {
+    return { estado: 409, error: 'Ya existe un registro con esos datos' };
+  }
+  if (codigo === '23503') {
+    return { estado: 400, error: 'Alguno de los registros referenciados no existe' };
+  }
+  if (codigo === '23502') {
+    return { estado: 400, error: error.column ? `El campo ${error.column} no se puede borrar` : 'Falta un campo obligatorio' };
+  }
+  if (codigo === '23514' || codigo.startsWith('22')) {
+    return { estado: 400, error: 'Alguno de los valores no es válido' };
+  }
+  return null;
+};
+
+/**
+ * @description Crea el controlador `PATCH` de una entidad. El controlador:
+ * 1. Valida el ID de la ruta y que el cuerpo sea un objeto que solo contenga campos editables con valores simples.
+ * 2. Consulta el registro (excluyendo los de la papelera) y le aplica el documento de cambios.
+ * 3. Ejecuta sobre el resultado las validaciones de los campos enviados y aplica sus sanitizadores y `formatear`.
+ * 4. Actualiza solo los campos enviados, en una transacción que registra al autor en el historial de cambios,
+ *    y responde con el registro actualizado y su `ETag`. Un documento vacío devuelve el registro sin modificarlo.
+ * Con la cabecera `If-Match`, si la versión del registro no coincide responde `412` sin modificarlo
+ * (ver {@link module:utilities/versiones}).
+ * Los nombres de la tabla y las columnas son constantes del código y se interpolan como SQL.
+ * @param {object} entidad - Configuración de la entidad.
+ * @param {string} entidad.tabla - Tabla de la entidad.
+ * @param {string} entidad.columnaId - Columna del ID, que es también el parámetro de la ruta.
+ * @param {string[]} entidad.campos - Campos que se pueden modificar.
+ * @param {Array<import('express-validator').ValidationChain>} entidad.validaciones - Validaciones de los campos
+ * (las de creación de la entidad); solo se ejecutan las de los campos enviados.
+ * @param {function(object): object} [entidad.formatear] - Formatea los valores validados antes de guardarlos.
+ * @param {boolean} [entidad.eliminacionLogica=true] - Si la tabla tiene papelera (`deleted_at`).
+ * @param {function(object): object} [entidad.condicion] - Construye una condición SQL adicional que debe cumplir
+ * el registro, a partir de los valores validados que se van a guardar (`{}` al consultarlo); por ejemplo, que el
+ * estudiante al que pertenece no esté en la papelera. Se refiere a las columnas por el nombre de la tabla.
+ * @param {function(object, Error): (object|null)} [entidad.responderError] - Traduce los errores de la base de datos
+ * propios de la entidad y envía la respuesta (la misma función que usan su `POST` y su `PUT`, para que respondan
+ * igual); si devuelve `null`, se aplica la traducción genérica.
+ * @param {string} entidad.noEncontrado - Mensaje de la respuesta 404.
+ * @param {string} entidad.errorActualizar - Mensaje de la respuesta 500.
+ * @returns {function(object, object): Promise<void>} Controlador de Express.
+ */
+export const crearControladorMergePatch = ({
+  tabla,
+  columnaId,
+  campos,
+  validaciones,
+  formatear = (valores) => valores,
+  eliminacionLogica = true,
+  condicion: condicionAdicional,
+  responderError = () => null,
+  noEncontrado,
+  errorActualizar,
+}) => {
+  const entidad = { tabla, columnaId, eliminacionLogica };
+  const tablaSql = sql.unsafe(tabla);
+  const validacionId = param(columnaId).isInt({ min: 1 }).withMessage('El ID debe ser un entero positivo');
+
+  return async (req, res) => {
+    await validacionId.run(req);
+    const erroresId = validationResult(req);
+    if (!erroresId.isEmpty()) {
+      return res.status(400).json({ errors: erroresId.array() });
+    }
+
+    const parche = req.body;
+    if (!esObjeto(parche)) {
+      return res.status(400).json({ error: `El cuerpo debe ser un objeto JSON (${TIPO_MERGE_PATCH})` });
+    }
+    const desconocidos = Object.keys(parche).filter((campo) => !campos.includes(campo));
+    if (desconocidos.length > 0) {
+      return res.status(400).json({
+        error: `Campos no editables: ${desconocidos.join(', ')}. Campos permitidos: ${campos.join(', ')}`,
+      });
+    }
+    const compuestos = Object.keys(parche).filter((campo) => typeof parche[campo] === 'object' && parche[campo] !== null);
+    if (compuestos.length > 0) {
+      return res.status(400).json({ error: `Los campos deben tener un valor simple o null: ${compuestos.join(', ')}` });
+    }
+
+    const id = req.params[columnaId];
+    try {
+      const condicionEntidad = (valores) => unirCondiciones([
+        condicionRegistro(entidad, id),
+        ...(condicionAdicional ? [condicionAdicional(valores)] : []),
+      ]);
+      const [actual] = await sql`SELECT * FROM ${tablaSql} WHERE ${condicionEntidad({})}`;
+      if (!actual) {
+        return res.status(404).json({ error: noEncontrado });
+      }
+      const versiones = versionesIfMatch(req);
+      if (versiones && !versiones.includes(actual.version)) {
+        return await responderConflictoVersion(res, entidad, id);
+      }
+
+      const modificados = Object.keys(parche);
+      if (modificados.length === 0) {
+        return fijarEtag(res, actual).json(actual);
+      }
+
+      // Las validaciones se ejecutan sobre el registro resultante, en una solicitud aparte.
+      const solicitud = { body: aplicarMergePatch(actual, parche) };
+      const aplicables = validaciones.filter((v) => v.builder.fields.some((campo) => modificados.includes(campo)));
+      await Promise.all(aplicables.map((validacion) => validacion.run(solicitud)));
+      const errores = validationResult(solicitud);
+      if (!errores.isEmpty()) {
+        return res.status(400).json({ errors: errores.array() });
+      }
+
+      const validados = Object.fromEntries(modificados.map((campo) => [campo, solicitud.body[campo]]));
+      const formateados = formatear(validados);
+      // Los campos borrados quedan en NULL aunque la validación les asigne un valor por defecto.
+      const valores = Object.fromEntries(
+        modificados.map((campo) => [campo, parche[campo] === null ? null : formateados[campo] ?? null])
+      );
+
+      const asignaciones = modificados.map((campo) => sql`${sql.unsafe(campo)} = ${valores[campo]}`);
+      const resultados = await sql.transaction([
+        fijarAutorCambios(req.user?.userId, req.apiKey?.id_api_key),
+        ...comprobarVersion(req, entidad, id),
+        sql`
+          UPDATE ${tablaSql}
+          SET ${asignaciones.reduce((lista, asignacion) => sql`${lista}, ${asignacion}`)}
+          WHERE ${condicionEntidad(valores)}
+          RETURNING *
+        `,
+      ]);
+      const [actualizado] = resultados.at(-1);
+      if (!actualizado) {
+        return res.status(404).json({ error: noEncontrado });
+      }
+      fijarEtag(res, actualizado).json(actualizado);
+    } catch (error) {
+      if (esConflictoVersion(error)) {
+        return await responderConflictoVersion(res, entidad, id);
+      }
+      if (responderError(res, error)) {
+        return;
+      }
+      const respuesta = traducirErrorBaseDatos(error);
+      if (respuesta) {
+        return res.status(respuesta.estado).json({ error: respuesta.error });
+      }
+      console.error(`${errorActualizar}:`, error);
+      res.status(500).json({ error: errorActualizar });
+    }
+  };
+};
@@ -0,0 +1,120 @@
+/**
+ * @file Este archivo contiene las funciones de la papelera (eliminación lógica) de la API.
+ * @description Los controladores `eliminar*` de estudiantes, representantes, citas, incidencias, historial médico
+ * y reportes psicológicos no borran la fila: la marcan con `deleted_at` y `deleted_by` (ver la migración 011),
+ * y todas las consultas excluyen las filas marcadas. Al eliminar un estudiante también se envían a la papelera
+ * sus registros asociados, con la misma fecha, para poder restaurarlos juntos.
+ * La restauración y la purga definitiva se gestionan desde `/papelera` (solo administradores).
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/papelera
+ * @see module:controllers/papelera.controller
+ */
+
+import { sql } from '../db.js';
+import { fijarAutorCambios } from './historialCambios.js';
+
+/**
+ * @description Entidades con eliminación lógica. Para cada tipo se indica su tabla, la columna de su ID,
+ * la expresión SQL que la describe en el listado de la papelera y la función de la base de datos que la elimina
+ * definitivamente. Los nombres son constantes del código y se interpolan como SQL.
+ * @type {Object<string, {tabla: string, columnaId: string, descripcion: string, funcionEliminar: string}>}
+ */
+export const ENTIDADES_PAPELERA = {
+  estudiantes: {
+    tabla: 'estudiantes',
+    columnaId: 'id_estudiante',
+    descripcion: "nombres || ' ' || apellidos || ' (' || cedula || ')'",
+    funcionEliminar: 'eliminar_estudiante',
+  },
+  representantes: {
+    tabla: 'representantes',
+    columnaId: 'id_representante',
+    descripcion: 'nombre_repre',
+    funcionEliminar: 'eliminar_representante',
+  },
+  citas: {
+    tabla: 'citas',
+    columnaId: 'id_citas',
+    descripcion: "'Cita del ' || to_char(fecha_cita, 'DD/MM/YYYY')",
+    funcionEliminar: 'eliminar_cita',
+  },
+  incidencias: {
+    tabla: 'incidencias',
+    columnaId: 'id_incidencia',
+    descripcion: "'Incidencia del ' || to_char(fecha_incidente, 'DD/MM/YYYY')",
+    funcionEliminar: 'eliminar_incidencia',
+  },
+  historial_medico: {
+    tabla: 'historial_medico',
+    columnaId: 'id_historialmedico',
+    descripcion: "'Historial médico'",
+    funcionEliminar: 'eliminar_historial_medico',
+  },
+  reporte_psicologico: {
+    tabla: 'reporte_psicologico',
+    columnaId: 'id_psicologico',
+    descripcion: "COALESCE(LEFT(motivo_consulta, 80), 'Reporte psicológico')",
+    funcionEliminar: 'eliminar_reporte_psicologico',
+  },
+};
+
+/**
+ * @description Tipos de la papelera (claves de `ENTIDADES_PAPELERA`).
+ * @type {string[]}
+ */
+export const TIPOS_PAPELERA = Object.keys(ENTIDADES_PAPELERA);
+
+/**
+ * @description Tipos que pertenecen a un estudiante (tienen `id_estudiante`) y lo acompañan a la papelera.
+ * @type {string[]}
+ */
+export const TIPOS_DEPENDIENTES = TIPOS_PAPELERA.filter((tipo) => tipo !== 'estudiantes');
+
+/**
+ * @description Construye la condición SQL que exige que el estudiante al que se pasa un registro (al editar su
+ * `id_estudiante`) exista y no esté en la papelera; si no, el registro desaparecería de todas las consultas.
+ * @param {number|string|null|undefined} id_estudiante - Nuevo estudiante del registro, si se cambia.
+ * @returns {object} Fragmento SQL (`TRUE` si no se cambia el estudiante).
+ */
+export const nuevoEstudianteVigente = (id_estudiante) => (id_estudiante == null
+  ? sql`TRUE`
+  : sql`EXISTS (SELECT 1 FROM estudiantes WHERE id_estudiante = ${id_estudiante} AND deleted_at IS NULL)`);
+
+/**
+ * @description Envía un registro a la papelera. Si es un estudiante, en la misma transacción se envían también
+ * sus registros asociados que no estuvieran ya eliminados, con la misma fecha de eliminación (`NOW()` es la hora
+ * de inicio de la transacción), de modo que al restaurarlo se restauren juntos.
+ * @param {string} tipo - Tipo de la entidad (clave de `ENTIDADES_PAPELERA`).
+ * @param {number|string} id - ID del registro.
+ * @param {number|null} idUsuario - ID del usuario que elimina (`null` si la petición usa una API key).
+ * @param {Array<object>} [comprobaciones=[]] - Consultas que se ejecutan antes, en la misma transacción
+ * (la comprobación de `If-Match` de `comprobarVersion`).
+ * @param {number|null} [idApiKey=null] - ID de la API key que elimina, si la petición usa una (autor del historial de cambios).
+ * @returns {Promise<boolean>} `true` si el registro existía y no estaba eliminado.
+ */
+export const moverAPapelera = async (tipo, id, idUsuario, comprobaciones = [], idApiKey = null) => {
+  const { tabla, columnaId } = ENTIDADES_PAPELERA[tipo];
+  const eliminar = sql`
+    UPDATE ${sql.unsafe(tabla)} SET deleted_at = NOW(), deleted_by = ${idUsuario}
+    WHERE ${sql.unsafe(columnaId)} = ${id} AND deleted_at IS NULL
+    RETURNING ${sql.unsafe(columnaId)}
+  `;
+
+  if (tipo !== 'estudiantes') {
+    const resultados = await sql.transaction([fijarAutorCambios(idUsuario, idApiKey), ...comprobaciones, eliminar]);
+    return resultados.at(-1).length > 0;
+  }
+
+  const [eliminado] = (await sql.transaction([
+    fijarAutorCambios(idUsuario, idApiKey),
+    ...comprobaciones,
+    eliminar,
+    ...TIPOS_DEPENDIENTES.map((dependiente) => sql`
+      UPDATE ${sql.unsafe(ENTIDADES_PAPELERA[dependiente].tabla)} SET deleted_at = NOW(), deleted_by = ${idUsuario}
+      WHERE id_estudiante = ${id} AND deleted_at IS NULL
+        AND EXISTS (SELECT 1 FROM estudiantes WHERE id_estudiante = ${id} AND deleted_at = NOW())
+    `),
+  ])).slice(1 + comprobaciones.length);
+  return eliminado.length > 0;
+};
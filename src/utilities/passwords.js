@@ -0,0 +1,84 @@
+/**
+ * @file Este archivo contiene funciones de utilidad para el manejo seguro de contraseñas.
+ * @description Genera hashes bcrypt para las contraseñas de los usuarios y verifica las credenciales
+ * recibidas al iniciar sesión. También reconoce las contraseñas heredadas almacenadas en texto plano,
+ * comparándolas en tiempo constante para que puedan migrarse a bcrypt en el siguiente inicio de sesión exitoso.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/passwords
+ * @see module:config
+ */
+
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { BCRYPT_SALT_ROUNDS } from '../config.js';
+
+/**
+ * @description Expresión regular que identifica un hash bcrypt ($2a$, $2b$ o $2y$).
+ * @type {RegExp}
+ */
+const BCRYPT_HASH_REGEX = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/**
+ * @description Hash bcrypt de referencia usado para igualar el tiempo de respuesta
+ * cuando el usuario buscado no existe.
+ * @type {string}
+ */
+const HASH_FICTICIO = bcrypt.hashSync('contraseña-inexistente', BCRYPT_SALT_ROUNDS);
+
+/**
+ * @description Indica si un valor almacenado ya es un hash bcrypt.
+ * @param {string} valor - Valor de la columna `password`.
+ * @returns {boolean} `true` si el valor es un hash bcrypt.
+ */
+export const esHashBcrypt = (valor) => {
+  return typeof valor === 'string' && BCRYPT_HASH_REGEX.test(valor);
+};
+
+/**
+ * @description Genera el hash bcrypt de una contraseña en texto plano.
+ * @param {string} password - Contraseña en texto plano.
+ * @returns {Promise<string>} Hash bcrypt de la contraseña.
+ */
+export const hashPassword = async (password) => {
+  return bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+};
+
+/**
+ * @description Compara dos cadenas en tiempo constante.
+ * Ambas se reducen primero a un digest SHA-256 para que la comparación no dependa de su longitud.
+ * @param {string} a - Primera cadena.
+ * @param {string} b - Segunda cadena.
+ * @returns {boolean} `true` si ambas cadenas son iguales.
+ */
+const compararEnTiempoConstante = (a, b) => {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+};
+
+/**
+ * @description Verifica una contraseña contra el valor almacenado en la base de datos.
+ * Si el valor almacenado es un hash bcrypt se usa `bcrypt.compare`; si es una contraseña heredada
+ * en texto plano se compara en tiempo constante y se indica que debe volver a guardarse como hash.
+ * Si no hay valor almacenado (usuario inexistente) se compara contra un hash ficticio para no
+ * revelar, por el tiempo de respuesta, si la cédula está registrada.
+ * @param {string} password - Contraseña proporcionada por el usuario.
+ * @param {string|null|undefined} almacenado - Valor de la columna `password` del usuario.
+ * @returns {Promise<{valido: boolean, requiereRehash: boolean}>} Resultado de la verificación.
+ */
+export const verificarPassword = async (password, almacenado) => {
+  if (!almacenado) {
+    await bcrypt.compare(String(password), HASH_FICTICIO);
+    return { valido: false, requiereRehash: false };
+  }
+
+  if (esHashBcrypt(almacenado)) {
+    const valido = await bcrypt.compare(String(password), almacenado);
+    return { valido, requiereRehash: false };
+  }
+
+  // Contraseña heredada en texto plano: se compara en tiempo constante.
+  const valido = compararEnTiempoConstante(password, almacenado);
+  return { valido, requiereRehash: valido };
+};
@@ -0,0 +1,149 @@
+/**
+ * @file Este archivo define la matriz de permisos por rol de la API.
+ * @description Declara, para cada recurso y cada acción, qué roles están autorizados.
+ * Los middlewares de autorización y los controladores que filtran información
+ * confidencial consultan esta matriz en lugar de comparar roles de forma aislada.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/permisos
+ */
+
+import { TOTP_ROLES_OBLIGATORIO } from '../config.js';
+
+/**
+ * @description Roles válidos de los usuarios del sistema.
+ * @type {string[]}
+ */
+export const ROLES = ['administrador', 'psicologo', 'docente'];
+
+/**
+ * @description Acciones que se pueden realizar sobre un recurso.
+ * @type {string[]}
+ */
+export const ACCIONES = ['leer', 'crear', 'editar', 'eliminar'];
+
+const TODOS = ['administrador', 'psicologo', 'docente'];
+const PERSONAL_CLINICO = ['administrador', 'psicologo'];
+const SOLO_ADMIN = ['administrador'];
+
+/**
+ * @description Matriz de permisos (recurso × acción × rol).
+ * Cada recurso corresponde al prefijo con el que se monta su enrutador en `index.js`.
+ * @type {Object<string, Object<string, string[]>>}
+ */
+export const PERMISOS = {
+  estudiantes: { leer: TODOS, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  representantes: { leer: TODOS, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  citas: { leer: PERSONAL_CLINICO, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  incidencias: { leer: TODOS, crear: TODOS, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  historial_medico: { leer: PERSONAL_CLINICO, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  reporte_psicologico: { leer: PERSONAL_CLINICO, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  discapacidades: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  carreras: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  facultades: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  usuarios: { leer: SOLO_ADMIN, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  api_keys: { leer: SOLO_ADMIN, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  papelera: { leer: SOLO_ADMIN, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  duplicados: { leer: PERSONAL_CLINICO, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  adjuntos: { leer: TODOS, crear: TODOS, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  periodos_academicos: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  cursos: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+  inscripciones: { leer: TODOS, crear: PERSONAL_CLINICO, editar: PERSONAL_CLINICO, eliminar: SOLO_ADMIN },
+  asignaciones_docentes: { leer: TODOS, crear: SOLO_ADMIN, editar: SOLO_ADMIN, eliminar: SOLO_ADMIN },
+};
+
+/**
+ * @description Relación entre los métodos HTTP y las acciones de la matriz de permisos.
+ * @type {Object<string, string>}
+ */
+export const ACCION_POR_METODO = {
+  GET: 'leer',
+  HEAD: 'leer',
+  POST: 'crear',
+  PUT: 'editar',
+  PATCH: 'editar',
+  DELETE: 'eliminar',
+};
+
+/**
+ * @description Indica si un rol puede realizar una acción sobre un recurso.
+ * Los recursos o acciones no declarados en la matriz se deniegan.
+ * @param {string} rol - Rol del usuario autenticado.
+ * @param {string} recurso - Nombre del recurso (clave de `PERMISOS`).
+ * @param {string} accion - Acción a realizar (una de `ACCIONES`).
+ * @returns {boolean} `true` si el rol está autorizado.
+ */
+export const tienePermiso = (rol, recurso, accion) => {
+  const rolesPermitidos = PERMISOS[recurso]?.[accion];
+  return Array.isArray(rolesPermitidos) && rolesPermitidos.includes(rol);
+};
+
+/**
+ * @description Recursos a los que se puede acceder con una API key (integraciones entre sistemas).
+ * @type {string[]}
+ */
+export const RECURSOS_API_KEY = ['estudiantes', 'carreras'];
+
+/**
+ * @description Alcances (scopes) que se pueden otorgar a una API key.
+ * "leer" habilita la acción `leer`; "escribir" habilita `crear`, `editar` y `eliminar`.
+ * @type {string[]}
+ */
+export const SCOPES_API_KEY = ['leer', 'escribir'];
+
+/**
+ * @description Relación entre las acciones de la matriz de permisos y los alcances de las API keys.
+ * @type {Object<string, string>}
+ */
+const SCOPE_POR_ACCION = {
+  leer: 'leer',
+  crear: 'escribir',
+  editar: 'escribir',
+  eliminar: 'escribir',
+};
+
+/**
+ * @description Indica si una API key puede realizar una acción sobre un recurso.
+ * @param {object} apiKey - API key autenticada.
+ * @param {string[]} apiKey.recursos - Recursos permitidos.
+ * @param {string[]} apiKey.scopes - Alcances otorgados.
+ * @param {string} recurso - Nombre del recurso.
+ * @param {string} accion - Acción a realizar (una de `ACCIONES`).
+ * @returns {boolean} `true` si la API key está autorizada.
+ */
+export const tienePermisoApiKey = (apiKey, recurso, accion) => {
+  return RECURSOS_API_KEY.includes(recurso)
+    && apiKey.recursos.includes(recurso)
+    && apiKey.scopes.includes(SCOPE_POR_ACCION[accion]);
+};
+
+/**
+ * @description Indica si el autor de una petición (usuario autenticado o API key) puede realizar una acción
+ * sobre un recurso. Se usa en los controladores que combinan información de varios recursos.
+ * @param {object} req - Objeto de solicitud de Express, con `req.user` o `req.apiKey`.
+ * @param {string} recurso - Nombre del recurso.
+ * @param {string} accion - Acción a realizar (una de `ACCIONES`).
+ * @returns {boolean} `true` si la petición está autorizada.
+ */
+export const puedeAcceder = (req, recurso, accion) => {
+  if (req.apiKey) {
+    return tienePermisoApiKey(req.apiKey, recurso, accion);
+  }
+  return tienePermiso(req.user?.rol, recurso, accion);
+};
+
+/**
+ * @description Roles que pueden activar la verificación en dos factores (TOTP) en su cuenta.
+ * @type {string[]}
+ */
+export const ROLES_2FA = PERSONAL_CLINICO;
+
+/**
+ * @description Indica si la verificación en dos factores es obligatoria para un rol,
+ * según la variable de entorno `TOTP_ROLES_OBLIGATORIO`.
+ * @param {string} rol - Rol del usuario.
+ * @returns {boolean} `true` si el rol debe tener la verificación en dos factores activa.
+ */
+export const requiere2fa = (rol) => {
+  return ROLES_2FA.includes(rol) && TOTP_ROLES_OBLIGATORIO.includes(rol);
+};
@@ -0,0 +1,65 @@
+/**
+ * @file Este archivo contiene las funciones de emisión de sesiones de la API.
+ * @description Registra las sesiones del lado del servidor, genera sus tokens de actualización y construye
+ * la respuesta de un inicio de sesión exitoso. Lo comparten el inicio de sesión con contraseña y el paso
+ * de verificación en dos factores, para que ambos devuelvan exactamente el mismo formato.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/sesiones
+ * @see module:utilities/jwt
+ * @see module:utilities/tokens
+ */
+
+import { sql } from '../db.js';
+import { JWT_EXPIRES_IN, REFRESH_TOKEN_EXPIRES_DAYS } from '../config.js';
+import { generarTokenAcceso } from './jwt.js';
+import { generarTokenAleatorio, hashToken } from './tokens.js';
+import { requiere2fa } from './permisos.js';
+
+/**
+ * @description Registra una nueva sesión del lado del servidor para un usuario y genera su token de actualización.
+ * Solo se almacena el hash del token; el token en texto plano se entrega al cliente una única vez.
+ * @param {number} id_usuario - ID del usuario autenticado.
+ * @returns {Promise<{idSesion: number, refreshToken: string, expiraEn: Date}>} Datos de la sesión creada.
+ */
+export const crearSesion = async (id_usuario) => {
+  const refreshToken = generarTokenAleatorio();
+  const expiraEn = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+  const sesion = await sql`
+    INSERT INTO sesiones (id_usuario, refresh_token_hash, expira_en)
+    VALUES (${id_usuario}, ${hashToken(refreshToken)}, ${expiraEn.toISOString()})
+    RETURNING id_sesion
+  `;
+
+  return { idSesion: sesion[0].id_sesion, refreshToken, expiraEn };
+};
+
+/**
+ * @description Crea la sesión de un usuario autenticado y construye el cuerpo de la respuesta de inicio de sesión.
+ * @param {object} usuario - Usuario autenticado.
+ * @param {number} usuario.id_usuario - ID del usuario.
+ * @param {string} usuario.rol - Rol del usuario.
+ * @param {boolean} usuario.debe_cambiar_password - Indica si el usuario tiene un cambio de contraseña pendiente.
+ * @param {boolean} usuario.totp_habilitado - Indica si el usuario tiene activada la verificación en dos factores.
+ * @returns {Promise<object>} Cuerpo JSON de la respuesta de inicio de sesión exitoso.
+ */
+export const construirRespuestaLogin = async (usuario) => {
+  // Se registra la sesión en el servidor y se firma el token de acceso con el ID, el rol y la sesión del usuario.
+  const { idSesion, refreshToken, expiraEn } = await crearSesion(usuario.id_usuario);
+  const token = generarTokenAcceso(usuario, idSesion);
+
+  return {
+    message: 'Inicio de sesión exitoso',
+    success: true,
+    token,
+    token_type: 'Bearer',
+    expires_in: JWT_EXPIRES_IN,
+    refresh_token: refreshToken,
+    refresh_expires_at: expiraEn.toISOString(),
+    rol: usuario.rol,
+    id_usuario: usuario.id_usuario,
+    debe_cambiar_password: usuario.debe_cambiar_password,
+    requiere_inscripcion_2fa: requiere2fa(usuario.rol) && !usuario.totp_habilitado,
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * @file Este archivo contiene funciones de utilidad para tokens opacos de un solo uso.
+ * @description Genera tokens aleatorios criptográficamente seguros y calcula su hash SHA-256,
+ * que es lo único que se almacena en la base de datos. Así, una filtración de la tabla no
+ * permite reutilizar los tokens emitidos.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/tokens
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @description Genera un token aleatorio codificado en hexadecimal.
+ * @param {number} [bytes=32] - Cantidad de bytes aleatorios.
+ * @returns {string} Token en texto plano (se entrega al cliente una sola vez).
+ */
+export const generarTokenAleatorio = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * @description Calcula el hash SHA-256 de un token para almacenarlo o buscarlo en la base de datos.
+ * @param {string} token - Token en texto plano.
+ * @returns {string} Hash SHA-256 en hexadecimal (64 caracteres).
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
@@ -0,0 +1,176 @@
+/**
+ * @file Este archivo implementa contraseñas de un solo uso basadas en tiempo (TOTP).
+ * @description Implementación local de HOTP (RFC 4226) y TOTP (RFC 6238) con HMAC-SHA1, pasos de 30 segundos
+ * y códigos de 6 dígitos, compatible con las aplicaciones de autenticación habituales. No depende de ningún
+ * servicio externo. Incluye la codificación Base32 (RFC 4648) de los secretos y la generación del URI `otpauth://`.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/totp
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @description Alfabeto Base32 definido en RFC 4648.
+ * @type {string}
+ */
+const ALFABETO_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @description Duración de cada paso de tiempo en segundos.
+ * @type {number}
+ */
+export const TOTP_PERIODO = 30;
+
+/**
+ * @description Cantidad de dígitos de cada código.
+ * @type {number}
+ */
+export const TOTP_DIGITOS = 6;
+
+/**
+ * @description Codifica un buffer en Base32 sin relleno.
+ * @param {Buffer} buffer - Datos a codificar.
+ * @returns {string} Cadena Base32.
+ */
+export const codificarBase32 = (buffer) => {
+  let bits = 0;
+  let valor = 0;
+  let salida = '';
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      salida += ALFABETO_BASE32[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    salida += ALFABETO_BASE32[(valor << (5 - bits)) & 31];
+  }
+  return salida;
+};
+
+/**
+ * @description Decodifica una cadena Base32 (se ignoran espacios, guiones y relleno, sin distinguir mayúsculas).
+ * @param {string} texto - Cadena Base32.
+ * @returns {Buffer} Datos decodificados.
+ * @throws {Error} Si la cadena contiene caracteres fuera del alfabeto Base32.
+ */
+export const decodificarBase32 = (texto) => {
+  const limpio = String(texto).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let valor = 0;
+  const bytes = [];
+  for (const caracter of limpio) {
+    const indice = ALFABETO_BASE32.indexOf(caracter);
+    if (indice === -1) {
+      throw new Error('Secreto Base32 inválido');
+    }
+    valor = (valor << 5) | indice;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * @description Genera un secreto TOTP aleatorio de 160 bits codificado en Base32.
+ * @returns {string} Secreto en Base32.
+ */
+export const generarSecretoTotp = () => {
+  return codificarBase32(crypto.randomBytes(20));
+};
+
+/**
+ * @description Calcula un código HOTP (RFC 4226) para un contador dado.
+ * @param {Buffer} clave - Secreto compartido decodificado.
+ * @param {number} contador - Valor del contador (paso de tiempo en TOTP).
+ * @param {number} [digitos=TOTP_DIGITOS] - Cantidad de dígitos del código.
+ * @returns {string} Código numérico con ceros a la izquierda.
+ */
+export const generarHotp = (clave, contador, digitos = TOTP_DIGITOS) => {
+  const mensaje = Buffer.alloc(8);
+  mensaje.writeBigUInt64BE(BigInt(contador));
+  const hmac = crypto.createHmac('sha1', clave).update(mensaje).digest();
+  const desplazamiento = hmac[hmac.length - 1] & 0x0f;
+  const binario = ((hmac[desplazamiento] & 0x7f) << 24)
+    | (hmac[desplazamiento + 1] << 16)
+    | (hmac[desplazamiento + 2] << 8)
+    | hmac[desplazamiento + 3];
+  return String(binario % 10 ** digitos).padStart(digitos, '0');
+};
+
+/**
+ * @description Calcula el paso de tiempo TOTP correspondiente a un instante.
+ * @param {number} [instante=Date.now()] - Instante en milisegundos.
+ * @returns {number} Número de paso de tiempo.
+ */
+export const calcularPasoTotp = (instante = Date.now()) => {
+  return Math.floor(instante / 1000 / TOTP_PERIODO);
+};
+
+/**
+ * @description Genera el código TOTP (RFC 6238) vigente para un secreto.
+ * @param {string} secreto - Secreto en Base32.
+ * @param {number} [instante=Date.now()] - Instante en milisegundos.
+ * @returns {string} Código de `TOTP_DIGITOS` dígitos.
+ */
+export const generarCodigoTotp = (secreto, instante = Date.now()) => {
+  return generarHotp(decodificarBase32(secreto), calcularPasoTotp(instante));
+};
+
+/**
+ * @description Verifica un código TOTP tolerando un desfase de reloj de `ventana` pasos en cada sentido.
+ * Para impedir la reutilización de un código, los pasos menores o iguales a `ultimoPaso` se rechazan.
+ * @param {string} secreto - Secreto en Base32.
+ * @param {string} codigo - Código ingresado por el usuario.
+ * @param {object} [opciones] - Opciones de verificación.
+ * @param {number} [opciones.ventana=1] - Pasos de tolerancia antes y después del paso actual.
+ * @param {number|null} [opciones.ultimoPaso=null] - Último paso aceptado para el usuario.
+ * @param {number} [opciones.instante=Date.now()] - Instante de referencia en milisegundos.
+ * @returns {number|null} El paso de tiempo que coincidió, o `null` si el código es inválido.
+ */
+export const verificarCodigoTotp = (secreto, codigo, { ventana = 1, ultimoPaso = null, instante = Date.now() } = {}) => {
+  const codigoNormalizado = String(codigo).replace(/\s/g, '');
+  if (!/^\d+$/.test(codigoNormalizado) || codigoNormalizado.length !== TOTP_DIGITOS) {
+    return null;
+  }
+
+  const clave = decodificarBase32(secreto);
+  const pasoActual = calcularPasoTotp(instante);
+  for (let i = -ventana; i <= ventana; i++) {
+    const paso = pasoActual + i;
+    if (ultimoPaso !== null && paso <= ultimoPaso) {
+      continue;
+    }
+    const esperado = Buffer.from(generarHotp(clave, paso));
+    if (crypto.timingSafeEqual(esperado, Buffer.from(codigoNormalizado))) {
+      return paso;
+    }
+  }
+  return null;
+};
+
+/**
+ * @description Construye el URI `otpauth://totp/...` que las aplicaciones de autenticación leen desde un código QR.
+ * @param {object} datos - Datos de la cuenta.
+ * @param {string} datos.secreto - Secreto en Base32.
+ * @param {string} datos.cuenta - Identificador de la cuenta (ej. la cédula del usuario).
+ * @param {string} datos.emisor - Nombre del emisor mostrado en la aplicación.
+ * @returns {string} URI otpauth.
+ */
+export const generarUriOtpauth = ({ secreto, cuenta, emisor }) => {
+  const etiqueta = `${encodeURIComponent(emisor)}:${encodeURIComponent(cuenta)}`;
+  const parametros = new URLSearchParams({
+    secret: secreto,
+    issuer: emisor,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITOS),
+    period: String(TOTP_PERIODO),
+  });
+  return `otpauth://totp/${etiqueta}?${parametros.toString()}`;
+};
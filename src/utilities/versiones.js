@@ -0,0 +1,149 @@
+/**
+ * @file Este archivo contiene las funciones del control de concurrencia optimista (ETag / If-Match).
+ * @description Cada registro editable tiene una columna `version` que un trigger aumenta en cada modificación
+ * (migraciones `016_versiones.sql` y `020_versiones_estudiantes_discapacidades.sql`). Las consultas por ID la envían en la cabecera `ETag` (`"3"`), y las ediciones
+ * (`PUT`, `PATCH`) y eliminaciones (`DELETE`) que reciben `If-Match` solo se aplican si la versión del registro es
+ * una de las indicadas. La comprobación se hace con `comprobar_version` dentro de la misma transacción que la
+ * edición, que bloquea la fila hasta el final; si la versión cambió, se responde `412` con el registro actual.
+ * Sin `If-Match` (o con `If-Match: *`) las ediciones se aplican como siempre.
+ * @author Eric
+ * @version 1.0.0
+ * @module utilities/versiones
+ */
+
+import { sql } from '../db.js';
+import { unirCondiciones } from './listados.js';
+
+/**
+ * @description Entidades con control de versión. Para cada tipo se indica su tabla, la columna de su ID (o las
+ * columnas, si la clave es compuesta, y entonces el ID es un array con sus valores en el mismo orden) y si tiene
+ * papelera (`deleted_at`). Los nombres son constantes del código.
+ * @type {Object<string, {tabla: string, columnaId: string|string[], eliminacionLogica: boolean}>}
+ */
+export const ENTIDADES_VERSIONADAS = {
+  estudiantes: { tabla: 'estudiantes', columnaId: 'id_estudiante', eliminacionLogica: true },
+  representantes: { tabla: 'representantes', columnaId: 'id_representante', eliminacionLogica: true },
+  citas: { tabla: 'citas', columnaId: 'id_citas', eliminacionLogica: true },
+  incidencias: { tabla: 'incidencias', columnaId: 'id_incidencia', eliminacionLogica: true },
+  historial_medico: { tabla: 'historial_medico', columnaId: 'id_historialmedico', eliminacionLogica: true },
+  reporte_psicologico: { tabla: 'reporte_psicologico', columnaId: 'id_psicologico', eliminacionLogica: true },
+  discapacidades: { tabla: 'discapacidades', columnaId: 'discapacidad_id', eliminacionLogica: false },
+  carreras: { tabla: 'carreras', columnaId: 'id_carrera', eliminacionLogica: false },
+  facultades: { tabla: 'facultades', columnaId: 'id_facultad', eliminacionLogica: false },
+  periodos_academicos: { tabla: 'periodos_academicos', columnaId: 'id_periodo', eliminacionLogica: false },
+  cursos: { tabla: 'cursos', columnaId: 'id_curso', eliminacionLogica: false },
+  inscripciones: { tabla: 'inscripciones', columnaId: 'id_inscripcion', eliminacionLogica: false },
+  asignaciones_docentes: { tabla: 'asignaciones_docentes', columnaId: 'id_asignacion', eliminacionLogica: false },
+  estudiantes_discapacidades: {
+    tabla: 'estudiantes_discapacidades',
+    columnaId: ['id_estudiante', 'discapacidad_id'],
+    eliminacionLogica: false,
+  },
+};
+
+/**
+ * @description Código de error (SQLSTATE) que lanza `comprobar_version` cuando la versión no coincide.
+ * @type {string}
+ */
+const CODIGO_CONFLICTO_VERSION = 'PT412';
+
+/**
+ * @description Construye la condición que selecciona un registro por su ID, excluyendo los de la papelera.
+ * @param {{tabla: string, columnaId: string|string[], eliminacionLogica?: boolean}} entidad - Entidad del registro.
+ * @param {number|string|Array<number|string>} id - ID del registro (un array si la clave es compuesta).
+ * @returns {object} Fragmento SQL.
+ */
+export const condicionRegistro = ({ columnaId, eliminacionLogica = true }, id) => unirCondiciones([
+  ...[columnaId].flat().map((columna, i) => sql`${sql.unsafe(columna)} = ${[id].flat()[i]}`),
+  ...(eliminacionLogica ? [sql`deleted_at IS NULL`] : []),
+]);
+
+/**
+ * @description Construye el ETag de una versión.
+ * @param {number} version - Versión del registro.
+ * @returns {string} ETag fuerte (ej. `"3"`).
+ */
+export const etiquetaVersion = (version) => `"${version}"`;
+
+/**
+ * @description Agrega la cabecera `ETag` con la versión de un registro a la respuesta.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {{version?: number}} registro - Registro consultado.
+ * @returns {object} La respuesta, para encadenar `json`.
+ */
+export const fijarEtag = (res, registro) => {
+  if (registro?.version !== undefined && registro.version !== null) {
+    res.set('ETag', etiquetaVersion(registro.version));
+  }
+  return res;
+};
+
+/**
+ * @description Obtiene las versiones aceptadas por la cabecera `If-Match` de la petición.
+ * Los ETags débiles (`W/"3"`) y los que no son de esta API no coinciden nunca, como indica la comparación fuerte
+ * de RFC 9110.
+ * @param {object} req - Objeto de solicitud de Express.
+ * @returns {number[]|null} Versiones aceptadas, o `null` si no hay condición (sin cabecera o `*`).
+ */
+export const versionesIfMatch = (req) => {
+  const cabecera = req.get('If-Match');
+  if (cabecera === undefined || cabecera.trim() === '*') {
+    return null;
+  }
+  return cabecera
+    .split(',')
+    .map((etiqueta) => /^"(\d+)"$/.exec(etiqueta.trim())?.[1])
+    .filter(Boolean)
+    .map(Number);
+};
+
+/**
+ * @description Construye la comprobación de `If-Match` para la transacción que edita o elimina un registro.
+ * Debe ir antes de la edición (`sql.transaction([...comprobarVersion(req, entidad, id), edicion])`).
+ * @param {object} req - Objeto de solicitud de Express.
+ * @param {{tabla: string, columnaId: string|string[], eliminacionLogica?: boolean}} entidad - Entidad del registro
+ * (ver `ENTIDADES_VERSIONADAS`).
+ * @param {number|string|Array<number|string>} id - ID del registro (un array si la clave es compuesta).
+ * @returns {Array<object>} Consultas sin ejecutar: ninguna si la petición no tiene `If-Match`.
+ */
+export const comprobarVersion = (req, { tabla, columnaId, eliminacionLogica = true }, id) => {
+  const versiones = versionesIfMatch(req);
+  if (versiones === null) {
+    return [];
+  }
+  if (Array.isArray(columnaId)) {
+    return [sql`
+      SELECT comprobar_version_compuesta(${tabla}, ${columnaId}::text[], ${id}::int[], ${versiones}::int[], ${eliminacionLogica})
+    `];
+  }
+  return [sql`SELECT comprobar_version(${tabla}, ${columnaId}, ${id}::int, ${versiones}::int[], ${eliminacionLogica})`];
+};
+
+/**
+ * @description Indica si un error de la base de datos se debe a que la versión no coincide con `If-Match`.
+ * @param {Error & {code?: string}} error - Error de la consulta.
+ * @returns {boolean} `true` si es un conflicto de versión.
+ */
+export const esConflictoVersion = (error) => error?.code === CODIGO_CONFLICTO_VERSION;
+
+/**
+ * @description Responde `412 Precondition Failed` con el registro actual y su versión (también en la cabecera `ETag`),
+ * para que el cliente pueda mostrar los cambios y combinarlos con los suyos.
+ * @param {object} res - Objeto de respuesta de Express.
+ * @param {{tabla: string, columnaId: string|string[], eliminacionLogica?: boolean}} entidad - Entidad del registro.
+ * @param {number|string|Array<number|string>} id - ID del registro (un array si la clave es compuesta).
+ * @returns {Promise<void>}
+ */
+export const responderConflictoVersion = async (res, entidad, id) => {
+  let actual = null;
+  try {
+    [actual = null] = await sql`SELECT * FROM ${sql.unsafe(entidad.tabla)} WHERE ${condicionRegistro(entidad, id)}`;
+  } catch (error) {
+    console.error('Error al consultar la versión actual del registro:', error);
+  }
+  fijarEtag(res, actual).status(412).json({
+    error: 'El registro fue modificado por otra persona. Revise los cambios y vuelva a intentarlo.',
+    etag: actual ? etiquetaVersion(actual.version) : null,
+    actual,
+  });
+};
@@ -0,0 +1,94 @@
+/**
+ * @file Este archivo define las validaciones para las rutas de los archivos adjuntos.
+ * @description Utiliza la librería `express-validator` para validar los campos del formulario con el que se sube
+ * un adjunto, los filtros y la paginación del listado y el ID de los adjuntos. El archivo en sí (tamaño y formato)
+ * se valida en el middleware de subida y en el controlador.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/adjuntos.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param, query } from 'express-validator';
+import { validacionesPaginacion } from '../utilities/listados.js';
+import { TIPOS_ADJUNTO, VINCULOS_ADJUNTO } from '../utilities/adjuntos.js';
+
+/**
+ * @description Campos del formulario que vinculan el adjunto a otro registro del estudiante.
+ * @type {string[]}
+ */
+const CAMPOS_VINCULO = Object.keys(VINCULOS_ADJUNTO);
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con los adjuntos.
+ * @namespace adjuntosValidations
+ */
+export const adjuntosValidations = {
+  /**
+   * @description Validaciones de los campos del formulario de subida de un adjunto.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  subirAdjuntoValidations: [
+    /**
+     * @description Valida el campo `id_estudiante`.
+     * - Es requerido y debe ser un entero positivo.
+     */
+    body('id_estudiante')
+      .isInt({ min: 1 }).withMessage('El ID del estudiante debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `tipo`.
+     * - Es requerido y debe ser uno de `TIPOS_ADJUNTO`.
+     */
+    body('tipo')
+      .isIn(TIPOS_ADJUNTO).withMessage(`El tipo de adjunto debe ser uno de: ${TIPOS_ADJUNTO.join(', ')}`),
+    /**
+     * @description Valida los campos de vínculo (`id_historialmedico`, `id_incidencia`, `id_psicologico`, opcionales).
+     * - Si están presentes, deben ser enteros positivos; solo se puede indicar uno.
+     */
+    body(CAMPOS_VINCULO)
+      .optional({ values: 'falsy' })
+      .isInt({ min: 1 }).withMessage('Los IDs de los registros vinculados deben ser enteros positivos')
+      .toInt(),
+    body()
+      .custom((datos) => CAMPOS_VINCULO.filter((campo) => datos?.[campo]).length <= 1)
+      .withMessage(`El adjunto solo se puede vincular a uno de: ${CAMPOS_VINCULO.join(', ')}`),
+    /**
+     * @description Valida el campo `descripcion` (opcional).
+     * - Si está presente, debe tener como máximo 500 caracteres.
+     */
+    body('descripcion')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 500 }).withMessage('La descripción debe tener como máximo 500 caracteres'),
+  ],
+  /**
+   * @description Validaciones del listado de adjuntos de un estudiante: paginación (`limit`, `offset`) y filtros.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarAdjuntosValidations: [
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el filtro `id_estudiante`.
+     * - Es requerido y debe ser un entero positivo.
+     */
+    query('id_estudiante')
+      .isInt({ min: 1 }).withMessage('El filtro id_estudiante es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el filtro `tipo` (opcional).
+     * - Si está presente, debe ser uno de `TIPOS_ADJUNTO`.
+     */
+    query('tipo')
+      .optional()
+      .isIn(TIPOS_ADJUNTO).withMessage(`El tipo de adjunto debe ser uno de: ${TIPOS_ADJUNTO.join(', ')}`),
+  ],
+  /**
+   * @description Validaciones del parámetro de ruta `id_adjunto`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  adjuntoValidations: [
+    param('id_adjunto')
+      .isInt({ min: 1 }).withMessage('El ID del adjunto debe ser un entero positivo'),
+  ],
+};
@@ -0,0 +1,69 @@
+/**
+ * @file Este archivo define las validaciones para las rutas de gestión de API keys.
+ * @description Utiliza la librería `express-validator` para asegurar que los datos enviados al crear
+ * una API key (nombre, recursos, alcances y expiración) y los parámetros de ruta sean válidos.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/apiKeys.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param } from 'express-validator';
+import { RECURSOS_API_KEY, SCOPES_API_KEY } from '../utilities/permisos.js';
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con las API keys.
+ * @namespace apiKeysValidations
+ */
+export const apiKeysValidations = {
+  /**
+   * @description Validaciones para la creación de una API key.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  crearApiKeyValidations: [
+    /**
+     * @description Valida el campo `nombre`.
+     * - Es requerido (no vacío).
+     * - Debe tener entre 3 y 100 caracteres.
+     */
+    body('nombre')
+      .trim()
+      .notEmpty().withMessage('El nombre es requerido')
+      .isLength({ min: 3, max: 100 }).withMessage('El nombre debe tener entre 3 y 100 caracteres'),
+    /**
+     * @description Valida el campo `recursos`.
+     * - Debe ser un array no vacío con recursos habilitados para API keys.
+     */
+    body('recursos')
+      .isArray({ min: 1 }).withMessage('Debe indicar al menos un recurso'),
+    body('recursos.*')
+      .isIn(RECURSOS_API_KEY).withMessage(`Los recursos permitidos son: ${RECURSOS_API_KEY.join(', ')}`),
+    /**
+     * @description Valida el campo `scopes`.
+     * - Debe ser un array no vacío con alcances válidos ("leer", "escribir").
+     */
+    body('scopes')
+      .isArray({ min: 1 }).withMessage('Debe indicar al menos un alcance'),
+    body('scopes.*')
+      .isIn(SCOPES_API_KEY).withMessage(`Los alcances permitidos son: ${SCOPES_API_KEY.join(', ')}`),
+    /**
+     * @description Valida el campo `expira_en` (opcional).
+     * - Si está presente, debe ser una fecha ISO 8601 futura.
+     */
+    body('expira_en')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('La fecha de expiración debe tener formato ISO 8601')
+      .custom((valor) => new Date(valor) > new Date()).withMessage('La fecha de expiración debe ser futura'),
+  ],
+  /**
+   * @description Validaciones del parámetro de ruta `id_api_key`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  idApiKeyValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_api_key`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param('id_api_key').isInt({ min: 1 }).withMessage('El ID de la API key debe ser un entero positivo'),
+  ],
+};
@@ -0,0 +1,145 @@
+/**
+ * @file Este archivo define las validaciones para las rutas relacionadas con las asignaciones de docentes a los cursos.
+ * @description Utiliza la librería `express-validator` para asegurar que los datos enviados en las peticiones
+ * de creación y edición de asignaciones de docentes cumplan con los requisitos de formato y presencia, y valida el ID
+ * en los parámetros de ruta y los filtros y la paginación del listado.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/asignacionesDocentes.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param, query } from 'express-validator';
+import { validacionesPaginacion } from '../utilities/listados.js';
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con las asignaciones de docentes a los cursos.
+ * @namespace asignacionesDocentesValidations
+ */
+export const asignacionesDocentesValidations = {
+  /**
+   * @description Validaciones del listado de asignaciones de docentes: paginación (`limit`, `offset`) y filtros.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarAsignacionesValidations: [
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el filtro `id_periodo` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_periodo')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_periodo debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el filtro `id_curso` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_curso')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_curso debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el filtro `id_usuario` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_usuario')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_usuario debe ser un entero positivo')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones para la creación de una asignación de docente.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  crearAsignacionValidations: [
+    /**
+     * @description Valida el campo `id_usuario`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_usuario')
+      .isInt({ min: 1 }).withMessage('El ID del docente es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_curso`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_curso')
+      .isInt({ min: 1 }).withMessage('El ID del curso es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_periodo`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_periodo')
+      .isInt({ min: 1 }).withMessage('El ID del período es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `seccion` (opcional).
+     * - Si está presente, solo puede contener letras, números y guiones, hasta 10 caracteres. Se guarda en mayúsculas.
+     */
+    body('seccion')
+      .optional({ values: 'null' })
+      .isString().withMessage('La sección debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,10}$/).withMessage('La sección solo puede contener letras, números y guiones (hasta 10 caracteres)')
+      .toUpperCase(),
+  ],
+  /**
+   * @description Validaciones para la edición de una asignación de docente.
+   * Valida el ID en los parámetros de ruta y los campos opcionales en el cuerpo.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  editarAsignacionValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_asignacion`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_asignacion').isInt({ min: 1 }).withMessage('El ID de la asignación debe ser un entero positivo'),
+    /**
+     * @description Valida el campo `id_usuario` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_usuario')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del docente debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_curso` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_curso')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del curso debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_periodo` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_periodo')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del período debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `seccion` (opcional; `null` la borra).
+     * - Si está presente, solo puede contener letras, números y guiones, hasta 10 caracteres. Se guarda en mayúsculas.
+     */
+    body('seccion')
+      .optional({ values: 'null' })
+      .isString().withMessage('La sección debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,10}$/).withMessage('La sección solo puede contener letras, números y guiones (hasta 10 caracteres)')
+      .toUpperCase(),
+  ],
+  /**
+   * @description Validaciones de las rutas que solo reciben el ID (consulta y eliminación).
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  asignacionValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_asignacion`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_asignacion').isInt({ min: 1 }).withMessage('El ID de la asignación debe ser un entero positivo'),
+  ],
+};
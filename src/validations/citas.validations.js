@@ -102,6 +102,21 @@ export const citaValidations = {
       .isLength({ max: 255 })
       .withMessage('El motivo de la cita debe tener un máximo 255 de caracteres'),
   ],
+  /**
+   * @description Validaciones de los campos que solo se modifican con `PATCH /citas/:id_citas`.
+   * El resto de los campos se valida con `crearCitaValidations`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  parchearCitaValidations: [
+    /**
+     * @description Valida el campo `pendiente`.
+     * - Debe ser un booleano (`true` o `false`).
+     */
+    body('pendiente')
+      .isBoolean({ strict: true })
+      .withMessage('El campo pendiente debe ser true o false')
+      .toBoolean(),
+  ],
   /**
    * @description Validaciones para la eliminación de una cita.
    * Asegura que el ID de la cita proporcionado en los parámetros de ruta sea válido.
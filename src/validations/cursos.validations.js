@@ -0,0 +1,147 @@
+/**
+ * @file Este archivo define las validaciones para las rutas relacionadas con los cursos.
+ * @description Utiliza la librería `express-validator` para asegurar que los datos enviados en las peticiones
+ * de creación y edición de cursos (asignaturas de una carrera) cumplan con los requisitos de formato y presencia,
+ * y valida el ID de los cursos en los parámetros de ruta y el filtro por carrera del listado.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/cursos.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param, query } from 'express-validator';
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con los cursos.
+ * @namespace cursosValidations
+ */
+export const cursosValidations = {
+  /**
+   * @description Validaciones del listado de cursos.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarCursosValidations: [
+    /**
+     * @description Valida el filtro `id_carrera` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_carrera')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_carrera debe ser un entero positivo')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones para la creación de un curso.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  crearCursoValidations: [
+    /**
+     * @description Valida el campo `codigo`.
+     * - Es requerido; solo puede contener letras, números y guiones, hasta 20 caracteres. Se guarda en mayúsculas.
+     */
+    body('codigo')
+      .isString().withMessage('El código debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,20}$/).withMessage('El código solo puede contener letras, números y guiones (hasta 20 caracteres)')
+      .toUpperCase(),
+    /**
+     * @description Valida el campo `curso` (nombre de la asignatura).
+     * - Es requerido y debe tener como máximo 150 caracteres.
+     */
+    body('curso')
+      .isString().withMessage('El curso debe ser texto')
+      .trim()
+      .notEmpty().withMessage('El curso es requerido')
+      .isLength({ max: 150 }).withMessage('El curso debe tener como máximo 150 caracteres'),
+    /**
+     * @description Valida el campo `id_carrera`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_carrera')
+      .isInt({ min: 1 }).withMessage('El id_carrera es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `semestre` (opcional).
+     * - Si está presente, debe ser un entero entre 1 y 12.
+     */
+    body('semestre')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 12 }).withMessage('El semestre debe ser un entero entre 1 y 12')
+      .toInt(),
+    /**
+     * @description Valida el campo `creditos` (opcional).
+     * - Si está presente, debe ser un entero mayor o igual a 0.
+     */
+    body('creditos')
+      .optional({ values: 'null' })
+      .isInt({ min: 0, max: 99 }).withMessage('Los créditos deben ser un entero entre 0 y 99')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones para la edición de un curso.
+   * Valida el ID en los parámetros de ruta y los campos opcionales en el cuerpo.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  editarCursoValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_curso`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_curso').isInt({ min: 1 }).withMessage('El ID del curso debe ser un entero positivo'),
+    /**
+     * @description Valida el campo `codigo` si está presente.
+     * - Solo puede contener letras, números y guiones, hasta 20 caracteres. Se guarda en mayúsculas.
+     */
+    body('codigo')
+      .optional()
+      .isString().withMessage('El código debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,20}$/).withMessage('El código solo puede contener letras, números y guiones (hasta 20 caracteres)')
+      .toUpperCase(),
+    /**
+     * @description Valida el campo `curso` si está presente.
+     * - No puede estar vacío y debe tener como máximo 150 caracteres.
+     */
+    body('curso')
+      .optional()
+      .isString().withMessage('El curso debe ser texto')
+      .trim()
+      .notEmpty().withMessage('El curso no puede estar vacío')
+      .isLength({ max: 150 }).withMessage('El curso debe tener como máximo 150 caracteres'),
+    /**
+     * @description Valida el campo `id_carrera` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_carrera')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El id_carrera debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `semestre` si está presente.
+     * - Debe ser un entero entre 1 y 12.
+     */
+    body('semestre')
+      .optional()
+      .isInt({ min: 1, max: 12 }).withMessage('El semestre debe ser un entero entre 1 y 12')
+      .toInt(),
+    /**
+     * @description Valida el campo `creditos` si está presente.
+     * - Debe ser un entero entre 0 y 99.
+     */
+    body('creditos')
+      .optional()
+      .isInt({ min: 0, max: 99 }).withMessage('Los créditos deben ser un entero entre 0 y 99')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones de las rutas que solo reciben el ID del curso (consulta y eliminación).
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  cursoValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_curso`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_curso').isInt({ min: 1 }).withMessage('El ID del curso debe ser un entero positivo'),
+  ],
+};
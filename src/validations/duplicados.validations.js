@@ -0,0 +1,64 @@
+/**
+ * @file Este archivo define las validaciones para las rutas de detección y fusión de estudiantes duplicados.
+ * @description Utiliza la librería `express-validator` para validar la paginación y el umbral del listado
+ * de posibles duplicados, y los estudiantes indicados en una fusión.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/duplicados.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, query } from 'express-validator';
+import { validacionesPaginacion } from '../utilities/listados.js';
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con los estudiantes duplicados.
+ * @namespace duplicadosValidations
+ */
+export const duplicadosValidations = {
+  /**
+   * @description Validaciones del listado de posibles duplicados: paginación (`limit`, `offset`) y `umbral`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarDuplicadosValidations: [
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el parámetro `umbral` (opcional).
+     * - Si está presente, debe ser un número entre 0 y 1.
+     */
+    query('umbral')
+      .optional()
+      .isFloat({ min: 0, max: 1 }).withMessage('El parámetro umbral debe ser un número entre 0 y 1')
+      .toFloat(),
+  ],
+  /**
+   * @description Validaciones de la fusión de dos estudiantes.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  fusionarEstudiantesValidations: [
+    /**
+     * @description Valida el campo `id_estudiante_conservado`.
+     * - Es requerido y debe ser un entero positivo.
+     */
+    body('id_estudiante_conservado')
+      .isInt({ min: 1 }).withMessage('El ID del estudiante que se conserva debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_estudiante_duplicado`.
+     * - Es requerido, debe ser un entero positivo y distinto de `id_estudiante_conservado`.
+     */
+    body('id_estudiante_duplicado')
+      .isInt({ min: 1 }).withMessage('El ID del estudiante duplicado debe ser un entero positivo')
+      .toInt()
+      .custom((id, { req }) => id !== Number(req.body.id_estudiante_conservado))
+      .withMessage('El estudiante duplicado debe ser distinto del que se conserva'),
+    /**
+     * @description Valida el campo `motivo` (opcional).
+     * - Si está presente, debe tener como máximo 500 caracteres.
+     */
+    body('motivo')
+      .optional({ values: 'null' })
+      .trim()
+      .isLength({ max: 500 }).withMessage('El motivo debe tener como máximo 500 caracteres'),
+  ],
+};
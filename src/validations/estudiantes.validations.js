@@ -1,7 +1,7 @@
 /**
  * @file Este archivo define las validaciones para las rutas relacionadas con los estudiantes.
  * @description Utiliza la librería `express-validator` para asegurar que los datos enviados
- * en las peticiones HTTP para la creación y edición de estudiantes cumplan con los requisitos
+ * en las peticiones HTTP para la creación, edición y listado de estudiantes cumplan con los requisitos
  * de formato, presencia y valores válidos. Incluye validaciones para campos como nombres,
  * apellidos, cédula, teléfono, correo, fechas y IDs de relaciones.
  * @author Eric
@@ -10,7 +10,84 @@
  * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
  */
 
-import { body, param } from "express-validator";
+import { body, param, query } from "express-validator";
+import { validacionesListado, validacionesPaginacion } from "../utilities/listados.js";
+import { TABLAS_HISTORIAL_CAMBIOS } from "../utilities/historialCambios.js";
+
+/**
+ * @description Campos por los que se puede ordenar el listado de estudiantes (parámetro `orden`).
+ * @type {string[]}
+ */
+export const CAMPOS_ORDEN_ESTUDIANTES = ["nombres", "apellidos", "cedula", "fecha_registro", "fecha_nacimiento", "carrera", "facultad"];
+
+/**
+ * @description Secciones que se pueden solicitar en el expediente de un estudiante (parámetro `include`).
+ * @type {string[]}
+ */
+export const SECCIONES_EXPEDIENTE = ["representantes", "historial_medico", "adaptaciones", "reportes_psicologicos", "incidencias", "citas"];
+
+/**
+ * @description Estados posibles de un estudiante en la institución.
+ * @type {string[]}
+ */
+export const ESTADOS_ESTUDIANTE = ["activo", "egresado", "retirado", "suspendido"];
+
+/**
+ * @description Grados de severidad de una discapacidad asociada a un estudiante.
+ * @type {string[]}
+ */
+export const SEVERIDADES_DISCAPACIDAD = ["leve", "moderada", "severa", "profunda"];
+
+/**
+ * @description Valida el filtro `estado` de los listados de estudiantes (opcional).
+ * - Lista de estados separados por comas; se convierte en un array sin repetidos.
+ * - Cada valor debe ser uno de `ESTADOS_ESTUDIANTE`, o `todos` para no filtrar por estado.
+ * @returns {import('express-validator').ValidationChain} Regla de validación del filtro.
+ */
+const validacionFiltroEstado = () => query("estado")
+  .optional()
+  .customSanitizer((estado) => [...new Set([estado].flat().join(",").split(",").map((valor) => valor.trim().toLowerCase()).filter(Boolean))])
+  .custom((estados) => {
+    const invalidos = estados.filter((estado) => estado !== "todos" && !ESTADOS_ESTUDIANTE.includes(estado));
+    if (estados.length === 0 || invalidos.length > 0) {
+      throw new Error(`Estados no válidos: ${invalidos.join(", ") || "(vacío)"}. Estados permitidos: ${ESTADOS_ESTUDIANTE.join(", ")} o todos`);
+    }
+    return true;
+  });
+
+/**
+ * @description Valida los datos de la asociación entre un estudiante y una discapacidad (todos opcionales).
+ * - `severidad`: uno de `SEVERIDADES_DISCAPACIDAD`.
+ * - `fecha_diagnostico`: fecha ISO 8601 que no sea futura.
+ * - `certificado_conapdis`: texto de hasta 50 caracteres.
+ * - `observaciones`: texto de hasta 1000 caracteres.
+ * @returns {Array<import('express-validator').ValidationChain>} Reglas de validación de los datos.
+ */
+const validacionesDatosDiscapacidad = () => [
+  body("severidad")
+    .optional({ values: "null" })
+    .isIn(SEVERIDADES_DISCAPACIDAD)
+    .withMessage(`La severidad debe ser una de: ${SEVERIDADES_DISCAPACIDAD.join(", ")}`),
+  body("fecha_diagnostico")
+    .optional({ values: "null" })
+    .isISO8601({ strict: true })
+    .withMessage("La fecha de diagnóstico debe tener formato AAAA-MM-DD")
+    .bail()
+    .custom((fecha) => new Date(fecha) <= new Date())
+    .withMessage("La fecha de diagnóstico no puede ser futura"),
+  body("certificado_conapdis")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("El número de certificado CONAPDIS debe tener entre 1 y 50 caracteres"),
+  body("observaciones")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Las observaciones deben tener como máximo 1000 caracteres"),
+];
 
 /**
  * @description Objeto que agrupa todas las validaciones relacionadas con las operaciones de estudiantes.
@@ -348,5 +425,286 @@ export const estudianteValidations = {
       .withMessage(
         "Otro teléfono solo puede contener dígitos (o estar vacío) si se proporciona."
       ),
+    /**
+     * @description Rechaza el campo `estado`: el estado solo se cambia con `POST /estudiantes/:id_estudiante/estado`,
+     * que registra la transición en el historial.
+     */
+    body("estado")
+      .not()
+      .exists()
+      .withMessage("El estado no se puede editar aquí; use POST /estudiantes/:id_estudiante/estado"),
+  ],
+  /**
+   * @description Validaciones de los parámetros de consulta del listado de estudiantes.
+   * Incluye los parámetros comunes de paginación y ordenamiento (`limit`, `offset`, `orden`) y los filtros propios.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  obtenerEstudiantesValidations: [
+    ...validacionesListado(CAMPOS_ORDEN_ESTUDIANTES),
+    /**
+     * @description Valida los filtros por ID de carrera y facultad (opcionales).
+     * - Si están presentes, deben ser números enteros positivos.
+     */
+    query(["id_carrera", "id_facultad"])
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Los filtros id_carrera e id_facultad deben ser enteros positivos")
+      .toInt(),
+    /**
+     * @description Valida el filtro `discapacidad_id` (opcional).
+     * - Lista de IDs separados por comas; se convierte en un array de enteros sin repetidos.
+     * - Cada ID debe ser un entero positivo. Coinciden los estudiantes con cualquiera de esas discapacidades.
+     */
+    query("discapacidad_id")
+      .optional()
+      .customSanitizer((ids) => [...new Set([ids].flat().join(",").split(",").map((valor) => valor.trim()).filter(Boolean))])
+      .custom((ids) => ids.length > 0 && ids.every((id) => /^[1-9]\d*$/.test(id)))
+      .withMessage("El filtro discapacidad_id debe ser una lista de enteros positivos separados por comas")
+      .customSanitizer((ids) => ids.map(Number)),
+    /**
+     * @description Valida el filtro `posee_conapdis` (opcional).
+     * - Si está presente, debe ser un valor booleano (`true`/`false` o `1`/`0`).
+     */
+    query("posee_conapdis")
+      .optional()
+      .isBoolean()
+      .withMessage("El filtro posee_conapdis debe ser true o false")
+      .toBoolean(true),
+    /**
+     * @description Valida el filtro `seguimiento` (opcional).
+     * - Si está presente, debe ser una cadena de texto no vacía.
+     */
+    query("seguimiento")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("El filtro seguimiento no puede estar vacío"),
+    /**
+     * @description Valida el rango de fechas de registro (`fecha_registro_desde`, `fecha_registro_hasta`, opcionales).
+     * - Si están presentes, deben ser fechas ISO 8601 y el inicio no puede ser posterior al fin.
+     */
+    query(["fecha_registro_desde", "fecha_registro_hasta"])
+      .optional()
+      .isISO8601()
+      .withMessage("Las fechas de registro deben tener formato ISO 8601 (AAAA-MM-DD)"),
+    query("fecha_registro_hasta")
+      .optional()
+      .custom((hasta, { req }) => !req.query.fecha_registro_desde || new Date(req.query.fecha_registro_desde) <= new Date(hasta))
+      .withMessage("fecha_registro_desde no puede ser posterior a fecha_registro_hasta"),
+    /**
+     * @description Valida el filtro `estado` (opcional). Si se omite, solo se listan los estudiantes activos.
+     */
+    validacionFiltroEstado(),
+  ],
+  /**
+   * @description Validaciones de los parámetros de la búsqueda de estudiantes.
+   * Incluye los parámetros de paginación (`limit`, `offset`); los resultados se ordenan siempre por relevancia.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  buscarEstudiantesValidations: [
+    /**
+     * @description Valida el término de búsqueda `q`.
+     * - Es requerido y se recortan los espacios de los extremos.
+     * - Debe tener entre 2 y 100 caracteres.
+     */
+    query("q")
+      .exists()
+      .withMessage("El término de búsqueda q es requerido")
+      .bail()
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("El término de búsqueda debe tener entre 2 y 100 caracteres"),
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el filtro `estado` (opcional). Si se omite, solo se buscan los estudiantes activos.
+     */
+    validacionFiltroEstado(),
+  ],
+  /**
+   * @description Validaciones del expediente de un estudiante.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  obtenerExpedienteValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_estudiante`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_estudiante")
+      .isInt({ min: 1 })
+      .withMessage("El ID del estudiante debe ser un entero positivo."),
+    /**
+     * @description Valida el parámetro `include` (opcional).
+     * - Lista de secciones separadas por comas; se convierte en un array sin repetidos.
+     * - Cada sección debe ser una de `SECCIONES_EXPEDIENTE`.
+     */
+    query("include")
+      .optional()
+      .customSanitizer((include) => [...new Set([include].flat().join(",").split(",").map((seccion) => seccion.trim()).filter(Boolean))])
+      .custom((secciones) => {
+        const invalidas = secciones.filter((seccion) => !SECCIONES_EXPEDIENTE.includes(seccion));
+        if (invalidas.length > 0) {
+          throw new Error(`Secciones no válidas: ${invalidas.join(", ")}. Secciones permitidas: ${SECCIONES_EXPEDIENTE.join(", ")}`);
+        }
+        return true;
+      }),
+  ],
+  /**
+   * @description Validaciones de la importación masiva de estudiantes.
+   * Las filas del archivo se validan en el controlador con `crearEstudianteValidations`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  importarEstudiantesValidations: [
+    /**
+     * @description Valida el parámetro `modo` (opcional).
+     * - Debe ser `simulacion` (solo informa los errores) o `confirmar` (inserta las filas válidas).
+     */
+    query("modo")
+      .optional()
+      .isIn(["simulacion", "confirmar"])
+      .withMessage("El modo de importación debe ser simulacion o confirmar"),
+  ],
+  /**
+   * @description Validaciones del cambio de estado de un estudiante.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  cambiarEstadoValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_estudiante`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_estudiante")
+      .isInt({ min: 1 })
+      .withMessage("El ID del estudiante debe ser un entero positivo."),
+    /**
+     * @description Valida el campo `estado`.
+     * - Es requerido y debe ser uno de `ESTADOS_ESTUDIANTE`.
+     */
+    body("estado")
+      .exists()
+      .withMessage("El estado es requerido")
+      .bail()
+      .isIn(ESTADOS_ESTUDIANTE)
+      .withMessage(`El estado debe ser uno de: ${ESTADOS_ESTUDIANTE.join(", ")}`),
+    /**
+     * @description Valida el campo `motivo`.
+     * - Es requerido; se recortan los espacios de los extremos.
+     * - Debe tener entre 3 y 500 caracteres.
+     */
+    body("motivo")
+      .exists()
+      .withMessage("El motivo del cambio de estado es requerido")
+      .bail()
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage("El motivo debe tener entre 3 y 500 caracteres"),
+  ],
+  /**
+   * @description Validaciones de la asociación de una discapacidad a un estudiante.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  agregarDiscapacidadValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_estudiante`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_estudiante")
+      .isInt({ min: 1 })
+      .withMessage("El ID del estudiante debe ser un entero positivo."),
+    /**
+     * @description Valida el campo `discapacidad_id`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body("discapacidad_id")
+      .isInt({ min: 1 })
+      .withMessage("Debe colocar una discapacidad válida.")
+      .toInt(),
+    ...validacionesDatosDiscapacidad(),
+  ],
+  /**
+   * @description Validaciones de la edición de la discapacidad asociada a un estudiante.
+   * La discapacidad se indica en la ruta y no se puede cambiar; solo se editan los datos de la asociación.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  editarDiscapacidadValidations: [
+    param(["id_estudiante", "discapacidad_id"])
+      .isInt({ min: 1 })
+      .withMessage("Los IDs del estudiante y de la discapacidad deben ser enteros positivos."),
+    ...validacionesDatosDiscapacidad(),
+  ],
+  /**
+   * @description Validaciones de los parámetros de ruta de una discapacidad asociada a un estudiante.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  discapacidadEstudianteValidations: [
+    param(["id_estudiante", "discapacidad_id"])
+      .isInt({ min: 1 })
+      .withMessage("Los IDs del estudiante y de la discapacidad deben ser enteros positivos."),
+  ],
+  /**
+   * @description Validaciones del historial de cambios de un estudiante: paginación (`limit`, `offset`) y filtros.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  historialCambiosValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_estudiante`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_estudiante")
+      .isInt({ min: 1 })
+      .withMessage("El ID del estudiante debe ser un entero positivo."),
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el filtro `tabla` (opcional).
+     * - Si está presente, debe ser una de `TABLAS_HISTORIAL_CAMBIOS`.
+     */
+    query("tabla")
+      .optional()
+      .isIn(TABLAS_HISTORIAL_CAMBIOS)
+      .withMessage(`La tabla debe ser una de: ${TABLAS_HISTORIAL_CAMBIOS.join(", ")}`),
+    /**
+     * @description Valida el filtro `campo` (opcional): solo los cambios que modificaron ese campo.
+     * - Si está presente, debe ser un nombre de columna (letras minúsculas, dígitos y guiones bajos).
+     */
+    query("campo")
+      .optional()
+      .matches(/^[a-z_][a-z0-9_]*$/)
+      .withMessage("El campo debe ser un nombre de columna válido"),
+    /**
+     * @description Valida el rango de fechas de los cambios (`desde`, `hasta`, opcionales).
+     * - Si están presentes, deben ser fechas ISO 8601 y el inicio no puede ser posterior al fin.
+     */
+    query(["desde", "hasta"])
+      .optional()
+      .isISO8601()
+      .withMessage("Las fechas desde y hasta deben tener formato ISO 8601 (AAAA-MM-DD)"),
+    query("hasta")
+      .optional()
+      .custom((hasta, { req }) => !req.query.desde || new Date(req.query.desde) <= new Date(hasta))
+      .withMessage("desde no puede ser posterior a hasta"),
+  ],
+  /**
+   * @description Validaciones de la consulta de un estudiante tal como era en una fecha.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  versionEstudianteValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_estudiante`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_estudiante")
+      .isInt({ min: 1 })
+      .withMessage("El ID del estudiante debe ser un entero positivo."),
+    /**
+     * @description Valida el parámetro `fecha`.
+     * - Es requerido y debe ser una fecha (AAAA-MM-DD) o una fecha y hora ISO 8601.
+     */
+    query("fecha")
+      .exists()
+      .withMessage("La fecha es requerida")
+      .bail()
+      .isISO8601({ strict: true })
+      .withMessage("La fecha debe tener formato ISO 8601 (AAAA-MM-DD o AAAA-MM-DDTHH:MM:SSZ)"),
   ],
-};
\ No newline at end of file
+};
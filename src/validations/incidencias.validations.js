@@ -130,6 +130,29 @@ export const incidenciasValidations = {
       .isString().withMessage('Los acuerdos deben ser texto.')
       .matches(/^[a-zA-Z0-9áéíóúÁÉÍÓÚñÑ\s.,;:'"()\-]+$/).withMessage('Los acuerdos contienen caracteres especiales no permitidos.'),
   ],
+  /**
+   * @description Validaciones de los campos opcionales que no tienen validación de creación, para
+   * `PATCH /incidencias/:id_incidencia`. El resto de los campos se valida con `crearIncidenciaValidations`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  parchearIncidenciaValidations: [
+    /**
+     * @description Valida el campo `hora_incidente` (opcional).
+     * - Si está presente, debe tener el formato HH:MM o HH:MM:SS.
+     */
+    body('hora_incidente')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/).withMessage('La hora del incidente debe tener el formato HH:MM.'),
+    /**
+     * @description Valida el campo `observaciones` (opcional).
+     * - Si está presente, debe ser una cadena de texto.
+     * - Solo puede contener letras, números, espacios y puntuación básica (.,;:'"-).
+     */
+    body('observaciones')
+      .optional()
+      .isString().withMessage('Las observaciones deben ser texto.')
+      .matches(/^[a-zA-Z0-9áéíóúÁÉÍÓÚñÑ\s.,;:'"()\-]*$/).withMessage('Las observaciones contienen caracteres especiales no permitidos.'),
+  ],
   /**
    * @description Validaciones para la eliminación de una incidencia.
    * Asegura que el ID de la incidencia proporcionado en los parámetros de ruta sea válido.
@@ -0,0 +1,145 @@
+/**
+ * @file Este archivo define las validaciones para las rutas relacionadas con las inscripciones de los estudiantes en los cursos.
+ * @description Utiliza la librería `express-validator` para asegurar que los datos enviados en las peticiones
+ * de creación y edición de inscripciones cumplan con los requisitos de formato y presencia, y valida el ID
+ * en los parámetros de ruta y los filtros y la paginación del listado.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/inscripciones.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param, query } from 'express-validator';
+import { validacionesPaginacion } from '../utilities/listados.js';
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con las inscripciones de los estudiantes en los cursos.
+ * @namespace inscripcionesValidations
+ */
+export const inscripcionesValidations = {
+  /**
+   * @description Validaciones del listado de inscripciones: paginación (`limit`, `offset`) y filtros.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarInscripcionesValidations: [
+    ...validacionesPaginacion(),
+    /**
+     * @description Valida el filtro `id_periodo` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_periodo')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_periodo debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el filtro `id_curso` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_curso')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_curso debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el filtro `id_estudiante` (opcional).
+     * - Si está presente, debe ser un número entero positivo.
+     */
+    query('id_estudiante')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_estudiante debe ser un entero positivo')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones para la creación de una inscripción.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  crearInscripcionValidations: [
+    /**
+     * @description Valida el campo `id_estudiante`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_estudiante')
+      .isInt({ min: 1 }).withMessage('El ID del estudiante es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_curso`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_curso')
+      .isInt({ min: 1 }).withMessage('El ID del curso es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_periodo`.
+     * - Es requerido y debe ser un número entero positivo.
+     */
+    body('id_periodo')
+      .isInt({ min: 1 }).withMessage('El ID del período es requerido y debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `seccion` (opcional).
+     * - Si está presente, solo puede contener letras, números y guiones, hasta 10 caracteres. Se guarda en mayúsculas.
+     */
+    body('seccion')
+      .optional({ values: 'null' })
+      .isString().withMessage('La sección debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,10}$/).withMessage('La sección solo puede contener letras, números y guiones (hasta 10 caracteres)')
+      .toUpperCase(),
+  ],
+  /**
+   * @description Validaciones para la edición de una inscripción.
+   * Valida el ID en los parámetros de ruta y los campos opcionales en el cuerpo.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  editarInscripcionValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_inscripcion`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_inscripcion').isInt({ min: 1 }).withMessage('El ID de la inscripción debe ser un entero positivo'),
+    /**
+     * @description Valida el campo `id_estudiante` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_estudiante')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del estudiante debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_curso` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_curso')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del curso debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `id_periodo` si está presente.
+     * - Debe ser un número entero positivo.
+     */
+    body('id_periodo')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El ID del período debe ser un entero positivo')
+      .toInt(),
+    /**
+     * @description Valida el campo `seccion` (opcional; `null` la borra).
+     * - Si está presente, solo puede contener letras, números y guiones, hasta 10 caracteres. Se guarda en mayúsculas.
+     */
+    body('seccion')
+      .optional({ values: 'null' })
+      .isString().withMessage('La sección debe ser texto')
+      .trim()
+      .matches(/^[A-Za-z0-9-]{1,10}$/).withMessage('La sección solo puede contener letras, números y guiones (hasta 10 caracteres)')
+      .toUpperCase(),
+  ],
+  /**
+   * @description Validaciones de las rutas que solo reciben el ID (consulta y eliminación).
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  inscripcionValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_inscripcion`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_inscripcion').isInt({ min: 1 }).withMessage('El ID de la inscripción debe ser un entero positivo'),
+  ],
+};
@@ -0,0 +1,78 @@
+/**
+ * @file Este archivo define las validaciones para las rutas de la papelera.
+ * @description Utiliza la librería `express-validator` para validar los filtros y la paginación del listado
+ * de la papelera, y el tipo e ID de los registros que se restauran o purgan.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/papelera.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { param, query } from 'express-validator';
+import { validacionesPaginacion } from '../utilities/listados.js';
+import { TIPOS_PAPELERA } from '../utilities/papelera.js';
+
+/**
+ * @description Valida el filtro `tipo` (opcional).
+ * - Lista de tipos separados por comas; se convierte en un array sin repetidos.
+ * - Cada valor debe ser uno de `TIPOS_PAPELERA`.
+ * @returns {import('express-validator').ValidationChain} Regla de validación del filtro.
+ */
+const validacionFiltroTipo = () => query('tipo')
+  .optional()
+  .customSanitizer((tipo) => [...new Set([tipo].flat().join(',').split(',').map((valor) => valor.trim()).filter(Boolean))])
+  .custom((tipos) => {
+    const invalidos = tipos.filter((tipo) => !TIPOS_PAPELERA.includes(tipo));
+    if (tipos.length === 0 || invalidos.length > 0) {
+      throw new Error(`Tipos no válidos: ${invalidos.join(', ') || '(vacío)'}. Tipos permitidos: ${TIPOS_PAPELERA.join(', ')}`);
+    }
+    return true;
+  });
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con la papelera.
+ * @namespace papeleraValidations
+ */
+export const papeleraValidations = {
+  /**
+   * @description Validaciones del listado de la papelera: paginación (`limit`, `offset`) y filtros.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  listarPapeleraValidations: [
+    ...validacionesPaginacion(),
+    validacionFiltroTipo(),
+    /**
+     * @description Valida el filtro `id_estudiante` (opcional).
+     * - Si está presente, debe ser un entero positivo.
+     */
+    query('id_estudiante')
+      .optional()
+      .isInt({ min: 1 }).withMessage('El filtro id_estudiante debe ser un entero positivo')
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones de la purga de todos los registros cuyo período de retención venció.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  purgarPapeleraValidations: [
+    validacionFiltroTipo(),
+  ],
+  /**
+   * @description Validaciones de los parámetros de ruta de un registro de la papelera.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  elementoPapeleraValidations: [
+    /**
+     * @description Valida el parámetro de ruta `tipo`.
+     * - Debe ser uno de `TIPOS_PAPELERA`.
+     */
+    param('tipo')
+      .isIn(TIPOS_PAPELERA).withMessage(`El tipo debe ser uno de: ${TIPOS_PAPELERA.join(', ')}`),
+    /**
+     * @description Valida el parámetro de ruta `id`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param('id')
+      .isInt({ min: 1 }).withMessage('El ID del registro debe ser un entero positivo'),
+  ],
+};
@@ -0,0 +1,108 @@
+/**
+ * @file Este archivo define las validaciones para las rutas relacionadas con los períodos académicos.
+ * @description Utiliza la librería `express-validator` para asegurar que los datos enviados en las peticiones
+ * de creación y edición de períodos académicos (lapsos) cumplan con los requisitos de formato y presencia,
+ * y valida el ID de los períodos en los parámetros de ruta.
+ * @author Eric
+ * @version 1.0.0
+ * @module validations/periodosAcademicos.validations
+ * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * @description Valida que la fecha de fin sea posterior a la de inicio cuando ambas están en el cuerpo.
+ * @param {string} fechaFin - Valor del campo `fecha_fin`.
+ * @param {{req: object}} contexto - Contexto de `express-validator`.
+ * @returns {boolean} `true` si las fechas son coherentes o falta la de inicio.
+ */
+const finPosteriorAlInicio = (fechaFin, { req }) => {
+  const fechaInicio = req.body.fecha_inicio;
+  return fechaInicio === undefined || fechaInicio === null || new Date(fechaFin) > new Date(fechaInicio);
+};
+
+/**
+ * @description Objeto que agrupa todas las validaciones relacionadas con los períodos académicos.
+ * @namespace periodosAcademicosValidations
+ */
+export const periodosAcademicosValidations = {
+  /**
+   * @description Validaciones para la creación de un período académico.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  crearPeriodoValidations: [
+    /**
+     * @description Valida el campo `periodo` (nombre del lapso, ej. "2025-I").
+     * - Es requerido y debe tener como máximo 30 caracteres.
+     */
+    body('periodo')
+      .isString().withMessage('El período debe ser texto')
+      .trim()
+      .notEmpty().withMessage('El período es requerido')
+      .isLength({ max: 30 }).withMessage('El período debe tener como máximo 30 caracteres'),
+    /**
+     * @description Valida el campo `fecha_inicio`.
+     * - Es requerido y debe tener formato AAAA-MM-DD.
+     */
+    body('fecha_inicio')
+      .isISO8601({ strict: true }).withMessage('La fecha de inicio debe tener formato AAAA-MM-DD'),
+    /**
+     * @description Valida el campo `fecha_fin`.
+     * - Es requerido, debe tener formato AAAA-MM-DD y ser posterior a la fecha de inicio.
+     */
+    body('fecha_fin')
+      .isISO8601({ strict: true }).withMessage('La fecha de fin debe tener formato AAAA-MM-DD')
+      .bail()
+      .custom(finPosteriorAlInicio).withMessage('La fecha de fin debe ser posterior a la fecha de inicio'),
+  ],
+  /**
+   * @description Validaciones para la edición de un período académico.
+   * Valida el ID en los parámetros de ruta y los campos opcionales en el cuerpo.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  editarPeriodoValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_periodo`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_periodo').isInt({ min: 1 }).withMessage('El ID del período debe ser un entero positivo'),
+    /**
+     * @description Valida el campo `periodo` si está presente.
+     * - No puede estar vacío y debe tener como máximo 30 caracteres.
+     */
+    body('periodo')
+      .optional()
+      .isString().withMessage('El período debe ser texto')
+      .trim()
+      .notEmpty().withMessage('El período no puede estar vacío')
+      .isLength({ max: 30 }).withMessage('El período debe tener como máximo 30 caracteres'),
+    /**
+     * @description Valida el campo `fecha_inicio` si está presente.
+     * - Debe tener formato AAAA-MM-DD.
+     */
+    body('fecha_inicio')
+      .optional()
+      .isISO8601({ strict: true }).withMessage('La fecha de inicio debe tener formato AAAA-MM-DD'),
+    /**
+     * @description Valida el campo `fecha_fin` si está presente.
+     * - Debe tener formato AAAA-MM-DD y, si también se envía la fecha de inicio, ser posterior a ella.
+     */
+    body('fecha_fin')
+      .optional()
+      .isISO8601({ strict: true }).withMessage('La fecha de fin debe tener formato AAAA-MM-DD')
+      .bail()
+      .custom(finPosteriorAlInicio).withMessage('La fecha de fin debe ser posterior a la fecha de inicio'),
+  ],
+  /**
+   * @description Validaciones de las rutas que solo reciben el ID del período (consulta y eliminación).
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  periodoValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_periodo`.
+     * - Debe ser un número entero positivo.
+     */
+    param('id_periodo').isInt({ min: 1 }).withMessage('El ID del período debe ser un entero positivo'),
+  ],
+};
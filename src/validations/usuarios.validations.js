@@ -1,7 +1,8 @@
 /**
  * @file Este archivo define las validaciones para las rutas relacionadas con usuarios.
  * @description Utiliza la librería `express-validator` para asegurar que los datos enviados
- * en las peticiones HTTP para el registro, inicio de sesión y edición de usuarios
+ * en las peticiones HTTP para el registro, inicio de sesión, renovación y cierre de sesión,
+ * edición de usuarios, el cambio o restablecimiento de contraseñas y la verificación en dos factores
  * cumplan con los requisitos de formato, presencia y valores permitidos.
  * Esto incluye la validación específica para el campo 'rol'.
  * @author Eric
@@ -10,7 +11,8 @@
  * @see {@link https://express-validator.github.io/docs/} Para la documentación oficial de express-validator.
  */
 
-import { body } from "express-validator";
+import { body, param, query } from "express-validator";
+import { ROLES } from "../utilities/permisos.js";
 
 /**
  * @description Objeto que agrupa todas las validaciones relacionadas con las operaciones de usuario.
@@ -77,7 +79,7 @@ export const usuarioValidations = {
      */
     body("rol")
       .notEmpty().withMessage("El rol es requerido")
-      .isIn(["administrador", "psicologo", "docente"])
+      .isIn(ROLES)
       .withMessage("El rol debe ser uno de: administrador, psicologo, docente"),
   ],
   /**
@@ -150,7 +152,270 @@ export const usuarioValidations = {
      */
     body("rol")
       .optional()
-      .isIn(["administrador", "psicologo", "docente"])
+      .isIn(ROLES)
       .withMessage("El rol debe ser uno de: administrador, psicologo, docente"),
   ],
+  /**
+   * @description Validaciones para el cambio de contraseña del usuario autenticado.
+   * Asegura que se envíe la contraseña actual y que la nueva cumpla con la longitud requerida.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  cambiarPasswordValidations: [
+    /**
+     * @description Valida el campo `password_actual`.
+     * - Es requerido (no vacío).
+     */
+    body("password_actual").notEmpty().withMessage("La contraseña actual es requerida"),
+    /**
+     * @description Valida el campo `password_nuevo`.
+     * - Es requerido (no vacío).
+     * - Debe tener entre 6 y 15 caracteres.
+     * - Debe ser distinto de la contraseña actual.
+     */
+    body("password_nuevo")
+      .notEmpty().withMessage("La nueva contraseña es requerida")
+      .isLength({ min: 6, max: 15 })
+      .withMessage("La nueva contraseña debe tener entre 6 y 15 caracteres")
+      .custom((value, { req }) => value !== req.body.password_actual)
+      .withMessage("La nueva contraseña debe ser distinta de la actual"),
+  ],
+  /**
+   * @description Validaciones para las acciones administrativas sobre un usuario identificado en la ruta
+   * (restablecimiento de contraseña, revocación de sesiones, desbloqueo).
+   * Asegura que el ID del usuario en los parámetros de ruta sea válido.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  idUsuarioValidations: [
+    /**
+     * @description Valida el parámetro de ruta `id_usuario`.
+     * - Debe ser un número entero positivo (mayor o igual a 1).
+     */
+    param("id_usuario").isInt({ min: 1 }).withMessage("El ID del usuario debe ser un entero positivo"),
+  ],
+  /**
+   * @description Validaciones para la consulta de la bitácora de intentos de inicio de sesión.
+   * Todos los filtros son opcionales; los valores se convierten a su tipo para el controlador.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  obtenerIntentosLoginValidations: [
+    /**
+     * @description Valida el filtro `cedula_usuario` (opcional).
+     * - Si está presente, debe ser una cadena de hasta 20 caracteres.
+     */
+    query("cedula_usuario")
+      .optional()
+      .isString().isLength({ max: 20 })
+      .withMessage("La cédula debe ser texto de hasta 20 caracteres"),
+    /**
+     * @description Valida el filtro `ip` (opcional).
+     * - Si está presente, debe ser una dirección IPv4 o IPv6 válida.
+     */
+    query("ip")
+      .optional()
+      .isIP().withMessage("La IP debe ser una dirección IPv4 o IPv6 válida"),
+    /**
+     * @description Valida el filtro `exito` (opcional).
+     * - Si está presente, debe ser `true` o `false`.
+     */
+    query("exito")
+      .optional()
+      .isBoolean().withMessage("El filtro exito debe ser true o false")
+      .toBoolean(),
+    /**
+     * @description Valida los filtros `desde` y `hasta` (opcionales).
+     * - Si están presentes, deben ser fechas en formato ISO 8601.
+     */
+    query(["desde", "hasta"])
+      .optional()
+      .isISO8601().withMessage("Las fechas deben tener el formato ISO 8601 (YYYY-MM-DD)"),
+    /**
+     * @description Valida el parámetro de paginación `limit` (opcional).
+     * - Si está presente, debe ser un entero entre 1 y 200.
+     */
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 }).withMessage("El límite debe ser un entero entre 1 y 200")
+      .toInt(),
+    /**
+     * @description Valida el parámetro de paginación `offset` (opcional).
+     * - Si está presente, debe ser un entero mayor o igual a 0.
+     */
+    query("offset")
+      .optional()
+      .isInt({ min: 0 }).withMessage("El desplazamiento debe ser un entero mayor o igual a 0")
+      .toInt(),
+  ],
+  /**
+   * @description Validaciones para la renovación de la sesión y el cierre de sesión.
+   * Asegura que se envíe un token de actualización con el formato esperado.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  refreshTokenValidations: [
+    /**
+     * @description Valida el campo `refresh_token`.
+     * - Es requerido (no vacío).
+     * - Debe ser una cadena hexadecimal de 64 caracteres.
+     */
+    body("refresh_token")
+      .notEmpty().withMessage("El token de actualización es requerido")
+      .isHexadecimal().isLength({ min: 64, max: 64 })
+      .withMessage("El token de actualización no tiene un formato válido"),
+  ],
+  /**
+   * @description Validaciones para que el usuario autenticado actualice su propio perfil.
+   * Todos los campos son opcionales; `password_actual` es requerido si se envía `password_nuevo`.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  actualizarPerfilValidations: [
+    /**
+     * @description Valida el campo `nombre` (opcional).
+     * - Si está presente, solo puede contener letras y espacios simples.
+     */
+    body("nombre")
+      .optional()
+      .matches(/^(?!.*\s{2})[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
+      .withMessage("Los nombres solo pueden contener letras y espacios (no más de dos espacios en blanco)."),
+    /**
+     * @description Valida el campo `apellido` (opcional).
+     * - Si está presente, solo puede contener letras y espacios simples.
+     */
+    body("apellido")
+      .optional()
+      .matches(/^(?!.*\s{2})[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
+      .withMessage("Los apellidos solo pueden contener letras y espacios (no más de dos espacios en blanco)."),
+    /**
+     * @description Valida el campo `cedula_usuario` (opcional, solo administradores).
+     * - Si está presente, debe seguir el formato `V-XXXXXXXX` o `E-XXXXXXXX`.
+     */
+    body("cedula_usuario")
+      .optional()
+      .matches(/^[VE]-\d{7,15}$/)
+      .withMessage("La cédula debe tener el formato V-XXXXXXXX o E-XXXXXXXX."),
+    /**
+     * @description Valida el campo `rol` (opcional, solo administradores).
+     * - Si está presente, debe ser uno de los valores permitidos.
+     */
+    body("rol")
+      .optional()
+      .isIn(ROLES)
+      .withMessage("El rol debe ser uno de: administrador, psicologo, docente"),
+    /**
+     * @description Valida el campo `password_nuevo` (opcional).
+     * - Si está presente, debe tener entre 6 y 15 caracteres y ser distinto de la contraseña actual.
+     */
+    body("password_nuevo")
+      .optional()
+      .isLength({ min: 6, max: 15 })
+      .withMessage("La nueva contraseña debe tener entre 6 y 15 caracteres")
+      .custom((value, { req }) => value !== req.body.password_actual)
+      .withMessage("La nueva contraseña debe ser distinta de la actual"),
+    /**
+     * @description Valida el campo `password_actual`.
+     * - Es requerido si se envía `password_nuevo`.
+     */
+    body("password_actual")
+      .if(body("password_nuevo").exists())
+      .notEmpty().withMessage("La contraseña actual es requerida para cambiar la contraseña"),
+    /**
+     * @description Rechaza el campo `password`, que en el perfil propio se reemplaza por `password_actual` y `password_nuevo`.
+     */
+    body("password")
+      .not().exists()
+      .withMessage("Use los campos password_actual y password_nuevo para cambiar la contraseña"),
+  ],
+  /**
+   * @description Validaciones para restablecer una contraseña con un token de un solo uso.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  restablecerPasswordValidations: [
+    /**
+     * @description Valida el campo `token`.
+     * - Es requerido (no vacío).
+     * - Debe ser una cadena hexadecimal de 64 caracteres.
+     */
+    body("token")
+      .notEmpty().withMessage("El token es requerido")
+      .isHexadecimal().isLength({ min: 64, max: 64 })
+      .withMessage("El token de restablecimiento no tiene un formato válido"),
+    /**
+     * @description Valida el campo `password_nuevo`.
+     * - Es requerido (no vacío).
+     * - Debe tener entre 6 y 15 caracteres.
+     */
+    body("password_nuevo")
+      .notEmpty().withMessage("La nueva contraseña es requerida")
+      .isLength({ min: 6, max: 15 })
+      .withMessage("La nueva contraseña debe tener entre 6 y 15 caracteres"),
+  ],  /**
+   * @description Validaciones para completar el inicio de sesión con verificación en dos factores.
+   * Se debe enviar el código TOTP o, en su defecto, un código de recuperación.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  iniciarSesion2faValidations: [
+    /**
+     * @description Valida el campo `token_2fa`.
+     * - Es requerido (no vacío).
+     * - Debe ser un JWT.
+     */
+    body("token_2fa")
+      .notEmpty().withMessage("El token de verificación es requerido")
+      .isJWT().withMessage("El token de verificación no tiene un formato válido"),
+    /**
+     * @description Valida el campo `codigo` (opcional si se envía `codigo_recuperacion`).
+     * - Debe tener exactamente 6 dígitos.
+     */
+    body("codigo")
+      .optional()
+      .matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+    /**
+     * @description Valida el campo `codigo_recuperacion` (opcional si se envía `codigo`).
+     * - Debe tener el formato `xxxxx-xxxxx` (hexadecimal, el guion es opcional).
+     */
+    body("codigo_recuperacion")
+      .optional()
+      .matches(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/).withMessage("El código de recuperación no tiene un formato válido"),
+    /**
+     * @description Exige que se envíe exactamente uno de `codigo` o `codigo_recuperacion`.
+     */
+    body().custom((valor) => {
+      if (!valor?.codigo === !valor?.codigo_recuperacion) {
+        throw new Error("Debe enviar el código de verificación o un código de recuperación");
+      }
+      return true;
+    }),
+  ],
+  /**
+   * @description Validaciones para las operaciones de verificación en dos factores que requieren un código TOTP vigente.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  codigoTotpValidations: [
+    /**
+     * @description Valida el campo `codigo`.
+     * - Es requerido (no vacío).
+     * - Debe tener exactamente 6 dígitos.
+     */
+    body("codigo")
+      .notEmpty().withMessage("El código de verificación es requerido")
+      .matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+  ],
+  /**
+   * @description Validaciones para desactivar la verificación en dos factores de la propia cuenta.
+   * @type {Array<import('express-validator').ValidationChain>}
+   */
+  desactivar2faValidations: [
+    /**
+     * @description Valida el campo `password`.
+     * - Es requerido (no vacío).
+     */
+    body("password")
+      .notEmpty().withMessage("La contraseña es requerida"),
+    /**
+     * @description Valida el campo `codigo`.
+     * - Es requerido (no vacío).
+     * - Debe tener exactamente 6 dígitos.
+     */
+    body("codigo")
+      .notEmpty().withMessage("El código de verificación es requerido")
+      .matches(/^\d{6}$/).withMessage("El código debe tener 6 dígitos"),
+  ],
 };